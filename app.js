@@ -9,12 +9,14 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const errorMiddleware = require('./middleware/error.middleware');
 const auditMiddleware = require('./middleware/audit.middleware');
+const fhirFormatMiddleware = require('./middleware/fhir-format.middleware');
 
 // Route imports
 const authRoutes = require('./routes/auth.routes');
 const fhirRoutes = require('./routes/fhir.routes');
 const namasteRoutes = require('./routes/namaste.routes');
 const icd11Routes = require('./routes/icd11.routes');
+const mappingRoutes = require('./routes/mapping.routes');
 const searchRoutes = require('./routes/search.routes');
 const adminRoutes = require('./routes/admin.routes');
 
@@ -71,6 +73,9 @@ app.use((req, res, next) => {
 app.use('/api', auditMiddleware);
 app.use('/fhir', auditMiddleware);
 
+// FHIR content negotiation (JSON/XML via Accept and _format)
+app.use('/fhir', fhirFormatMiddleware);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -92,6 +97,7 @@ app.use('/api/auth', authRoutes);
 app.use('/fhir', fhirRoutes);
 app.use('/api/namaste', namasteRoutes);
 app.use('/api/icd11', icd11Routes);
+app.use('/api/mapping', mappingRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/admin', adminRoutes);
 
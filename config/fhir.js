@@ -1,6 +1,11 @@
 const dotenv = require('dotenv');
+const path = require('path');
+const { Fhir } = require('fhir');
 dotenv.config();
 
+// R4 JSON <-> XML serializer (element order, arrays and primitive extensions follow the spec)
+const fhirSerializer = new Fhir();
+
 const fhirConfig = {
   // FHIR Server Configuration
   server: {
@@ -22,6 +27,12 @@ const fhirConfig = {
     'Accept-Charset': 'UTF-8'
   },
 
+  // Supported serialization formats: _format aliases and the media types they negotiate to
+  formats: {
+    json: ['application/fhir+json', 'application/json', 'json', 'application/json+fhir'],
+    xml: ['application/fhir+xml', 'application/xml', 'text/xml', 'xml', 'application/xml+fhir']
+  },
+
   // Supported Resource Types
   supportedResources: [
     'CodeSystem',
@@ -42,27 +53,32 @@ const fhirConfig = {
         url: 'http://terminology.hl7.org/CodeSystem/namaste-ayurveda',
         name: 'NAMASTE_Ayurveda',
         title: 'NAMASTE Ayurveda Terminology',
-        description: 'Standardized terminology for Ayurveda disorders and conditions'
+        description: 'Standardized terminology for Ayurveda disorders and conditions',
+        // Language of the original (non-transliterated) terms
+        language: 'sa'
       },
       siddha: {
         id: 'namaste-siddha',
         url: 'http://terminology.hl7.org/CodeSystem/namaste-siddha',
         name: 'NAMASTE_Siddha',
         title: 'NAMASTE Siddha Terminology',
-        description: 'Standardized terminology for Siddha disorders and conditions'
+        description: 'Standardized terminology for Siddha disorders and conditions',
+        language: 'ta'
       },
       unani: {
         id: 'namaste-unani',
         url: 'http://terminology.hl7.org/CodeSystem/namaste-unani',
         name: 'NAMASTE_Unani',
         title: 'NAMASTE Unani Terminology',
-        description: 'Standardized terminology for Unani disorders and conditions'
+        description: 'Standardized terminology for Unani disorders and conditions',
+        language: 'ur'
       }
     },
     icd11: {
       tm2: {
         id: 'icd11-tm2',
         url: 'http://id.who.int/icd/release/11/2023-01/tm2',
+        version: '2023-01',
         name: 'ICD11_TM2',
         title: 'ICD-11 Traditional Medicine Module 2',
         description: 'WHO ICD-11 Traditional Medicine Module 2 terminology'
@@ -70,6 +86,7 @@ const fhirConfig = {
       biomedicine: {
         id: 'icd11-biomedicine',
         url: 'http://id.who.int/icd/release/11/2023-01/mms',
+        version: '2023-01',
         name: 'ICD11_Biomedicine',
         title: 'ICD-11 Biomedicine Module',
         description: 'WHO ICD-11 Biomedicine terminology'
@@ -77,7 +94,7 @@ const fhirConfig = {
     }
   },
 
-  // Concept Maps
+  // Concept Maps (one per NAMASTE system and ICD-11 module is added below; namasteToIcd11 spans them all)
   conceptMaps: {
     namasteToIcd11: {
       id: 'namaste-to-icd11',
@@ -88,21 +105,87 @@ const fhirConfig = {
     }
   },
 
-  // Value Sets
+  // Elements fetched per query when streaming a ConceptMap
+  conceptMapBatchSize: parseInt(process.env.FHIR_CONCEPTMAP_BATCH_SIZE) || 500,
+
+  // ICD-11 codes fetched per query when building a CodeSystem
+  codeSystemBatchSize: parseInt(process.env.FHIR_CODESYSTEM_BATCH_SIZE) || 1000,
+
+  // Value Sets (compose follows FHIR ValueSet.compose; filters are evaluated by FhirService.expandValueSet)
   valueSets: {
     namasteAll: {
       id: 'namaste-all',
       url: 'http://terminology.hl7.org/ValueSet/namaste-all',
       name: 'NAMASTE_All',
       title: 'All NAMASTE Codes',
-      description: 'Complete set of NAMASTE traditional medicine codes'
+      description: 'Complete set of NAMASTE traditional medicine codes',
+      compose: {
+        include: [
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-ayurveda' },
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-siddha' },
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-unani' }
+        ]
+      }
+    },
+    namasteAyurveda: {
+      id: 'namaste-ayurveda-all',
+      url: 'http://terminology.hl7.org/ValueSet/namaste-ayurveda-all',
+      name: 'NAMASTE_Ayurveda_All',
+      title: 'All NAMASTE Ayurveda Codes',
+      description: 'All codes from the NAMASTE Ayurveda terminology',
+      compose: {
+        include: [
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-ayurveda' }
+        ]
+      }
+    },
+    namasteSiddha: {
+      id: 'namaste-siddha-all',
+      url: 'http://terminology.hl7.org/ValueSet/namaste-siddha-all',
+      name: 'NAMASTE_Siddha_All',
+      title: 'All NAMASTE Siddha Codes',
+      description: 'All codes from the NAMASTE Siddha terminology',
+      compose: {
+        include: [
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-siddha' }
+        ]
+      }
+    },
+    namasteUnani: {
+      id: 'namaste-unani-all',
+      url: 'http://terminology.hl7.org/ValueSet/namaste-unani-all',
+      name: 'NAMASTE_Unani_All',
+      title: 'All NAMASTE Unani Codes',
+      description: 'All codes from the NAMASTE Unani terminology',
+      compose: {
+        include: [
+          { system: 'http://terminology.hl7.org/CodeSystem/namaste-unani' }
+        ]
+      }
     },
     icd11Tm2: {
       id: 'icd11-tm2-all',
       url: 'http://terminology.hl7.org/ValueSet/icd11-tm2-all',
       name: 'ICD11_TM2_All',
       title: 'All ICD-11 TM2 Codes',
-      description: 'Complete set of ICD-11 Traditional Medicine Module 2 codes'
+      description: 'Complete set of ICD-11 Traditional Medicine Module 2 codes',
+      compose: {
+        include: [
+          { system: 'http://id.who.int/icd/release/11/2023-01/tm2' }
+        ]
+      }
+    },
+    icd11Biomedicine: {
+      id: 'icd11-biomedicine-all',
+      url: 'http://terminology.hl7.org/ValueSet/icd11-biomedicine-all',
+      name: 'ICD11_Biomedicine_All',
+      title: 'All ICD-11 Biomedicine Codes',
+      description: 'Complete set of ICD-11 Biomedicine codes',
+      compose: {
+        include: [
+          { system: 'http://id.who.int/icd/release/11/2023-01/mms' }
+        ]
+      }
     }
   },
 
@@ -113,6 +196,11 @@ const fhirConfig = {
       definition: 'http://hl7.org/fhir/OperationDefinition/ConceptMap-translate',
       description: 'Translate codes between terminology systems'
     },
+    expand: {
+      name: 'expand',
+      definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-expand',
+      description: 'Expand a value set into its list of concepts'
+    },
     lookup: {
       name: 'lookup',
       definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-lookup',
@@ -122,27 +210,108 @@ const fhirConfig = {
       name: 'validate-code',
       definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-validate-code',
       description: 'Validate a code in a code system'
+    },
+    subsumes: {
+      name: 'subsumes',
+      definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-subsumes',
+      description: 'Test the subsumption relationship between two codes'
+    },
+    export: {
+      name: 'export',
+      definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/export',
+      description: 'Asynchronous Bulk Data export to NDJSON'
+    },
+    validateResource: {
+      name: 'validate',
+      definition: 'http://hl7.org/fhir/OperationDefinition/Resource-validate',
+      description: 'Validate a resource against its StructureDefinition profiles and our code systems'
+    },
+    everything: {
+      name: 'everything',
+      definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything',
+      description: 'All stored resources in a patient compartment'
+    },
+    subscriptionStatus: {
+      name: 'status',
+      definition: 'http://hl7.org/fhir/uv/subscriptions-backport/OperationDefinition/backport-subscription-status',
+      description: 'Current status and event count of a Subscription'
+    },
+    summary: {
+      name: 'summary',
+      definition: 'http://hl7.org/fhir/uv/ips/OperationDefinition/summary',
+      description: 'International Patient Summary-style document with the active problem list'
     }
   },
 
-  // Search Parameters
+  // Search Parameters (keyed by resource type, lower camel case; listed in the CapabilityStatement)
   searchParameters: {
     codeSystem: [
       { name: 'url', type: 'uri', description: 'The uri that identifies the code system' },
-      { name: 'version', type: 'token', description: 'The business version of the code system' },
       { name: 'name', type: 'string', description: 'Computationally friendly name of the code system' },
-      { name: 'title', type: 'string', description: 'The human-friendly name of the code system' },
-      { name: 'status', type: 'token', description: 'The current status of the code system' }
+      { name: 'supplements', type: 'reference', description: 'Find supplements for this code system' }
+    ],
+    valueSet: [
+      { name: 'url', type: 'uri', description: 'The uri that identifies the value set' },
+      { name: 'name', type: 'string', description: 'Computationally friendly name of the value set' }
     ],
     conceptMap: [
       { name: 'url', type: 'uri', description: 'The uri that identifies the concept map' },
       { name: 'source', type: 'reference', description: 'The source value set that contains the concepts that are being mapped' },
       { name: 'target', type: 'reference', description: 'The target value set which provides context for the mappings' },
       { name: 'source-code', type: 'token', description: 'Identifies element being mapped' },
-      { name: 'target-code', type: 'token', description: 'Code that identifies the target element' }
+      { name: 'target-code', type: 'token', description: 'Code that identifies the target element' },
+      { name: 'version', type: 'token', description: 'The business version of the concept map (a mapping release such as 2026.10)' }
+    ],
+    auditEvent: [
+      { name: 'date', type: 'date', description: 'Time when the event was recorded' },
+      { name: 'agent', type: 'reference', description: 'Identifier of who' },
+      { name: 'entity', type: 'reference', description: 'Specific instance of resource' },
+      { name: 'action', type: 'token', description: 'Type of action performed during the event' },
+      { name: 'subtype', type: 'token', description: 'More specific type/id for the event' },
+      { name: 'outcome', type: 'token', description: 'Whether the event succeeded or failed' }
+    ],
+    patient: [
+      { name: '_id', type: 'token', description: 'Logical id of the patient' },
+      { name: 'identifier', type: 'token', description: 'A patient identifier' },
+      { name: 'name', type: 'string', description: 'A portion of the family, given or text name of the patient' }
+    ],
+    condition: [
+      { name: 'patient', type: 'reference', description: 'Who has the condition' },
+      { name: 'encounter', type: 'reference', description: 'Encounter created as part of' },
+      { name: 'code', type: 'token', description: 'Code for the condition; :below includes descendants in the NAMASTE or ICD-11 hierarchy' },
+      { name: 'recorded-date', type: 'date', description: 'Date record was first recorded' },
+      { name: 'clinical-status', type: 'token', description: 'The clinical status of the condition' }
+    ],
+    encounter: [
+      { name: 'patient', type: 'reference', description: 'The patient present at the encounter' },
+      { name: 'status', type: 'token', description: 'planned | arrived | triaged | in-progress | onleave | finished | cancelled +' },
+      { name: 'date', type: 'date', description: 'A date within the period the Encounter lasted' }
+    ],
+    provenance: [
+      { name: 'target', type: 'reference', description: 'Target Reference(s) (usually version specific)' },
+      { name: 'agent', type: 'reference', description: 'Who participated' },
+      { name: 'recorded', type: 'date', description: 'When the activity was recorded / updated' },
+      { name: 'activity', type: 'token', description: 'Activity that occurred' }
+    ],
+    subscription: [
+      { name: 'status', type: 'token', description: 'The current state of the subscription' },
+      { name: 'url', type: 'uri', description: 'The uri that will receive the notifications' },
+      { name: 'criteria', type: 'string', description: 'The search rules used to determine when to send a notification' }
     ]
   },
 
+  // Search parameters _sort accepts, per resource type
+  sortParameters: {
+    codeSystem: ['url', 'name'],
+    valueSet: ['url', 'name'],
+    conceptMap: ['url'],
+    auditEvent: ['date'],
+    provenance: ['recorded'],
+    patient: ['name', '_lastUpdated'],
+    condition: ['recorded-date', '_lastUpdated'],
+    encounter: ['date', '_lastUpdated']
+  },
+
   // Security Configuration
   security: {
     cors: {
@@ -160,11 +329,17 @@ const fhirConfig = {
     }
   },
 
-  // Capability Statement Template
+  // Capability Statement Template (resources, interactions and operations are added from the mounted routes)
   capabilityStatement: {
     resourceType: 'CapabilityStatement',
+    id: 'namaste-icd11-api',
+    url: 'http://terminology.hl7.org/CapabilityStatement/namaste-icd11-api',
+    version: '1.0.0',
+    name: 'NAMASTE_ICD11_API',
+    title: 'NAMASTE to ICD-11 Terminology Server',
     status: 'active',
     experimental: false,
+    description: 'FHIR R4 Terminology Server for NAMASTE to ICD-11 code mapping',
     kind: 'instance',
     software: {
       name: 'NAMASTE-ICD11 FHIR Server',
@@ -174,25 +349,172 @@ const fhirConfig = {
       description: 'NAMASTE to ICD-11 Terminology Mapping Server'
     },
     fhirVersion: '4.0.1',
-    format: ['json'],
-    patchFormat: ['application/json-patch+json'],
-    acceptUnknown: 'no',
+    format: ['json', 'xml'],
     rest: [{
       mode: 'server',
       documentation: 'FHIR R4 Terminology Server for Traditional Medicine',
       security: {
         cors: true,
-        description: 'Uses JWT Bearer tokens for authentication'
+        description: 'SMART on FHIR: Bearer tokens whose scopes (patient/, user/, system/) are checked on every interaction. Terminology reads are also open without a token.',
+        service: [{
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/restful-security-service',
+            code: 'SMART-on-FHIR',
+            display: 'SMART-on-FHIR'
+          }]
+        }]
       }
     }]
   },
 
-  // Validation Rules
+  // Extensions defined by this server
+  extensions: {
+    dualCoding: 'http://terminology.hl7.org/StructureDefinition/namaste-dual-coding',
+    targetElement: 'http://hl7.org/fhir/StructureDefinition/targetElement',
+    oauthUris: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+    // Subscriptions Backport (R4B/R5 topic-based subscriptions in R4)
+    subscriptionTopicCanonical: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/capabilitystatement-subscriptiontopic-canonical',
+    subscriptionFilterCriteria: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-filter-criteria',
+    subscriptionPayloadContent: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-payload-content',
+    // On Patient: given (valueBoolean), version (valueString), date (valueDateTime), retainUntil (valueDateTime)
+    patientConsent: 'http://terminology.hl7.org/StructureDefinition/namaste-patient-consent'
+  },
+
+  // Patient data is only stored and returned with recorded consent that has not run out
+  consent: {
+    // Consent version patients must have agreed to; unset accepts any version
+    currentVersion: process.env.PATIENT_CONSENT_VERSION || null
+  },
+
+  // Designation use codes for NAMASTE terms (synonyms use SNOMED CT, display translations HL7 designation-usage)
+  designationUse: {
+    synonym: { system: 'http://snomed.info/sct', code: '900000000000013009', display: 'Synonym' },
+    display: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'display', display: 'Display' },
+    original: { system: 'http://terminology.hl7.org/CodeSystem/namaste-designation-use', code: 'original', display: 'Original script term' },
+    transliteration: { system: 'http://terminology.hl7.org/CodeSystem/namaste-designation-use', code: 'transliteration', display: 'Transliteration' }
+  },
+
+  // Bulk Data $export: NDJSON files written to local disk and removed once expired
+  bulkExport: {
+    directory: process.env.FHIR_EXPORT_DIR || path.join(__dirname, '..', 'exports'),
+    expiryHours: parseInt(process.env.FHIR_EXPORT_EXPIRY_HOURS) || 24,
+    batchSize: 500,
+    outputFormats: ['application/fhir+ndjson', 'application/ndjson', 'ndjson'],
+    terminologyTypes: ['CodeSystem', 'ConceptMap'],
+    // Patient data and audit trail require the admin role
+    restrictedTypes: ['Patient', 'Condition', 'Encounter', 'AuditEvent'],
+    patientTypes: ['Patient', 'Condition', 'Encounter']
+  },
+
+  // Patient/$summary document (International Patient Summary structure)
+  patientSummary: {
+    compositionType: { system: 'http://loinc.org', code: '60591-5', display: 'Patient summary Document' },
+    problemSection: { system: 'http://loinc.org', code: '11450-4', display: 'Problem list - Reported' },
+    emptyReason: { system: 'http://terminology.hl7.org/CodeSystem/list-empty-reason', code: 'nilknown', display: 'Nil Known' },
+    // Conditions with these clinical statuses count as active problems
+    activeStatuses: ['active', 'recurrence', 'relapse'],
+    excludedVerificationStatuses: ['refuted', 'entered-in-error']
+  },
+
+  // Provenance of mapping authorship and verification
+  provenanceActivity: {
+    create: { system: 'http://terminology.hl7.org/CodeSystem/namaste-provenance-activity', code: 'create', display: 'Create' },
+    update: { system: 'http://terminology.hl7.org/CodeSystem/namaste-provenance-activity', code: 'update', display: 'Update' },
+    verify: { system: 'http://terminology.hl7.org/CodeSystem/namaste-provenance-activity', code: 'verify', display: 'Verify' },
+    deactivate: { system: 'http://terminology.hl7.org/CodeSystem/namaste-provenance-activity', code: 'deactivate', display: 'Deactivate' }
+  },
+  provenanceAgentType: {
+    author: { system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'author', display: 'Author' },
+    verifier: { system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'verifier', display: 'Verifier' }
+  },
+
+  // Marks search results that omit parts of the resource (e.g. ConceptMap groups)
+  subsettedTag: {
+    system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+    code: 'SUBSETTED',
+    display: 'subsetted'
+  },
+
+  // Subscriptions: topics our terminology writes notify, delivered over REST hooks
+  subscriptions: {
+    profiles: {
+      subscription: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-subscription',
+      status: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-subscription-status-r4',
+      notification: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-subscription-notification-r4'
+    },
+    // filters maps each filter parameter to the event field it tests; R4 criteria name the topic by resourceType
+    topics: {
+      conceptMap: {
+        url: 'http://terminology.hl7.org/SubscriptionTopic/namaste-concept-map-change',
+        title: 'NAMASTE to ICD-11 ConceptMap change',
+        resourceType: 'ConceptMap',
+        events: ['created', 'updated', 'verified', 'deactivated'],
+        filters: {
+          'source-system': 'systemType',
+          'target-module': 'module',
+          'source-code': 'namasteCode',
+          'target-code': 'icd11Code',
+          event: 'event'
+        }
+      },
+      codeSystem: {
+        url: 'http://terminology.hl7.org/SubscriptionTopic/namaste-code-system-change',
+        title: 'NAMASTE CodeSystem change',
+        resourceType: 'CodeSystem',
+        events: ['created', 'updated', 'retired'],
+        filters: {
+          system: 'systemType',
+          code: 'code',
+          event: 'event'
+        }
+      }
+    },
+    // Failed notifications are retried with exponential backoff, then the Subscription is set to error.
+    // Pending retries are held in memory and do not survive a restart.
+    delivery: {
+      timeoutMs: parseInt(process.env.FHIR_SUBSCRIPTION_TIMEOUT_MS) || 10000,
+      maxAttempts: parseInt(process.env.FHIR_SUBSCRIPTION_MAX_ATTEMPTS) || 5,
+      initialDelayMs: parseInt(process.env.FHIR_SUBSCRIPTION_RETRY_DELAY_MS) || 1000,
+      maxDelayMs: 5 * 60 * 1000,
+      // Plain http endpoints are only accepted outside production
+      allowHttp: process.env.NODE_ENV !== 'production',
+      // Endpoint hosts Subscriptions may use (any public host when empty)
+      allowedHosts: (process.env.FHIR_SUBSCRIPTION_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+      // Loopback and private endpoints (e.g. a local receiver in development) must be enabled explicitly
+      allowPrivateHosts: process.env.FHIR_SUBSCRIPTION_ALLOW_PRIVATE_HOSTS === 'true'
+    }
+  },
+
+  // Consensus rules for CodeMapping reviews: a mapping is approved or rejected once `quorum` reviewers cast
+  // the same vote (decision and mapping_type). When votes disagree, 'senior' waits for the deciding vote of a
+  // reviewer with one of seniorRoles who had not voted before the disagreement, and 'reject' rejects the mapping.
+  mappingReview: {
+    quorum: parseInt(process.env.MAPPING_REVIEW_QUORUM) || 2,
+    onDisagreement: process.env.MAPPING_REVIEW_ON_DISAGREEMENT === 'reject' ? 'reject' : 'senior',
+    seniorRoles: (process.env.MAPPING_REVIEW_SENIOR_ROLES || 'admin').split(',').map(role => role.trim())
+  },
+
+  // SSSOM mapping set metadata for exported mappings
+  sssom: {
+    license: process.env.SSSOM_LICENSE || 'https://creativecommons.org/licenses/by/4.0/'
+  },
+
+  // Automatic dual-coding of Conditions from approved CodeMappings
+  dualCoding: {
+    enabled: process.env.FHIR_AUTO_DUAL_CODING !== 'false'
+  },
+
+  // Validation Rules (strictValidation also rejects resources with warnings)
   validation: {
     strictValidation: process.env.FHIR_STRICT_VALIDATION === 'true',
+    // Enforce the profiles a resource declares in meta.profile (or $validate is asked for); none are applied by default
     validateAgainstProfile: true,
     requireResourceType: true,
-    allowUnknownElements: false
+    allowUnknownElements: false,
+    // StructureDefinition profiles (*.json) loaded by the profile validator
+    profileDirectory: process.env.FHIR_PROFILE_DIR || path.join(__dirname, '..', 'profiles'),
+    // Resource types with a $validate operation
+    resourceTypes: ['Patient', 'Condition', 'Encounter', 'Bundle']
   },
 
   // Pagination
@@ -202,6 +524,17 @@ const fhirConfig = {
     defaultSortOrder: 'asc'
   },
 
+  // Elements left out by _summary=true (the non-summary elements of the resources we serve; text always goes)
+  summaryExcludedElements: {
+    CodeSystem: ['concept'],
+    ConceptMap: ['group'],
+    ValueSet: ['compose', 'expansion'],
+    Provenance: ['signature'],
+    Patient: ['photo', 'contact', 'communication'],
+    Condition: ['stage', 'evidence', 'note'],
+    Encounter: ['statusHistory', 'classHistory', 'hospitalization', 'location']
+  },
+
   // Logging
   logging: {
     logRequests: process.env.NODE_ENV === 'development',
@@ -210,6 +543,22 @@ const fhirConfig = {
   }
 };
 
+// Per-system ConceptMaps, e.g. namaste-ayurveda-to-icd11-tm2
+for (const [systemType, source] of Object.entries(fhirConfig.codeSystems.namaste)) {
+  for (const [module, target] of Object.entries(fhirConfig.codeSystems.icd11)) {
+    const key = `${systemType}To${module.charAt(0).toUpperCase()}${module.slice(1)}`;
+    fhirConfig.conceptMaps[key] = {
+      id: `${source.id}-to-${target.id}`,
+      url: `http://terminology.hl7.org/ConceptMap/${source.id}-to-${target.id}`,
+      name: `${source.name}_to_${target.name}`,
+      title: `${source.title} to ${target.title} Concept Map`,
+      description: `Mapping from ${source.title} codes to ${target.title} codes`,
+      sourceSystem: systemType,
+      targetModule: module
+    };
+  }
+}
+
 // FHIR Utility Functions
 const fhirUtils = {
   // Generate resource ID
@@ -233,7 +582,7 @@ const fhirUtils = {
   },
 
   // Create operation outcome
-  createOperationOutcome(severity, code, details) {
+  createOperationOutcome(severity, code, details, expression = null) {
     return {
       resourceType: 'OperationOutcome',
       issue: [{
@@ -241,11 +590,71 @@ const fhirUtils = {
         code,
         details: {
           text: details
-        }
+        },
+        ...(expression && { expression: [].concat(expression) })
       }]
     };
   },
 
+  // Create an error for services to throw; controllers turn it into an OperationOutcome
+  createError(status, code, message, expression = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.issueCode = code;
+    error.expression = expression;
+    return error;
+  },
+
+  // OperationOutcome for an error thrown by a service (unexpected errors become 'exception');
+  // errors with several issues, such as validation failures, carry their own outcome
+  errorToOperationOutcome(error) {
+    if (error.outcome) {
+      return error.outcome;
+    }
+
+    return this.createOperationOutcome('error', error.issueCode || 'exception', error.message, error.expression);
+  },
+
+  // Serialize a FHIR JSON resource as FHIR XML (null when the object is not a FHIR resource)
+  toXml(resource) {
+    if (!resource || !resource.resourceType) {
+      return null;
+    }
+
+    return fhirSerializer.objToXml(resource) || null;
+  },
+
+  // Parse a FHIR XML resource into FHIR JSON
+  fromXml(xml) {
+    try {
+      return fhirSerializer.xmlToObj(xml);
+    } catch (error) {
+      throw this.createError(400, 'structure', `Invalid FHIR XML: ${error.message}`);
+    }
+  },
+
+  // Flatten a Parameters resource into a name/value map (plain JSON bodies pass through)
+  parseParameters(body = {}) {
+    if (body.resourceType !== 'Parameters') {
+      return { ...body };
+    }
+
+    // Repeated parameters become arrays; parts are flattened recursively
+    return (body.parameter || []).reduce((params, param) => {
+      const valueKey = Object.keys(param).find(key => key.startsWith('value'));
+      let value = param.resource;
+      if (valueKey) value = param[valueKey];
+      else if (param.part) value = this.parseParameters({ resourceType: 'Parameters', parameter: param.part });
+
+      if (param.name in params) {
+        params[param.name] = [].concat(params[param.name], value);
+      } else {
+        params[param.name] = value;
+      }
+      return params;
+    }, {});
+  },
+
   // Create Bundle
   createBundle(type, entries = []) {
     return {
@@ -259,12 +668,13 @@ const fhirUtils = {
     };
   },
 
-  // Create search Bundle
-  createSearchBundle(resources, total, offset = 0) {
+  // Create search Bundle; total is left out when unknown (_total=none)
+  createSearchBundle(resources, total, offset = 0, links = []) {
     return {
       resourceType: 'Bundle',
       type: 'searchset',
-      total,
+      ...(total !== null && { total }),
+      ...(links.length > 0 && { link: links }),
       entry: resources.map((resource, index) => ({
         fullUrl: `${fhirConfig.server.baseUrl}/${resource.resourceType}/${resource.id}`,
         resource,
@@ -274,6 +684,60 @@ const fhirUtils = {
         }
       }))
     };
+  },
+
+  // Create history Bundle; versions are { resource, method, versionId, lastUpdated }, newest first
+  createHistoryBundle(versions, total) {
+    return {
+      resourceType: 'Bundle',
+      type: 'history',
+      total,
+      entry: versions.map(({ resource, method, versionId, lastUpdated }) => ({
+        fullUrl: `${fhirConfig.server.baseUrl}/${resource.resourceType}/${resource.id}`,
+        resource,
+        request: {
+          method,
+          url: `${resource.resourceType}/${resource.id}`
+        },
+        response: {
+          status: method === 'POST' ? '201 Created' : '200 OK',
+          etag: `W/"${versionId}"`,
+          lastModified: lastUpdated.toISOString()
+        }
+      }))
+    };
+  },
+
+  // ETag and Last-Modified headers for a resource's meta
+  versionHeaders(meta = {}) {
+    return {
+      ...(meta.versionId && { ETag: `W/"${meta.versionId}"` }),
+      ...(meta.lastUpdated && { 'Last-Modified': new Date(meta.lastUpdated).toUTCString() })
+    };
+  },
+
+  // Version id from an ETag header value (W/"3", "3" or 3)
+  parseETag(value) {
+    const match = /^(?:W\/)?"?([^"]*)"?$/.exec(String(value || '').trim());
+    return match ? match[1] : null;
+  },
+
+  // Conditional read: If-None-Match takes precedence over If-Modified-Since
+  isNotModified(req, meta = {}) {
+    const ifNoneMatch = req.get('If-None-Match');
+
+    if (ifNoneMatch) {
+      return ifNoneMatch.trim() === '*' ||
+        ifNoneMatch.split(',').some(tag => meta.versionId && this.parseETag(tag) === String(meta.versionId));
+    }
+
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+    if (!isNaN(ifModifiedSince) && meta.lastUpdated) {
+      // HTTP dates have whole-second precision
+      return Math.floor(new Date(meta.lastUpdated).getTime() / 1000) * 1000 <= ifModifiedSince;
+    }
+
+    return false;
   }
 };
 
@@ -41,6 +41,27 @@ const oauthConfig = {
     refreshExpiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
     issuer: process.env.JWT_ISSUER || 'namaste-icd11-api',
     audience: process.env.JWT_AUDIENCE || 'healthcare-users'
+  },
+
+  // SMART on FHIR (App Launch and Backend Services)
+  smart: {
+    authorizePath: '/api/auth/smart/authorize',
+    tokenPath: '/api/auth/smart/token',
+    accessTokenExpiresIn: parseInt(process.env.SMART_TOKEN_EXPIRES_IN) || 3600,
+    authorizationCodeExpiresIn: 60,
+    // private_key_jwt client assertions
+    assertion: {
+      type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      algorithms: ['RS384', 'ES384'],
+      maxLifetime: 300
+    },
+    // Scopes of tokens that do not carry their own (ABHA login, tokens issued before SMART)
+    roleScopes: {
+      admin: ['user/*.read', 'user/*.write'],
+      clinician: ['user/*.read', 'user/Patient.write', 'user/Condition.write', 'user/Encounter.write'],
+      viewer: ['user/*.read']
+    },
+    launchScopes: ['openid', 'fhirUser', 'launch/patient', 'offline_access']
   }
 };
 
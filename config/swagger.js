@@ -30,6 +30,15 @@ const options = {
           bearerFormat: 'JWT'
         }
       },
+      // FHIR search result parameters shared by every search
+      parameters: {
+        _count: { name: '_count', in: 'query', description: 'Page size (capped at the server maximum)', schema: { type: 'integer', default: 20 } },
+        _offset: { name: '_offset', in: 'query', description: 'Index of the first result', schema: { type: 'integer', default: 0 } },
+        _sort: { name: '_sort', in: 'query', description: 'Comma-separated search parameters; prefix with - for descending', schema: { type: 'string' } },
+        _summary: { name: '_summary', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'count', 'text', 'data'] } },
+        _elements: { name: '_elements', in: 'query', description: 'Comma-separated top-level elements to return', schema: { type: 'string' } },
+        _total: { name: '_total', in: 'query', schema: { type: 'string', enum: ['none', 'estimate', 'accurate'] } }
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { User } = require('../models');
 const { config: oauthConfig, helpers: oauthHelpers } = require('../config/oauth');
 const auditService = require('../services/audit.service');
+const smartService = require('../services/smart.service');
 const logger = require('../utils/logger');
 const helpers = require('../utils/helpers');
 
@@ -72,7 +73,8 @@ class AuthController {
         { 
           userId: user.id, 
           abhaId: user.abha_id,
-          role: user.role 
+          role: user.role,
+          scope: smartService.scopesForRole(user.role).join(' ')
         },
         oauthConfig.jwt.secret,
         { 
@@ -178,7 +180,8 @@ class AuthController {
         { 
           userId: newUser.id, 
           abhaId: newUser.abha_id,
-          role: newUser.role 
+          role: newUser.role,
+          scope: smartService.scopesForRole(newUser.role).join(' ')
         },
         oauthConfig.jwt.secret,
         { 
@@ -258,7 +261,8 @@ class AuthController {
         { 
           userId: user.id, 
           abhaId: user.abha_id,
-          role: user.role 
+          role: user.role,
+          scope: smartService.scopesForRole(user.role).join(' ')
         },
         oauthConfig.jwt.secret,
         { 
@@ -398,7 +402,8 @@ class AuthController {
         { 
           userId: user.id, 
           abhaId: user.abha_id,
-          role: user.role 
+          role: user.role,
+          scope: smartService.scopesForRole(user.role).join(' ')
         },
         oauthConfig.jwt.secret,
         { 
@@ -1,14 +1,39 @@
 const fhirService = require('../services/fhir.service');
 const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
 const auditService = require('../services/audit.service');
+const patientRecordService = require('../services/patient-record.service');
+const bulkExportService = require('../services/bulk-export.service');
+const provenanceService = require('../services/provenance.service');
+const smartService = require('../services/smart.service');
+const fhirSearchService = require('../services/fhir-search.service');
+const patientSummaryService = require('../services/patient-summary.service');
+const profileValidationService = require('../services/profile-validation.service');
+const subscriptionService = require('../services/subscription.service');
+const mappingReleaseService = require('../services/mapping-release.service');
 const logger = require('../utils/logger');
-const { NamesteCode, ICD11Code, CodeMapping } = require('../models');
+const { NamesteCode, ICD11Code, CodeMapping, CodeSystemSupplement } = require('../models');
+
+// Logical id syntax of FHIR resources
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+// Patient, Condition or Encounter: the resource type of the route a patient data request came in on
+const patientDataType = req => req.path.split('/')[1];
 
 class FhirController {
   // Get FHIR Capability Statement (metadata)
   async getCapabilityStatement(req, res, next) {
     try {
-      const capabilityStatement = await fhirService.generateCapabilityStatement();
+      const { mode = 'full' } = req.query;
+
+      if (!['full', 'normative', 'terminology'].includes(mode)) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Unsupported mode '${mode}'`, 'mode')
+        );
+      }
+
+      const capabilityStatement = mode === 'terminology'
+        ? await fhirService.generateTerminologyCapabilities()
+        : fhirService.generateCapabilityStatement();
       
       // Log metadata access
       if (req.user) {
@@ -32,79 +57,88 @@ class FhirController {
     }
   }
 
-  // List all Code Systems
-  async listCodeSystems(req, res, next) {
+  // SMART configuration (GET /.well-known/smart-configuration)
+  async getSmartConfiguration(req, res, next) {
     try {
-      const { _count = 20, _offset = 0, url, name, status = 'active' } = req.query;
-
-      const codeSystems = [];
-
-      // Add NAMASTE code systems
-      for (const [systemType, config] of Object.entries(fhirConfig.codeSystems.namaste)) {
-        if (!url || config.url.includes(url)) {
-          if (!name || config.name.toLowerCase().includes(name.toLowerCase())) {
-            const codeSystem = await fhirService.generateNamesteCodeSystem(systemType);
-            codeSystems.push(codeSystem);
-          }
-        }
-      }
-
-      // Add ICD-11 code systems
-      for (const [module, config] of Object.entries(fhirConfig.codeSystems.icd11)) {
-        if (!url || config.url.includes(url)) {
-          if (!name || config.name.toLowerCase().includes(name.toLowerCase())) {
-            const codeSystem = await fhirService.generateICD11CodeSystem(module);
-            codeSystems.push(codeSystem);
-          }
-        }
-      }
+      res.json(smartService.smartConfiguration());
+    } catch (error) {
+      logger.error('SMART configuration error:', error);
+      res.status(500).json(
+        fhirUtils.createOperationOutcome('error', 'exception', error.message)
+      );
+    }
+  }
 
-      // Apply pagination
-      const start = parseInt(_offset);
-      const count = parseInt(_count);
-      const paginatedSystems = codeSystems.slice(start, start + count);
+  // List all Code Systems (summaries) and stored supplements
+  async listCodeSystems(req, res, next) {
+    try {
+      const { url, name, supplements } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query, { sortFields: fhirConfig.sortParameters.codeSystem });
 
-      const bundle = fhirUtils.createSearchBundle(paginatedSystems, codeSystems.length, start);
+      const { total, hasMore, resources } = await fhirService.searchCodeSystems({ url, name, supplements }, params);
 
       res.set(fhirConfig.defaultHeaders);
-      res.json(bundle);
+      res.json(fhirSearchService.bundle(req, resources, { total, hasMore }, params));
 
     } catch (error) {
       logger.error('List CodeSystems error:', error);
-      res.status(500).json(
-        fhirUtils.createOperationOutcome('error', 'exception', error.message)
-      );
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
     }
   }
 
-  // Get specific Code System
+  // Get specific Code System (or stored supplement). The version is looked up first so a conditional
+  // read is answered before the CodeSystem is built.
   async getCodeSystem(req, res, next) {
     try {
       const { id } = req.params;
-      
-      let codeSystem;
+      const useSupplement = req.query.useSupplement ? [].concat(req.query.useSupplement) : [];
+
+      let build = null;
+      let meta = {};
 
       // Handle NAMASTE code systems
       if (id.startsWith('namaste-')) {
         const systemType = id.replace('namaste-', '');
         if (['ayurveda', 'siddha', 'unani'].includes(systemType)) {
-          codeSystem = await fhirService.generateNamesteCodeSystem(systemType);
+          const version = await fhirService.namasteCodeSystemVersion(systemType);
+          meta = fhirService.versionElements(version).meta;
+          build = () => fhirService.generateNamesteCodeSystem(systemType, { useSupplement, current: version });
         }
       }
       // Handle ICD-11 code systems
       else if (id.startsWith('icd11-')) {
         const module = id.replace('icd11-', '');
         if (['tm2', 'biomedicine'].includes(module)) {
-          codeSystem = await fhirService.generateICD11CodeSystem(module);
+          build = () => fhirService.generateICD11CodeSystem(module);
+        }
+      }
+      // Handle supplements
+      else {
+        const supplement = await fhirService.findSupplement(id);
+        if (supplement) {
+          const resource = fhirService.toSupplementResource(supplement);
+          meta = resource.meta;
+          build = async () => resource;
         }
       }
 
-      if (!codeSystem) {
+      if (!build) {
         return res.status(404).json(
           fhirUtils.createOperationOutcome('error', 'not-found', `CodeSystem '${id}' not found`)
         );
       }
 
+      // Applied supplements are not part of the version, so those reads are never conditional
+      if (useSupplement.length === 0) {
+        res.set(fhirUtils.versionHeaders(meta));
+
+        if (fhirUtils.isNotModified(req, meta)) {
+          return res.status(304).end();
+        }
+      }
+
+      const codeSystem = await build();
+
       // Log access
       if (req.user) {
         await auditService.logAction({
@@ -122,83 +156,328 @@ class FhirController {
 
     } catch (error) {
       logger.error('Get CodeSystem error:', error);
-      res.status(500).json(
-        fhirUtils.createOperationOutcome('error', 'exception', error.message)
-      );
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
     }
   }
 
-  // Get Concept Maps
-  async getConceptMaps(req, res, next) {
+  // Create (POST) or update (PUT) a CodeSystem supplement
+  async saveCodeSystemSupplement(req, res, next) {
+    try {
+      const { resource, created } = await fhirService.saveSupplement(req.body, {
+        id: req.params.id || null,
+        userId: req.user.id,
+        ifMatch: req.get('If-Match') ? fhirUtils.parseETag(req.get('If-Match')) : null
+      });
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: created ? 'FHIR_SUPPLEMENT_CREATE' : 'FHIR_SUPPLEMENT_UPDATE',
+        resource_type: 'fhir_codesystem',
+        resource_id: resource.id,
+        new_values: { url: resource.url, supplements: resource.supplements, language: resource.language, count: resource.count },
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(resource.meta));
+      res.set('Location', `${fhirConfig.server.baseUrl}/CodeSystem/${resource.id}/_history/${resource.meta.versionId}`);
+      res.status(created ? 201 : 200).json(resource);
+
+    } catch (error) {
+      logger.error('Save CodeSystem supplement error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // CodeSystem _history (NAMASTE code systems and stored supplements)
+  async getCodeSystemHistory(req, res, next) {
+    try {
+      const { count, offset } = fhirSearchService.parseResultParameters(req.query);
+      const history = await fhirService.codeSystemHistory(req.params.id, { count, offset });
+
+      if (!history) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `CodeSystem '${req.params.id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirUtils.createHistoryBundle(history.versions, history.total));
+
+    } catch (error) {
+      logger.error('CodeSystem history error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // CodeSystem vread; past versions never change, so they are conditional on the version alone
+  async getCodeSystemVersion(req, res, next) {
     try {
-      const { _count = 20, _offset = 0, url, source, target } = req.query;
+      const { id, versionId } = req.params;
+      const codeSystem = await fhirService.readCodeSystemVersion(id, versionId);
+
+      if (!codeSystem) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Version '${versionId}' of CodeSystem '${id}' not found`)
+        );
+      }
 
-      const conceptMaps = [];
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(codeSystem.meta));
 
-      // Generate NAMASTE to ICD-11 concept map
-      if (!url || fhirConfig.conceptMaps.namasteToIcd11.url.includes(url)) {
-        const conceptMap = await fhirService.generateConceptMap();
-        conceptMaps.push(conceptMap);
+      if (fhirUtils.isNotModified(req, codeSystem.meta)) {
+        return res.status(304).end();
       }
 
-      // Apply pagination
-      const start = parseInt(_offset);
-      const count = parseInt(_count);
-      const paginatedMaps = conceptMaps.slice(start, start + count);
+      res.json(codeSystem);
+
+    } catch (error) {
+      logger.error('CodeSystem vread error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Search Concept Maps (summaries; read a map by id for its groups).
+  // version names a mapping release or the current 1.0.x version.
+  async getConceptMaps(req, res, next) {
+    try {
+      const { url, source, target, version } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query, { sortFields: fhirConfig.sortParameters.conceptMap });
+      const release = version ? await mappingReleaseService.findRelease(version) : null;
+
+      let configs = await fhirService.searchConceptMaps({
+        url,
+        source,
+        target,
+        sourceCode: req.query['source-code'],
+        targetCode: req.query['target-code'],
+        release
+      });
+
+      if (version && !release) {
+        const versions = await Promise.all(configs.map(config => fhirService.conceptMapVersion(config)));
+        configs = configs.filter((config, index) => fhirService.versionElements(versions[index]).version === version);
+      }
 
-      const bundle = fhirUtils.createSearchBundle(paginatedMaps, conceptMaps.length, start);
+      // Headers (and their versions) are only built for the requested page
+      const page = fhirSearchService.searchList(configs, params);
+      const conceptMaps = await Promise.all(page.rows.map(async config => {
+        const header = fhirService.conceptMapHeader(
+          config,
+          release ? fhirService.releaseVersion(release) : await fhirService.conceptMapVersion(config)
+        );
+        return { ...header, meta: { ...header.meta, tag: [fhirConfig.subsettedTag] } };
+      }));
 
       res.set(fhirConfig.defaultHeaders);
-      res.json(bundle);
+      res.json(fhirSearchService.bundle(req, conceptMaps, page, params));
 
     } catch (error) {
       logger.error('Get ConceptMaps error:', error);
-      res.status(500).json(
-        fhirUtils.createOperationOutcome('error', 'exception', error.message)
-      );
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
     }
   }
 
-  // Get specific Concept Map
+  // Get specific Concept Map, streamed group by group so large maps are never held in memory.
+  // ?version= reads the map as published in a mapping release (or the current 1.0.x version).
   async getConceptMap(req, res, next) {
     try {
       const { id } = req.params;
+      const conceptMapConfig = fhirService.resolveConceptMap(id);
 
-      let conceptMap;
-
-      if (id === 'namaste-to-icd11') {
-        conceptMap = await fhirService.generateConceptMap();
+      if (!conceptMapConfig) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `ConceptMap '${id}' not found`)
+        );
       }
 
-      if (!conceptMap) {
+      const release = req.query.version ? await mappingReleaseService.findRelease(req.query.version) : null;
+      const version = release
+        ? fhirService.releaseVersion(release)
+        : await fhirService.conceptMapVersion(conceptMapConfig);
+
+      if (req.query.version && !release && fhirService.versionElements(version).version !== req.query.version) {
         return res.status(404).json(
-          fhirUtils.createOperationOutcome('error', 'not-found', `ConceptMap '${id}' not found`)
+          fhirUtils.createOperationOutcome('error', 'not-found', `ConceptMap '${id}' has no version '${req.query.version}'`)
         );
       }
 
+      const meta = fhirService.versionElements(version).meta;
+
+      res.set(fhirUtils.versionHeaders(meta));
+      if (fhirUtils.isNotModified(req, meta)) {
+        return res.status(304).end();
+      }
+
+      // res.json is bypassed here, so log the read explicitly
+      if (req.user) {
+        await auditService.logAction({
+          user_id: req.user.id,
+          action: 'FHIR_CONCEPTMAP_READ',
+          resource_type: 'fhir_resource',
+          resource_id: id,
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent')
+        });
+      }
+
+      // XML is serialized from the whole resource; JSON is streamed
+      if (req.fhirFormat === 'xml') {
+        res.set(fhirConfig.defaultHeaders);
+        return res.json(await fhirService.generateConceptMap(conceptMapConfig, { release }));
+      }
+
+      const header = JSON.stringify(fhirService.conceptMapHeader(conceptMapConfig, version));
+
       res.set(fhirConfig.defaultHeaders);
-      res.json(conceptMap);
+      res.write(`${header.slice(0, -1)},"group":[`);
+
+      let groupCount = 0;
+      for (const { source, target, elements } of fhirService.conceptMapGroups(conceptMapConfig, { release })) {
+        let elementCount = 0;
+
+        for await (const element of elements) {
+          if (elementCount === 0) {
+            res.write(`${groupCount > 0 ? ',' : ''}${JSON.stringify({ source, target }).slice(0, -1)},"element":[`);
+            groupCount++;
+          }
+          res.write(`${elementCount > 0 ? ',' : ''}${JSON.stringify(element)}`);
+          elementCount++;
+        }
+
+        if (elementCount > 0) {
+          res.write(']}');
+        }
+      }
+
+      res.end(']}');
 
     } catch (error) {
       logger.error('Get ConceptMap error:', error);
+
+      // Once streaming has started the status line is gone; cut the response short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
       res.status(500).json(
         fhirUtils.createOperationOutcome('error', 'exception', error.message)
       );
     }
   }
 
-  // FHIR $translate operation
+  // ConceptMap _history (version summaries; read a version for its groups)
+  async getConceptMapHistory(req, res, next) {
+    try {
+      const { count, offset } = fhirSearchService.parseResultParameters(req.query);
+      const conceptMapConfig = fhirService.resolveConceptMap(req.params.id);
+
+      if (!conceptMapConfig) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `ConceptMap '${req.params.id}' not found`)
+        );
+      }
+
+      const history = await fhirService.conceptMapHistory(conceptMapConfig, { count, offset });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirUtils.createHistoryBundle(history.versions, history.total));
+
+    } catch (error) {
+      logger.error('ConceptMap history error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async getConceptMapVersion(req, res, next) {
+    try {
+      const { id, versionId } = req.params;
+      const conceptMapConfig = fhirService.resolveConceptMap(id);
+      const conceptMap = conceptMapConfig && await fhirService.generateConceptMap(conceptMapConfig, { versionId });
+
+      if (!conceptMap) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Version '${versionId}' of ConceptMap '${id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(conceptMap.meta));
+
+      if (fhirUtils.isNotModified(req, conceptMap.meta)) {
+        return res.status(304).end();
+      }
+
+      res.json(conceptMap);
+
+    } catch (error) {
+      logger.error('ConceptMap vread error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // FHIR ConceptMap $translate operation
   async translateOperation(req, res, next) {
     try {
-      const { system, code, target, conceptMap } = req.body;
+      const params = fhirUtils.parseParameters(req.method === 'GET' ? req.query : req.body);
+      const { coding, codeableConcept, dependency } = params;
+      const reverse = params.reverse === true || params.reverse === 'true';
+      let { url, target, targetsystem: targetSystem } = params;
+
+      // Instance-level invocation: /ConceptMap/:id/$translate
+      if (req.params.id) {
+        const conceptMapConfig = fhirService.resolveConceptMap(req.params.id);
+
+        if (!conceptMapConfig) {
+          return res.status(404).json(
+            fhirUtils.createOperationOutcome('error', 'not-found', `ConceptMap '${req.params.id}' not found`)
+          );
+        }
 
-      if (!system || !code) {
+        url = conceptMapConfig.url;
+      }
+
+      // Earlier clients sent the target code system as `target`
+      if (target && !fhirService.resolveValueSet(target) && fhirService.resolveCodeSystem(target)) {
+        targetSystem = targetSystem || target;
+        target = null;
+      }
+
+      let codings;
+      if (codeableConcept) {
+        codings = codeableConcept.coding || [];
+      } else if (coding) {
+        codings = [coding];
+      } else {
+        codings = [{ system: params.system, code: params.code }];
+      }
+
+      if (codings.length === 0 || codings.some(item => !item.system || !item.code)) {
         return res.status(400).json(
-          fhirUtils.createOperationOutcome('error', 'invalid', 'system and code parameters are required')
+          fhirUtils.createOperationOutcome('error', 'invalid', 'system and code (or coding/codeableConcept) parameters are required')
         );
       }
 
-      const translations = await fhirService.translateCode(system, code, target);
+      const options = {
+        reverse,
+        target,
+        targetSystem,
+        dependencies: [].concat(dependency || []),
+        conceptMap: url
+      };
+
+      const matches = [];
+      const messages = [];
+
+      for (const item of codings) {
+        const translation = typeof params.conceptMap === 'object'
+          ? fhirService.translateWithConceptMap(params.conceptMap, { ...options, system: item.system, code: item.code })
+          : await fhirService.translateCode({ ...options, system: item.system, code: item.code });
+
+        matches.push(...translation.matches);
+        if (translation.message) messages.push(translation.message);
+      }
 
       const parameters = {
         resourceType: 'Parameters',
@@ -206,23 +485,41 @@ class FhirController {
         parameter: [
           {
             name: 'result',
-            valueBoolean: translations.length > 0
+            valueBoolean: matches.length > 0
           }
         ]
       };
 
+      if (matches.length === 0) {
+        parameters.parameter.push({
+          name: 'message',
+          valueString: messages.join('; ')
+        });
+      }
+
       // Add match parameters
-      translations.forEach((translation, index) => {
+      matches.forEach(match => {
         parameters.parameter.push({
           name: 'match',
           part: [
             {
               name: 'equivalence',
-              valueCode: translation.equivalence
+              valueCode: match.equivalence
             },
             {
               name: 'concept',
-              valueCoding: translation.concept
+              valueCoding: match.concept
+            },
+            ...match.product.map(product => ({
+              name: 'product',
+              part: [
+                { name: 'element', valueUri: product.element },
+                { name: 'concept', valueCoding: product.concept }
+              ]
+            })),
+            {
+              name: 'source',
+              valueUri: match.source
             }
           ]
         });
@@ -236,7 +533,7 @@ class FhirController {
           resource_type: 'fhir_operation',
           ip_address: req.ip,
           user_agent: req.get('User-Agent'),
-          additional_info: { system, code, target, results: translations.length }
+          additional_info: { codings, target, targetSystem, reverse, results: matches.length }
         });
       }
 
@@ -245,226 +542,1059 @@ class FhirController {
 
     } catch (error) {
       logger.error('FHIR translate error:', error);
-      res.status(500).json(
-        fhirUtils.createOperationOutcome('error', 'exception', error.message)
-      );
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
     }
   }
 
   // FHIR $lookup operation
   async lookupOperation(req, res, next) {
     try {
-      const { system, code, version } = req.body;
-
-      if (!system || !code) {
-        return res.status(400).json(
-          fhirUtils.createOperationOutcome('error', 'invalid', 'system and code parameters are required')
-        );
+      const params = fhirUtils.parseParameters(req.method === 'GET' ? req.query : req.body);
+      const { coding, displayLanguage } = params;
+      let { system, code, version } = params;
+
+      if (coding) {
+        system = coding.system || system;
+        code = coding.code;
+        version = coding.version || version;
       }
 
-      let codeDetails = null;
+      // Instance-level invocation: /CodeSystem/:id/$lookup
+      if (req.params.id) {
+        const codeSystem = fhirService.resolveCodeSystem(req.params.id);
 
-      // Lookup in NAMASTE systems
-      if (system.includes('namaste')) {
-        const namasteCode = await NamesteCode.findOne({
-          where: { code, status: 'active' }
-        });
-        
-        if (namasteCode) {
-          codeDetails = {
-            name: namasteCode.display_name,
-            definition: namasteCode.definition,
-            display: namasteCode.display_name,
-            system_type: namasteCode.system_type,
-            category: namasteCode.category
-          };
+        if (!codeSystem) {
+          return res.status(404).json(
+            fhirUtils.createOperationOutcome('error', 'not-found', `CodeSystem '${req.params.id}' not found`)
+          );
         }
-      }
-      // Lookup in ICD-11 systems
-      else if (system.includes('icd')) {
-        const icd11Code = await ICD11Code.findOne({
-          where: { 
-            $or: [
-              { icd_id: code },
-              { code: code }
-            ],
-            status: 'active'
-          }
-        });
 
-        if (icd11Code) {
-          codeDetails = {
-            name: icd11Code.title,
-            definition: icd11Code.definition,
-            display: icd11Code.title,
-            module: icd11Code.module
-          };
-        }
+        system = system || codeSystem.config.url;
       }
 
-      if (!codeDetails) {
-        return res.status(404).json(
-          fhirUtils.createOperationOutcome('error', 'not-found', `Code '${code}' not found in system '${system}'`)
+      if (!system || !code) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'system and code (or coding) parameters are required')
         );
       }
 
+      const result = await fhirService.lookupCode({
+        system,
+        code,
+        version,
+        displayLanguage,
+        properties: params.property ? [].concat(params.property) : []
+      });
+
       const parameters = {
         resourceType: 'Parameters',
         id: fhirUtils.generateResourceId('lookup-result'),
         parameter: [
           {
             name: 'name',
-            valueString: codeDetails.name
+            valueString: result.name
           },
+          ...(result.version ? [{ name: 'version', valueString: result.version }] : []),
           {
             name: 'display',
-            valueString: codeDetails.display
+            valueString: result.display
           }
         ]
       };
 
-      if (codeDetails.definition) {
+      if (result.definition) {
         parameters.parameter.push({
           name: 'definition',
-          valueString: codeDetails.definition
+          valueString: result.definition
         });
       }
 
+      result.designations.forEach(designation => {
+        parameters.parameter.push({
+          name: 'designation',
+          part: [
+            ...(designation.language ? [{ name: 'language', valueCode: designation.language }] : []),
+            ...(designation.use ? [{ name: 'use', valueCoding: designation.use }] : []),
+            { name: 'value', valueString: designation.value }
+          ]
+        });
+      });
+
+      result.properties.forEach(({ code: propertyCode, ...value }) => {
+        parameters.parameter.push({
+          name: 'property',
+          part: [
+            { name: 'code', valueCode: propertyCode },
+            { name: 'value', ...value }
+          ]
+        });
+      });
+
       res.set(fhirConfig.defaultHeaders);
       res.json(parameters);
 
     } catch (error) {
       logger.error('FHIR lookup error:', error);
-      res.status(500).json(
-        fhirUtils.createOperationOutcome('error', 'exception', error.message)
-      );
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
     }
   }
 
-  // Submit FHIR Bundle
-  async submitBundle(req, res, next) {
+  // FHIR CodeSystem $validate-code operation
+  async validateCodeOperation(req, res, next) {
     try {
-      const bundle = req.body;
+      const params = fhirUtils.parseParameters(req.method === 'GET' ? req.query : req.body);
+      const { code, display, version, coding, codeableConcept } = params;
+      let { url } = params;
+
+      // Instance-level invocation: /CodeSystem/:id/$validate-code
+      if (req.params.id) {
+        const codeSystem = fhirService.resolveCodeSystem(req.params.id);
+
+        if (!codeSystem) {
+          return res.status(404).json(
+            fhirUtils.createOperationOutcome('error', 'not-found', `CodeSystem '${req.params.id}' not found`)
+          );
+        }
 
-      // Validate bundle
-      if (!fhirUtils.validateResource(bundle)) {
-        return res.status(400).json(
-          fhirUtils.createOperationOutcome('error', 'invalid', 'Invalid FHIR Bundle')
-        );
+        if (url && url !== codeSystem.config.url) {
+          return res.status(400).json(
+            fhirUtils.createOperationOutcome('error', 'invalid', `url '${url}' does not match CodeSystem '${req.params.id}'`)
+          );
+        }
+
+        url = codeSystem.config.url;
       }
 
-      if (bundle.type !== 'transaction') {
+      let codings;
+      if (codeableConcept) {
+        codings = codeableConcept.coding || [];
+      } else if (coding) {
+        codings = [coding];
+      } else {
+        codings = [{ system: url, code, display, version }];
+      }
+
+      codings = codings.map(item => ({
+        ...item,
+        system: item.system || url,
+        version: item.version || version
+      }));
+
+      if (codings.length === 0 || codings.some(item => !item.system || !item.code)) {
         return res.status(400).json(
-          fhirUtils.createOperationOutcome('error', 'invalid', 'Only transaction bundles are supported')
+          fhirUtils.createOperationOutcome('error', 'invalid', 'url and code (or coding/codeableConcept) parameters are required')
         );
       }
 
-      // Process bundle entries (simplified implementation)
-      const responseEntries = [];
-      
-      for (const entry of bundle.entry || []) {
-        if (entry.resource) {
-          // Validate each resource
-          fhirUtils.validateResource(entry.resource);
-          
-          // Generate response entry
-          responseEntries.push({
-            response: {
-              status: '201 Created',
-              location: `${entry.resource.resourceType}/${fhirUtils.generateResourceId()}`
-            }
-          });
-        }
-      }
+      const outcome = await fhirService.validateCodings(codings);
 
-      const responseBundle = {
-        resourceType: 'Bundle',
-        id: fhirUtils.generateResourceId('bundle-response'),
-        type: 'transaction-response',
-        entry: responseEntries
+      const parameters = {
+        resourceType: 'Parameters',
+        id: fhirUtils.generateResourceId('validate-code-result'),
+        parameter: [
+          {
+            name: 'result',
+            valueBoolean: outcome.result
+          }
+        ]
       };
 
-      // Log bundle submission
+      if (outcome.message) {
+        parameters.parameter.push({
+          name: 'message',
+          valueString: outcome.message
+        });
+      }
+
+      if (outcome.display) {
+        parameters.parameter.push({
+          name: 'display',
+          valueString: outcome.display
+        });
+      }
+
+      // Log validation
       if (req.user) {
         await auditService.logAction({
           user_id: req.user.id,
-          action: 'FHIR_BUNDLE_SUBMIT',
-          resource_type: 'fhir_bundle',
+          action: 'FHIR_VALIDATE_CODE',
+          resource_type: 'fhir_operation',
+          resource_id: req.params.id || null,
           ip_address: req.ip,
           user_agent: req.get('User-Agent'),
-          additional_info: { 
-            bundle_type: bundle.type,
-            entry_count: bundle.entry?.length || 0
-          }
+          additional_info: { codings, result: outcome.result }
         });
       }
 
-      res.status(201);
       res.set(fhirConfig.defaultHeaders);
-      res.json(responseBundle);
+      res.json(parameters);
 
     } catch (error) {
-      logger.error('FHIR bundle submit error:', error);
+      logger.error('FHIR validate-code error:', error);
       res.status(500).json(
         fhirUtils.createOperationOutcome('error', 'exception', error.message)
       );
     }
   }
 
-  // Get Value Sets
-  async getValueSets(req, res, next) {
+  // FHIR CodeSystem $subsumes operation
+  async subsumesOperation(req, res, next) {
     try {
-      const { _count = 20, _offset = 0, url, name } = req.query;
-
-      const valueSets = [];
-
-      // Generate value sets based on configuration
-      for (const [key, config] of Object.entries(fhirConfig.valueSets)) {
-        if (!url || config.url.includes(url)) {
-          if (!name || config.name.toLowerCase().includes(name?.toLowerCase() || '')) {
-            const valueSet = {
-              resourceType: 'ValueSet',
-              id: config.id,
-              url: config.url,
-              name: config.name,
-              title: config.title,
-              status: 'active',
-              description: config.description,
-              compose: {
-                include: []
-              }
-            };
-
-            // Add appropriate code systems
-            if (key === 'namasteAll') {
-              Object.values(fhirConfig.codeSystems.namaste).forEach(cs => {
-                valueSet.compose.include.push({
-                  system: cs.url
-                });
-              });
-            } else if (key === 'icd11Tm2') {
-              valueSet.compose.include.push({
-                system: fhirConfig.codeSystems.icd11.tm2.url
-              });
-            }
+      const params = fhirUtils.parseParameters(req.method === 'GET' ? req.query : req.body);
+      const { codingA, codingB } = params;
+      let { system } = params;
+
+      // Instance-level invocation: /CodeSystem/:id/$subsumes
+      if (req.params.id) {
+        const codeSystem = fhirService.resolveCodeSystem(req.params.id);
+
+        if (!codeSystem) {
+          return res.status(404).json(
+            fhirUtils.createOperationOutcome('error', 'not-found', `CodeSystem '${req.params.id}' not found`)
+          );
+        }
 
-            valueSets.push(valueSet);
-          }
+        if (system && system !== codeSystem.config.url) {
+          return res.status(400).json(
+            fhirUtils.createOperationOutcome('error', 'invalid', `system '${system}' does not match CodeSystem '${req.params.id}'`)
+          );
         }
+
+        system = codeSystem.config.url;
       }
 
-      const bundle = fhirUtils.createSearchBundle(valueSets, valueSets.length, parseInt(_offset));
+      const codeA = codingA ? codingA.code : params.codeA;
+      const codeB = codingB ? codingB.code : params.codeB;
+      system = system || codingA?.system || codingB?.system;
 
-      res.set(fhirConfig.defaultHeaders);
-      res.json(bundle);
+      if (!system || !codeA || !codeB) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'system, codeA and codeB (or codingA/codingB) parameters are required')
+        );
+      }
 
-    } catch (error) {
-      logger.error('Get ValueSets error:', error);
-      res.status(500).json(
+      if ([codingA, codingB].some(coding => coding?.system && coding.system !== system)) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'codingA and codingB must be from the same code system')
+        );
+      }
+
+      const outcome = await fhirService.subsumes(system, codeA, codeB);
+
+      // Log subsumption test
+      if (req.user) {
+        await auditService.logAction({
+          user_id: req.user.id,
+          action: 'FHIR_SUBSUMES',
+          resource_type: 'fhir_operation',
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent'),
+          additional_info: { system, codeA, codeB, outcome }
+        });
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json({
+        resourceType: 'Parameters',
+        id: fhirUtils.generateResourceId('subsumes-result'),
+        parameter: [
+          {
+            name: 'outcome',
+            valueCode: outcome
+          }
+        ]
+      });
+
+    } catch (error) {
+      logger.error('FHIR subsumes error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Submit FHIR transaction Bundle
+  async submitBundle(req, res, next) {
+    try {
+      const bundle = req.body;
+
+      // Validate bundle
+      if (!bundle || bundle.resourceType !== 'Bundle') {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'Invalid FHIR Bundle')
+        );
+      }
+
+      if (bundle.type !== 'transaction') {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'Only transaction bundles are supported', 'Bundle.type')
+        );
+      }
+
+      // Each entry needs a scope for its own type (patient/ scopes cannot be checked before ids are assigned)
+      const denied = req.smart && (bundle.entry || []).find(entry => entry.resource && !smartService.permits(
+        req.smart,
+        entry.resource.resourceType,
+        String(entry.request?.method).toUpperCase() === 'PUT' ? 'update' : 'create'
+      ));
+      if (denied) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow writing ${denied.resource.resourceType}`)
+        );
+      }
+
+      // Stores every entry in one database transaction; any failure rolls the whole Bundle back
+      const { record, bundle: responseBundle } = await patientRecordService.storeTransactionBundle(bundle, {
+        userId: req.user ? req.user.id : null
+      });
+
+      // Log bundle submission
+      if (req.user) {
+        await auditService.logAction({
+          user_id: req.user.id,
+          action: 'FHIR_BUNDLE_SUBMIT',
+          resource_type: 'fhir_bundle',
+          resource_id: record.id.toString(),
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent'),
+          additional_info: { 
+            bundle_type: bundle.type,
+            entry_count: bundle.entry?.length || 0,
+            patient_id: record.patient_id
+          }
+        });
+      }
+
+      res.status(200);
+      res.set(fhirConfig.defaultHeaders);
+      res.json(responseBundle);
+
+    } catch (error) {
+      logger.error('FHIR bundle submit error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Patient, Condition and Encounter search over the stored patient records
+  async searchPatientData(req, res, next) {
+    try {
+      const type = patientDataType(req);
+      const params = fhirSearchService.parseResultParameters(req.query, {
+        sortFields: fhirConfig.sortParameters[type.charAt(0).toLowerCase() + type.slice(1)]
+      });
+      const query = { ...req.query };
+
+      // Patient-level scopes only reach the compartment of the token's patient
+      if (!smartService.permits(req.smart, type, 'search')) {
+        const patientParameter = type === 'Patient' ? '_id' : 'patient';
+        const requested = patientRecordService.listValues(query[patientParameter]).map(value => value.split('/').pop());
+
+        if (requested.some(patientId => patientId !== req.smart.patient)) {
+          res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+          return res.status(403).json(
+            fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes only allow searching ${type} of Patient/${req.smart.patient}`, patientParameter)
+          );
+        }
+        query[patientParameter] = req.smart.patient;
+      }
+
+      const { total, hasMore, resources } = await patientRecordService.searchResources(type, query, params);
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_PATIENT_DATA_SEARCH',
+        resource_type: 'fhir_patient_data',
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { resource_type: type, total }
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, resources, { total, hasMore }, params));
+
+    } catch (error) {
+      logger.error('Search patient data error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async readPatientData(req, res, next) {
+    try {
+      const type = patientDataType(req);
+      const { id } = req.params;
+
+      const found = FHIR_ID.test(id) && await patientRecordService.readResource(type, id);
+      if (!found) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `${type} '${id}' not found`)
+        );
+      }
+
+      if (!smartService.permits(req.smart, type, 'read', { patientId: found.patientId })) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow reading ${type}/${id}`)
+        );
+      }
+
+      res.set(fhirUtils.versionHeaders(found.resource.meta));
+      if (fhirUtils.isNotModified(req, found.resource.meta)) {
+        return res.status(304).end();
+      }
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_PATIENT_DATA_READ',
+        resource_type: 'fhir_patient_data',
+        resource_id: `${type}/${id}`,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { patient_id: found.patientId }
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(found.resource);
+
+    } catch (error) {
+      logger.error('Read patient data error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Create (POST) or update (PUT, honouring If-Match) a Patient, Condition or Encounter
+  async savePatientData(req, res, next) {
+    try {
+      const type = patientDataType(req);
+      const id = req.params.id || null;
+      const resource = req.body;
+
+      if (!resource || resource.resourceType !== type) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Body must be a ${type} resource`, type)
+        );
+      }
+
+      if (id && !FHIR_ID.test(id)) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Invalid ${type} id '${id}'`)
+        );
+      }
+
+      if (id && resource.id && resource.id !== id) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Resource id '${resource.id}' does not match '${id}'`, `${type}.id`)
+        );
+      }
+
+      const subject = type === 'Patient' ? id && `Patient/${id}` : resource.subject?.reference;
+      const patientId = subject && subject.startsWith('Patient/') ? subject.split('/')[1] : null;
+      if (!smartService.permits(req.smart, type, id ? 'update' : 'create', { patientId })) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow writing this ${type}`)
+        );
+      }
+
+      const saved = await patientRecordService.saveResource(resource, {
+        id,
+        userId: req.user.id,
+        ifMatch: req.get('If-Match') || null
+      });
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: saved.created ? 'FHIR_PATIENT_DATA_CREATE' : 'FHIR_PATIENT_DATA_UPDATE',
+        resource_type: 'fhir_patient_data',
+        resource_id: `${type}/${saved.resource.id}`,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { patient_id: saved.patientId, version_id: saved.resource.meta.versionId }
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(saved.resource.meta));
+      res.set('Location', `${fhirConfig.server.baseUrl}/${type}/${saved.resource.id}/_history/${saved.resource.meta.versionId}`);
+      res.status(saved.created ? 201 : 200).json(saved.resource);
+
+    } catch (error) {
+      logger.error('Save patient data error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Patient $everything: the patient's compartment, paged as a searchset Bundle
+  async patientEverything(req, res, next) {
+    try {
+      const { id } = req.params;
+      const params = fhirSearchService.parseResultParameters(req.query);
+      const { patientTypes } = fhirConfig.bulkExport;
+
+      const since = req.query._since ? new Date(req.query._since) : null;
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Invalid _since '${req.query._since}'`, '_since')
+        );
+      }
+
+      const requested = req.query._type ? patientRecordService.listValues(req.query._type) : patientTypes;
+      const unsupported = requested.find(type => !patientTypes.includes(type));
+      if (unsupported) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'not-supported', `Resource type '${unsupported}' is not in the Patient compartment`, '_type')
+        );
+      }
+
+      // Only the types the token's scopes can read for this patient
+      const types = requested.filter(type => smartService.permits(req.smart, type, 'read', { patientId: id }));
+      if (!FHIR_ID.test(id) || types.length === 0) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow reading Patient/${id}`)
+        );
+      }
+
+      const resources = await patientRecordService.patientCompartment(id, { types, since });
+      const { total, hasMore, rows } = fhirSearchService.searchList(resources, params);
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_PATIENT_EVERYTHING',
+        resource_type: 'fhir_patient_data',
+        resource_id: `Patient/${id}`,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { types, total }
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, rows, { total, hasMore }, params));
+
+    } catch (error) {
+      logger.error('Patient $everything error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Patient $summary: IPS-style document Bundle with the active problem list
+  async patientSummary(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const denied = !FHIR_ID.test(id) ||
+        ['Patient', 'Condition'].some(type => !smartService.permits(req.smart, type, 'read', { patientId: id }));
+      if (denied) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow reading the Patient and Conditions of Patient/${id}`)
+        );
+      }
+
+      const summary = await patientSummaryService.generateSummary(id);
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_PATIENT_SUMMARY',
+        resource_type: 'fhir_patient_data',
+        resource_id: `Patient/${id}`,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { problems: summary.entry.length - 2 }
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(summary);
+
+    } catch (error) {
+      logger.error('Patient $summary error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // $validate: check a resource against its declared profiles, any requested ones and our code systems.
+  // Validation failures are the operation's result, so they come back as a 200 OperationOutcome.
+  async validateOperation(req, res, next) {
+    try {
+      const type = req.path.split('/')[1];
+      const isParameters = req.body?.resourceType === 'Parameters';
+      const params = isParameters ? fhirUtils.parseParameters(req.body) : {};
+      const resource = isParameters ? params.resource : req.body;
+      const profiles = [...[].concat(req.query.profile || []), ...[].concat(params.profile || [])];
+
+      if (!resource || resource.resourceType !== type) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `A ${type} resource (or Parameters with a resource parameter) is required`)
+        );
+      }
+
+      const issues = type === 'Bundle'
+        ? await profileValidationService.validateBundle(resource, { profiles })
+        : await profileValidationService.validateResource(resource, { profiles });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(profileValidationService.toOperationOutcome(issues));
+
+    } catch (error) {
+      logger.error('FHIR $validate error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Get Value Sets
+  async getValueSets(req, res, next) {
+    try {
+      const { url, name } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query, { sortFields: fhirConfig.sortParameters.valueSet });
+
+      const configs = Object.values(fhirConfig.valueSets)
+        .filter(config => !url || config.url.includes(url))
+        .filter(config => !name || config.name.toLowerCase().includes(name.toLowerCase()));
+
+      const page = fhirSearchService.searchList(configs, params);
+      const valueSets = page.rows.map(config => fhirService.generateValueSet(config));
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, valueSets, page, params));
+
+    } catch (error) {
+      logger.error('Get ValueSets error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Get specific Value Set
+  async getValueSet(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const config = fhirService.resolveValueSet(id);
+
+      if (!config) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `ValueSet '${id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirService.generateValueSet(config));
+
+    } catch (error) {
+      logger.error('Get ValueSet error:', error);
+      res.status(500).json(
         fhirUtils.createOperationOutcome('error', 'exception', error.message)
       );
     }
   }
+
+  // FHIR ValueSet $expand operation
+  async expandValueSetOperation(req, res, next) {
+    try {
+      const params = fhirUtils.parseParameters(req.method === 'GET' ? req.query : req.body);
+      const { url, filter, count, offset, displayLanguage } = params;
+      const toBoolean = value => value === true || value === 'true';
+
+      let valueSet = params.valueSet;
+
+      if (!valueSet) {
+        const config = fhirService.resolveValueSet(req.params.id || url);
+
+        if (!config) {
+          const status = req.params.id ? 404 : 400;
+          const message = req.params.id || url
+            ? `ValueSet '${req.params.id || url}' not found`
+            : 'url or valueSet parameter is required';
+          return res.status(status).json(
+            fhirUtils.createOperationOutcome('error', status === 404 ? 'not-found' : 'invalid', message)
+          );
+        }
+
+        valueSet = fhirService.generateValueSet(config);
+      }
+
+      const expanded = await fhirService.expandValueSet(valueSet, {
+        filter,
+        count: count !== undefined ? count : fhirConfig.pagination.defaultPageSize,
+        offset: offset || 0,
+        activeOnly: params.activeOnly === undefined ? true : toBoolean(params.activeOnly),
+        displayLanguage: displayLanguage || null,
+        includeDesignations: toBoolean(params.includeDesignations),
+        useSupplement: params.useSupplement ? [].concat(params.useSupplement) : []
+      });
+
+      // Log expansion
+      if (req.user) {
+        await auditService.logAction({
+          user_id: req.user.id,
+          action: 'FHIR_VALUESET_EXPAND',
+          resource_type: 'fhir_operation',
+          resource_id: valueSet.id || null,
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent'),
+          additional_info: { url: valueSet.url, filter, count, offset, total: expanded.expansion.total }
+        });
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(expanded);
+
+    } catch (error) {
+      logger.error('FHIR expand error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Search mapping authorship and verification as Provenance resources
+  async searchProvenance(req, res, next) {
+    try {
+      const { target, agent, recorded, activity } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query, { sortFields: fhirConfig.sortParameters.provenance });
+
+      const { total, hasMore, provenance } = await provenanceService.searchProvenance({ target, agent, recorded, activity }, params);
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, provenance, { total, hasMore }, params));
+
+    } catch (error) {
+      logger.error('Search Provenance error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async getProvenance(req, res, next) {
+    try {
+      const provenance = await provenanceService.getProvenance(req.params.id);
+
+      if (!provenance) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Provenance '${req.params.id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(provenance);
+
+    } catch (error) {
+      logger.error('Get Provenance error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Search audit logs as AuditEvent resources, newest first
+  async searchAuditEvents(req, res, next) {
+    try {
+      const { date, agent, entity, action, subtype, outcome } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query, { sortFields: fhirConfig.sortParameters.auditEvent });
+
+      const { total, hasMore, events } = await auditService.searchAuditEvents({ date, agent, entity, action, subtype, outcome }, params);
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, events, { total, hasMore }, params));
+
+    } catch (error) {
+      logger.error('Search AuditEvents error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async getAuditEvent(req, res, next) {
+    try {
+      const auditEvent = await auditService.getAuditEvent(req.params.id);
+
+      if (!auditEvent) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `AuditEvent '${req.params.id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(auditEvent);
+
+    } catch (error) {
+      logger.error('Get AuditEvent error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Search the caller's Subscriptions (admins see all)
+  async searchSubscriptions(req, res, next) {
+    try {
+      const { status, url, criteria } = req.query;
+      const params = fhirSearchService.parseResultParameters(req.query);
+
+      const { total, hasMore, subscriptions } = await subscriptionService.searchSubscriptions({ status, url, criteria }, params, req.user);
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(fhirSearchService.bundle(req, subscriptions, { total, hasMore }, params));
+
+    } catch (error) {
+      logger.error('Search Subscriptions error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async getSubscription(req, res, next) {
+    try {
+      const subscription = await subscriptionService.getSubscription(req.params.id, req.user);
+
+      if (!subscription) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Subscription '${req.params.id}' not found`)
+        );
+      }
+
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(subscription.meta));
+      res.json(subscription);
+
+    } catch (error) {
+      logger.error('Get Subscription error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Create (POST) or update (PUT) a Subscription; the endpoint gets a handshake before events
+  async saveSubscription(req, res, next) {
+    try {
+      const created = !req.params.id;
+      const subscription = created
+        ? await subscriptionService.createSubscription(req.body, { userId: req.user.id })
+        : await subscriptionService.updateSubscription(req.params.id, req.body, {
+          user: req.user,
+          ifMatch: req.get('If-Match') ? fhirUtils.parseETag(req.get('If-Match')) : null
+        });
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: created ? 'FHIR_SUBSCRIPTION_CREATE' : 'FHIR_SUBSCRIPTION_UPDATE',
+        resource_type: 'fhir_subscription',
+        resource_id: subscription.id,
+        new_values: { status: subscription.status, criteria: subscription.criteria, endpoint: subscription.channel.endpoint },
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+
+      res.set(fhirConfig.defaultHeaders);
+      res.set(fhirUtils.versionHeaders(subscription.meta));
+      res.set('Location', `${fhirConfig.server.baseUrl}/Subscription/${subscription.id}`);
+      res.status(created ? 201 : 200).json(subscription);
+
+    } catch (error) {
+      logger.error('Save Subscription error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  async deleteSubscription(req, res, next) {
+    try {
+      await subscriptionService.deleteSubscription(req.params.id, req.user);
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_SUBSCRIPTION_DELETE',
+        resource_type: 'fhir_subscription',
+        resource_id: req.params.id,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+
+      res.status(204).end();
+
+    } catch (error) {
+      logger.error('Delete Subscription error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Subscription $status: SubscriptionStatus with the event count and any delivery error
+  async subscriptionStatus(req, res, next) {
+    try {
+      const status = await subscriptionService.getStatus(req.params.id, req.user);
+
+      res.set(fhirConfig.defaultHeaders);
+      res.json(status);
+
+    } catch (error) {
+      logger.error('Subscription $status error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Bulk Data $export kick-off (system level, or Group/:id for that group's patients)
+  async exportKickOff(req, res, next) {
+    try {
+      const { _outputFormat, _since, _type } = req.query;
+      const { bulkExport } = fhirConfig;
+
+      if (!/respond-async/.test(req.get('Prefer') || '')) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', 'Bulk export requires the header Prefer: respond-async')
+        );
+      }
+
+      if (_outputFormat && !bulkExport.outputFormats.includes(_outputFormat)) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'not-supported', `Unsupported _outputFormat '${_outputFormat}'`, '_outputFormat')
+        );
+      }
+
+      const since = _since ? new Date(_since) : null;
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'invalid', `Invalid _since '${_since}'`, '_since')
+        );
+      }
+
+      const groupId = req.params.id || null;
+      const supportedTypes = groupId
+        ? bulkExport.patientTypes
+        : [...bulkExport.terminologyTypes, ...bulkExport.restrictedTypes];
+      // Without _type, everything the token's scopes can read (only the terminology for anyone but an admin)
+      const defaultTypes = req.user.role === 'admin' ? supportedTypes : bulkExport.terminologyTypes;
+      const types = _type
+        ? [...new Set(String(_type).split(',').map(type => type.trim()).filter(Boolean))]
+        : defaultTypes.filter(type => smartService.permits(req.smart, type, 'search'));
+
+      const unsupported = types.find(type => !supportedTypes.includes(type));
+      if (unsupported) {
+        return res.status(400).json(
+          fhirUtils.createOperationOutcome('error', 'not-supported', `Resource type '${unsupported}' cannot be exported here`, '_type')
+        );
+      }
+
+      if (types.some(type => bulkExport.restrictedTypes.includes(type)) && req.user.role !== 'admin') {
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', 'Exporting patient data and audit events requires the admin role')
+        );
+      }
+
+      const denied = types.find(type => !smartService.permits(req.smart, type, 'search'));
+      if (denied) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+        return res.status(403).json(
+          fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow exporting ${denied}`, '_type')
+        );
+      }
+
+      let patientIds = null;
+      if (groupId) {
+        if (!FHIR_ID.test(groupId)) {
+          return res.status(400).json(
+            fhirUtils.createOperationOutcome('error', 'invalid', `Invalid Group id '${groupId}'`)
+          );
+        }
+
+        patientIds = await patientRecordService.findGroupPatientIds(groupId);
+        if (patientIds.length === 0) {
+          return res.status(404).json(
+            fhirUtils.createOperationOutcome('error', 'not-found', `Group '${groupId}' not found`)
+          );
+        }
+      }
+
+      const job = await bulkExportService.kickOff({
+        types,
+        since,
+        groupId,
+        patientIds,
+        request: `${fhirConfig.server.baseUrl}${req.url}`,
+        userId: req.user.id
+      });
+
+      res.set('Content-Location', `${fhirConfig.server.baseUrl}/$export-poll-status/${job.id}`);
+      res.status(202).json(
+        fhirUtils.createOperationOutcome('information', 'informational', `Export job ${job.id} accepted`)
+      );
+
+    } catch (error) {
+      logger.error('FHIR export kick-off error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Bulk Data status: 202 while running, 200 with the manifest when complete
+  async exportStatus(req, res, next) {
+    try {
+      const job = await bulkExportService.getJob(req.params.jobId);
+
+      if (!job || (job.userId !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Export job '${req.params.jobId}' not found`)
+        );
+      }
+
+      if (job.status === 'in-progress') {
+        res.set('X-Progress', job.progress || 'Queued');
+        res.set('Retry-After', '5');
+        return res.status(202).end();
+      }
+
+      if (job.status === 'failed') {
+        return res.status(500).json(
+          fhirUtils.createOperationOutcome('error', 'exception', job.error.map(error => error.message).join('; '))
+        );
+      }
+
+      res.set('Expires', new Date(job.expiresAt).toUTCString());
+      res.json(bulkExportService.toManifest(job));
+
+    } catch (error) {
+      logger.error('FHIR export status error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Cancel an export job (or delete a completed one)
+  async exportCancel(req, res, next) {
+    try {
+      const job = await bulkExportService.getJob(req.params.jobId);
+
+      if (!job || (job.userId !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Export job '${req.params.jobId}' not found`)
+        );
+      }
+
+      await bulkExportService.cancelJob(job.id);
+
+      res.status(202).json(
+        fhirUtils.createOperationOutcome('information', 'informational', `Export job ${job.id} deleted`)
+      );
+
+    } catch (error) {
+      logger.error('FHIR export cancel error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  // Download one NDJSON output file
+  async exportFile(req, res, next) {
+    try {
+      const { jobId, fileName } = req.params;
+      const file = await bulkExportService.getFilePath(jobId, fileName);
+
+      if (!file || (file.job.userId !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json(
+          fhirUtils.createOperationOutcome('error', 'not-found', `Export file '${fileName}' not found`)
+        );
+      }
+
+      // Streamed with res.sendFile, so log the download explicitly
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'FHIR_BULK_EXPORT_DOWNLOAD',
+        resource_type: 'fhir_operation',
+        resource_id: jobId,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { file: fileName }
+      });
+
+      res.set('Expires', new Date(file.job.expiresAt).toUTCString());
+      res.sendFile(file.filePath, { headers: { 'Content-Type': 'application/fhir+ndjson' } });
+
+    } catch (error) {
+      logger.error('FHIR export file error:', error);
+      res.status(error.status || 500).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
 }
 
 module.exports = new FhirController();
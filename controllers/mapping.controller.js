@@ -1,10 +1,107 @@
 const mappingService = require('../services/mapping.service');
+const mappingReleaseService = require('../services/mapping-release.service');
+const sssomService = require('../services/sssom.service');
 const { CodeMapping, NamesteCode, ICD11Code } = require('../models');
 const auditService = require('../services/audit.service');
+const subscriptionService = require('../services/subscription.service');
+const { utils: fhirUtils } = require('../config/fhir');
 const logger = require('../utils/logger');
 const helpers = require('../utils/helpers');
 const { Op } = require('sequelize');
 
+// Apply a review transition and record it
+async function changeStatus(req, id, status, reason) {
+  const transition = await mappingService.transitionMapping(id, status, {
+    user: req.user,
+    reason
+  });
+
+  return recordTransition(req, id, transition);
+}
+
+// Audit a status change and notify ConceptMap subscribers when the mapping enters or leaves the
+// published ConceptMap; returns the reloaded mapping
+async function recordTransition(req, id, { mapping, fromStatus, changes }) {
+  await auditService.logAction({
+    user_id: req.user.id,
+    action: 'MAPPING_STATUS_CHANGED',
+    resource_type: 'code_mapping',
+    resource_id: String(id),
+    old_values: { status: fromStatus },
+    new_values: changes,
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent')
+  });
+
+  if (changes.status === 'approved') {
+    subscriptionService.publishMappingChange(
+      mapping,
+      await mappingService.approvedBefore(mapping) ? 'verified' : ['created', 'verified']
+    );
+  } else if (fromStatus === 'approved') {
+    subscriptionService.publishMappingChange(mapping, 'deactivated');
+  }
+
+  return CodeMapping.findByPk(id, {
+    include: [
+      {
+        association: 'namasteCodeDetails',
+        attributes: ['code', 'display_name', 'system_type', 'category']
+      },
+      {
+        association: 'icd11CodeDetails',
+        attributes: ['icd_id', 'title', 'module']
+      },
+      {
+        association: 'verifier',
+        attributes: ['name', 'abha_id']
+      },
+      {
+        association: 'reviewer',
+        attributes: ['name', 'abha_id']
+      }
+    ]
+  });
+}
+
+// Parse the point in time a restore goes back to
+function restoreTimestamp(value) {
+  const timestamp = new Date(value);
+
+  if (!value || isNaN(timestamp.getTime())) {
+    throw fhirUtils.createError(400, 'required', 'timestamp must be a valid date-time', 'timestamp');
+  }
+
+  if (timestamp > new Date()) {
+    throw fhirUtils.createError(400, 'invalid', 'timestamp cannot be in the future', 'timestamp');
+  }
+
+  return timestamp;
+}
+
+// Audit a restored mapping and notify ConceptMap subscribers of what it changed in the ConceptMap
+async function recordRestore(req, timestamp, { mapping, fromStatus, restored_version, changes }) {
+  await auditService.logAction({
+    user_id: req.user.id,
+    action: 'MAPPING_RESTORED',
+    resource_type: 'code_mapping',
+    resource_id: String(mapping.id),
+    old_values: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.from])),
+    new_values: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    additional_info: { restored_to: timestamp.toISOString(), restored_version }
+  });
+
+  if (mapping.status === 'approved') {
+    subscriptionService.publishMappingChange(mapping, fromStatus === 'approved' ? 'updated' : 'verified');
+  } else if (fromStatus === 'approved') {
+    subscriptionService.publishMappingChange(mapping, 'deactivated');
+  }
+}
+
+const restoreSummary = results => results.map(({ mapping_id, restored_version, changes }) => ({ mapping_id, restored_version, changes }));
+
 class MappingController {
   // Create new code mapping
   async createMapping(req, res, next) {
@@ -49,19 +146,18 @@ class MappingController {
         });
       }
 
-      // Check for existing mapping
+      // Check for existing mapping; a retired one is reinstated through the review workflow
       const existingMapping = await CodeMapping.findOne({
         where: {
           namaste_code,
-          icd11_code: icd11Exists.icd_id,
-          is_active: true
+          icd11_code: icd11Exists.icd_id
         }
       });
 
       if (existingMapping) {
         return res.status(409).json({
           error: 'Conflict',
-          message: 'Mapping already exists between these codes'
+          message: `Mapping already exists between these codes (${existingMapping.status})`
         });
       }
 
@@ -69,17 +165,17 @@ class MappingController {
       const calculatedConfidence = confidence_score || 
         helpers.calculateMappingConfidence(namasteExists.display_name, icd11Exists.title);
 
-      // Create mapping
+      // New mappings start as drafts and are only published once a reviewer approves them
       const mapping = await CodeMapping.create({
         namaste_code,
         icd11_code: icd11Exists.icd_id,
         mapping_type: mapping_type || 'equivalent',
         confidence_score: calculatedConfidence,
         notes,
-        verified_by: userId,
-        verified_at: new Date(),
+        status: 'draft',
+        created_by: userId,
         is_active: true
-      });
+      }, { changedBy: userId });
 
       // Log creation
       await auditService.logAction({
@@ -91,7 +187,9 @@ class MappingController {
           namaste_code,
           icd11_code: icd11Exists.icd_id,
           mapping_type: mapping.mapping_type,
-          confidence_score: mapping.confidence_score
+          confidence_score: mapping.confidence_score,
+          status: mapping.status,
+          created_by: userId
         },
         ip_address: req.ip,
         user_agent: req.get('User-Agent')
@@ -109,7 +207,7 @@ class MappingController {
             attributes: ['icd_id', 'title', 'module']
           },
           {
-            association: 'verifier',
+            association: 'creator',
             attributes: ['name', 'abha_id']
           }
         ]
@@ -144,6 +242,14 @@ class MappingController {
           {
             association: 'verifier',
             attributes: ['name', 'abha_id']
+          },
+          {
+            association: 'creator',
+            attributes: ['name', 'abha_id']
+          },
+          {
+            association: 'reviewer',
+            attributes: ['name', 'abha_id']
           }
         ]
       });
@@ -155,6 +261,7 @@ class MappingController {
         });
       }
 
+      res.set('ETag', `W/"${mapping.version_id}"`);
       res.json(mapping);
 
     } catch (error) {
@@ -167,7 +274,7 @@ class MappingController {
   async updateMapping(req, res, next) {
     try {
       const { id } = req.params;
-      const { mapping_type, confidence_score, notes, is_active } = req.body;
+      const { mapping_type, confidence_score, notes } = req.body;
       const userId = req.user.id;
 
       const mapping = await CodeMapping.findByPk(id);
@@ -179,12 +286,22 @@ class MappingController {
         });
       }
 
+      // Version-aware update
+      if (req.get('If-Match') && fhirUtils.parseETag(req.get('If-Match')) !== String(mapping.version_id)) {
+        return res.status(412).json({
+          error: 'Precondition Failed',
+          message: `Mapping ${id} is at version ${mapping.version_id}`
+        });
+      }
+
+      // Only drafts are edited; status changes go through transitionMapping
+      mappingService.assertEditable(mapping, req.user);
+
       // Store old values for audit
       const oldValues = {
         mapping_type: mapping.mapping_type,
         confidence_score: mapping.confidence_score,
-        notes: mapping.notes,
-        is_active: mapping.is_active
+        notes: mapping.notes
       };
 
       // Update mapping
@@ -192,12 +309,8 @@ class MappingController {
       if (mapping_type !== undefined) updatedFields.mapping_type = mapping_type;
       if (confidence_score !== undefined) updatedFields.confidence_score = confidence_score;
       if (notes !== undefined) updatedFields.notes = notes;
-      if (is_active !== undefined) updatedFields.is_active = is_active;
-      
-      updatedFields.verified_by = userId;
-      updatedFields.verified_at = new Date();
 
-      await mapping.update(updatedFields);
+      await mapping.update(updatedFields, { changedBy: userId });
 
       // Log update
       await auditService.logAction({
@@ -225,6 +338,7 @@ class MappingController {
         ]
       });
 
+      res.set('ETag', `W/"${updatedMapping.version_id}"`);
       res.json({
         message: 'Mapping updated successfully',
         mapping: updatedMapping
@@ -236,14 +350,86 @@ class MappingController {
     }
   }
 
-  // Delete mapping (soft delete)
+  // Move a mapping through the review workflow
+  async transitionMapping(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, reason } = req.body;
+
+      if (!status) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'status is required'
+        });
+      }
+
+      const updatedMapping = await changeStatus(req, id, status, reason);
+
+      res.set('ETag', `W/"${updatedMapping.version_id}"`);
+      res.json({
+        message: `Mapping moved to ${updatedMapping.status}`,
+        mapping: updatedMapping
+      });
+
+    } catch (error) {
+      logger.error('Mapping transition error:', error);
+      next(error);
+    }
+  }
+
+  // Delete mapping (retires it)
   async deleteMapping(req, res, next) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
+
+      await changeStatus(req, id, 'retired', req.body?.reason);
+
+      res.json({
+        message: 'Mapping deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete mapping error:', error);
+      next(error);
+    }
+  }
+
+  // Saved revisions of a mapping
+  async getHistory(req, res, next) {
+    try {
+      const history = await mappingService.getMappingHistory(req.params.id);
+
+      res.json(history);
+
+    } catch (error) {
+      logger.error('Get mapping history error:', error);
+      next(error);
+    }
+  }
+
+  // Changes between two revisions of a mapping
+  async diffHistory(req, res, next) {
+    try {
+      const { id, from, to } = req.params;
+
+      const diff = await mappingService.diffRevisions(id, parseInt(from), parseInt(to));
+
+      res.json(diff);
+
+    } catch (error) {
+      logger.error('Diff mapping history error:', error);
+      next(error);
+    }
+  }
+
+  // Restore one mapping to its state at a point in time
+  async restoreMapping(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason, dry_run = false } = req.body;
+      const timestamp = restoreTimestamp(req.body.timestamp);
 
       const mapping = await CodeMapping.findByPk(id);
-      
       if (!mapping) {
         return res.status(404).json({
           error: 'Not Found',
@@ -251,31 +437,271 @@ class MappingController {
         });
       }
 
-      // Soft delete
-      await mapping.update({ 
-        is_active: false,
-        verified_by: userId,
-        verified_at: new Date()
+      const result = await mappingService.restoreMapping(mapping, timestamp, { user: req.user, reason, dryRun: dry_run });
+
+      if (result && !dry_run) {
+        await recordRestore(req, timestamp, result);
+      }
+
+      res.json({
+        message: result ? `Mapping ${dry_run ? 'would be' : 'was'} restored to ${timestamp.toISOString()}` : 'Mapping is unchanged since then',
+        dry_run,
+        restored: restoreSummary(result ? [result] : [])
+      });
+
+    } catch (error) {
+      logger.error('Restore mapping error:', error);
+      next(error);
+    }
+  }
+
+  // Restore every mapping changed since a point in time
+  async restoreMappings(req, res, next) {
+    try {
+      const { reason, dry_run = false } = req.body;
+      const timestamp = restoreTimestamp(req.body.timestamp);
+
+      const results = await mappingService.restoreMappings(timestamp, { user: req.user, reason, dryRun: dry_run });
+
+      if (!dry_run) {
+        for (const result of results) {
+          await recordRestore(req, timestamp, result);
+        }
+      }
+
+      res.json({
+        message: `${results.length} mappings ${dry_run ? 'would be' : 'were'} restored to ${timestamp.toISOString()}`,
+        dry_run,
+        restored: restoreSummary(results)
       });
 
-      // Log deletion
+    } catch (error) {
+      logger.error('Restore mappings error:', error);
+      next(error);
+    }
+  }
+
+  // Mappings waiting for review
+  async getReviewQueue(req, res, next) {
+    try {
+      const queue = await mappingService.getReviewQueue({
+        ...req.query,
+        escalated: req.query.escalated === undefined ? undefined : req.query.escalated === 'true',
+        include_own: req.query.include_own === 'true'
+      }, req.user);
+
+      res.json(queue);
+
+    } catch (error) {
+      logger.error('Get review queue error:', error);
+      next(error);
+    }
+  }
+
+  // Cast or replace the caller's vote on a mapping
+  async submitReview(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { decision, mapping_type, comment } = req.body;
+
+      const result = await mappingService.submitReview(id, { decision, mapping_type, comment }, req.user);
+
       await auditService.logAction({
-        user_id: userId,
-        action: 'MAPPING_DELETED',
+        user_id: req.user.id,
+        action: 'MAPPING_REVIEW_SUBMITTED',
         resource_type: 'code_mapping',
-        resource_id: id,
-        old_values: { is_active: true },
-        new_values: { is_active: false },
+        resource_id: String(id),
+        new_values: {
+          decision: result.review.decision,
+          mapping_type: result.review.mapping_type,
+          comment: result.review.comment
+        },
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: {
+          review_round: result.review.review_round,
+          outcome: result.outcome
+        }
+      });
+
+      const mapping = result.changes
+        ? await recordTransition(req, id, result)
+        : result.mapping;
+
+      res.status(201).json({
+        message: `Review recorded; mapping is ${result.outcome}`,
+        outcome: result.outcome,
+        review: result.review,
+        mapping
+      });
+
+    } catch (error) {
+      logger.error('Submit mapping review error:', error);
+      next(error);
+    }
+  }
+
+  // Votes on a mapping, current round first
+  async listReviews(req, res, next) {
+    try {
+      const reviews = await mappingService.listReviews(req.params.id);
+
+      res.json(reviews);
+
+    } catch (error) {
+      logger.error('List mapping reviews error:', error);
+      next(error);
+    }
+  }
+
+  // Fleiss' and pairwise Cohen's kappa and per-reviewer agreement
+  async getAgreementReport(req, res, next) {
+    try {
+      const { from, to, system_type } = req.query;
+
+      const report = await mappingService.getAgreementReport({ from, to, system_type });
+
+      res.json(report);
+
+    } catch (error) {
+      logger.error('Get agreement report error:', error);
+      next(error);
+    }
+  }
+
+  // Cut a release snapshotting every approved mapping
+  async createRelease(req, res, next) {
+    try {
+      const { version, title, description } = req.body;
+
+      const release = await mappingReleaseService.createRelease({ version, title, description }, req.user);
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'MAPPING_RELEASE_CREATED',
+        resource_type: 'mapping_release',
+        resource_id: release.version,
+        new_values: { version: release.version, mapping_count: release.mapping_count, previous_version: release.previous_version },
         ip_address: req.ip,
         user_agent: req.get('User-Agent')
       });
 
-      res.json({
-        message: 'Mapping deleted successfully'
+      res.status(201).json({
+        message: `Release ${release.version} created with ${release.mapping_count} mappings`,
+        release
       });
 
     } catch (error) {
-      logger.error('Delete mapping error:', error);
+      logger.error('Create mapping release error:', error);
+      next(error);
+    }
+  }
+
+  async listReleases(req, res, next) {
+    try {
+      const { limit, offset } = req.query;
+
+      res.json(await mappingReleaseService.listReleases({ limit, offset }));
+
+    } catch (error) {
+      logger.error('List mapping releases error:', error);
+      next(error);
+    }
+  }
+
+  async getRelease(req, res, next) {
+    try {
+      res.json(await mappingReleaseService.getRelease(req.params.version));
+
+    } catch (error) {
+      logger.error('Get mapping release error:', error);
+      next(error);
+    }
+  }
+
+  // Mappings added, removed and changed between two releases, with release notes
+  async diffReleases(req, res, next) {
+    try {
+      const { a, b } = req.params;
+
+      res.json(await mappingReleaseService.diffReleases(a, b));
+
+    } catch (error) {
+      logger.error('Diff mapping releases error:', error);
+      next(error);
+    }
+  }
+
+  // Stream mappings as an SSSOM TSV
+  async exportSssom(req, res, next) {
+    try {
+      const { status, system_type, module } = req.query;
+      // The column header is the first line that is not metadata
+      let count = -1;
+
+      for await (const line of sssomService.exportMappings({ status, system_type, module })) {
+        if (!res.headersSent) {
+          res.set({
+            'Content-Type': 'text/tab-separated-values; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="namaste-icd11.sssom.tsv"'
+          });
+        }
+        res.write(`${line}\n`);
+        if (!line.startsWith('#')) count++;
+      }
+
+      res.end();
+
+      await auditService.logAction({
+        user_id: req.user.id,
+        action: 'MAPPINGS_EXPORTED',
+        resource_type: 'code_mapping',
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        additional_info: { format: 'sssom', status: status || 'approved', system_type, module, mapping_count: count }
+      });
+
+    } catch (error) {
+      logger.error('Export SSSOM error:', error);
+
+      // Once streaming has started the status line is gone; cut the response short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      next(error);
+    }
+  }
+
+  // Import an SSSOM TSV as proposed mappings, or only report what it would do
+  async importSssom(req, res, next) {
+    try {
+      const dryRun = req.query.dry_run === 'true';
+
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'An SSSOM TSV body (Content-Type text/tab-separated-values) is required'
+        });
+      }
+
+      const result = await sssomService.importMappings(req.body, { user: req.user, dryRun });
+
+      if (!dryRun) {
+        await auditService.logAction({
+          user_id: req.user.id,
+          action: 'MAPPINGS_IMPORTED',
+          resource_type: 'code_mapping',
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent'),
+          additional_info: { format: 'sssom', mapping_set_id: result.mapping_set_id, ...result.summary }
+        });
+      }
+
+      res.status(!dryRun && result.created.length > 0 ? 201 : 200).json(result);
+
+    } catch (error) {
+      logger.error('Import SSSOM error:', error);
       next(error);
     }
   }
@@ -331,7 +757,7 @@ class MappingController {
         const mappings = await CodeMapping.findAll({
           where: {
             namaste_code: { [Op.in]: codes },
-            is_active: true
+            status: 'approved'
           },
           include: [
             {
@@ -361,7 +787,7 @@ class MappingController {
         const mappings = await CodeMapping.findAll({
           where: {
             icd11_code: { [Op.in]: codes },
-            is_active: true
+            status: 'approved'
           },
           include: [
             {
@@ -453,52 +879,6 @@ class MappingController {
     }
   }
 
-  // Export mappings
-  async exportMappings(req, res, next) {
-    try {
-      const { 
-        format = 'json', 
-        system_type, 
-        mapping_type, 
-        verified_only = false 
-      } = req.query;
-
-      const filters = {};
-      if (system_type) filters.system_type = system_type;
-      if (mapping_type) filters.mapping_type = mapping_type;
-      if (verified_only === 'true') filters.verified_only = true;
-
-      const exportData = await mappingService.exportMappings(format, filters);
-
-      // Set appropriate headers
-      if (format === 'csv') {
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=namaste-icd11-mappings.csv');
-        res.send(exportData);
-      } else {
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', 'attachment; filename=namaste-icd11-mappings.json');
-        res.json(exportData);
-      }
-
-      // Log export
-      if (req.user) {
-        await auditService.logAction({
-          user_id: req.user.id,
-          action: 'MAPPINGS_EXPORTED',
-          resource_type: 'code_mapping',
-          ip_address: req.ip,
-          user_agent: req.get('User-Agent'),
-          additional_info: { format, filters }
-        });
-      }
-
-    } catch (error) {
-      logger.error('Export mappings error:', error);
-      next(error);
-    }
-  }
-
   // List mappings with pagination and filtering
   async listMappings(req, res, next) {
     try {
@@ -509,13 +889,15 @@ class MappingController {
         icd11_code,
         mapping_type,
         system_type,
+        status,
         verified_only = false,
         confidence_min,
         confidence_max,
         search
       } = req.query;
 
-      const whereClause = { is_active: true };
+      // Retired mappings are only listed when asked for by status
+      const whereClause = status ? { status } : { is_active: true };
       const include = [
         {
           association: 'namasteCodeDetails',
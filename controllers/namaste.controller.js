@@ -1,8 +1,11 @@
-const { NamesteCode } = require('../models');
+const { NamesteCode, sequelize } = require('../models');
 const namasteService = require('../services/namaste.service');
 const auditService = require('../services/audit.service');
+const subscriptionService = require('../services/subscription.service');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
+const { parse } = require('csv-parse/sync');
 
 class NamasteController {
   // Get all NAMASTE codes with filtering and pagination
@@ -124,18 +127,21 @@ class NamasteController {
         level: namasteCode.level,
         status: namasteCode.status,
         version: namasteCode.version,
+        version_id: namasteCode.version_id,
         metadata: namasteCode.metadata,
         created_at: namasteCode.created_at,
         updated_at: namasteCode.updated_at
       };
 
+      res.set('ETag', `W/"${namasteCode.version_id}"`);
+
       // Include mappings if requested
       if (include_mappings === 'true') {
         const { CodeMapping } = require('../models');
         const mappings = await CodeMapping.findAll({
           where: { 
             namaste_code: code,
-            is_active: true 
+            status: 'approved'
           },
           include: [{
             association: 'icd11CodeDetails',
@@ -263,6 +269,8 @@ class NamasteController {
         user_agent: req.get('User-Agent')
       });
 
+      subscriptionService.publishCodeChange(newCode, 'created');
+
       res.status(201).json({
         message: 'NAMASTE code created successfully',
         code: newCode
@@ -298,6 +306,14 @@ class NamasteController {
         });
       }
 
+      // Version-aware update
+      if (req.get('If-Match') && fhirUtils.parseETag(req.get('If-Match')) !== String(namasteCode.version_id)) {
+        return res.status(412).json({
+          error: 'Precondition Failed',
+          message: `NAMASTE code ${code} is at version ${namasteCode.version_id}`
+        });
+      }
+
       // Store old values for audit
       const oldValues = {
         display_name: namasteCode.display_name,
@@ -331,6 +347,13 @@ class NamasteController {
         user_agent: req.get('User-Agent')
       });
 
+      // Notify CodeSystem subscribers; deactivating a code retires it
+      subscriptionService.publishCodeChange(
+        namasteCode,
+        updatedFields.status === 'inactive' && oldValues.status !== 'inactive' ? 'retired' : 'updated'
+      );
+
+      res.set('ETag', `W/"${namasteCode.version_id}"`);
       res.json({
         message: 'NAMASTE code updated successfully',
         code: namasteCode
@@ -504,45 +527,61 @@ class NamasteController {
         });
       }
 
-      // Process CSV import (simplified implementation)
-      const csvData = req.file.buffer.toString();
-      const lines = csvData.split('\n').slice(1); // Skip header
-      
-      let imported = 0;
-      let errors = [];
-
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        
-        try {
-          const [code, display_name, definition, system_type, category] = line.split(',').map(s => s.trim().replace(/"/g, ''));
-          
-          if (!code || !display_name || !system_type) {
-            errors.push(`Invalid data in line: ${line}`);
+      let rows;
+      try {
+        // Columns by position: code, display_name, definition, system_type, category; the first line is a header
+        rows = parse(req.file.buffer, {
+          from_line: 2,
+          bom: true,
+          trim: true,
+          skip_empty_lines: true,
+          relax_column_count: true,
+          info: true
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid CSV: ${error.message}`
+        });
+      }
+
+      const errors = [];
+
+      // All rows are created in one transaction, so a failure leaves none of them behind
+      const created = await sequelize.transaction(async (transaction) => {
+        const rowsCreated = [];
+
+        for (const { record, info } of rows) {
+          const [code, display_name, definition, system_type, category] = record;
+
+          if (!code || !display_name || !Object.keys(fhirConfig.codeSystems.namaste).includes(system_type)) {
+            errors.push(`Invalid data in line ${info.lines}: ${record.join(',')}`);
             continue;
           }
 
-          const existingCode = await NamesteCode.findOne({ where: { code } });
+          const existingCode = await NamesteCode.findOne({ where: { code }, transaction });
           if (existingCode) {
             errors.push(`Code already exists: ${code}`);
             continue;
           }
 
-          await NamesteCode.create({
+          rowsCreated.push(await NamesteCode.create({
             code,
             display_name,
-            definition,
+            definition: definition || null,
             system_type,
-            category,
+            category: category || null,
             status: 'active',
             version: '1.0'
-          });
-
-          imported++;
-        } catch (error) {
-          errors.push(`Error processing line: ${line} - ${error.message}`);
+          }, { transaction, changedBy: req.user.id }));
         }
-      }
+
+        return rowsCreated;
+      });
+      const imported = created.length;
+
+      // One notification for the whole import rather than one per row, once it is committed
+      subscriptionService.publishCodeChange(created, 'created');
 
       // Log import
       await auditService.logAction({
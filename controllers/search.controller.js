@@ -121,7 +121,7 @@ class SearchController {
       const namasteToIcd11 = await CodeMapping.findAll({
         where: {
           namaste_code: { [Op.in]: namasteCodes },
-          is_active: true
+          status: 'approved'
         },
         include: [
           { association: 'icd11CodeDetails', attributes: ['icd_id', 'title', 'module'] }
@@ -143,7 +143,7 @@ class SearchController {
       const icd11ToNamaste = await CodeMapping.findAll({
         where: {
           icd11_code: { [Op.in]: icd11Codes },
-          is_active: true
+          status: 'approved'
         },
         include: [
           { association: 'namasteCodeDetails', attributes: ['code', 'display_name', 'system_type'] }
@@ -244,7 +244,7 @@ class SearchController {
         include.push({
           model: CodeMapping,
           as: 'mappings',
-          where: { is_active: true },
+          where: { status: 'approved' },
           required: true,
           include: [{
             association: 'icd11CodeDetails',
@@ -1,7 +1,33 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const smartService = require('../services/smart.service');
+const { utils: fhirUtils } = require('../config/fhir');
 const logger = require('../utils/logger');
 
+// User behind a bearer token and the SMART context it carries, or null if the token is no longer usable.
+// Tokens issued to SMART apps only work on the FHIR API; tokens without scopes get their role's scopes.
+const resolveToken = async (token, req) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.client_id && (req.baseUrl !== '/fhir' || !await smartService.findClient(decoded.client_id))) {
+    return null;
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  return {
+    user,
+    smart: {
+      scopes: decoded.scope ? smartService.parseScopes(decoded.scope) : smartService.scopesForRole(user.role),
+      clientId: decoded.client_id || null,
+      patient: decoded.patient || null
+    }
+  };
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -14,18 +40,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Verify user still exists and is active
-    const user = await User.findByPk(decoded.userId);
-    if (!user || !user.is_active) {
+    const resolved = await resolveToken(token, req);
+    if (!resolved) {
       return res.status(401).json({
         error: 'Access Denied',
         message: 'Invalid or expired token'
       });
     }
 
-    req.user = user;
+    req.user = resolved.user;
+    req.smart = resolved.smart;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -63,10 +88,10 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId);
-      if (user && user.is_active) {
-        req.user = user;
+      const resolved = await resolveToken(token, req);
+      if (resolved) {
+        req.user = resolved.user;
+        req.smart = resolved.smart;
       }
     }
   } catch (error) {
@@ -77,8 +102,29 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// SMART scope check for a FHIR interaction (create, read, update, delete, search) on a resource type.
+// Anonymous requests are left to the authentication middleware in front of it. Patient-level scopes
+// pass for the token's patient; handlers of patient data check the patient each resource belongs to.
+const requireScope = (resourceType, interaction) => {
+  return (req, res, next) => {
+    if (!req.smart || smartService.permits(req.smart, resourceType, interaction, { patientId: req.smart.patient })) {
+      return next();
+    }
+
+    return insufficientScope(res, `${interaction} on ${resourceType}`);
+  };
+};
+
+const insufficientScope = (res, access) => {
+  res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+  return res.status(403).json(
+    fhirUtils.createOperationOutcome('error', 'forbidden', `The access token's scopes do not allow ${access}`)
+  );
+};
+
 module.exports = {
   authenticateToken,
   authorize,
-  optionalAuth
+  optionalAuth,
+  requireScope
 };
@@ -0,0 +1,69 @@
+const express = require('express');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+
+const JSON_TYPES = fhirConfig.formats.json.filter(type => type.includes('/'));
+const XML_TYPES = fhirConfig.formats.xml.filter(type => type.includes('/'));
+
+// application/json is already parsed app-wide; FHIR JSON and XML bodies are parsed here
+const parseFhirJson = express.json({ type: JSON_TYPES.filter(type => type !== 'application/json'), limit: '10mb' });
+const parseFhirXml = express.text({ type: XML_TYPES, limit: '10mb' });
+
+// Work out the response format from _format, falling back to the Accept header
+function resolveFormat(req) {
+  const requested = req.query._format;
+
+  if (requested) {
+    const format = String(requested).split(';')[0].trim().toLowerCase();
+    if (fhirConfig.formats.xml.includes(format)) return 'xml';
+    if (fhirConfig.formats.json.includes(format)) return 'json';
+    return null;
+  }
+
+  const accepted = req.accepts([...JSON_TYPES, ...XML_TYPES]);
+  return XML_TYPES.includes(accepted) ? 'xml' : 'json';
+}
+
+const negotiateFormat = (req, res, next) => {
+  const format = resolveFormat(req);
+
+  if (!format) {
+    return res.status(406).json(
+      fhirUtils.createOperationOutcome('error', 'not-supported', `Unsupported _format '${req.query._format}'`)
+    );
+  }
+
+  req.fhirFormat = format;
+
+  // XML request bodies are handed to the routes as FHIR JSON
+  if (typeof req.body === 'string' && req.is(XML_TYPES)) {
+    try {
+      req.body = fhirUtils.fromXml(req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json(fhirUtils.errorToOperationOutcome(error));
+    }
+  }
+
+  if (format === 'xml') {
+    const json = res.json;
+
+    // Let res.json (and the audit wrapper around it) run as usual, then swap the body for XML on send
+    res.json = function(data) {
+      const xml = fhirUtils.toXml(data);
+
+      if (xml) {
+        const send = this.send;
+        this.send = function() {
+          this.send = send;
+          this.set('Content-Type', 'application/fhir+xml; charset=utf-8');
+          return send.call(this, xml);
+        };
+      }
+
+      return json.call(this, data);
+    };
+  }
+
+  next();
+};
+
+module.exports = [parseFhirJson, parseFhirXml, negotiateFormat];
@@ -7,6 +7,7 @@ module.exports = {
   
   // NAMASTE code validations
   validateCreateNamesteCode: validate(schemas.namasteCode.create),
+  validateUpdateNamesteCode: validate(schemas.namasteCode.update),
   
   // Code mapping validations
   validateCreateMapping: validate(schemas.codeMapping.create),
@@ -14,6 +15,9 @@ module.exports = {
   // Search validations
   validateSearchQuery: validateQuery(schemas.search.query),
   
+  // SMART client validations
+  validateCreateSmartClient: validate(schemas.smartClient.create),
+  
   // FHIR validations
   validateFhirBundle: validate(schemas.fhirBundle.create)
 };
@@ -27,6 +27,42 @@ const CodeMapping = sequelize.define('CodeMapping', {
       max: 1.00
     }
   },
+  // Review workflow (see MappingService); only approved mappings are published
+  status: {
+    type: DataTypes.ENUM('draft', 'proposed', 'under_review', 'approved', 'rejected', 'retired'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  // Why the mapping was last rejected or retired
+  status_reason: {
+    type: DataTypes.TEXT
+  },
+  created_by: {
+    type: DataTypes.INTEGER
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER
+  },
+  reviewed_at: {
+    type: DataTypes.DATE
+  },
+  // Current review round; votes (MappingReview) of earlier rounds no longer count
+  review_round: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Reviewers disagreed and the mapping waits for a senior reviewer
+  review_escalated: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // When reviewer votes settled the mapping (null for mappings approved before consensus rules)
+  consensus_at: {
+    type: DataTypes.DATE
+  },
+  // The reviewer who approved the mapping
   verified_by: {
     type: DataTypes.INTEGER
   },
@@ -43,6 +79,12 @@ const CodeMapping = sequelize.define('CodeMapping', {
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Incremented on every update; see ResourceHistory
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'code_mappings',
@@ -59,6 +101,9 @@ const CodeMapping = sequelize.define('CodeMapping', {
     },
     {
       fields: ['confidence_score']
+    },
+    {
+      fields: ['status']
     }
   ]
 });
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CodeSystemSupplement = sequelize.define('CodeSystemSupplement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resource_id: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(255),
+    unique: true,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.STRING(20),
+    defaultValue: '1.0.0'
+  },
+  name: {
+    type: DataTypes.STRING(255)
+  },
+  title: {
+    type: DataTypes.STRING(500)
+  },
+  supplements: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  language: {
+    type: DataTypes.STRING(20)
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'active', 'retired'),
+    defaultValue: 'active'
+  },
+  concepts: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  created_by: {
+    type: DataTypes.INTEGER
+  },
+  // Incremented on every update; see ResourceHistory
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  }
+}, {
+  tableName: 'code_system_supplements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['supplements']
+    },
+    {
+      fields: ['language']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = CodeSystemSupplement;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A named, immutable snapshot of the approved CodeMappings (see MappingReleaseEntry). Its version becomes
+// the ConceptMap version when the release is served through ConceptMap?version=.
+const MappingRelease = sequelize.define('MappingRelease', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  version: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[A-Za-z0-9][A-Za-z0-9._-]*$/
+    }
+  },
+  title: {
+    type: DataTypes.STRING(255)
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  // The release the notes compare against (null for the first release)
+  previous_version: {
+    type: DataTypes.STRING(32)
+  },
+  // Markdown generated from the diff against previous_version
+  release_notes: {
+    type: DataTypes.TEXT
+  },
+  mapping_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_by: {
+    type: DataTypes.INTEGER
+  }
+}, {
+  tableName: 'mapping_releases',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = MappingRelease;
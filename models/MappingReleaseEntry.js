@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One approved CodeMapping as it was when a MappingRelease was cut, displays included, so the release
+// never changes with the live tables
+const MappingReleaseEntry = sequelize.define('MappingReleaseEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  release_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  mapping_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  namaste_code: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  namaste_display: {
+    type: DataTypes.STRING(500)
+  },
+  system_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  icd11_code: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  icd11_title: {
+    type: DataTypes.STRING(500)
+  },
+  module: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  mapping_type: {
+    type: DataTypes.ENUM('equivalent', 'broader', 'narrower', 'related'),
+    allowNull: false
+  },
+  confidence_score: {
+    type: DataTypes.DECIMAL(3, 2)
+  },
+  notes: {
+    type: DataTypes.TEXT
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  verified_by: {
+    type: DataTypes.INTEGER
+  },
+  verified_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'mapping_release_entries',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['release_id', 'namaste_code', 'icd11_code']
+    },
+    {
+      fields: ['release_id', 'system_type', 'module']
+    }
+  ]
+});
+
+module.exports = MappingReleaseEntry;
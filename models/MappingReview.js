@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One reviewer's vote on a CodeMapping during one review round. A round starts each time the mapping
+// returns to draft, so votes always refer to the content under review.
+const MappingReview = sequelize.define('MappingReview', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  mapping_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  review_round: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reviewer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  decision: {
+    type: DataTypes.ENUM('approve', 'reject'),
+    allowNull: false
+  },
+  // The relationship the reviewer judges correct; only set for approvals
+  mapping_type: {
+    type: DataTypes.ENUM('equivalent', 'broader', 'narrower', 'related')
+  },
+  comment: {
+    type: DataTypes.TEXT
+  },
+  // Whether the reviewer was a senior reviewer (see fhirConfig.mappingReview) when voting
+  senior: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'mapping_reviews',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['mapping_id', 'review_round', 'reviewer_id']
+    },
+    {
+      fields: ['reviewer_id']
+    }
+  ]
+});
+
+module.exports = MappingReview;
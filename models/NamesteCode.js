@@ -48,6 +48,12 @@ const NamesteCode = sequelize.define('NamesteCode', {
   metadata: {
     type: DataTypes.JSON,
     defaultValue: {}
+  },
+  // Incremented on every update; see ResourceHistory
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'namaste_codes',
@@ -49,6 +49,11 @@ const PatientRecord = sequelize.define('PatientRecord', {
   tags: {
     type: DataTypes.JSON,
     defaultValue: []
+  },
+  // Type/id of every resource in fhir_bundle
+  resource_keys: {
+    type: DataTypes.JSON,
+    defaultValue: []
   }
 }, {
   tableName: 'patient_records',
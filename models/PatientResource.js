@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Latest version of one Patient, Condition or Encounter held in the PatientRecords, with the columns
+// its search parameters and _sort use and the patient's current consent
+const PatientResource = sequelize.define('PatientResource', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resource_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  resource_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  patient_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // PatientRecord the version was stored in
+  record_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  last_updated: {
+    type: DataTypes.DATE
+  },
+  resource: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  consent_given: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  consent_version: {
+    type: DataTypes.STRING(20)
+  },
+  consent_date: {
+    type: DataTypes.DATE
+  },
+  data_retention_until: {
+    type: DataTypes.DATE
+  },
+  // Patient family name (or text), for _sort=name
+  sort_name: {
+    type: DataTypes.STRING(200)
+  },
+  encounter: {
+    type: DataTypes.STRING(150)
+  },
+  status: {
+    type: DataTypes.STRING(30)
+  },
+  // Condition.recordedDate or the start (else end) of Encounter.period
+  date: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'patient_resources',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['resource_type', 'resource_id']
+    },
+    {
+      fields: ['patient_id']
+    },
+    {
+      fields: ['resource_type', 'date']
+    },
+    {
+      fields: ['resource_type', 'last_updated']
+    }
+  ]
+});
+
+module.exports = PatientResource;
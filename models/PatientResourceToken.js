@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One value of a token or string search parameter of a PatientResource: an identifier, a name part
+// (lower case), a code or a clinical status. Codes in NAMASTE and ICD-11 systems also carry the
+// code system family they resolve to, so a search can match them across system URIs.
+const PatientResourceToken = sequelize.define('PatientResourceToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  patient_resource_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  parameter: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  system: {
+    type: DataTypes.STRING(255)
+  },
+  value: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  family: {
+    type: DataTypes.STRING(20)
+  },
+  family_key: {
+    type: DataTypes.STRING(50)
+  }
+}, {
+  tableName: 'patient_resource_tokens',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['parameter', 'value']
+    },
+    {
+      fields: ['patient_resource_id']
+    }
+  ]
+});
+
+module.exports = PatientResourceToken;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per saved version of a versioned terminology row (NAMESTE code, mapping, supplement).
+// "baseline" rows hold the state a row had before its first tracked change.
+const ResourceHistory = sequelize.define('ResourceHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resource_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  resource_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The derived FHIR resource the row belongs to: NAMESTE system, "system|module" pair or supplement id
+  scope: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  operation: {
+    type: DataTypes.ENUM('baseline', 'create', 'update'),
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Who made the change and why, when the writer passed changedBy/changeReason in the save options
+  changed_by: {
+    type: DataTypes.INTEGER
+  },
+  reason: {
+    type: DataTypes.TEXT
+  }
+}, {
+  tableName: 'resource_history',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['resource_type', 'resource_id', 'version_id']
+    },
+    {
+      fields: ['resource_type', 'scope']
+    }
+  ]
+});
+
+module.exports = ResourceHistory;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A registered SMART on FHIR client. Backend services act through a service account user,
+// whose role and id are used for role checks and audit entries like any other user.
+const SmartClient = sequelize.define('SmartClient', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  client_id: {
+    type: DataTypes.STRING(100),
+    unique: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // public apps use PKCE only; confidential apps and backend services sign client assertions
+  client_type: {
+    type: DataTypes.ENUM('public', 'confidential', 'backend'),
+    allowNull: false
+  },
+  redirect_uris: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Public keys for client assertions: an inline JWK Set or a URL serving one
+  jwks: {
+    type: DataTypes.JSON
+  },
+  jwks_uri: {
+    type: DataTypes.STRING(500)
+  },
+  // Space-separated scopes the client may be granted
+  scope: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER
+  }
+}, {
+  tableName: 'smart_clients',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = SmartClient;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A REST-hook Subscription to one of our SubscriptionTopics (see fhirConfig.subscriptions).
+// R4 criteria (e.g. ConceptMap?source-system=ayurveda) are stored as the topic plus its filters.
+const Subscription = sequelize.define('Subscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resource_id: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  // requested until the handshake succeeds; error once a notification could not be delivered
+  status: {
+    type: DataTypes.ENUM('requested', 'active', 'error', 'off'),
+    defaultValue: 'requested'
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  topic: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Subscription.criteria as submitted
+  criteria: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Filters every event must pass, e.g. [{ name: 'source-system', values: ['ayurveda', 'siddha'] }]
+  filters: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  endpoint: {
+    type: DataTypes.STRING(2048),
+    allowNull: false
+  },
+  // HTTP headers sent with every notification, as "Name: value" strings
+  headers: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  content: {
+    type: DataTypes.ENUM('empty', 'id-only', 'full-resource'),
+    defaultValue: 'id-only'
+  },
+  end_at: {
+    type: DataTypes.DATE
+  },
+  events_since_start: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  error_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_error: {
+    type: DataTypes.TEXT
+  },
+  last_delivered_at: {
+    type: DataTypes.DATE
+  },
+  created_by: {
+    type: DataTypes.INTEGER
+  },
+  // Incremented whenever the client changes the Subscription
+  version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  }
+}, {
+  tableName: 'subscriptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['topic', 'status']
+    }
+  ]
+});
+
+module.exports = Subscription;
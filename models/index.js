@@ -5,6 +5,15 @@ const ICD11Code = require('./ICD11Code');
 const CodeMapping = require('./CodeMapping');
 const AuditLog = require('./AuditLog');
 const PatientRecord = require('./PatientRecord');
+const PatientResource = require('./PatientResource');
+const PatientResourceToken = require('./PatientResourceToken');
+const CodeSystemSupplement = require('./CodeSystemSupplement');
+const ResourceHistory = require('./ResourceHistory');
+const SmartClient = require('./SmartClient');
+const Subscription = require('./Subscription');
+const MappingReview = require('./MappingReview');
+const MappingRelease = require('./MappingRelease');
+const MappingReleaseEntry = require('./MappingReleaseEntry');
 
 // Define associations
 CodeMapping.belongsTo(NamesteCode, { 
@@ -24,6 +33,41 @@ CodeMapping.belongsTo(User, {
   as: 'verifier'
 });
 
+CodeMapping.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+CodeMapping.belongsTo(User, {
+  foreignKey: 'reviewed_by',
+  as: 'reviewer'
+});
+
+CodeMapping.hasMany(MappingReview, {
+  foreignKey: 'mapping_id',
+  as: 'reviews'
+});
+
+MappingReview.belongsTo(CodeMapping, {
+  foreignKey: 'mapping_id',
+  as: 'mapping'
+});
+
+MappingReview.belongsTo(User, {
+  foreignKey: 'reviewer_id',
+  as: 'reviewer'
+});
+
+MappingRelease.hasMany(MappingReleaseEntry, {
+  foreignKey: 'release_id',
+  as: 'entries'
+});
+
+MappingRelease.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
 AuditLog.belongsTo(User, { 
   foreignKey: 'user_id',
   as: 'user'
@@ -34,6 +78,94 @@ PatientRecord.belongsTo(User, {
   as: 'creator'
 });
 
+PatientResource.hasMany(PatientResourceToken, {
+  foreignKey: 'patient_resource_id',
+  as: 'tokens'
+});
+
+CodeSystemSupplement.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+SmartClient.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'serviceAccount'
+});
+
+Subscription.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+// Version tracking: every create/update of these rows is copied to ResourceHistory under the
+// scope of the FHIR resource derived from it, which gives CodeSystem/ConceptMap their versions
+const versionedModels = [
+  {
+    model: NamesteCode,
+    scopeOf: async (row) => row.system_type
+  },
+  {
+    model: CodeMapping,
+    scopeOf: async (row, transaction) => {
+      const [namasteCode, icd11Code] = await Promise.all([
+        NamesteCode.findOne({ where: { code: row.namaste_code }, attributes: ['system_type'], transaction }),
+        ICD11Code.findOne({ where: { icd_id: row.icd11_code }, attributes: ['module'], transaction })
+      ]);
+      return `${namasteCode?.system_type}|${icd11Code?.module}`;
+    }
+  },
+  {
+    model: CodeSystemSupplement,
+    scopeOf: async (row) => row.resource_id
+  }
+];
+
+versionedModels.forEach(({ model, scopeOf }) => {
+  const attributes = Object.keys(model.rawAttributes);
+  const snapshot = read => Object.fromEntries(attributes.map(attribute => [attribute, read(attribute)]));
+
+  // options are the writer's save options; changedBy and changeReason describe the change
+  const recordVersion = async (instance, operation, content, versionId, options) => {
+    await ResourceHistory.create({
+      resource_type: model.name,
+      resource_id: instance.id,
+      version_id: versionId,
+      scope: await scopeOf(content, options.transaction),
+      operation,
+      content,
+      changed_by: operation === 'baseline' ? null : options.changedBy || null,
+      reason: operation === 'baseline' ? null : options.changeReason || null
+    }, { transaction: options.transaction });
+  };
+
+  model.beforeUpdate(instance => {
+    if ((instance.changed() || []).some(attribute => !['updated_at', 'version_id'].includes(attribute))) {
+      instance.version_id = (instance.previous('version_id') || 1) + 1;
+    }
+  });
+
+  model.afterCreate(async (instance, options) => {
+    await recordVersion(instance, 'create', snapshot(attribute => instance.get(attribute)), instance.version_id, options);
+  });
+
+  model.afterUpdate(async (instance, options) => {
+    const previousVersion = instance.previous('version_id') || 1;
+    if (instance.version_id === previousVersion) return;
+
+    // Rows that predate version tracking get their pre-update state recorded first
+    const tracked = await ResourceHistory.count({
+      where: { resource_type: model.name, resource_id: instance.id },
+      transaction: options.transaction
+    });
+    if (tracked === 0) {
+      await recordVersion(instance, 'baseline', snapshot(attribute => instance.previous(attribute)), previousVersion, options);
+    }
+
+    await recordVersion(instance, 'update', snapshot(attribute => instance.get(attribute)), instance.version_id, options);
+  });
+});
+
 const models = {
   User,
   NamesteCode,
@@ -41,6 +173,15 @@ const models = {
   CodeMapping,
   AuditLog,
   PatientRecord,
+  PatientResource,
+  PatientResourceToken,
+  CodeSystemSupplement,
+  ResourceHistory,
+  SmartClient,
+  Subscription,
+  MappingReview,
+  MappingRelease,
+  MappingReleaseEntry,
   sequelize
 };
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { User, AuditLog, NamesteCode, ICD11Code, CodeMapping } = require('../models');
+const { User, AuditLog, NamesteCode, ICD11Code, CodeMapping, SmartClient } = require('../models');
 const { authenticateToken, authorize } = require('../middleware/auth.middleware');
+const { validateCreateSmartClient } = require('../middleware/validation.middleware');
+const smartService = require('../services/smart.service');
+const auditService = require('../services/audit.service');
 const { Op } = require('sequelize');
 
 /**
@@ -154,7 +157,7 @@ router.get('/metrics', authenticateToken, authorize('admin'), async (req, res) =
       data: {
         namaste_codes: await NamesteCode.count({ where: { status: 'active' } }),
         icd11_codes: await ICD11Code.count({ where: { status: 'active' } }),
-        mappings: await CodeMapping.count({ where: { is_active: true } })
+        mappings: await CodeMapping.count({ where: { status: 'approved' } })
       }
     };
 
@@ -206,4 +209,137 @@ router.get('/users', authenticateToken, authorize('admin'), async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/smart-clients:
+ *   get:
+ *     summary: List registered SMART on FHIR clients
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Register a SMART on FHIR client
+ *     description: Public and confidential clients use the authorization code flow; backend clients use client_credentials and act through a service account with the given role. Confidential and backend clients need jwks or jwks_uri for private_key_jwt.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - client_type
+ *               - scope
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               client_type:
+ *                 type: string
+ *                 enum: [public, confidential, backend]
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               jwks:
+ *                 type: object
+ *               jwks_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 example: system/CodeSystem.read system/ConceptMap.read
+ *               role:
+ *                 type: string
+ *                 enum: [clinician, admin, viewer]
+ */
+router.get('/smart-clients', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const clients = await SmartClient.findAll({
+      include: [{ model: User, as: 'serviceAccount', attributes: ['id', 'role', 'is_active'] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      total: clients.length,
+      clients
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+router.post('/smart-clients', authenticateToken, authorize('admin'), validateCreateSmartClient, async (req, res) => {
+  try {
+    const client = await smartService.registerClient(req.body, req.user.id);
+
+    await auditService.logAction({
+      user_id: req.user.id,
+      action: 'SMART_CLIENT_REGISTERED',
+      resource_type: 'smart_client',
+      resource_id: client.client_id,
+      new_values: { client_type: client.client_type, scope: client.scope },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      message: 'SMART client registered',
+      client
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.oauthError || 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/smart-clients/{clientId}:
+ *   delete:
+ *     summary: Deactivate a SMART on FHIR client and revoke its tokens
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/smart-clients/:clientId', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const client = await smartService.deactivateClient(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `SMART client '${req.params.clientId}' not found`
+      });
+    }
+
+    await auditService.logAction({
+      user_id: req.user.id,
+      action: 'SMART_CLIENT_DEACTIVATED',
+      resource_type: 'smart_client',
+      resource_id: client.client_id,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'SMART client deactivated',
+      client
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
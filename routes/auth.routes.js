@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authService = require('../services/auth.service');
+const smartService = require('../services/smart.service');
+const auditService = require('../services/audit.service');
 const { User } = require('../models');
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { validateCreateUser } = require('../middleware/validation.middleware');
+const logger = require('../utils/logger');
 
 /**
  * @swagger
@@ -169,4 +172,166 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+const AUTHORIZE_PARAMS = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'aud', 'code_challenge', 'code_challenge_method'];
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Redirect back to the app with an authorization error, or answer directly while the redirect URI is untrusted
+const authorizationError = (res, params, error) => {
+  if (!error.redirect) {
+    return res.status(error.status || 500).json({ error: error.oauthError || 'server_error', error_description: error.message });
+  }
+
+  const url = new URL(params.redirect_uri);
+  url.searchParams.set('error', error.oauthError);
+  url.searchParams.set('error_description', error.message);
+  if (params.state) url.searchParams.set('state', params.state);
+  return res.redirect(302, url.href);
+};
+
+// Patient-level scopes need the patient the app may access
+const asksPatient = scope => smartService.parseScopes(scope).some(item => item === 'launch/patient' || item.startsWith('patient/'));
+
+// Sign-in form of the SMART authorization endpoint; the form posts back to the same URL
+const renderAuthorizeForm = (res, params, { askPatient, message = null }) => {
+  // The form's POST ends in a redirect to the app, which form-action must allow
+  res.set('Content-Security-Policy', `default-src 'self'; form-action 'self' ${new URL(params.redirect_uri).origin}`);
+  res.type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Sign in</title></head>
+<body>
+  <h1>Sign in to NAMASTE-ICD11</h1>
+  <p>${escapeHtml(params.client_name)} requests: ${escapeHtml(params.scope)}</p>
+  ${message ? `<p role="alert">${escapeHtml(message)}</p>` : ''}
+  <form method="post">
+    ${AUTHORIZE_PARAMS.map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`).join('\n    ')}
+    <label>ABHA ID <input name="abha_id" required></label>
+    <label>Password <input name="password" type="password" required></label>
+    ${askPatient ? '<label>Patient ID <input name="patient" required></label>' : ''}
+    <button type="submit">Allow</button>
+  </form>
+</body></html>`);
+};
+
+/**
+ * @swagger
+ * /api/auth/smart/authorize:
+ *   get:
+ *     summary: SMART App Launch authorization endpoint (standalone launch)
+ *     description: Shows a sign-in form; submitting it redirects to redirect_uri with an authorization code. PKCE (S256) is required.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - { name: response_type, in: query, required: true, schema: { type: string, enum: [code] } }
+ *       - { name: client_id, in: query, required: true, schema: { type: string } }
+ *       - { name: redirect_uri, in: query, required: true, schema: { type: string } }
+ *       - { name: scope, in: query, required: true, schema: { type: string } }
+ *       - { name: state, in: query, schema: { type: string } }
+ *       - { name: aud, in: query, required: true, schema: { type: string } }
+ *       - { name: code_challenge, in: query, required: true, schema: { type: string } }
+ *       - { name: code_challenge_method, in: query, required: true, schema: { type: string, enum: [S256] } }
+ *   post:
+ *     summary: Sign in and authorize the app
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to redirect_uri with code and state
+ */
+router.get('/smart/authorize', async (req, res) => {
+  try {
+    const client = await smartService.validateAuthorizationRequest(req.query);
+
+    renderAuthorizeForm(res, { ...req.query, client_name: client.name }, {
+      askPatient: asksPatient(req.query.scope)
+    });
+  } catch (error) {
+    logger.error('SMART authorize error:', error);
+    authorizationError(res, req.query, error);
+  }
+});
+
+router.post('/smart/authorize', async (req, res) => {
+  const params = req.body || {};
+
+  try {
+    const client = await smartService.validateAuthorizationRequest(params);
+
+    let code;
+    try {
+      code = await smartService.authorize(client, params);
+    } catch (error) {
+      // Wrong credentials or a missing patient: show the form again
+      if (error.oauthError !== 'access_denied' && error.oauthError !== 'invalid_request') throw error;
+      return renderAuthorizeForm(res.status(error.status), { ...params, client_name: client.name }, {
+        askPatient: asksPatient(params.scope),
+        message: error.message
+      });
+    }
+
+    const url = new URL(params.redirect_uri);
+    url.searchParams.set('code', code);
+    if (params.state) url.searchParams.set('state', params.state);
+    res.redirect(302, url.href);
+  } catch (error) {
+    logger.error('SMART authorize error:', error);
+    authorizationError(res, params, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/smart/token:
+ *   post:
+ *     summary: SMART token endpoint
+ *     description: authorization_code (with PKCE) for apps, client_credentials with a private_key_jwt client assertion for backend services.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, client_credentials]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               client_assertion_type:
+ *                 type: string
+ *               client_assertion:
+ *                 type: string
+ */
+router.post('/smart/token', async (req, res) => {
+  try {
+    const token = await smartService.token(req.body || {});
+
+    await auditService.logAction({
+      user_id: token.userId,
+      action: 'SMART_TOKEN_ISSUED',
+      resource_type: 'authentication',
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      additional_info: { client_id: token.clientId, grant_type: req.body.grant_type, scope: token.scope }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(token.response);
+  } catch (error) {
+    logger.error('SMART token error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.oauthError || 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,93 +1,210 @@
 const express = require('express');
 const router = express.Router();
 const fhirService = require('../services/fhir.service');
-const { optionalAuth } = require('../middleware/auth.middleware');
+const { config: fhirConfig } = require('../config/fhir');
+const fhirController = require('../controllers/fhir.controller');
+const { authenticateToken, authorize, optionalAuth, requireScope } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * /fhir:
+ *   post:
+ *     summary: Submit a FHIR transaction Bundle
+ *     description: All entries are stored atomically as one PatientRecord; any failure rolls back the whole Bundle. Every NAMASTE and ICD-11 coding is validated; a StructureDefinition profile (such as namaste-condition or namaste-patient) is only enforced on a resource that declares it in meta.profile.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: transaction-response Bundle
+ *       400:
+ *         description: OperationOutcome describing the failing entry
+ *       422:
+ *         description: OperationOutcome listing the profile and terminology validation issues
+ */
+router.post('/', authenticateToken, authorize('admin', 'clinician'), fhirController.submitBundle);
+
+/**
+ * @swagger
+ * /fhir/$export:
+ *   get:
+ *     summary: Bulk Data export kick-off (NDJSON)
+ *     description: Starts an asynchronous export of CodeSystem, ConceptMap, Patient, Condition, Encounter and AuditEvent resources. Poll the Content-Location URL for the manifest. Patient data and AuditEvent require the admin role.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: Prefer
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [respond-async]
+ *       - name: _type
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: _since
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: _outputFormat
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Export accepted; Content-Location holds the status URL
+ */
+router.get('/$export', authenticateToken, fhirController.exportKickOff);
+
+/**
+ * @swagger
+ * /fhir/Group/{id}/$export:
+ *   get:
+ *     summary: Bulk Data export of the patients in a group (PatientRecord tag)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/Group/:id/$export', authenticateToken, authorize('admin'), fhirController.exportKickOff);
+
+/**
+ * @swagger
+ * /fhir/$export-poll-status/{jobId}:
+ *   get:
+ *     summary: Bulk Data export status (202 in progress, 200 with manifest when complete)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Cancel a Bulk Data export or delete its files
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/$export-poll-status/:jobId', authenticateToken, fhirController.exportStatus);
+router.delete('/$export-poll-status/:jobId', authenticateToken, fhirController.exportCancel);
+
+/**
+ * @swagger
+ * /fhir/$export-file/{jobId}/{fileName}:
+ *   get:
+ *     summary: Download a Bulk Data NDJSON output file
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/$export-file/:jobId/:fileName', authenticateToken, fhirController.exportFile);
 
 /**
  * @swagger
  * /fhir/metadata:
  *   get:
  *     summary: Get FHIR Capability Statement
+ *     description: Generated from the routes mounted on /fhir. mode=terminology returns a TerminologyCapabilities resource.
  *     tags: [FHIR]
+ *     parameters:
+ *       - name: mode
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [full, normative, terminology]
  *     responses:
  *       200:
  *         description: FHIR Capability Statement
  */
-router.get('/metadata', optionalAuth, (req, res) => {
-  try {
-    const capability = fhirService.generateCapabilityStatement();
-    res.json(capability);
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+router.get('/metadata', optionalAuth, fhirController.getCapabilityStatement);
+
+/**
+ * @swagger
+ * /fhir/.well-known/smart-configuration:
+ *   get:
+ *     summary: SMART on FHIR configuration
+ *     description: Authorization and token endpoints, supported scopes, grant types and client authentication methods.
+ *     tags: [FHIR]
+ *     responses:
+ *       200:
+ *         description: SMART configuration document
+ */
+router.get('/.well-known/smart-configuration', fhirController.getSmartConfiguration);
 
 /**
  * @swagger
  * /fhir/CodeSystem:
  *   get:
- *     summary: List available code systems
+ *     summary: List available code systems and supplements
  *     tags: [FHIR]
+ *     parameters:
+ *       - name: url
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: name
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: supplements
+ *         in: query
+ *         description: Only supplements of this code system
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
  *     responses:
  *       200:
  *         description: Bundle of CodeSystems
+ *   post:
+ *     summary: Create a CodeSystem supplement (e.g. Hindi or Tamil display names)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
  */
-router.get('/CodeSystem', optionalAuth, (req, res) => {
-  const bundle = {
-    resourceType: "Bundle",
-    type: "searchset",
-    total: 4,
-    entry: [
-      {
-        resource: {
-          resourceType: "CodeSystem",
-          id: "namaste-ayurveda",
-          url: "http://terminology.hl7.org/CodeSystem/namaste-ayurveda",
-          name: "NAMASTE Ayurveda",
-          status: "active"
-        }
-      },
-      {
-        resource: {
-          resourceType: "CodeSystem", 
-          id: "namaste-siddha",
-          url: "http://terminology.hl7.org/CodeSystem/namaste-siddha",
-          name: "NAMASTE Siddha",
-          status: "active"
-        }
-      },
-      {
-        resource: {
-          resourceType: "CodeSystem",
-          id: "namaste-unani", 
-          url: "http://terminology.hl7.org/CodeSystem/namaste-unani",
-          name: "NAMASTE Unani",
-          status: "active"
-        }
-      },
-      {
-        resource: {
-          resourceType: "CodeSystem",
-          id: "icd11-tm2",
-          url: "http://id.who.int/icd/release/11/2023-01/tm2", 
-          name: "ICD-11 Traditional Medicine Module 2",
-          status: "active"
-        }
-      }
-    ]
-  };
-
-  res.json(bundle);
-});
+router.get('/CodeSystem', optionalAuth, requireScope('CodeSystem', 'search'), fhirController.listCodeSystems);
+router.post('/CodeSystem', authenticateToken, authorize('admin'), requireScope('CodeSystem', 'create'), fhirController.saveCodeSystemSupplement);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/$validate-code:
+ *   get:
+ *     summary: Validate that a code is in a code system
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: url
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: code
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: display
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: version
+ *         in: query
+ *         schema:
+ *           type: string
+ *   post:
+ *     summary: Validate a code, coding or codeableConcept (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/$validate-code', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.validateCodeOperation);
+router.post('/CodeSystem/$validate-code', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.validateCodeOperation);
 
 /**
  * @swagger
- * /fhir/CodeSystem/{system}:
+ * /fhir/CodeSystem/{system}/$validate-code:
  *   get:
- *     summary: Get specific CodeSystem
+ *     summary: Validate that a code is in a specific code system
  *     tags: [FHIR]
  *     parameters:
  *       - name: system
@@ -95,100 +212,1033 @@ router.get('/CodeSystem', optionalAuth, (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [namaste-ayurveda, namaste-siddha, namaste-unani, icd11-tm2]
- */
-router.get('/CodeSystem/:system', optionalAuth, async (req, res) => {
-  try {
-    const { system } = req.params;
-    
-    if (system.startsWith('namaste-')) {
-      const systemType = system.replace('namaste-', '');
-      const codeSystem = await fhirService.generateNamesteCodeSystem(systemType);
-      res.json(codeSystem);
-    } else if (system === 'icd11-tm2') {
-      const codeSystem = await fhirService.generateICD11CodeSystem('tm2');
-      res.json(codeSystem);
-    } else {
-      res.status(404).json({
-        error: 'Not Found',
-        message: 'CodeSystem not found'
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error', 
-      message: error.message
-    });
-  }
-});
+ *           enum: [namaste-ayurveda, namaste-siddha, namaste-unani, icd11-tm2, icd11-biomedicine]
+ *   post:
+ *     summary: Validate a code against a specific code system (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/:id/$validate-code', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.validateCodeOperation);
+router.post('/CodeSystem/:id/$validate-code', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.validateCodeOperation);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/$lookup:
+ *   get:
+ *     summary: Look up a code's display, designations and properties
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: system
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: code
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: displayLanguage
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: property
+ *         in: query
+ *         schema:
+ *           type: string
+ *   post:
+ *     summary: Look up a code (Parameters resource, JSON or XML)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/$lookup', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.lookupOperation);
+router.post('/CodeSystem/$lookup', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.lookupOperation);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/{id}/$lookup:
+ *   get:
+ *     summary: Look up a code in a specific CodeSystem
+ *     tags: [FHIR]
+ *   post:
+ *     summary: Look up a code in a specific CodeSystem (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/:id/$lookup', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.lookupOperation);
+router.post('/CodeSystem/:id/$lookup', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.lookupOperation);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/$subsumes:
+ *   get:
+ *     summary: Test the subsumption relationship between two codes
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: system
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: codeA
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: codeB
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *   post:
+ *     summary: Test subsumption for two codes or codings (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/$subsumes', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.subsumesOperation);
+router.post('/CodeSystem/$subsumes', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.subsumesOperation);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/{system}/$subsumes:
+ *   get:
+ *     summary: Test subsumption within a specific code system
+ *     tags: [FHIR]
+ *   post:
+ *     summary: Test subsumption within a specific code system (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/CodeSystem/:id/$subsumes', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.subsumesOperation);
+router.post('/CodeSystem/:id/$subsumes', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.subsumesOperation);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/{id}/_history:
+ *   get:
+ *     summary: Version history of a NAMASTE CodeSystem or stored supplement
+ *     description: NAMASTE versions are listed as summaries (no concepts); read a version for its concepts.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: _count
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: history Bundle
+ */
+router.get('/CodeSystem/:id/_history', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.getCodeSystemHistory);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/{id}/_history/{versionId}:
+ *   get:
+ *     summary: Read a CodeSystem as it was at a version
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: versionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/CodeSystem/:id/_history/:versionId', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.getCodeSystemVersion);
+
+/**
+ * @swagger
+ * /fhir/CodeSystem/{id}:
+ *   get:
+ *     summary: Get specific CodeSystem or supplement
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: useSupplement
+ *         in: query
+ *         description: Canonical URL of a supplement whose designations are merged into the concepts
+ *         schema:
+ *           type: string
+ *       - name: If-None-Match
+ *         in: header
+ *         description: ETag from an earlier read; 304 if the CodeSystem is unchanged
+ *         schema:
+ *           type: string
+ *       - name: If-Modified-Since
+ *         in: header
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CodeSystem with ETag and Last-Modified headers
+ *       304:
+ *         description: Not modified
+ *   put:
+ *     summary: Create or update a CodeSystem supplement
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: If-Match
+ *         in: header
+ *         description: ETag of the version being updated; 412 if it is no longer current
+ *         schema:
+ *           type: string
+ */
+router.get('/CodeSystem/:id', optionalAuth, requireScope('CodeSystem', 'read'), fhirController.getCodeSystem);
+router.put('/CodeSystem/:id', authenticateToken, authorize('admin'), requireScope('CodeSystem', 'update'), fhirController.saveCodeSystemSupplement);
 
 /**
  * @swagger
  * /fhir/ConceptMap:
  *   get:
- *     summary: Get concept mappings
+ *     summary: Search concept maps (one per NAMASTE system and ICD-11 module)
+ *     description: Returns summary ConceptMaps without groups; read a map by id (with the same version) for its mappings.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: url
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: source
+ *         in: query
+ *         description: Source code system or ValueSet canonical
+ *         schema:
+ *           type: string
+ *       - name: target
+ *         in: query
+ *         description: Target code system or ValueSet canonical
+ *         schema:
+ *           type: string
+ *       - name: source-code
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: target-code
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: version
+ *         in: query
+ *         description: A mapping release (e.g. 2026.10) or the current version (1.0.x)
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ */
+router.get('/ConceptMap', optionalAuth, requireScope('ConceptMap', 'search'), fhirController.getConceptMaps);
+
+/**
+ * @swagger
+ * /fhir/ValueSet:
+ *   get:
+ *     summary: List available value sets
  *     tags: [FHIR]
+ *     parameters:
+ *       - name: url
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: name
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
  */
-router.get('/ConceptMap', optionalAuth, async (req, res) => {
-  try {
-    const conceptMap = await fhirService.generateConceptMap();
-    res.json(conceptMap);
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+router.get('/ValueSet', optionalAuth, requireScope('ValueSet', 'search'), fhirController.getValueSets);
 
 /**
  * @swagger
- * /fhir/$translate:
+ * /fhir/ValueSet/$expand:
+ *   get:
+ *     summary: Expand a value set (paged, filterable)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: url
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: filter
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: count
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: offset
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: useSupplement
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: activeOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: displayLanguage
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: includeDesignations
+ *         in: query
+ *         schema:
+ *           type: boolean
  *   post:
- *     summary: Translate codes between systems
+ *     summary: Expand a stored or supplied (intensional) value set
  *     tags: [FHIR]
  */
-router.post('/$translate', optionalAuth, async (req, res) => {
-  try {
-    const { system, code, target } = req.body;
-    
-    if (!system || !code) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'system and code parameters required'
-      });
-    }
-
-    const translations = await fhirService.translateCode(system, code, target);
-    
-    res.json({
-      resourceType: "Parameters",
-      parameter: [
-        {
-          name: "result",
-          valueBoolean: translations.length > 0
-        },
-        ...translations.map(t => ({
-          name: "match",
-          part: [
-            {
-              name: "equivalence", 
-              valueCode: t.equivalence
-            },
-            {
-              name: "concept",
-              valueCoding: t.concept
-            }
-          ]
-        }))
-      ]
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+router.get('/ValueSet/$expand', optionalAuth, requireScope('ValueSet', 'read'), fhirController.expandValueSetOperation);
+router.post('/ValueSet/$expand', optionalAuth, requireScope('ValueSet', 'read'), fhirController.expandValueSetOperation);
+
+/**
+ * @swagger
+ * /fhir/ValueSet/{id}/$expand:
+ *   get:
+ *     summary: Expand a specific value set
+ *     tags: [FHIR]
+ *   post:
+ *     summary: Expand a specific value set (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/ValueSet/:id/$expand', optionalAuth, requireScope('ValueSet', 'read'), fhirController.expandValueSetOperation);
+router.post('/ValueSet/:id/$expand', optionalAuth, requireScope('ValueSet', 'read'), fhirController.expandValueSetOperation);
+
+/**
+ * @swagger
+ * /fhir/ValueSet/{id}:
+ *   get:
+ *     summary: Get specific ValueSet
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/ValueSet/:id', optionalAuth, requireScope('ValueSet', 'read'), fhirController.getValueSet);
+
+/**
+ * @swagger
+ * /fhir/$translate:
+ *   post:
+ *     summary: Translate codes between systems
+ *     tags: [FHIR]
+ */
+router.post('/$translate', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.translateOperation);
+
+/**
+ * @swagger
+ * /fhir/ConceptMap/$translate:
+ *   get:
+ *     summary: Translate a code using the NAMASTE-ICD-11 concept maps
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: system
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: code
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: url
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: target
+ *         in: query
+ *         description: Target ValueSet canonical
+ *         schema:
+ *           type: string
+ *       - name: targetsystem
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: reverse
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *   post:
+ *     summary: Translate a code, coding or codeableConcept (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/ConceptMap/$translate', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.translateOperation);
+router.post('/ConceptMap/$translate', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.translateOperation);
+
+/**
+ * @swagger
+ * /fhir/ConceptMap/{id}/$translate:
+ *   get:
+ *     summary: Translate a code using a specific concept map
+ *     tags: [FHIR]
+ *   post:
+ *     summary: Translate using a specific concept map (Parameters resource)
+ *     tags: [FHIR]
+ */
+router.get('/ConceptMap/:id/$translate', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.translateOperation);
+router.post('/ConceptMap/:id/$translate', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.translateOperation);
+
+/**
+ * @swagger
+ * /fhir/ConceptMap/{id}/_history:
+ *   get:
+ *     summary: Version history of a ConceptMap (summaries; read a version for its groups)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: _count
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: history Bundle
+ */
+router.get('/ConceptMap/:id/_history', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.getConceptMapHistory);
+
+/**
+ * @swagger
+ * /fhir/ConceptMap/{id}/_history/{versionId}:
+ *   get:
+ *     summary: Read a ConceptMap as it was at a version
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: versionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/ConceptMap/:id/_history/:versionId', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.getConceptMapVersion);
+
+/**
+ * @swagger
+ * /fhir/ConceptMap/{id}:
+ *   get:
+ *     summary: Read a concept map with all of its mappings (streamed)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: version
+ *         in: query
+ *         description: A mapping release (e.g. 2026.10), read from its snapshot, or the current version (1.0.x)
+ *         schema:
+ *           type: string
+ *       - name: If-None-Match
+ *         in: header
+ *         description: ETag from an earlier read; 304 if the ConceptMap is unchanged
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ConceptMap with ETag and Last-Modified headers
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: Unknown ConceptMap or version
+ */
+router.get('/ConceptMap/:id', optionalAuth, requireScope('ConceptMap', 'read'), fhirController.getConceptMap);
+
+/**
+ * @swagger
+ * /fhir/Patient:
+ *   get:
+ *     summary: Search patients with consent on record
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: _id
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: identifier
+ *         in: query
+ *         description: system|value or value, e.g. an ABHA number
+ *         schema:
+ *           type: string
+ *       - name: name
+ *         in: query
+ *         description: Start of a family, given or text name
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle of Patient resources
+ *   post:
+ *     summary: Create a patient
+ *     description: The Patient must carry the namaste-patient-consent extension with given = true.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Created; Location, ETag and Last-Modified name the new version
+ *       403:
+ *         description: No valid consent
+ */
+router.get('/Patient', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'search'), fhirController.searchPatientData);
+router.post('/Patient', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'create'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}/$everything:
+ *   get:
+ *     summary: All stored resources of a patient (Patient, Condition, Encounter)
+ *     description: Returns nothing unless the patient's consent is given, to the current consent version, and within its retention period.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: _since
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: _type
+ *         in: query
+ *         description: Comma-separated resource types
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle
+ *       403:
+ *         description: No valid consent, or the token's scopes do not cover this patient
+ */
+router.get('/Patient/:id/$everything', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'read'), fhirController.patientEverything);
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}/$summary:
+ *   get:
+ *     summary: International Patient Summary-style document with the active problem list
+ *     description: A document Bundle whose Composition lists active problems, with sub-sections for ICD-11 TM2 (including NAMASTE) and biomedicine codings. Consent is checked as for $everything.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: document Bundle
+ */
+router.get('/Patient/:id/$summary', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'read'), fhirController.patientSummary);
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}:
+ *   get:
+ *     summary: Read a patient
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Latest version of the Patient
+ *       304:
+ *         description: Not modified (If-None-Match / If-Modified-Since)
+ *       403:
+ *         description: No valid consent, or the token's scopes do not cover this patient
+ *   put:
+ *     summary: Update (or create with a chosen id) a patient
+ *     description: A consent extension on the Patient replaces the consent on record; given = false withdraws it. If-Match makes the update version-aware.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: If-Match
+ *         in: header
+ *         schema:
+ *           type: string
+ */
+router.get('/Patient/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'read'), fhirController.readPatientData);
+router.put('/Patient/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Patient', 'update'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/Condition:
+ *   get:
+ *     summary: Search conditions (the dual-coded problem list)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: patient
+ *         in: query
+ *         description: Patient/{id} or id
+ *         schema:
+ *           type: string
+ *       - name: encounter
+ *         in: query
+ *         description: Encounter/{id} or id
+ *         schema:
+ *           type: string
+ *       - name: code
+ *         in: query
+ *         description: system|code or code; comma-separated alternatives
+ *         schema:
+ *           type: string
+ *       - name: code:below
+ *         in: query
+ *         description: system|code of a NAMASTE or ICD-11 concept; matches it and all codes below it
+ *         schema:
+ *           type: string
+ *       - name: recorded-date
+ *         in: query
+ *         description: With optional eq/ne/ge/gt/le/lt prefix; may repeat
+ *         schema:
+ *           type: string
+ *       - name: clinical-status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: active
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle of Condition resources
+ *   post:
+ *     summary: Create a condition for a patient with consent on record
+ *     description: NAMASTE or ICD-11 codings are dual-coded from active mappings.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/Condition', authenticateToken, authorize('admin', 'clinician'), requireScope('Condition', 'search'), fhirController.searchPatientData);
+router.post('/Condition', authenticateToken, authorize('admin', 'clinician'), requireScope('Condition', 'create'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/Condition/{id}:
+ *   get:
+ *     summary: Read a condition
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *   put:
+ *     summary: Update a condition
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: If-Match
+ *         in: header
+ *         schema:
+ *           type: string
+ */
+router.get('/Condition/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Condition', 'read'), fhirController.readPatientData);
+router.put('/Condition/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Condition', 'update'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/Encounter:
+ *   get:
+ *     summary: Search encounters
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: patient
+ *         in: query
+ *         description: Patient/{id} or id
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: date
+ *         in: query
+ *         description: Start of the encounter period, with optional eq/ne/ge/gt/le/lt prefix; may repeat
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle of Encounter resources
+ *   post:
+ *     summary: Create an encounter for a patient with consent on record
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/Encounter', authenticateToken, authorize('admin', 'clinician'), requireScope('Encounter', 'search'), fhirController.searchPatientData);
+router.post('/Encounter', authenticateToken, authorize('admin', 'clinician'), requireScope('Encounter', 'create'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/Encounter/{id}:
+ *   get:
+ *     summary: Read an encounter
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *   put:
+ *     summary: Update an encounter
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: If-Match
+ *         in: header
+ *         schema:
+ *           type: string
+ */
+router.get('/Encounter/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Encounter', 'read'), fhirController.readPatientData);
+router.put('/Encounter/:id', authenticateToken, authorize('admin', 'clinician'), requireScope('Encounter', 'update'), fhirController.savePatientData);
+
+/**
+ * @swagger
+ * /fhir/{type}/$validate:
+ *   post:
+ *     summary: Validate a resource against its StructureDefinition profiles and our code systems
+ *     description: Checks the profiles in meta.profile and the profile parameter (cardinality, types, fixed values, bindings) and every NAMASTE and ICD-11 coding. The body is the resource itself or Parameters with resource and profile.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - name: type
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Patient, Condition, Encounter, Bundle]
+ *       - name: profile
+ *         in: query
+ *         description: Canonical url of a profile to validate against
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OperationOutcome with one issue per problem and its FHIRPath location
+ *       400:
+ *         description: The body is not a resource of the given type
+ */
+fhirConfig.validation.resourceTypes.forEach(type => {
+  router.post(`/${type}/$validate`, optionalAuth, requireScope(type, 'read'), fhirController.validateOperation);
+});
+
+/**
+ * @swagger
+ * /fhir/Provenance:
+ *   get:
+ *     summary: Search authorship and verification history of ConceptMap elements
+ *     description: One Provenance per recorded mapping change; target.extension (targetElement) holds the ConceptMap target id (mapping-{id}).
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: target
+ *         in: query
+ *         description: ConceptMap/{id} or ConceptMap canonical url
+ *         schema:
+ *           type: string
+ *       - name: agent
+ *         in: query
+ *         description: Practitioner/{id} (author or verifier)
+ *         schema:
+ *           type: string
+ *       - name: recorded
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: activity
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [create, update, verify, deactivate]
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle of Provenance resources
+ */
+router.get('/Provenance', authenticateToken, requireScope('Provenance', 'search'), fhirController.searchProvenance);
+
+/**
+ * @swagger
+ * /fhir/Provenance/{id}:
+ *   get:
+ *     summary: Get one Provenance resource
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/Provenance/:id', authenticateToken, requireScope('Provenance', 'read'), fhirController.getProvenance);
+
+/**
+ * @swagger
+ * /fhir/AuditEvent:
+ *   get:
+ *     summary: Search the audit trail as FHIR AuditEvent resources
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         description: Recorded time, with optional eq/ge/gt/le/lt prefix; may repeat
+ *         schema:
+ *           type: string
+ *       - name: agent
+ *         in: query
+ *         description: Practitioner/{id} or user id
+ *         schema:
+ *           type: string
+ *       - name: entity
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [C, R, U, D, E]
+ *       - name: subtype
+ *         in: query
+ *         description: Audit action, e.g. FHIR_TRANSLATE or MAPPING_CREATED
+ *         schema:
+ *           type: string
+ *       - name: outcome
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: ['0', '4', '8']
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_sort'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *     responses:
+ *       200:
+ *         description: searchset Bundle of AuditEvent resources
+ */
+router.get('/AuditEvent', authenticateToken, authorize('admin'), requireScope('AuditEvent', 'search'), fhirController.searchAuditEvents);
+
+/**
+ * @swagger
+ * /fhir/AuditEvent/{id}:
+ *   get:
+ *     summary: Get one audit log entry as an AuditEvent
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/AuditEvent/:id', authenticateToken, authorize('admin'), requireScope('AuditEvent', 'read'), fhirController.getAuditEvent);
+
+/**
+ * @swagger
+ * /fhir/Subscription:
+ *   get:
+ *     summary: Search your Subscriptions (admins see all)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [requested, active, error, off]
+ *       - name: url
+ *         in: query
+ *         description: The channel endpoint
+ *         schema:
+ *           type: string
+ *       - name: criteria
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/_count'
+ *       - $ref: '#/components/parameters/_offset'
+ *       - $ref: '#/components/parameters/_summary'
+ *       - $ref: '#/components/parameters/_elements'
+ *       - $ref: '#/components/parameters/_total'
+ *   post:
+ *     summary: Subscribe to ConceptMap or NAMASTE CodeSystem changes
+ *     description: >
+ *       REST-hook Subscriptions following the Subscriptions Backport. criteria is a SubscriptionTopic url
+ *       (with backport-filter-criteria extensions) or R4 criteria such as ConceptMap?source-system=ayurveda&event=verified
+ *       or CodeSystem?system=siddha&event=retired. The endpoint receives a handshake, then one history Bundle per event;
+ *       failed deliveries are retried with exponential backoff before the Subscription is set to error.
+ *       Admin only; endpoints must resolve to public addresses (and be on FHIR_SUBSCRIPTION_ALLOWED_HOSTS when set).
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The Subscription, status requested until the handshake succeeds
+ *       400:
+ *         description: Unsupported criteria, channel or endpoint
+ */
+router.get('/Subscription', authenticateToken, requireScope('Subscription', 'search'), fhirController.searchSubscriptions);
+router.post('/Subscription', authenticateToken, authorize('admin'), requireScope('Subscription', 'create'), fhirController.saveSubscription);
+
+/**
+ * @swagger
+ * /fhir/Subscription/{id}/$status:
+ *   get:
+ *     summary: Status of a Subscription (events since start, last delivery error)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: searchset Bundle with the SubscriptionStatus Parameters
+ */
+router.get('/Subscription/:id/$status', authenticateToken, requireScope('Subscription', 'read'), fhirController.subscriptionStatus);
+
+/**
+ * @swagger
+ * /fhir/Subscription/{id}:
+ *   get:
+ *     summary: Get a Subscription
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *   put:
+ *     summary: Update a Subscription (status off pauses it; a new endpoint repeats the handshake)
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a Subscription
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/Subscription/:id', authenticateToken, requireScope('Subscription', 'read'), fhirController.getSubscription);
+router.put('/Subscription/:id', authenticateToken, authorize('admin'), requireScope('Subscription', 'update'), fhirController.saveSubscription);
+router.delete('/Subscription/:id', authenticateToken, requireScope('Subscription', 'delete'), fhirController.deleteSubscription);
+
+// The CapabilityStatement is generated from the routes registered above
+fhirService.setRoutes(router);
 
 module.exports = router;
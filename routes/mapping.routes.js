@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { CodeMapping, NamesteCode, ICD11Code } = require('../models');
+const { CodeMapping } = require('../models');
+const mappingController = require('../controllers/mapping.controller');
 const { authenticateToken, authorize } = require('../middleware/auth.middleware');
 const { validateCreateMapping } = require('../middleware/validation.middleware');
-const { Op } = require('sequelize');
+
+// SSSOM files are posted as raw TSV
+const parseTsv = express.text({ type: ['text/tab-separated-values', 'text/plain'], limit: '10mb' });
 
 /**
  * @swagger
@@ -26,7 +29,7 @@ router.get('/namaste-to-icd11/:code', async (req, res) => {
     const mappings = await CodeMapping.findAll({
       where: { 
         namaste_code: code,
-        is_active: true 
+        status: 'approved'
       },
       include: [
         {
@@ -83,7 +86,7 @@ router.get('/icd11-to-namaste/:code', async (req, res) => {
     const mappings = await CodeMapping.findAll({
       where: { 
         icd11_code: code,
-        is_active: true 
+        status: 'approved'
       },
       include: [
         {
@@ -129,252 +132,486 @@ router.get('/icd11-to-namaste/:code', async (req, res) => {
 
 /**
  * @swagger
- * /api/mapping/create:
- *   post:
- *     summary: Create new code mapping
+ * /api/mapping/review-queue:
+ *   get:
+ *     summary: Mappings waiting for review (proposed or under review), longest waiting first
+ *     description: The caller's own mappings are left out unless include_own is true, as authors cannot review them.
  *     tags: [Code Mapping]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [proposed, under_review]
+ *       - name: system_type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [ayurveda, siddha, unani]
+ *       - name: category
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: confidence_min
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: confidence_max
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: escalated
+ *         in: query
+ *         description: Only mappings whose reviewers disagreed and that wait for a senior reviewer
+ *         schema:
+ *           type: boolean
+ *       - name: include_own
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: offset
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 0
  */
-router.post('/create', authenticateToken, authorize('admin', 'clinician'), validateCreateMapping, async (req, res) => {
-  try {
-    const { namaste_code, icd11_code, mapping_type, confidence_score, notes } = req.body;
-    
-    // Verify both codes exist
-    const namasteExists = await NamesteCode.findOne({
-      where: { code: namaste_code, status: 'active' }
-    });
-    
-    const icd11Exists = await ICD11Code.findOne({
-      where: { 
-        [Op.or]: [
-          { icd_id: icd11_code },
-          { code: icd11_code }
-        ],
-        status: 'active'
-      }
-    });
+router.get('/review-queue', authenticateToken, authorize('admin', 'clinician'), mappingController.getReviewQueue);
 
-    if (!namasteExists) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'NAMASTE code not found'
-      });
-    }
+/**
+ * @swagger
+ * /api/mapping/reviews/agreement:
+ *   get:
+ *     summary: Inter-rater agreement of mapping reviewers
+ *     description: |
+ *       Fleiss' kappa over all votes on each mapping review round, pairwise Cohen's kappa for every two
+ *       reviewers who rated the same mappings, and each reviewer's agreement with their peers and with the
+ *       final outcome. Labels are the voted mapping_type or reject.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: system_type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [ayurveda, siddha, unani]
+ */
+router.get('/reviews/agreement', authenticateToken, authorize('admin', 'clinician'), mappingController.getAgreementReport);
 
-    if (!icd11Exists) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'ICD-11 code not found'
-      });
-    }
+/**
+ * @swagger
+ * /api/mapping/restore:
+ *   post:
+ *     summary: Restore every mapping changed since a point in time
+ *     description: |
+ *       Each mapping changed after the timestamp gets back the values it had then; mappings created later are
+ *       retired. All restores run in one transaction and each is recorded as a new revision, so a restore can
+ *       itself be undone.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [timestamp]
+ *             properties:
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the mapping history (defaults to "Restored to <timestamp>")
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Report what would change without changing anything
+ */
+router.post('/restore', authenticateToken, authorize('admin'), mappingController.restoreMappings);
 
-    // Check if mapping already exists
-    const existingMapping = await CodeMapping.findOne({
-      where: {
-        namaste_code,
-        icd11_code: icd11Exists.icd_id
-      }
-    });
+/**
+ * @swagger
+ * /api/mapping/releases:
+ *   get:
+ *     summary: List mapping releases, newest first
+ *     tags: [Code Mapping]
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: offset
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *   post:
+ *     summary: Cut a named release of every approved mapping
+ *     description: |
+ *       Snapshots all approved mappings under the version. Release notes are generated from the diff against
+ *       the latest earlier release. The release is served as FHIR ConceptMap/{id}?version=<version>.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: string
+ *                 example: "2026.10"
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.get('/releases', mappingController.listReleases);
+router.post('/releases', authenticateToken, authorize('admin'), mappingController.createRelease);
 
-    if (existingMapping) {
-      return res.status(409).json({
-        error: 'Conflict',
-        message: 'Mapping already exists'
-      });
-    }
+/**
+ * @swagger
+ * /api/mapping/releases/{version}:
+ *   get:
+ *     summary: Get a mapping release with its release notes
+ *     tags: [Code Mapping]
+ *     parameters:
+ *       - name: version
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/releases/:version', mappingController.getRelease);
 
-    // Create new mapping
-    const newMapping = await CodeMapping.create({
-      namaste_code,
-      icd11_code: icd11Exists.icd_id,
-      mapping_type: mapping_type || 'equivalent',
-      confidence_score: confidence_score || 1.0,
-      notes,
-      verified_by: req.user.id,
-      verified_at: new Date()
-    });
+/**
+ * @swagger
+ * /api/mapping/releases/{a}/diff/{b}:
+ *   get:
+ *     summary: Mappings added, removed and changed from release a to release b
+ *     description: Mappings are matched on their NAMASTE and ICD-11 codes; changes compare mapping_type, confidence_score, notes and metadata. Includes release notes generated from the diff.
+ *     tags: [Code Mapping]
+ *     parameters:
+ *       - name: a
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: b
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/releases/:a/diff/:b', mappingController.diffReleases);
 
-    res.status(201).json({
-      message: 'Mapping created successfully',
-      mapping: newMapping
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /api/mapping/export/sssom:
+ *   get:
+ *     summary: Export mappings as SSSOM TSV
+ *     description: |
+ *       Simple Standard for Sharing Ontological Mappings TSV with a YAML metadata block. Mapping types become
+ *       SKOS predicates read from NAMASTE to ICD-11 (equivalent: exactMatch, narrower: broadMatch, broader:
+ *       narrowMatch, related: relatedMatch); confidence, authors and approving reviewers are carried over.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [draft, proposed, under_review, approved, rejected, retired]
+ *           default: approved
+ *       - name: system_type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [ayurveda, siddha, unani]
+ *       - name: module
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [tm2, biomedicine]
+ *     responses:
+ *       200:
+ *         content:
+ *           text/tab-separated-values:
+ *             schema:
+ *               type: string
+ */
+router.get('/export/sssom', authenticateToken, mappingController.exportSssom);
 
 /**
  * @swagger
- * /api/mapping/{id}:
- *   put:
- *     summary: Update existing mapping
+ * /api/mapping/import/sssom:
+ *   post:
+ *     summary: Import an SSSOM TSV as proposed mappings
+ *     description: |
+ *       Rows are validated (NAMASTE subject, ICD-11 object, SKOS predicate, justification, confidence) against
+ *       the file's curie_map. Valid rows become proposed mappings authored by the caller and enter review.
+ *       Rows that differ from a mapping we hold, repeat a rejected or retired one, compete with an existing
+ *       exact match or repeat another row are reported as conflicts and not imported.
  *     tags: [Code Mapping]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: dry_run
+ *         in: query
+ *         description: Validate and report conflicts without creating anything
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/tab-separated-values:
+ *           schema:
+ *             type: string
  */
-router.put('/:id', authenticateToken, authorize('admin', 'clinician'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { mapping_type, confidence_score, notes, is_active } = req.body;
-    
-    const mapping = await CodeMapping.findByPk(id);
-    if (!mapping) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Mapping not found'
-      });
-    }
+router.post('/import/sssom', authenticateToken, authorize('admin', 'clinician'), parseTsv, mappingController.importSssom);
 
-    // Update mapping
-    await mapping.update({
-      mapping_type: mapping_type || mapping.mapping_type,
-      confidence_score: confidence_score !== undefined ? confidence_score : mapping.confidence_score,
-      notes: notes !== undefined ? notes : mapping.notes,
-      is_active: is_active !== undefined ? is_active : mapping.is_active,
-      verified_by: req.user.id,
-      verified_at: new Date()
-    });
+/**
+ * @swagger
+ * /api/mapping/statistics:
+ *   get:
+ *     summary: Mapping statistics, including review status and consensus coverage
+ *     tags: [Code Mapping]
+ */
+router.get('/statistics', mappingController.getStatistics);
 
-    res.json({
-      message: 'Mapping updated successfully',
-      mapping
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /api/mapping/create:
+ *   post:
+ *     summary: Create new code mapping as a draft
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/create', authenticateToken, authorize('admin', 'clinician'), validateCreateMapping, mappingController.createMapping);
+
+/**
+ * @swagger
+ * /api/mapping/batch-translate:
+ *   post:
+ *     summary: Batch translate multiple codes using approved mappings
+ *     tags: [Code Mapping]
+ */
+router.post('/batch-translate', mappingController.batchTranslate);
 
 /**
  * @swagger
  * /api/mapping/{id}:
- *   delete:
- *     summary: Delete mapping
+ *   get:
+ *     summary: Get a mapping with its review status
  *     tags: [Code Mapping]
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const mapping = await CodeMapping.findByPk(id);
-    if (!mapping) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Mapping not found'
-      });
-    }
+router.get('/:id', authenticateToken, mappingController.getMapping);
 
-    // Soft delete by setting is_active to false
-    await mapping.update({ is_active: false });
+/**
+ * @swagger
+ * /api/mapping/{id}:
+ *   put:
+ *     summary: Update a draft mapping
+ *     description: Only the author or an administrator can edit, and only while the mapping is a draft.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       409:
+ *         description: The mapping is not a draft
+ *       412:
+ *         description: If-Match does not match the current version
+ */
+router.put('/:id', authenticateToken, authorize('admin', 'clinician'), mappingController.updateMapping);
 
-    res.json({
-      message: 'Mapping deleted successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /api/mapping/{id}:
+ *   delete:
+ *     summary: Retire mapping
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', authenticateToken, authorize('admin'), mappingController.deleteMapping);
 
 /**
  * @swagger
- * /api/mapping/batch-translate:
+ * /api/mapping/{id}/transition:
  *   post:
- *     summary: Batch translate multiple codes
+ *     summary: Move a mapping through the review workflow
+ *     description: |
+ *       draft → proposed → under_review → approved / rejected → retired. Authors propose and withdraw their
+ *       own mappings, clinicians and administrators other than the author take them under review, and
+ *       administrators retire, reinstate or reopen them. Approval and rejection are settled by reviewer votes
+ *       (POST /api/mapping/{id}/reviews). Only approved mappings appear in $translate and the ConceptMap.
  *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, proposed, under_review, approved, rejected, retired]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Mapping moved to the new status
+ *       400:
+ *         description: Unknown status, or a rejection without a reason
+ *       403:
+ *         description: The user may not make this transition (authors cannot review their own mappings)
+ *       409:
+ *         description: The transition is not allowed from the current status, or is decided by reviewer votes
  */
-router.post('/batch-translate', async (req, res) => {
-  try {
-    const { codes, source_system, target_system } = req.body;
-    
-    if (!codes || !Array.isArray(codes) || codes.length === 0) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'codes array is required'
-      });
-    }
+router.post('/:id/transition', authenticateToken, authorize('admin', 'clinician'), mappingController.transitionMapping);
 
-    if (codes.length > 50) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Maximum 50 codes allowed per batch'
-      });
-    }
+/**
+ * @swagger
+ * /api/mapping/{id}/history:
+ *   get:
+ *     summary: Every saved revision of a mapping, newest first
+ *     description: Each revision lists its values, the fields it changed, who changed them and why.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/history', authenticateToken, mappingController.getHistory);
 
-    const results = {};
-    
-    if (source_system === 'namaste' && target_system === 'icd11') {
-      const mappings = await CodeMapping.findAll({
-        where: {
-          namaste_code: { [Op.in]: codes },
-          is_active: true
-        },
-        include: [
-          { association: 'namasteCodeDetails' },
-          { association: 'icd11CodeDetails' }
-        ]
-      });
+/**
+ * @swagger
+ * /api/mapping/{id}/history/{from}/diff/{to}:
+ *   get:
+ *     summary: Field-by-field differences between two revisions of a mapping
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: to
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ */
+router.get('/:id/history/:from/diff/:to', authenticateToken, mappingController.diffHistory);
 
-      codes.forEach(code => {
-        const codeMappings = mappings.filter(m => m.namaste_code === code);
-        results[code] = codeMappings.map(mapping => ({
-          target_code: mapping.icd11_code,
-          target_display: mapping.icd11CodeDetails.title,
-          mapping_type: mapping.mapping_type,
-          confidence_score: parseFloat(mapping.confidence_score)
-        }));
-      });
-    } else if (source_system === 'icd11' && target_system === 'namaste') {
-      const mappings = await CodeMapping.findAll({
-        where: {
-          icd11_code: { [Op.in]: codes },
-          is_active: true
-        },
-        include: [
-          { association: 'namasteCodeDetails' },
-          { association: 'icd11CodeDetails' }
-        ]
-      });
+/**
+ * @swagger
+ * /api/mapping/{id}/restore:
+ *   post:
+ *     summary: Restore a mapping to its state at a point in time
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [timestamp]
+ *             properties:
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the mapping history (defaults to "Restored to <timestamp>")
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Report what would change without changing anything
+ */
+router.post('/:id/restore', authenticateToken, authorize('admin'), mappingController.restoreMapping);
 
-      codes.forEach(code => {
-        const codeMappings = mappings.filter(m => m.icd11_code === code);
-        results[code] = codeMappings.map(mapping => ({
-          target_code: mapping.namaste_code,
-          target_display: mapping.namasteCodeDetails.display_name,
-          target_system_type: mapping.namasteCodeDetails.system_type,
-          mapping_type: mapping.mapping_type,
-          confidence_score: parseFloat(mapping.confidence_score)
-        }));
-      });
-    } else {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid source_system or target_system'
-      });
-    }
+/**
+ * @swagger
+ * /api/mapping/{id}/reviews:
+ *   get:
+ *     summary: Reviewer votes on a mapping, current review round first
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/reviews', authenticateToken, mappingController.listReviews);
 
-    res.json({
-      source_system,
-      target_system,
-      total_requested: codes.length,
-      results
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /api/mapping/{id}/reviews:
+ *   post:
+ *     summary: Vote on a proposed or under-review mapping
+ *     description: |
+ *       Each reviewer has one vote per review round; voting again replaces it. The mapping is approved (with
+ *       the agreed mapping_type) or rejected once the quorum of reviewers agree. When votes disagree it is
+ *       escalated to a senior reviewer not party to the disagreement, whose later vote decides, or rejected,
+ *       depending on MAPPING_REVIEW_ON_DISAGREEMENT. Authors cannot vote on their own mappings.
+ *     tags: [Code Mapping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               mapping_type:
+ *                 type: string
+ *                 enum: [equivalent, broader, narrower, related]
+ *                 description: The relationship the reviewer judges correct (defaults to the mapping's)
+ *               comment:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       201:
+ *         description: Vote recorded; outcome is pending, escalated, approved or rejected
+ *       403:
+ *         description: The user may not review this mapping
+ *       409:
+ *         description: The mapping is not open for review
+ */
+router.post('/:id/reviews', authenticateToken, authorize('admin', 'clinician'), mappingController.submitReview);
 
 module.exports = router;
@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { NamesteCode } = require('../models');
 const { authenticateToken, authorize } = require('../middleware/auth.middleware');
-const { validateCreateNamesteCode } = require('../middleware/validation.middleware');
+const { validateCreateNamesteCode, validateUpdateNamesteCode } = require('../middleware/validation.middleware');
 const { Op } = require('sequelize');
+const multer = require('multer');
+const namasteController = require('../controllers/namaste.controller');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
 /**
  * @swagger
@@ -107,32 +111,47 @@ router.get('/codes/:code', async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/codes', authenticateToken, authorize('admin', 'clinician'), validateCreateNamesteCode, async (req, res) => {
-  try {
-    const codeData = req.body;
-    
-    // Check if code already exists
-    const existingCode = await NamesteCode.findOne({ where: { code: codeData.code } });
-    if (existingCode) {
-      return res.status(409).json({
-        error: 'Conflict',
-        message: 'NAMASTE code already exists'
-      });
-    }
+router.post('/codes', authenticateToken, authorize('admin', 'clinician'), validateCreateNamesteCode, namasteController.createCode);
 
-    const newCode = await NamesteCode.create(codeData);
-    
-    res.status(201).json({
-      message: 'NAMASTE code created successfully',
-      code: newCode
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /api/namaste/codes/{code}:
+ *   put:
+ *     summary: Update a NAMASTE code
+ *     description: Honours If-Match with the code's version; setting status to inactive retires the code.
+ *     tags: [NAMASTE]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.put('/codes/:code', authenticateToken, authorize('admin', 'clinician'), validateUpdateNamesteCode, namasteController.updateCode);
+
+/**
+ * @swagger
+ * /api/namaste/import:
+ *   post:
+ *     summary: Import NAMASTE codes from CSV
+ *     description: "Columns: code, display_name, definition, system_type, category (first line is a header; fields may be quoted). Invalid rows and existing codes are skipped and reported; the other rows are created in one transaction."
+ *     tags: [NAMASTE]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ */
+router.post('/import', authenticateToken, authorize('admin'), upload.single('file'), namasteController.importCodes);
 
 /**
  * @swagger
@@ -1,4 +1,4 @@
-const { sequelize, CodeMapping, NamesteCode, ICD11Code } = require('../models');
+const { sequelize, CodeMapping, NamesteCode, ICD11Code, User } = require('../models');
 const logger = require('../utils/logger');
 const helpers = require('../utils/helpers');
 
@@ -43,8 +43,7 @@ class MappingCreator {
       const existingMapping = await CodeMapping.findOne({
         where: {
           namaste_code: namasteCode,
-          icd11_code: icd11Entity.icd_id,
-          is_active: true
+          icd11_code: icd11Entity.icd_id
         }
       });
 
@@ -65,6 +64,8 @@ class MappingCreator {
         mapping_type: mappingType,
         confidence_score: calculatedConfidence,
         notes: notes,
+        // Scripted mappings go straight to the review queue; they are published once approved
+        status: 'proposed',
         is_active: true
       });
 
@@ -353,6 +354,7 @@ async function main() {
   const command = args[0];
 
   const creator = new MappingCreator();
+  const fs = require('fs');
 
   try {
     await sequelize.authenticate();
@@ -369,7 +371,6 @@ async function main() {
         break;
 
       case 'csv':
-        const fs = require('fs');
         const csvFile = args[1];
         if (!csvFile || !fs.existsSync(csvFile)) {
           console.error('CSV file path required and must exist');
@@ -379,6 +380,35 @@ async function main() {
         await creator.createMappingsFromCSV(csvData);
         break;
 
+      case 'sssom':
+        const sssomFile = args[1];
+        if (!sssomFile || !fs.existsSync(sssomFile)) {
+          console.error('SSSOM TSV file path required and must exist');
+          process.exit(1);
+        }
+        // Imported mappings are authored by an existing, active user (id or email)
+        const userArg = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+        if (!userArg) {
+          console.error('--user <id|email> is required: imported mappings are authored by that user');
+          process.exit(1);
+        }
+        const importUser = /^\d+$/.test(userArg)
+          ? await User.findByPk(parseInt(userArg))
+          : await User.findOne({ where: { email: userArg } });
+        if (!importUser || !importUser.is_active) {
+          console.error(`No active user '${userArg}'`);
+          process.exit(1);
+        }
+
+        const result = await require('../services/sssom.service').importMappings(fs.readFileSync(sssomFile, 'utf8'), {
+          user: importUser,
+          dryRun: args.includes('--dry-run')
+        });
+        console.log(JSON.stringify(result.summary, null, 2));
+        [...result.conflicts, ...result.errors].forEach(issue =>
+          console.log(`- line ${issue.line}: ${issue.message || issue.messages.join('; ')}`));
+        break;
+
       case 'validate':
         await creator.validateMappings();
         break;
@@ -397,6 +427,7 @@ async function main() {
         console.log('  sample                              - Create sample mappings');
         console.log('  auto [threshold]                    - Create automatic mappings (default threshold: 0.7)');
         console.log('  csv <file_path>                     - Create mappings from CSV file');
+        console.log('  sssom <file_path> --user <id|email> [--dry-run] - Import proposed mappings from an SSSOM TSV as the user');
         console.log('  validate                            - Validate existing mappings');
         console.log('  single <namaste> <icd11> [type]     - Create single mapping');
         console.log('\nExample CSV format:');
@@ -1,5 +1,7 @@
 const app = require('./app');
 const { sequelize } = require('./models');
+const mappingService = require('./services/mapping.service');
+const patientRecordService = require('./services/patient-record.service');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 3000;
@@ -12,9 +14,21 @@ async function startServer() {
     logger.info('Database connection established successfully');
 
     // Sync database models
+    const mappingColumns = await sequelize.getQueryInterface().describeTable('code_mappings').catch(() => ({}));
+    const resourceIndex = await sequelize.getQueryInterface().describeTable('patient_resources').catch(() => null);
     await sequelize.sync({ alter: true });
     logger.info('Database synchronized');
 
+    // The review status column is new: carry existing mappings into the workflow
+    if (!mappingColumns.status) {
+      await mappingService.adoptLegacyMappings();
+    }
+
+    // The resource search index is new: build it from the stored patient records
+    if (!resourceIndex) {
+      await patientRecordService.reindexResources();
+    }
+
     // Start server
     const server = app.listen(PORT, HOST, () => {
       logger.info(`🏥 NAMASTE-ICD11 API Server running on http://${HOST}:${PORT}`);
@@ -1,7 +1,75 @@
 const { AuditLog, User } = require('../models');
+const { utils: fhirUtils } = require('../config/fhir');
+const fhirSearchService = require('./fhir-search.service');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
+const AUDIT_EVENT_TYPE = 'http://terminology.hl7.org/CodeSystem/audit-event-type';
+const DICOM = 'http://dicom.nema.org/resources/ontology/DCM';
+const RESTFUL_INTERACTION = 'http://hl7.org/fhir/restful-interaction';
+const AUDIT_ACTION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/namaste-audit-action';
+
+const EVENT_TYPES = {
+  rest: { system: AUDIT_EVENT_TYPE, code: 'rest', display: 'RESTful Operation' },
+  authentication: { system: DICOM, code: '110114', display: 'User Authentication' },
+  securityChange: { system: DICOM, code: '110137', display: 'User Security Attributes Changed' },
+  export: { system: DICOM, code: '110106', display: 'Export' },
+  import: { system: DICOM, code: '110107', display: 'Import' }
+};
+
+// AuditLog action -> AuditEvent type, subtype (restful interaction or DICOM code) and CRUDE action
+const ACTION_EVENTS = {
+  FHIR_METADATA_ACCESS: { type: 'rest', interaction: 'capabilities', action: 'R' },
+  FHIR_CODESYSTEM_ACCESS: { type: 'rest', interaction: 'read', action: 'R' },
+  FHIR_CONCEPTMAP_READ: { type: 'rest', interaction: 'read', action: 'R' },
+  FHIR_TRANSLATE: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_VALIDATE_CODE: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_SUBSUMES: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_VALUESET_EXPAND: { type: 'rest', interaction: 'operation', action: 'E' },
+  BATCH_TRANSLATE: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_BUNDLE_SUBMIT: { type: 'rest', interaction: 'transaction', action: 'C' },
+  FHIR_SUPPLEMENT_CREATE: { type: 'rest', interaction: 'create', action: 'C' },
+  FHIR_SUPPLEMENT_UPDATE: { type: 'rest', interaction: 'update', action: 'U' },
+  FHIR_PATIENT_DATA_CREATE: { type: 'rest', interaction: 'create', action: 'C' },
+  FHIR_PATIENT_DATA_UPDATE: { type: 'rest', interaction: 'update', action: 'U' },
+  FHIR_PATIENT_DATA_READ: { type: 'rest', interaction: 'read', action: 'R' },
+  FHIR_PATIENT_DATA_SEARCH: { type: 'rest', interaction: 'search-type', action: 'R' },
+  FHIR_PATIENT_EVERYTHING: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_PATIENT_SUMMARY: { type: 'rest', interaction: 'operation', action: 'E' },
+  FHIR_SUBSCRIPTION_CREATE: { type: 'rest', interaction: 'create', action: 'C' },
+  FHIR_SUBSCRIPTION_UPDATE: { type: 'rest', interaction: 'update', action: 'U' },
+  FHIR_SUBSCRIPTION_DELETE: { type: 'rest', interaction: 'delete', action: 'D' },
+  FHIR_BULK_EXPORT: { type: 'export', action: 'R' },
+  FHIR_BULK_EXPORT_DOWNLOAD: { type: 'export', action: 'R' },
+  MAPPING_CREATED: { type: 'rest', interaction: 'create', action: 'C' },
+  MAPPING_UPDATED: { type: 'rest', interaction: 'update', action: 'U' },
+  MAPPING_DELETED: { type: 'rest', interaction: 'delete', action: 'D' },
+  MAPPING_STATUS_CHANGED: { type: 'rest', interaction: 'update', action: 'U' },
+  MAPPING_REVIEW_SUBMITTED: { type: 'rest', interaction: 'create', action: 'C' },
+  MAPPING_RESTORED: { type: 'rest', interaction: 'update', action: 'U' },
+  MAPPING_RELEASE_CREATED: { type: 'rest', interaction: 'create', action: 'C' },
+  MAPPINGS_EXPORTED: { type: 'export', action: 'R' },
+  MAPPINGS_IMPORTED: { type: 'import', action: 'C' },
+  NAMASTE_CODE_CREATED: { type: 'rest', interaction: 'create', action: 'C' },
+  NAMASTE_CODE_UPDATED: { type: 'rest', interaction: 'update', action: 'U' },
+  NAMASTE_CODE_ACCESS: { type: 'rest', interaction: 'read', action: 'R' },
+  NAMASTE_CODES_LIST: { type: 'rest', interaction: 'search-type', action: 'R' },
+  NAMASTE_CODES_IMPORTED: { type: 'import', action: 'C' },
+  LOGIN_SUCCESS: { type: 'authentication', subtype: { system: DICOM, code: '110122', display: 'Login' }, action: 'E' },
+  OAUTH_LOGIN: { type: 'authentication', subtype: { system: DICOM, code: '110122', display: 'Login' }, action: 'E' },
+  LOGIN_FAILED: { type: 'authentication', subtype: { system: DICOM, code: '110122', display: 'Login' }, action: 'E' },
+  LOGOUT: { type: 'authentication', subtype: { system: DICOM, code: '110123', display: 'Logout' }, action: 'E' },
+  TOKEN_REFRESHED: { type: 'authentication', action: 'E' },
+  USER_REGISTERED: { type: 'securityChange', action: 'C' },
+  SMART_TOKEN_ISSUED: { type: 'authentication', action: 'E' },
+  SMART_CLIENT_REGISTERED: { type: 'securityChange', action: 'C' },
+  SMART_CLIENT_DEACTIVATED: { type: 'securityChange', action: 'U' }
+};
+
+// Actions written by audit.middleware look like "GET /CodeSystem/:id"
+const HTTP_ACTION = /^(GET|POST|PUT|PATCH|DELETE) (.*)$/;
+const HTTP_ACTIONS = { GET: 'R', POST: 'C', PUT: 'U', PATCH: 'U', DELETE: 'D' };
+
 class AuditService {
   // Log an action
   async logAction({
@@ -35,7 +103,7 @@ class AuditService {
       // Log to application logger as well for critical actions
       const criticalActions = [
         'LOGIN_FAILED', 'USER_REGISTERED', 'MAPPING_CREATED',
-        'ICD11_SYNC', 'NAMASTE_CODES_IMPORTED', 'MAPPINGS_EXPORTED'
+        'ICD11_SYNC', 'NAMASTE_CODES_IMPORTED', 'MAPPINGS_EXPORTED', 'MAPPINGS_IMPORTED'
       ];
 
       if (criticalActions.includes(action)) {
@@ -428,6 +496,185 @@ class AuditService {
     };
   }
 
+  // AuditEvent type, subtype and action for an AuditLog action
+  describeAction(action) {
+    const known = ACTION_EVENTS[action];
+
+    if (known) {
+      return {
+        type: EVENT_TYPES[known.type],
+        subtype: known.subtype || (known.interaction && { system: RESTFUL_INTERACTION, code: known.interaction }),
+        action: known.action
+      };
+    }
+
+    const http = HTTP_ACTION.exec(action || '');
+    if (http) {
+      const [, method, path] = http;
+      let interaction;
+
+      if (path.includes('$')) {
+        interaction = 'operation';
+      } else if (method === 'GET') {
+        interaction = /\/:[^/]+$/.test(path) ? 'read' : 'search-type';
+      } else {
+        interaction = { POST: path === '/' ? 'transaction' : 'create', PUT: 'update', PATCH: 'patch', DELETE: 'delete' }[method];
+      }
+
+      return {
+        type: EVENT_TYPES.rest,
+        subtype: { system: RESTFUL_INTERACTION, code: interaction },
+        action: interaction === 'operation' ? 'E' : HTTP_ACTIONS[method]
+      };
+    }
+
+    return { type: EVENT_TYPES.rest, subtype: null, action: 'E' };
+  }
+
+  // AuditEvent.outcome: 0 success, 4 minor failure, 8 serious failure
+  auditOutcome(log) {
+    const statusCode = log.additional_info?.status_code;
+
+    if (statusCode >= 500) return '8';
+    if (statusCode >= 400 || log.action === 'LOGIN_FAILED') return '4';
+    return '0';
+  }
+
+  // Project an audit log row onto a FHIR AuditEvent
+  toAuditEvent(log) {
+    const { type, subtype, action } = this.describeAction(log.action);
+
+    return {
+      resourceType: 'AuditEvent',
+      id: String(log.id),
+      type,
+      subtype: [
+        ...(subtype ? [subtype] : []),
+        { system: AUDIT_ACTION_SYSTEM, code: log.action }
+      ],
+      action,
+      recorded: new Date(log.created_at).toISOString(),
+      outcome: this.auditOutcome(log),
+      agent: [{
+        ...(log.user_id && {
+          who: {
+            reference: `Practitioner/${log.user_id}`,
+            ...(log.user?.abha_id && { identifier: { system: 'https://healthid.abdm.gov.in', value: log.user.abha_id } }),
+            ...(log.user?.name && { display: log.user.name })
+          }
+        }),
+        ...(log.user?.role && { role: [{ text: log.user.role }] }),
+        requestor: true,
+        ...(log.ip_address && { network: { address: log.ip_address, type: '2' } })
+      }],
+      source: {
+        observer: { display: 'NAMASTE-ICD11 API' },
+        type: [{ system: 'http://terminology.hl7.org/CodeSystem/security-source-type', code: '4', display: 'Application Server' }]
+      },
+      ...((log.resource_type || log.resource_id) && {
+        entity: [{
+          what: {
+            ...(log.resource_id && { identifier: { value: log.resource_id } }),
+            ...(log.resource_type && { display: log.resource_type })
+          },
+          type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '2', display: 'System Object' },
+          ...(log.request_id && { detail: [{ type: 'request_id', valueString: log.request_id }] })
+        }]
+      })
+    };
+  }
+
+  // FHIR AuditEvent search over audit_logs (date, agent, entity, action, subtype, outcome)
+  async searchAuditEvents({ date = null, agent = null, entity = null, action = null, subtype = null, outcome = null }, params) {
+    const conditions = fhirSearchService.dateConditions(date, 'created_at');
+
+    if (agent) {
+      const userId = parseInt(String(agent).split('/').pop());
+      conditions.push(isNaN(userId) ? { '$user.abha_id$': agent } : { user_id: userId });
+    }
+
+    if (entity) {
+      conditions.push({ resource_id: String(entity).split('/').pop() });
+    }
+
+    if (subtype) {
+      conditions.push({ action: { [Op.in]: [].concat(subtype).map(value => value.split('|').pop()) } });
+    }
+
+    if (action) {
+      const actions = Object.keys(ACTION_EVENTS).filter(name => ACTION_EVENTS[name].action === action);
+      const methods = Object.keys(HTTP_ACTIONS).filter(method => HTTP_ACTIONS[method] === action);
+      const alternatives = [{ action: { [Op.in]: actions } }];
+
+      methods.forEach(method => alternatives.push({
+        [Op.and]: [{ action: { [Op.like]: `${method} %` } }, { action: { [Op.notLike]: '%$%' } }]
+      }));
+
+      if (action === 'E') {
+        alternatives.push({ [Op.and]: [{ action: { [Op.regexp]: '^(GET|POST|PUT|PATCH|DELETE) ' } }, { action: { [Op.like]: '%$%' } }] });
+      }
+
+      conditions.push({ [Op.or]: alternatives });
+    }
+
+    if (outcome) {
+      const { sequelize } = AuditLog;
+      const statusCode = sequelize.json('additional_info.status_code');
+      const outcomes = {
+        0: { [Op.and]: [
+          { [Op.or]: [sequelize.where(statusCode, Op.is, null), sequelize.where(statusCode, Op.lt, 400)] },
+          { action: { [Op.ne]: 'LOGIN_FAILED' } }
+        ] },
+        4: { [Op.or]: [
+          { [Op.and]: [sequelize.where(statusCode, Op.gte, 400), sequelize.where(statusCode, Op.lt, 500)] },
+          { action: 'LOGIN_FAILED' }
+        ] },
+        8: sequelize.where(statusCode, Op.gte, 500)
+      };
+
+      if (!outcomes[outcome]) {
+        throw fhirUtils.createError(400, 'invalid', `Unsupported outcome '${outcome}'`, 'outcome');
+      }
+      conditions.push(outcomes[outcome]);
+    }
+
+    try {
+      const { total, hasMore, rows } = await fhirSearchService.searchModel(AuditLog, {
+        where: { [Op.and]: conditions },
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'abha_id', 'role']
+        }],
+        params,
+        columns: { date: 'created_at' },
+        defaultOrder: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      return {
+        total,
+        hasMore,
+        events: rows.map(log => this.toAuditEvent(log))
+      };
+
+    } catch (error) {
+      logger.error('Failed to search audit events:', error);
+      throw error;
+    }
+  }
+
+  async getAuditEvent(id) {
+    const log = await AuditLog.findByPk(id, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'abha_id', 'role']
+      }]
+    });
+
+    return log ? this.toAuditEvent(log) : null;
+  }
+
   // Middleware to automatically log HTTP requests
   createAuditMiddleware() {
     return (req, res, next) => {
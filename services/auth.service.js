@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const smartService = require('./smart.service');
 const logger = require('../utils/logger');
 
 class AuthService {
@@ -7,7 +8,8 @@ class AuthService {
     const payload = {
       userId: user.id,
       abhaId: user.abha_id,
-      role: user.role
+      role: user.role,
+      scope: smartService.scopesForRole(user.role).join(' ')
     };
 
     const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
@@ -39,7 +41,8 @@ class AuthService {
   async login(abhaId, password = null) {
     const user = await User.findOne({ where: { abha_id: abhaId } });
     
-    if (!user || !user.is_active) {
+    // Service accounts of backend SMART clients only authenticate with client assertions
+    if (!user || !user.is_active || smartService.isServiceAccount(user)) {
       throw new Error('Invalid credentials');
     }
 
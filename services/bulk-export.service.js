@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { AuditLog } = require('../models');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const patientRecordService = require('./patient-record.service');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+class BulkExportService {
+  constructor() {
+    // Jobs cancelled while running; checked between output files
+    this.cancelled = new Set();
+  }
+
+  // Start an export job and run it in the background; returns the job as first written
+  async kickOff({ types, since = null, groupId = null, patientIds = null, request, userId }) {
+    await this.purgeExpired();
+
+    const job = {
+      id: uuidv4(),
+      status: 'in-progress',
+      request,
+      transactionTime: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + fhirConfig.bulkExport.expiryHours * 3600 * 1000).toISOString(),
+      types,
+      since: since ? since.toISOString() : null,
+      groupId,
+      userId,
+      progress: null,
+      output: [],
+      error: []
+    };
+
+    await fs.promises.mkdir(this.jobDirectory(job.id), { recursive: true });
+    await this.writeJob(job);
+
+    setImmediate(() => {
+      this.runJob(job, { since, patientIds }).catch(error => {
+        logger.error(`Bulk export ${job.id} failed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  async runJob(job, { since, patientIds }) {
+    try {
+      for (const [index, type] of job.types.entries()) {
+        if (this.cancelled.has(job.id)) {
+          this.cancelled.delete(job.id);
+          return;
+        }
+
+        job.progress = `Exporting ${type} (${index + 1} of ${job.types.length})`;
+        await this.writeJob(job);
+
+        const output = await this.writeNdjson(job, type, this.exportResources(type, { since, patientIds }));
+        if (output.count > 0) {
+          job.output.push(output);
+        }
+      }
+
+      job.status = 'completed';
+      job.progress = null;
+      await this.writeJob(job);
+
+      await auditService.logAction({
+        user_id: job.userId,
+        action: 'FHIR_BULK_EXPORT',
+        resource_type: 'fhir_operation',
+        resource_id: job.id,
+        additional_info: {
+          types: job.types,
+          since: job.since,
+          group: job.groupId,
+          output: job.output.map(({ type, count }) => ({ type, count }))
+        }
+      });
+    } catch (error) {
+      if (this.cancelled.delete(job.id)) {
+        return;
+      }
+
+      job.status = 'failed';
+      job.error.push({ type: 'OperationOutcome', message: error.message });
+      await this.writeJob(job);
+      throw error;
+    }
+  }
+
+  // Resources of one type to export
+  exportResources(type, { since, patientIds }) {
+    switch (type) {
+      case 'CodeSystem':
+        return this.codeSystemResources();
+      case 'ConceptMap':
+        return this.conceptMapResources();
+      case 'AuditEvent':
+        return this.auditEventResources(since);
+      default:
+        return patientRecordService.streamLatestResources({ types: [type], since, patientIds });
+    }
+  }
+
+  // One complete CodeSystem per NAMASTE system and ICD-11 module
+  async *codeSystemResources() {
+    for (const systemType of Object.keys(fhirConfig.codeSystems.namaste)) {
+      yield await fhirService.generateNamesteCodeSystem(systemType);
+    }
+
+    for (const module of Object.keys(fhirConfig.codeSystems.icd11)) {
+      yield await fhirService.generateICD11CodeSystem(module);
+    }
+  }
+
+  // One ConceptMap per NAMASTE system / ICD-11 module pair (the umbrella map would duplicate them)
+  async *conceptMapResources() {
+    for (const config of Object.values(fhirConfig.conceptMaps).filter(config => config.sourceSystem)) {
+      const conceptMap = await fhirService.generateConceptMap(config);
+      if (conceptMap.group.length > 0) {
+        yield conceptMap;
+      }
+    }
+  }
+
+  async *auditEventResources(since) {
+    const batchSize = fhirConfig.bulkExport.batchSize;
+    let lastId = 0;
+
+    while (true) {
+      const where = { id: { [Op.gt]: lastId } };
+      if (since) where.created_at = { [Op.gte]: since };
+
+      const logs = await AuditLog.findAll({ where, order: [['id', 'ASC']], limit: batchSize });
+
+      for (const log of logs) {
+        yield auditService.toAuditEvent(log);
+      }
+
+      if (logs.length < batchSize) break;
+      lastId = logs[logs.length - 1].id;
+    }
+  }
+
+  // Write resources to <job>/<Type>.ndjson, one per line, flushing in batches
+  async writeNdjson(job, type, resources) {
+    const fileName = `${type}.ndjson`;
+    const file = await fs.promises.open(path.join(this.jobDirectory(job.id), fileName), 'w');
+    let lines = [];
+    let count = 0;
+
+    try {
+      for await (const resource of resources) {
+        lines.push(JSON.stringify(resource));
+        count++;
+
+        if (lines.length >= fhirConfig.bulkExport.batchSize) {
+          await file.write(`${lines.join('\n')}\n`);
+          lines = [];
+        }
+      }
+
+      if (lines.length > 0) {
+        await file.write(`${lines.join('\n')}\n`);
+      }
+    } finally {
+      await file.close();
+    }
+
+    return {
+      type,
+      url: `${fhirConfig.server.baseUrl}/$export-file/${job.id}/${fileName}`,
+      count
+    };
+  }
+
+  // Bulk Data completion manifest
+  toManifest(job) {
+    return {
+      transactionTime: job.transactionTime,
+      request: job.request,
+      requiresAccessToken: true,
+      output: job.output,
+      error: job.error.map(({ type, message }) => ({
+        type,
+        url: `${fhirConfig.server.baseUrl}/$export-poll-status/${job.id}`,
+        message
+      }))
+    };
+  }
+
+  async getJob(jobId) {
+    if (!this.isJobId(jobId)) {
+      return null;
+    }
+
+    try {
+      const job = JSON.parse(await fs.promises.readFile(path.join(this.jobDirectory(jobId), 'job.json'), 'utf8'));
+
+      if (new Date(job.expiresAt) < new Date()) {
+        await this.removeJob(jobId);
+        return null;
+      }
+
+      return job;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Cancel a running job or delete a finished one along with its files
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      throw fhirUtils.createError(404, 'not-found', `Export job '${jobId}' not found`);
+    }
+
+    if (job.status === 'in-progress') {
+      this.cancelled.add(jobId);
+    }
+
+    await this.removeJob(jobId);
+    return job;
+  }
+
+  // Absolute path of an output file, or null if the job or file does not exist
+  async getFilePath(jobId, fileName) {
+    const job = await this.getJob(jobId);
+
+    if (!job || !job.output.some(output => output.url.endsWith(`/${jobId}/${fileName}`))) {
+      return null;
+    }
+
+    return { job, filePath: path.join(this.jobDirectory(jobId), fileName) };
+  }
+
+  async purgeExpired() {
+    let jobIds;
+
+    try {
+      jobIds = await fs.promises.readdir(fhirConfig.bulkExport.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    // getJob removes the expired ones
+    await Promise.all(jobIds.map(jobId => this.getJob(jobId)));
+  }
+
+  async writeJob(job) {
+    await fs.promises.writeFile(path.join(this.jobDirectory(job.id), 'job.json'), JSON.stringify(job, null, 2));
+  }
+
+  async removeJob(jobId) {
+    await fs.promises.rm(this.jobDirectory(jobId), { recursive: true, force: true });
+  }
+
+  jobDirectory(jobId) {
+    return path.join(fhirConfig.bulkExport.directory, jobId);
+  }
+
+  // Job ids are UUIDs; anything else never reaches the file system
+  isJobId(jobId) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId);
+  }
+}
+
+module.exports = new BulkExportService();
@@ -0,0 +1,216 @@
+const { Op } = require('sequelize');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+
+const SUMMARY_MODES = ['true', 'false', 'count', 'text', 'data'];
+const TOTAL_MODES = ['none', 'estimate', 'accurate'];
+
+// Elements every subsetted resource keeps
+const BASE_ELEMENTS = ['resourceType', 'id', 'meta'];
+
+class FhirSearchService {
+  // Standard result parameters (_count, _offset, _sort, _summary, _elements, _total).
+  // sortFields lists the search parameters a search can be sorted by.
+  parseResultParameters(query, { sortFields = [] } = {}) {
+    const { defaultPageSize, maxPageSize } = fhirConfig.pagination;
+    const integer = (name, fallback) => {
+      if (query[name] === undefined || query[name] === '') return fallback;
+
+      const value = Number(query[name]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw fhirUtils.createError(400, 'invalid', `${name} must be a non-negative integer`, name);
+      }
+      return value;
+    };
+
+    const summary = query._summary !== undefined ? String(query._summary) : null;
+    if (summary !== null && !SUMMARY_MODES.includes(summary)) {
+      throw fhirUtils.createError(400, 'invalid', `Unsupported _summary '${summary}'`, '_summary');
+    }
+
+    const total = query._total !== undefined ? String(query._total) : 'accurate';
+    if (!TOTAL_MODES.includes(total)) {
+      throw fhirUtils.createError(400, 'invalid', `Unsupported _total '${total}'`, '_total');
+    }
+
+    const sort = query._sort
+      ? String(query._sort).split(',').map(field => field.trim()).filter(Boolean).map(field => ({
+        field: field.replace(/^-/, ''),
+        descending: field.startsWith('-')
+      }))
+      : [];
+
+    const unsortable = sort.find(({ field }) => !sortFields.includes(field));
+    if (unsortable) {
+      throw fhirUtils.createError(400, 'not-supported', `Cannot sort by '${unsortable.field}'${
+        sortFields.length > 0 ? `; supported: ${sortFields.join(', ')}` : ''
+      }`, '_sort');
+    }
+
+    return {
+      // Larger pages are cut to maxPageSize; _summary=count returns no entries at all
+      count: summary === 'count' ? 0 : Math.min(integer('_count', defaultPageSize), maxPageSize),
+      offset: integer('_offset', 0),
+      sort,
+      summary,
+      elements: query._elements
+        ? String(query._elements).split(',').map(element => element.trim()).filter(Boolean)
+        : null,
+      total
+    };
+  }
+
+  // Sequelize order for _sort; columns maps sort fields to columns, ties are broken by id
+  order(params, columns, defaultOrder) {
+    if (params.sort.length === 0) {
+      return defaultOrder;
+    }
+
+    return [
+      ...params.sort.map(({ field, descending }) => [columns[field], descending ? 'DESC' : 'ASC']),
+      ['id', 'ASC']
+    ];
+  }
+
+  // Sequelize conditions for a FHIR date search parameter; it may repeat with eq/ne/ge/gt/le/lt prefixes
+  dateConditions(values, field, expression = 'date') {
+    return [].concat(values || []).map(value => {
+      const [, prefix = 'eq', dateValue] = /^(eq|ne|ge|gt|le|lt)?(.+)$/.exec(value);
+      const start = new Date(dateValue);
+
+      if (isNaN(start.getTime())) {
+        throw fhirUtils.createError(400, 'invalid', `Invalid date '${value}'`, expression);
+      }
+
+      // A date without a time means the whole day
+      const end = /T/.test(dateValue) ? new Date(start.getTime() + 1000) : new Date(start.getTime() + 24 * 3600 * 1000);
+      const ranges = {
+        eq: { [Op.gte]: start, [Op.lt]: end },
+        ne: { [Op.or]: [{ [Op.lt]: start }, { [Op.gte]: end }] },
+        ge: { [Op.gte]: start },
+        gt: { [Op.gte]: end },
+        le: { [Op.lt]: end },
+        lt: { [Op.lt]: start }
+      };
+
+      return { [field]: ranges[prefix] };
+    });
+  }
+
+  // Run a search page in the database: { total, hasMore, rows }. total is null for _total=none.
+  async searchModel(Model, { where = {}, include = [], attributes, params, columns = {}, defaultOrder = [['id', 'ASC']] }) {
+    if (params.summary === 'count') {
+      return { total: await Model.count({ where, include, distinct: true, col: 'id' }), hasMore: false, rows: [] };
+    }
+
+    const query = {
+      where,
+      include,
+      ...(attributes && { attributes }),
+      order: this.order(params, columns, defaultOrder),
+      offset: params.offset
+    };
+
+    if (params.total === 'none') {
+      // One row past the page tells whether there is a next page without counting
+      const rows = await Model.findAll({ ...query, limit: params.count + 1 });
+      return { total: null, hasMore: rows.length > params.count, rows: rows.slice(0, params.count) };
+    }
+
+    const { count, rows } = await Model.findAndCountAll({ ...query, limit: params.count, distinct: true });
+    return { total: count, hasMore: params.offset + rows.length < count, rows };
+  }
+
+  // Search page of an in-memory list; valueOf(item, field) gives an item's sort value
+  searchList(items, params, valueOf = (item, field) => item[field]) {
+    const sorted = params.sort.length > 0 ? [...items].sort((a, b) => this.compare(a, b, params.sort, valueOf)) : items;
+    const rows = sorted.slice(params.offset, params.offset + params.count);
+
+    return {
+      total: params.total === 'none' ? null : items.length,
+      hasMore: params.offset + rows.length < items.length,
+      rows
+    };
+  }
+
+  compare(a, b, sort, valueOf) {
+    for (const { field, descending } of sort) {
+      const left = valueOf(a, field);
+      const right = valueOf(b, field);
+      const order = left === right ? 0
+        : left === null || left === undefined ? 1
+          : right === null || right === undefined ? -1
+            : String(left).localeCompare(String(right), undefined, { sensitivity: 'base', numeric: true });
+
+      if (order !== 0) {
+        return descending ? -order : order;
+      }
+    }
+    return 0;
+  }
+
+  // searchset Bundle for a page, with self/next/previous links and _summary/_elements applied
+  bundle(req, resources, { total, hasMore }, params) {
+    return fhirUtils.createSearchBundle(
+      resources.map(resource => this.subset(resource, params)),
+      total,
+      params.offset,
+      this.links(req, params, hasMore)
+    );
+  }
+
+  links(req, params, hasMore) {
+    const pageUrl = offset => {
+      const search = new URLSearchParams();
+
+      Object.entries(req.query)
+        .filter(([name]) => name !== '_offset' && name !== '_count')
+        .forEach(([name, value]) => [].concat(value).forEach(item => search.append(name, item)));
+
+      if (params.summary !== 'count') {
+        search.set('_count', params.count);
+        search.set('_offset', offset);
+      }
+
+      return `${fhirConfig.server.baseUrl}${req.baseUrl.replace(/^\/fhir/, '')}${req.path}?${search}`;
+    };
+
+    return [
+      { relation: 'self', url: pageUrl(params.offset) },
+      ...(hasMore && params.count > 0 ? [{ relation: 'next', url: pageUrl(params.offset + params.count) }] : []),
+      ...(params.offset > 0 && params.count > 0
+        ? [{ relation: 'previous', url: pageUrl(Math.max(0, params.offset - params.count)) }]
+        : [])
+    ];
+  }
+
+  // Apply _summary and _elements to a resource; subsetted resources are tagged SUBSETTED
+  subset(resource, params) {
+    let subsetted;
+
+    if (params.elements) {
+      subsetted = this.pick(resource, [...BASE_ELEMENTS, ...params.elements]);
+    } else if (params.summary === 'true') {
+      const excluded = ['text', ...(fhirConfig.summaryExcludedElements[resource.resourceType] || [])];
+      subsetted = Object.fromEntries(Object.entries(resource).filter(([name]) => !excluded.includes(name)));
+    } else if (params.summary === 'text') {
+      subsetted = this.pick(resource, [...BASE_ELEMENTS, 'text', 'status']);
+    } else if (params.summary === 'data') {
+      const { text, ...data } = resource;
+      subsetted = data;
+    } else {
+      return resource;
+    }
+
+    const tags = (resource.meta?.tag || []).filter(tag => tag.code !== fhirConfig.subsettedTag.code);
+    return {
+      ...subsetted,
+      meta: { ...resource.meta, tag: [...tags, fhirConfig.subsettedTag] }
+    };
+  }
+
+  pick(resource, names) {
+    return Object.fromEntries(Object.entries(resource).filter(([name]) => names.includes(name)));
+  }
+}
+
+module.exports = new FhirSearchService();
@@ -1,105 +1,418 @@
-const { NamesteCode, ICD11Code, CodeMapping } = require('../models');
+const { NamesteCode, ICD11Code, CodeMapping, CodeSystemSupplement, MappingReleaseEntry } = require('../models');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const historyService = require('./history.service');
+const smartService = require('./smart.service');
+const fhirSearchService = require('./fhir-search.service');
+const helpers = require('../utils/helpers');
+
+const ICD11_ENTITY_URI = 'http://id.who.int/icd/entity';
+
+const HIERARCHY_PROPERTIES = [
+  {
+    code: 'parent',
+    uri: 'http://hl7.org/fhir/concept-properties#parent',
+    type: 'code',
+    description: 'The concept immediately above this one in the hierarchy'
+  },
+  {
+    code: 'child',
+    uri: 'http://hl7.org/fhir/concept-properties#child',
+    type: 'code',
+    description: 'A concept immediately below this one in the hierarchy'
+  }
+];
+
+const NAMASTE_PROPERTIES = [
+  { code: 'system', type: 'string', description: 'NAMASTE system (ayurveda, siddha or unani)' },
+  { code: 'category', type: 'string', description: 'NAMASTE disorder category' },
+  ...HIERARCHY_PROPERTIES,
+  { code: 'level', type: 'integer', description: 'Depth of the concept in the NAMASTE hierarchy (0 for top-level concepts)' },
+  {
+    code: 'status',
+    uri: 'http://hl7.org/fhir/concept-properties#status',
+    type: 'code',
+    description: 'Concept status (active or inactive)'
+  }
+];
+
+// mapping_type -> R4 ConceptMapEquivalence, NAMASTE source to ICD-11 target
+const FORWARD_EQUIVALENCE = {
+  equivalent: 'equivalent',
+  narrower: 'wider',
+  broader: 'narrower',
+  related: 'relatedto'
+};
+
+// The same relationships read from the ICD-11 side
+const REVERSE_EQUIVALENCE = {
+  equivalent: 'equivalent',
+  narrower: 'narrower',
+  broader: 'wider',
+  related: 'relatedto'
+};
+
+// Raise an error the controllers report as a client error rather than a 500
+function invalidRequest(message) {
+  return fhirUtils.createError(400, 'invalid', message);
+}
 
 class FhirService {
+  // The /fhir router the CapabilityStatement is generated from
+  setRoutes(router) {
+    this.router = router;
+  }
+
+  // Interactions and operations of the routes registered on the /fhir router
+  describeRoutes() {
+    const resources = {};
+    const systemInteractions = new Set();
+    const systemOperations = new Set();
+    const resourceFor = type => resources[type] = resources[type] || { interactions: new Set(), operations: new Set() };
+
+    for (const layer of this.router?.stack || []) {
+      if (!layer.route || typeof layer.route.path !== 'string') continue;
+
+      const methods = Object.keys(layer.route.methods).filter(method => layer.route.methods[method]);
+      const segments = layer.route.path.split('/').filter(Boolean);
+      const operation = segments.find(segment => segment.startsWith('$'))?.slice(1);
+      const [type, second, third, fourth] = segments;
+
+      if (segments.length === 0) {
+        if (methods.includes('post')) systemInteractions.add('transaction');
+        continue;
+      }
+
+      // System-level paths: /$operation, /metadata
+      if (!/^[A-Z]/.test(type)) {
+        if (operation) systemOperations.add(operation);
+        continue;
+      }
+
+      const resource = resourceFor(type);
+
+      if (operation) {
+        resource.operations.add(operation);
+      } else if (segments.length === 1) {
+        if (methods.includes('get')) resource.interactions.add('search-type');
+        if (methods.includes('post')) resource.interactions.add('create');
+      } else if (second === '_history') {
+        resource.interactions.add('history-type');
+      } else if (third === '_history') {
+        resource.interactions.add(fourth ? 'vread' : 'history-instance');
+      } else if (segments.length === 2) {
+        if (methods.includes('get')) resource.interactions.add('read');
+        if (methods.includes('put')) resource.interactions.add('update');
+        if (methods.includes('patch')) resource.interactions.add('patch');
+        if (methods.includes('delete')) resource.interactions.add('delete');
+      }
+    }
+
+    return { resources, systemInteractions, systemOperations };
+  }
+
+  // CapabilityStatement operation entries for the operation names we have definitions for
+  capabilityOperations(names) {
+    return [...names]
+      .map(name => Object.values(fhirConfig.operations).find(operation => operation.name === name))
+      .filter(Boolean)
+      .map(operation => ({
+        name: operation.name,
+        definition: operation.definition,
+        documentation: operation.description
+      }));
+  }
+
   generateCapabilityStatement() {
+    const template = fhirConfig.capabilityStatement;
+    const { resources, systemInteractions, systemOperations } = this.describeRoutes();
+    const smartEndpoints = smartService.endpoints();
+
+    const resource = Object.keys(resources).sort().map(type => {
+      const { interactions, operations } = resources[type];
+      const searchParams = interactions.has('search-type')
+        ? fhirConfig.searchParameters[type.charAt(0).toLowerCase() + type.slice(1)] || []
+        : [];
+      const operation = this.capabilityOperations(operations);
+
+      return {
+        type,
+        ...(interactions.size > 0 && {
+          interaction: [...interactions].map(code => ({ code }))
+        }),
+        ...(searchParams.length > 0 && {
+          searchParam: searchParams.map(({ name, type: paramType, description }) => ({
+            name,
+            type: paramType,
+            documentation: description
+          }))
+        }),
+        // Resources with vread are versioned and answer conditional reads
+        ...(interactions.has('vread') && {
+          versioning: 'versioned',
+          readHistory: true,
+          conditionalRead: 'full-support'
+        }),
+        ...(operation.length > 0 && { operation }),
+        // Subscriptions Backport: the topics a Subscription can name
+        ...(type === 'Subscription' && {
+          extension: Object.values(fhirConfig.subscriptions.topics).map(topic => ({
+            url: fhirConfig.extensions.subscriptionTopicCanonical,
+            valueCanonical: topic.url
+          }))
+        })
+      };
+    });
+
     return {
-      resourceType: "CapabilityStatement",
-      id: "namaste-icd11-api",
-      url: "http://terminology.hl7.org/CapabilityStatement/namaste-icd11-api",
-      version: "1.0.0",
-      name: "NAMASTE_ICD11_API",
-      title: "NAMASTE to ICD-11 Terminology Server",
-      status: "active",
+      ...template,
       date: new Date().toISOString().split('T')[0],
-      publisher: "Healthcare API Team",
-      description: "FHIR R4 Terminology Server for NAMASTE to ICD-11 code mapping",
-      kind: "instance",
+      publisher: fhirConfig.server.publisher,
+      instantiates: ["http://hl7.org/fhir/CapabilityStatement/terminology-server"],
       implementation: {
-        description: "NAMASTE-ICD11 API Server",
-        url: process.env.API_BASE_URL || "http://localhost:3000"
+        ...template.implementation,
+        url: fhirConfig.server.baseUrl
       },
-      fhirVersion: "4.0.1",
-      format: ["json"],
+      fhirVersion: fhirConfig.server.version,
       rest: [{
-        mode: "server",
-        resource: [
-          {
-            type: "CodeSystem",
-            interaction: [
-              { code: "read" },
-              { code: "search-type" }
-            ],
-            searchParam: [
-              {
-                name: "url",
-                type: "uri"
-              },
-              {
-                name: "version",
-                type: "token"
-              }
-            ]
-          },
-          {
-            type: "ConceptMap",
-            interaction: [
-              { code: "read" },
-              { code: "search-type" }
+        ...template.rest[0],
+        security: {
+          ...template.rest[0].security,
+          extension: [{
+            url: fhirConfig.extensions.oauthUris,
+            extension: [
+              { url: 'authorize', valueUri: smartEndpoints.authorize },
+              { url: 'token', valueUri: smartEndpoints.token }
             ]
-          }
-        ],
-        operation: [
-          {
-            name: "translate",
-            definition: "http://hl7.org/fhir/OperationDefinition/ConceptMap-translate"
-          }
-        ]
+          }]
+        },
+        resource,
+        ...(systemInteractions.size > 0 && {
+          interaction: [...systemInteractions].map(code => ({ code }))
+        }),
+        ...(systemOperations.size > 0 && {
+          operation: this.capabilityOperations(systemOperations)
+        })
       }]
     };
   }
 
-  async generateNamesteCodeSystem(systemType = null) {
-    const whereClause = systemType ? { system_type: systemType, status: 'active' } : { status: 'active' };
-    const codes = await NamesteCode.findAll({ where: whereClause });
+  // TerminologyCapabilities (GET /metadata?mode=terminology)
+  async generateTerminologyCapabilities() {
+    const supplements = await CodeSystemSupplement.findAll({
+      where: { status: 'active' },
+      attributes: ['supplements', 'language']
+    });
+    const supplementLanguages = system => supplements
+      .filter(supplement => supplement.language && supplement.supplements.split('|')[0] === system)
+      .map(supplement => supplement.language);
+
+    const namasteVersions = await Promise.all(
+      Object.keys(fhirConfig.codeSystems.namaste).map(systemType => this.namasteCodeSystemVersion(systemType))
+    );
+
+    const codeSystem = [
+      ...Object.values(fhirConfig.codeSystems.namaste).map((config, index) => ({
+        uri: config.url,
+        version: [{
+          code: this.versionElements(namasteVersions[index]).version,
+          isDefault: true,
+          language: [...new Set(['en', config.language, ...supplementLanguages(config.url)])],
+          property: NAMASTE_PROPERTIES.map(property => property.code)
+        }],
+        subsumption: true
+      })),
+      ...Object.values(fhirConfig.codeSystems.icd11).map(config => ({
+        uri: config.url,
+        version: [{
+          code: config.version,
+          isDefault: true,
+          language: [...new Set(['en', ...supplementLanguages(config.url)])],
+          property: [...HIERARCHY_PROPERTIES.map(property => property.code), 'status']
+        }],
+        subsumption: true
+      }))
+    ];
+
+    return {
+      resourceType: "TerminologyCapabilities",
+      id: "namaste-icd11-terminology",
+      url: `${fhirConfig.server.baseUrl}/metadata?mode=terminology`,
+      version: fhirConfig.capabilityStatement.version,
+      name: "NAMASTE_ICD11_Terminology",
+      title: "NAMASTE to ICD-11 Terminology Capabilities",
+      status: "active",
+      date: new Date().toISOString().split('T')[0],
+      publisher: fhirConfig.server.publisher,
+      description: fhirConfig.server.description,
+      kind: "instance",
+      software: fhirConfig.capabilityStatement.software,
+      implementation: {
+        description: fhirConfig.capabilityStatement.implementation.description,
+        url: fhirConfig.server.baseUrl
+      },
+      lockedDate: false,
+      codeSystem,
+      expansion: {
+        hierarchical: false,
+        paging: true,
+        incomplete: false,
+        parameter: [
+          { name: "filter", documentation: "Text filter on display, code prefix and synonyms" },
+          { name: "count", documentation: `Page size (maximum ${fhirConfig.pagination.maxPageSize})` },
+          { name: "offset" },
+          { name: "activeOnly" },
+          { name: "displayLanguage", documentation: "Uses original-script designations and supplements" },
+          { name: "includeDesignations" },
+          { name: "useSupplement" }
+        ],
+        textFilter: "Case-insensitive substring match on display and synonyms, prefix match on code"
+      },
+      codeSearch: "all",
+      validateCode: {
+        translations: false
+      },
+      translation: {
+        needsMap: false
+      },
+      closure: {
+        translation: false
+      }
+    };
+  }
+
+  // NAMASTE systems (ResourceHistory scopes) covered by a NAMASTE CodeSystem
+  namasteScopes(systemType = null) {
+    return systemType ? [systemType] : Object.keys(fhirConfig.codeSystems.namaste);
+  }
+
+  // Version of a NAMASTE CodeSystem: the current one, or a past versionId (null if unknown)
+  async namasteCodeSystemVersion(systemType = null, versionId = null) {
+    const scopes = this.namasteScopes(systemType);
+
+    if (versionId) {
+      return historyService.findScopeVersion('NamesteCode', scopes, versionId);
+    }
+
+    const version = await historyService.scopeVersion('NamesteCode', scopes);
+    return {
+      ...version,
+      lastUpdated: version.lastUpdated || await NamesteCode.max('updated_at', { where: { system_type: { [Op.in]: scopes } } })
+    };
+  }
+
+  // Version fields shared by the derived CodeSystem and ConceptMap resources.
+  // A business version (a mapping release) replaces the one derived from versionId.
+  versionElements({ versionId, lastUpdated, version = null }) {
+    return {
+      meta: {
+        ...(versionId !== undefined && { versionId }),
+        ...(lastUpdated && { lastUpdated: new Date(lastUpdated).toISOString() })
+      },
+      version: version || `1.0.${versionId}`,
+      date: new Date(lastUpdated || Date.now()).toISOString().split('T')[0]
+    };
+  }
+
+  // NAMASTE CodeSystem as it is now, or at a past versionId (null if there is no such version).
+  // current is the current version when the caller has already looked it up. Only active codes are
+  // listed unless activeOnly is false; inactive ones then carry status inactive.
+  async generateNamesteCodeSystem(systemType = null, { useSupplement = [], versionId = null, current = null, activeOnly = true } = {}) {
+    const whereClause = {
+      ...(systemType && { system_type: systemType }),
+      ...(activeOnly && { status: 'active' })
+    };
+    const version = (!versionId && current) || await this.namasteCodeSystemVersion(systemType, versionId);
+
+    if (!version) {
+      return null;
+    }
+
+    let codes = await NamesteCode.findAll({ where: whereClause, order: [['code', 'ASC']] });
+    if (versionId) {
+      codes = (await historyService.rowsAsOf('NamesteCode', this.namasteScopes(systemType), versionId, codes))
+        .filter(code => !activeOnly || code.status === 'active')
+        .sort((a, b) => a.code.localeCompare(b.code));
+    }
+    const childrenByParent = this.groupChildren(codes, 'code', 'parent_code');
+    const url = `http://terminology.hl7.org/CodeSystem/namaste-${systemType || 'all'}`;
+    const systems = Object.entries(fhirConfig.codeSystems.namaste)
+      .filter(([key]) => !systemType || key === systemType)
+      .map(([, config]) => config.url);
+    const supplements = await this.resolveSupplements({ systems, useSupplement });
+    const supplementDesignations = this.supplementDesignations(supplements);
 
     return {
       resourceType: "CodeSystem",
       id: `namaste-${systemType || 'all'}`,
-      url: `http://terminology.hl7.org/CodeSystem/namaste-${systemType || 'all'}`,
-      version: "1.0.0",
+      url,
+      ...this.versionElements(version),
       name: `NAMASTE_${systemType ? systemType.toUpperCase() : 'ALL'}`,
       title: `NAMASTE ${systemType ? systemType : 'All Systems'} Terminology`,
       status: "active",
-      date: new Date().toISOString().split('T')[0],
       publisher: "Ministry of AYUSH, Government of India",
       description: `Standardized terminology for ${systemType || 'traditional medicine'} disorders and conditions`,
       caseSensitive: true,
+      hierarchyMeaning: "is-a",
       content: "complete",
       count: codes.length,
-      concept: codes.map(code => ({
-        code: code.code,
-        display: code.display_name,
-        definition: code.definition,
-        property: [
-          {
-            code: "system",
-            valueString: code.system_type
-          },
-          {
-            code: "category", 
-            valueString: code.category
-          }
-        ]
-      }))
+      ...(supplements.length > 0 && {
+        extension: supplements.map(supplement => ({
+          url: 'http://hl7.org/fhir/StructureDefinition/valueset-supplement',
+          valueCanonical: supplement.url
+        }))
+      }),
+      property: NAMASTE_PROPERTIES,
+      concept: codes.map(code => {
+        const systemConfig = fhirConfig.codeSystems.namaste[code.system_type];
+        const designation = [
+          ...this.getDesignations(code, systemConfig),
+          ...(supplementDesignations[`${systemConfig.url}|${code.code}`] || [])
+        ];
+
+        return {
+          code: code.code,
+          display: code.display_name,
+          definition: code.definition,
+          ...(designation.length > 0 && { designation }),
+          property: [
+            {
+              code: "system",
+              valueString: code.system_type
+            },
+            ...(code.category ? [{ code: "category", valueString: code.category }] : []),
+            ...this.hierarchyProperties(code.parent_code, childrenByParent[code.code]),
+            {
+              code: "level",
+              valueInteger: code.level || 0
+            },
+            {
+              code: "status",
+              valueCode: code.status
+            }
+          ]
+        };
+      })
     };
   }
 
+  // ICD-11 CodeSystem with every active code of a module, read in batches
   async generateICD11CodeSystem(module = 'tm2') {
-    const codes = await ICD11Code.findAll({ 
-      where: { module, status: 'active' },
-      limit: 1000 // Limit for performance
-    });
+    const concept = [];
+    for await (const item of this.streamICD11Concepts(module)) {
+      concept.push(item);
+    }
 
+    return {
+      ...this.icd11CodeSystemHeader(module),
+      count: concept.length,
+      property: HIERARCHY_PROPERTIES,
+      concept
+    };
+  }
+
+  icd11CodeSystemHeader(module) {
     return {
       resourceType: "CodeSystem",
       id: `icd11-${module}`,
@@ -112,112 +425,1609 @@ class FhirService {
       publisher: "World Health Organization",
       description: `ICD-11 ${module.toUpperCase()} terminology`,
       caseSensitive: true,
-      content: "fragment",
-      count: codes.length,
-      concept: codes.map(code => ({
-        code: code.icd_id,
-        display: code.title,
-        definition: code.definition
-      }))
+      hierarchyMeaning: "is-a",
+      content: "fragment"
     };
   }
 
-  async generateConceptMap() {
-    const mappings = await CodeMapping.findAll({
-      where: { is_active: true },
-      include: [
-        { association: 'namasteCodeDetails' },
-        { association: 'icd11CodeDetails' }
-      ],
-      limit: 1000
-    });
+  // Concepts of an ICD-11 module in code order, one batch of codes (and their children) at a time
+  async *streamICD11Concepts(module) {
+    const batchSize = fhirConfig.codeSystemBatchSize;
+    let offset = 0;
 
-    const groups = {};
-    
-    mappings.forEach(mapping => {
-      const sourceSystem = `namaste-${mapping.namasteCodeDetails.system_type}`;
-      
-      if (!groups[sourceSystem]) {
-        groups[sourceSystem] = {
-          source: `http://terminology.hl7.org/CodeSystem/${sourceSystem}`,
-          target: "http://id.who.int/icd/entity",
-          element: []
+    while (true) {
+      const codes = await ICD11Code.findAll({
+        where: { module, status: 'active' },
+        attributes: ['icd_id', 'title', 'definition', 'parent_id'],
+        order: [['icd_id', 'ASC']],
+        limit: batchSize,
+        offset
+      });
+
+      const children = codes.length > 0
+        ? await ICD11Code.findAll({
+          where: { module, status: 'active', parent_id: { [Op.in]: codes.map(code => code.icd_id) } },
+          attributes: ['icd_id', 'parent_id'],
+          order: [['icd_id', 'ASC']]
+        })
+        : [];
+      const childrenByParent = this.groupChildren(children, 'icd_id', 'parent_id');
+
+      for (const code of codes) {
+        const property = this.hierarchyProperties(code.parent_id, childrenByParent[code.icd_id]);
+        yield {
+          code: code.icd_id,
+          display: code.title,
+          definition: code.definition,
+          ...(property.length > 0 && { property })
         };
       }
 
-      groups[sourceSystem].element.push({
-        code: mapping.namaste_code,
-        display: mapping.namasteCodeDetails.display_name,
-        target: [{
-          code: mapping.icd11_code,
-          display: mapping.icd11CodeDetails.title,
-          equivalence: mapping.mapping_type,
-          comment: mapping.notes
-        }]
-      });
+      if (codes.length < batchSize) {
+        break;
+      }
+      offset += batchSize;
+    }
+  }
+
+  // Map each parent code to the codes directly below it
+  groupChildren(codes, codeField, parentField) {
+    return codes.reduce((acc, code) => {
+      if (code[parentField]) {
+        (acc[code[parentField]] = acc[code[parentField]] || []).push(code[codeField]);
+      }
+      return acc;
+    }, {});
+  }
+
+  // parent/child concept properties for one concept
+  hierarchyProperties(parentCode, childCodes = []) {
+    const properties = [];
+
+    if (parentCode) {
+      properties.push({ code: "parent", valueCode: parentCode });
+    }
+
+    childCodes.forEach(childCode => {
+      properties.push({ code: "child", valueCode: childCode });
+    });
+
+    return properties;
+  }
+
+  // [systemType, module] pairs covered by a ConceptMap configuration
+  conceptMapPairs(config) {
+    if (config.sourceSystem) {
+      return [[config.sourceSystem, config.targetModule]];
+    }
+
+    return Object.keys(fhirConfig.codeSystems.namaste).flatMap(systemType =>
+      Object.keys(fhirConfig.codeSystems.icd11).map(module => [systemType, module])
+    );
+  }
+
+  // The per-system ConceptMap holding mappings from a NAMASTE system to an ICD-11 module
+  conceptMapFor(systemType, module) {
+    return Object.values(fhirConfig.conceptMaps)
+      .find(config => config.sourceSystem === systemType && config.targetModule === module);
+  }
+
+  // ResourceHistory scopes of a ConceptMap's mappings ("system|module")
+  conceptMapScopes(config) {
+    return this.conceptMapPairs(config).map(([systemType, module]) => `${systemType}|${module}`);
+  }
+
+  // Version of a ConceptMap: the current one, or a past versionId (null if unknown)
+  async conceptMapVersion(config, versionId = null) {
+    const scopes = this.conceptMapScopes(config);
+
+    if (versionId) {
+      return historyService.findScopeVersion('CodeMapping', scopes, versionId);
+    }
+
+    const version = await historyService.scopeVersion('CodeMapping', scopes);
+    if (version.lastUpdated) {
+      return version;
+    }
+
+    const latest = await CodeMapping.findOne({
+      where: { [Op.or]: this.conceptMapPairs(config).map(([systemType, module]) => this.pairCondition(systemType, module)) },
+      include: [
+        { association: 'namasteCodeDetails', attributes: [] },
+        { association: 'icd11CodeDetails', attributes: [] }
+      ],
+      attributes: ['updated_at'],
+      order: [['updated_at', 'DESC']]
     });
 
+    return { ...version, lastUpdated: latest?.updated_at || null };
+  }
+
+  // Version of a ConceptMap served from a mapping release
+  releaseVersion(release) {
+    return { version: release.version, lastUpdated: release.created_at };
+  }
+
+  pairCondition(systemType, module) {
+    return {
+      '$namasteCodeDetails.system_type$': systemType,
+      '$icd11CodeDetails.module$': module
+    };
+  }
+
+  // ConceptMap metadata without its groups
+  conceptMapHeader(config, version = { versionId: '0', lastUpdated: null }) {
+    const valueSetFor = system => Object.values(fhirConfig.valueSets)
+      .find(valueSet => valueSet.compose.include.length === 1 && valueSet.compose.include[0].system === system);
+
+    const sourceUrl = config.sourceSystem
+      ? valueSetFor(fhirConfig.codeSystems.namaste[config.sourceSystem].url).url
+      : fhirConfig.valueSets.namasteAll.url;
+    const targetUrl = config.targetModule
+      ? valueSetFor(fhirConfig.codeSystems.icd11[config.targetModule].url).url
+      : ICD11_ENTITY_URI;
+
     return {
       resourceType: "ConceptMap",
-      id: "namaste-to-icd11",
-      url: "http://terminology.hl7.org/ConceptMap/namaste-to-icd11",
-      version: "1.0.0",
-      name: "NAMASTE_to_ICD11",
-      title: "NAMASTE to ICD-11 Concept Map",
+      id: config.id,
+      url: config.url,
+      ...this.versionElements(version),
+      name: config.name,
+      title: config.title,
       status: "active",
-      date: new Date().toISOString().split('T')[0],
-      publisher: "Healthcare API Team",
-      sourceUri: "http://terminology.hl7.org/CodeSystem/namaste-all",
-      targetUri: "http://id.who.int/icd/entity",
-      group: Object.values(groups)
+      publisher: fhirConfig.server.publisher,
+      description: config.description,
+      sourceCanonical: sourceUrl,
+      targetCanonical: targetUrl
     };
   }
 
-  async translateCode(system, code, targetSystem) {
-    let sourceCode, targetCode;
+  // Stream one group's elements in batches, merging the targets of each source code
+  async *streamConceptMapElements(systemType, module) {
+    const batchSize = fhirConfig.conceptMapBatchSize;
+    // Keyset on (namaste_code, id), so mappings changed mid-stream are neither skipped nor repeated
+    let last = null;
+    let current = null;
+
+    while (true) {
+      const mappings = await CodeMapping.findAll({
+        where: {
+          status: 'approved',
+          ...this.pairCondition(systemType, module),
+          ...(last && {
+            [Op.or]: [
+              { namaste_code: { [Op.gt]: last.namaste_code } },
+              { namaste_code: last.namaste_code, id: { [Op.gt]: last.id } }
+            ]
+          })
+        },
+        include: [
+          { association: 'namasteCodeDetails', attributes: ['code', 'display_name', 'system_type'] },
+          { association: 'icd11CodeDetails', attributes: ['icd_id', 'title', 'module'] }
+        ],
+        order: [['namaste_code', 'ASC'], ['id', 'ASC']],
+        limit: batchSize
+      });
+
+      for (const mapping of mappings) {
+        if (current && current.code !== mapping.namaste_code) {
+          yield current;
+          current = null;
+        }
+
+        if (!current) {
+          current = {
+            code: mapping.namaste_code,
+            display: mapping.namasteCodeDetails.display_name,
+            target: []
+          };
+        }
 
-    if (system.includes('namaste')) {
-      sourceCode = await NamesteCode.findOne({ where: { code, status: 'active' } });
-      if (!sourceCode) {
-        throw new Error('Source code not found');
+        current.target.push(this.toConceptMapTarget(mapping));
       }
 
-      const mappings = await CodeMapping.findAll({
-        where: { namaste_code: code, is_active: true },
-        include: [{ association: 'icd11CodeDetails' }]
+      if (mappings.length < batchSize) {
+        break;
+      }
+      last = mappings[mappings.length - 1];
+    }
+
+    if (current) {
+      yield current;
+    }
+  }
+
+  toConceptMapTarget(mapping) {
+    const dependsOn = (mapping.metadata?.depends_on || []).map(dependency => ({
+      property: dependency.element,
+      system: dependency.system,
+      value: dependency.code,
+      display: dependency.display
+    }));
+    const product = (mapping.metadata?.product || []).map(item => ({
+      property: item.element,
+      system: item.system,
+      value: item.code,
+      display: item.display
+    }));
+
+    return {
+      // Provenance.target points here through the targetElement extension
+      id: `mapping-${mapping.id}`,
+      code: mapping.icd11_code,
+      display: mapping.icd11CodeDetails.title,
+      equivalence: this.toEquivalence(mapping.mapping_type),
+      ...(mapping.notes && { comment: mapping.notes }),
+      ...(dependsOn.length > 0 && { dependsOn }),
+      ...(product.length > 0 && { product })
+    };
+  }
+
+  // Elements of one group as they were at a past version
+  async *historicalConceptMapElements(systemType, module, versionId) {
+    const current = await CodeMapping.findAll({
+      where: this.pairCondition(systemType, module),
+      include: [
+        { association: 'namasteCodeDetails', attributes: [] },
+        { association: 'icd11CodeDetails', attributes: [] }
+      ]
+    });
+    const mappings = (await historyService.rowsAsOf('CodeMapping', [`${systemType}|${module}`], versionId, current))
+      // Snapshots from before the review workflow have no status; active mappings were published then
+      .filter(mapping => (mapping.status ? mapping.status === 'approved' : mapping.is_active))
+      .sort((a, b) => a.namaste_code.localeCompare(b.namaste_code) || a.id - b.id);
+
+    const [namasteCodes, icd11Codes] = await Promise.all([
+      NamesteCode.findAll({ where: { code: { [Op.in]: mappings.map(mapping => mapping.namaste_code) } }, attributes: ['code', 'display_name'] }),
+      ICD11Code.findAll({ where: { icd_id: { [Op.in]: mappings.map(mapping => mapping.icd11_code) } }, attributes: ['icd_id', 'title'] })
+    ]);
+    const displays = new Map(namasteCodes.map(code => [code.code, code.display_name]));
+    const titles = new Map(icd11Codes.map(code => [code.icd_id, code.title]));
+
+    let element = null;
+    for (const mapping of mappings) {
+      if (element && element.code !== mapping.namaste_code) {
+        yield element;
+        element = null;
+      }
+
+      if (!element) {
+        element = { code: mapping.namaste_code, display: displays.get(mapping.namaste_code), target: [] };
+      }
+
+      element.target.push(this.toConceptMapTarget({ ...mapping, icd11CodeDetails: { title: titles.get(mapping.icd11_code) } }));
+    }
+
+    if (element) {
+      yield element;
+    }
+  }
+
+  // Elements of one group as they were snapshotted in a mapping release
+  async *releaseConceptMapElements(release, systemType, module) {
+    const batchSize = fhirConfig.conceptMapBatchSize;
+    let offset = 0;
+    let current = null;
+
+    while (true) {
+      const entries = await MappingReleaseEntry.findAll({
+        where: { release_id: release.id, system_type: systemType, module },
+        order: [['namaste_code', 'ASC'], ['mapping_id', 'ASC']],
+        limit: batchSize,
+        offset,
+        raw: true
       });
 
-      return mappings.map(mapping => ({
-        equivalence: mapping.mapping_type,
-        concept: {
-          system: 'http://id.who.int/icd/entity',
-          code: mapping.icd11_code,
-          display: mapping.icd11CodeDetails.title
+      for (const entry of entries) {
+        if (current && current.code !== entry.namaste_code) {
+          yield current;
+          current = null;
         }
-      }));
 
-    } else if (system.includes('icd')) {
-      targetCode = await ICD11Code.findOne({ where: { icd_id: code, status: 'active' } });
-      if (!targetCode) {
-        throw new Error('Source code not found');
+        if (!current) {
+          current = { code: entry.namaste_code, display: entry.namaste_display, target: [] };
+        }
+
+        current.target.push(this.toConceptMapTarget({
+          ...entry,
+          id: entry.mapping_id,
+          icd11CodeDetails: { title: entry.icd11_title }
+        }));
+      }
+
+      if (entries.length < batchSize) {
+        break;
+      }
+      offset += batchSize;
+    }
+
+    if (current) {
+      yield current;
+    }
+  }
+
+  // Groups of a ConceptMap, yielded one at a time with an async element iterator
+  *conceptMapGroups(config, { versionId = null, release = null } = {}) {
+    for (const [systemType, module] of this.conceptMapPairs(config)) {
+      let elements;
+      if (release) {
+        elements = this.releaseConceptMapElements(release, systemType, module);
+      } else if (versionId) {
+        elements = this.historicalConceptMapElements(systemType, module, versionId);
+      } else {
+        elements = this.streamConceptMapElements(systemType, module);
+      }
+
+      yield {
+        source: fhirConfig.codeSystems.namaste[systemType].url,
+        target: fhirConfig.codeSystems.icd11[module].url,
+        elements
+      };
+    }
+  }
+
+  // Fully materialised ConceptMap (prefer streaming for large maps), as it is now, at a past versionId
+  // or as published in a mapping release; null if versionId does not exist
+  async generateConceptMap(config = fhirConfig.conceptMaps.namasteToIcd11, { versionId = null, release = null } = {}) {
+    const version = release ? this.releaseVersion(release) : await this.conceptMapVersion(config, versionId);
+    const group = [];
+
+    if (!version) {
+      return null;
+    }
+
+    for (const { source, target, elements } of this.conceptMapGroups(config, { versionId, release })) {
+      const element = [];
+      for await (const item of elements) {
+        element.push(item);
+      }
+      if (element.length > 0) {
+        group.push({ source, target, element });
       }
+    }
+
+    return {
+      ...this.conceptMapHeader(config, version),
+      group
+    };
+  }
+
+  // ConceptMap search over url, source, target, source-code and target-code;
+  // with a release the codes are matched against its snapshot instead of the live mappings
+  async searchConceptMaps({ url = null, source = null, target = null, sourceCode = null, targetCode = null, release = null } = {}) {
+    let configs = Object.values(fhirConfig.conceptMaps)
+      .filter(config => !url || config.url === url);
+
+    const pairMatches = (pairs, predicate) => pairs.some(pair => predicate(pair));
+    const matchesSource = ([systemType]) => {
+      const codeSystem = this.resolveCodeSystem(source);
+      const valueSet = this.resolveValueSet(source);
+      return (codeSystem?.family === 'namaste' && codeSystem.key === systemType) ||
+        (valueSet && valueSet.compose.include.some(include => include.system === fhirConfig.codeSystems.namaste[systemType].url));
+    };
+    const matchesTarget = ([, module]) => {
+      const codeSystem = this.resolveCodeSystem(target);
+      const valueSet = this.resolveValueSet(target);
+      return (codeSystem?.family === 'icd11' && (!codeSystem.key || codeSystem.key === module)) ||
+        (valueSet && valueSet.compose.include.some(include => include.system === fhirConfig.codeSystems.icd11[module].url));
+    };
+
+    if (source) {
+      configs = configs.filter(config => pairMatches(this.conceptMapPairs(config), matchesSource));
+    }
+
+    if (target) {
+      configs = configs.filter(config => pairMatches(this.conceptMapPairs(config), matchesTarget));
+    }
+
+    if ((sourceCode || targetCode) && release) {
+      const where = { release_id: release.id };
+      if (sourceCode) where.namaste_code = sourceCode;
+      if (targetCode) where.icd11_code = targetCode;
+
+      const entries = await MappingReleaseEntry.findAll({ where, attributes: ['system_type', 'module'], raw: true });
+      const pairs = new Set(entries.map(entry => `${entry.system_type}|${entry.module}`));
+
+      configs = configs.filter(config =>
+        this.conceptMapPairs(config).some(([systemType, module]) => pairs.has(`${systemType}|${module}`)));
+    } else if (sourceCode || targetCode) {
+      const where = { status: 'approved' };
+      if (sourceCode) where.namaste_code = sourceCode;
+      if (targetCode) where.icd11_code = targetCode;
 
       const mappings = await CodeMapping.findAll({
-        where: { icd11_code: code, is_active: true },
-        include: [{ association: 'namasteCodeDetails' }]
+        where,
+        include: [
+          { association: 'namasteCodeDetails', attributes: ['system_type'] },
+          { association: 'icd11CodeDetails', attributes: ['module'] }
+        ]
       });
+      const pairs = new Set(mappings
+        .filter(mapping => mapping.namasteCodeDetails && mapping.icd11CodeDetails)
+        .map(mapping => `${mapping.namasteCodeDetails.system_type}|${mapping.icd11CodeDetails.module}`));
 
-      return mappings.map(mapping => ({
-        equivalence: mapping.mapping_type,
-        concept: {
-          system: `http://terminology.hl7.org/CodeSystem/namaste-${mapping.namasteCodeDetails.system_type}`,
-          code: mapping.namaste_code,
-          display: mapping.namasteCodeDetails.display_name
-        }
-      }));
+      configs = configs.filter(config =>
+        this.conceptMapPairs(config).some(([systemType, module]) => pairs.has(`${systemType}|${module}`)));
+    }
+
+    return configs;
+  }
+
+  // R4 ConceptMapEquivalence for a mapping, read in the NAMASTE -> ICD-11 direction or reversed.
+  // mapping_type describes the NAMASTE concept relative to the ICD-11 one (see MappingService.suggestMappingType).
+  toEquivalence(mappingType, reverse = false) {
+    return (reverse ? REVERSE_EQUIVALENCE : FORWARD_EQUIVALENCE)[mappingType] || 'relatedto';
+  }
+
+  // Find a configured ConceptMap by id or canonical url
+  resolveConceptMap(idOrUrl) {
+    return Object.values(fhirConfig.conceptMaps)
+      .find(config => config.id === idOrUrl || config.url === idOrUrl) || null;
+  }
+
+  // Systems a $translate target / targetsystem restricts results to (null means any)
+  resolveTargetSystems({ target = null, targetSystem = null }) {
+    let systems = null;
+
+    if (target) {
+      const valueSet = this.resolveValueSet(target);
+      if (!valueSet) {
+        throw invalidRequest(`Unknown target ValueSet '${target}'`);
+      }
+      systems = valueSet.compose.include.map(include => include.system);
+    }
+
+    if (targetSystem) {
+      systems = systems ? systems.filter(system => system === targetSystem) : [targetSystem];
+    }
+
+    return systems;
+  }
+
+  // ConceptMap $translate against the stored CodeMappings
+  async translateCode({ system, code, reverse = false, target = null, targetSystem = null, dependencies = [], conceptMap = null }) {
+    const conceptMapConfig = conceptMap ? this.resolveConceptMap(conceptMap) : fhirConfig.conceptMaps.namasteToIcd11;
+    const mapUrl = conceptMapConfig?.url || conceptMap;
+
+    if (!conceptMapConfig) {
+      throw fhirUtils.createError(404, 'not-found', `ConceptMap '${conceptMap}' not found`);
+    }
+
+    const pairs = new Set(this.conceptMapPairs(conceptMapConfig).map(pair => pair.join('|')));
+
+    const codeSystem = this.resolveCodeSystem(system);
+    if (!codeSystem) {
+      return { matches: [], message: `Code system '${system}' is not mapped by any ConceptMap on this server` };
+    }
+
+    // NAMASTE is the source side of our maps and ICD-11 the target side
+    const isReverse = codeSystem.family === 'icd11';
+    if (reverse && !isReverse) {
+      return { matches: [], message: `reverse was requested but '${system}' is the source, not the target, of '${mapUrl}'` };
     }
 
-    throw new Error('Unsupported code system');
+    const concept = await this.findConcept(codeSystem, code);
+    if (!concept || concept.status !== 'active') {
+      return { matches: [], message: `Code '${code}' is not an active code in '${system}'` };
+    }
+
+    const mappings = await CodeMapping.findAll({
+      where: isReverse
+        ? { icd11_code: concept.code, status: 'approved' }
+        : { namaste_code: concept.code, status: 'approved' },
+      include: [
+        { association: 'namasteCodeDetails' },
+        { association: 'icd11CodeDetails' }
+      ]
+    });
+
+    const targetSystems = this.resolveTargetSystems({ target, targetSystem });
+
+    const matches = mappings
+      .filter(mapping => mapping.namasteCodeDetails && mapping.icd11CodeDetails)
+      .filter(mapping => pairs.has(`${mapping.namasteCodeDetails.system_type}|${mapping.icd11CodeDetails.module}`))
+      .filter(mapping => this.dependenciesSatisfied(mapping, dependencies))
+      .map(mapping => ({
+        equivalence: this.toEquivalence(mapping.mapping_type, isReverse),
+        concept: isReverse
+          ? {
+            system: fhirConfig.codeSystems.namaste[mapping.namasteCodeDetails.system_type].url,
+            code: mapping.namaste_code,
+            display: mapping.namasteCodeDetails.display_name
+          }
+          : {
+            system: fhirConfig.codeSystems.icd11[mapping.icd11CodeDetails.module].url,
+            code: mapping.icd11_code,
+            display: mapping.icd11CodeDetails.title
+          },
+        product: (mapping.metadata?.product || []).map(product => ({
+          element: product.element || product.property,
+          concept: { system: product.system, code: product.code, display: product.display }
+        })),
+        source: this.conceptMapFor(mapping.namasteCodeDetails.system_type, mapping.icd11CodeDetails.module).url
+      }))
+      .filter(match => !targetSystems || targetSystems.includes(match.concept.system) ||
+        (targetSystems.includes(ICD11_ENTITY_URI) && this.resolveCodeSystem(match.concept.system)?.family === 'icd11'));
+
+    return {
+      matches,
+      message: matches.length === 0
+        ? `No mappings found for '${code}' in '${mapUrl}'${targetSystems ? ` to ${targetSystems.join(', ')}` : ''}`
+        : null
+    };
+  }
+
+  // Translate against a ConceptMap resource supplied in the request
+  translateWithConceptMap(conceptMap, { system, code, reverse = false, target = null, targetSystem = null }) {
+    const targetSystems = this.resolveTargetSystems({ target, targetSystem });
+    const matches = [];
+
+    (conceptMap.group || []).forEach(group => {
+      const fromSystem = reverse ? group.target : group.source;
+      const toSystem = reverse ? group.source : group.target;
+
+      if (fromSystem !== system || (targetSystems && !targetSystems.includes(toSystem))) {
+        return;
+      }
+
+      (group.element || []).forEach(element => {
+        (element.target || []).forEach(elementTarget => {
+          const [fromCode, toCode, toDisplay] = reverse
+            ? [elementTarget.code, element.code, element.display]
+            : [element.code, elementTarget.code, elementTarget.display];
+
+          if (fromCode === code) {
+            matches.push({
+              equivalence: elementTarget.equivalence,
+              concept: { system: toSystem, code: toCode, display: toDisplay },
+              product: (elementTarget.product || []).map(product => ({
+                element: product.property,
+                concept: { system: product.system, code: product.value, display: product.display }
+              })),
+              source: conceptMap.url
+            });
+          }
+        });
+      });
+    });
+
+    return {
+      matches,
+      message: matches.length === 0 ? `No mappings found for '${code}' in the supplied ConceptMap` : null
+    };
+  }
+
+  // A mapping with dependsOn (CodeMapping.metadata.depends_on) applies only when every dependency is supplied.
+  // dependency.concept is a CodeableConcept; a bare Coding is accepted as well.
+  dependenciesSatisfied(mapping, dependencies) {
+    const dependsOn = mapping.metadata?.depends_on || [];
+    const codingsOf = concept => concept?.coding || (concept?.code ? [concept] : []);
+
+    return dependsOn.every(required => dependencies.some(dependency =>
+      (!required.element || dependency.element === required.element) &&
+      codingsOf(dependency.concept).some(coding =>
+        coding.code === required.code && (!required.system || coding.system === required.system))
+    ));
+  }
+
+  // Add the mapped ICD-11 codings to a NAMASTE-only Condition (or NAMASTE codings to an ICD-11-only one)
+  async dualCodeCondition(condition) {
+    const codings = condition.code?.coding || [];
+    const families = codings.map(coding => this.resolveCodeSystem(coding.system)?.family);
+    const namasteCodes = codings.filter((coding, index) => families[index] === 'namaste').map(coding => coding.code);
+    const icd11Codes = codings.filter((coding, index) => families[index] === 'icd11').map(coding => coding.code);
+
+    if (!fhirConfig.dualCoding.enabled || (namasteCodes.length > 0) === (icd11Codes.length > 0)) {
+      return condition;
+    }
+
+    let added;
+
+    if (namasteCodes.length > 0) {
+      const mappings = await CodeMapping.findAll({
+        where: { namaste_code: { [Op.in]: namasteCodes }, status: 'approved' },
+        include: [{ association: 'icd11CodeDetails' }]
+      });
+
+      added = mappings
+        .filter(mapping => mapping.icd11CodeDetails)
+        .map(mapping => this.toDualCoding(mapping, {
+          system: fhirConfig.codeSystems.icd11[mapping.icd11CodeDetails.module].url,
+          code: mapping.icd11_code,
+          display: mapping.icd11CodeDetails.title
+        }, codings.find(coding => coding.code === mapping.namaste_code)));
+    } else {
+      // ICD-11 codings may carry either the entity id or the classification code
+      const icd11Rows = await ICD11Code.findAll({
+        where: { [Op.or]: [{ icd_id: { [Op.in]: icd11Codes } }, { code: { [Op.in]: icd11Codes } }] },
+        attributes: ['icd_id', 'code']
+      });
+      const sourceByIcdId = Object.fromEntries(icd11Rows.map(row => [
+        row.icd_id,
+        codings.find(coding => coding.code === row.icd_id || coding.code === row.code)
+      ]));
+
+      const mappings = await CodeMapping.findAll({
+        where: { icd11_code: { [Op.in]: Object.keys(sourceByIcdId) }, status: 'approved' },
+        include: [{ association: 'namasteCodeDetails' }]
+      });
+
+      added = mappings
+        .filter(mapping => mapping.namasteCodeDetails)
+        .map(mapping => this.toDualCoding(mapping, {
+          system: fhirConfig.codeSystems.namaste[mapping.namasteCodeDetails.system_type].url,
+          code: mapping.namaste_code,
+          display: mapping.namasteCodeDetails.display_name
+        }, sourceByIcdId[mapping.icd11_code]));
+    }
+
+    const uniqueAdded = added.filter((coding, index) =>
+      !codings.some(existing => existing.system === coding.system && existing.code === coding.code) &&
+      added.findIndex(other => other.system === coding.system && other.code === coding.code) === index
+    );
+
+    if (uniqueAdded.length === 0) {
+      return condition;
+    }
+
+    return {
+      ...condition,
+      code: {
+        ...condition.code,
+        coding: [...codings, ...uniqueAdded]
+      }
+    };
+  }
+
+  // Coding added by dual-coding, annotated with the mapping it came from
+  toDualCoding(mapping, coding, sourceCoding) {
+    return {
+      extension: [{
+        url: fhirConfig.extensions.dualCoding,
+        extension: [
+          { url: 'mappingType', valueCode: mapping.mapping_type },
+          { url: 'confidenceScore', valueDecimal: parseFloat(mapping.confidence_score) },
+          { url: 'verificationStatus', valueCode: mapping.verified_by ? 'verified' : 'unverified' },
+          { url: 'source', valueCoding: { system: sourceCoding?.system, code: sourceCoding?.code } }
+        ]
+      }],
+      ...coding,
+      userSelected: false
+    };
+  }
+
+  // Resolve a CodeSystem canonical url or resource id to its configuration
+  resolveCodeSystem(system) {
+    if (!system) {
+      return null;
+    }
+
+    for (const family of ['namaste', 'icd11']) {
+      for (const [key, config] of Object.entries(fhirConfig.codeSystems[family])) {
+        if (system === config.url || system === config.id) {
+          return { family, key, config };
+        }
+      }
+    }
+
+    // Generic ICD-11 entity URI used by our ConceptMap targets (any module)
+    if (system === ICD11_ENTITY_URI) {
+      return { family: 'icd11', key: null, config: { url: ICD11_ENTITY_URI } };
+    }
+
+    return null;
+  }
+
+  // Find a concept in a resolved code system, regardless of its status
+  async findConcept(codeSystem, code) {
+    if (codeSystem.family === 'namaste') {
+      const namasteCode = await NamesteCode.findOne({
+        where: { code, system_type: codeSystem.key }
+      });
+
+      return namasteCode && {
+        code: namasteCode.code,
+        display: namasteCode.display_name,
+        status: namasteCode.status,
+        version: namasteCode.version,
+        definition: namasteCode.definition,
+        designations: this.getDesignations(namasteCode, codeSystem.config),
+        properties: [
+          { code: 'system', valueString: namasteCode.system_type },
+          ...(namasteCode.category ? [{ code: 'category', valueString: namasteCode.category }] : []),
+          ...this.hierarchyProperties(namasteCode.parent_code),
+          { code: 'level', valueInteger: namasteCode.level || 0 },
+          { code: 'status', valueCode: namasteCode.status }
+        ]
+      };
+    }
+
+    const whereClause = {
+      [Op.or]: [
+        { icd_id: code },
+        { code }
+      ]
+    };
+
+    if (codeSystem.key) {
+      whereClause.module = codeSystem.key;
+    }
+
+    const icd11Code = await ICD11Code.findOne({ where: whereClause });
+
+    return icd11Code && {
+      code: icd11Code.icd_id,
+      display: icd11Code.title,
+      status: icd11Code.status,
+      version: codeSystem.config.version,
+      definition: icd11Code.definition,
+      designations: this.getDesignations(icd11Code),
+      properties: [
+        ...this.hierarchyProperties(icd11Code.parent_id),
+        { code: 'status', valueCode: icd11Code.status }
+      ]
+    };
+  }
+
+  // CodeSystem $lookup: display, designations and properties of one concept
+  async lookupCode({ system, code, version = null, displayLanguage = null, properties = [] }) {
+    const codeSystem = this.resolveCodeSystem(system);
+
+    if (!codeSystem) {
+      throw fhirUtils.createError(404, 'not-found', `Unknown code system '${system}'`, 'system');
+    }
+
+    const concept = await this.findConcept(codeSystem, code);
+
+    if (!concept) {
+      throw fhirUtils.createError(404, 'not-found', `Code '${code}' not found in code system '${system}'`, 'code');
+    }
+
+    if (version && concept.version && version !== concept.version) {
+      throw fhirUtils.createError(404, 'not-found', `Version '${version}' of code system '${system}' is not available (current version is '${concept.version}')`, 'version');
+    }
+
+    const { model, codeField, parentField, baseWhere } = this.getConceptModel(codeSystem);
+    const children = await model.findAll({
+      where: { ...baseWhere, [parentField]: concept.code },
+      attributes: [codeField],
+      raw: true
+    });
+
+    const conceptProperties = [
+      ...concept.properties,
+      ...children.map(child => ({ code: 'child', valueCode: child[codeField] }))
+    ].filter(property => properties.length === 0 || properties.includes(property.code));
+
+    const localised = displayLanguage && this.findLanguageDesignation(concept.designations, displayLanguage);
+
+    return {
+      name: codeSystem.config.name || codeSystem.config.url,
+      version: concept.version,
+      display: localised ? localised.value : concept.display,
+      definition: concept.definition,
+      designations: concept.designations,
+      properties: conceptProperties
+    };
+  }
+
+  // Validate a single code (CodeSystem $validate-code semantics)
+  async validateCode({ system, code, display, version }) {
+    const codeSystem = this.resolveCodeSystem(system);
+
+    if (!codeSystem) {
+      return { result: false, message: `Unknown code system '${system}'` };
+    }
+
+    const concept = await this.findConcept(codeSystem, code);
+
+    if (!concept) {
+      return { result: false, message: `Unknown code '${code}' in code system '${system}'` };
+    }
+
+    if (version && concept.version && version !== concept.version) {
+      return {
+        result: false,
+        message: `Code '${code}' is not defined in version '${version}' of '${system}' (current version is '${concept.version}')`,
+        display: concept.display
+      };
+    }
+
+    if (concept.status !== 'active') {
+      return {
+        result: false,
+        message: `Code '${code}' is inactive in code system '${system}'`,
+        display: concept.display
+      };
+    }
+
+    if (display) {
+      const normalise = value => String(value).trim().toLowerCase();
+      const validDisplays = [concept.display, ...concept.designations.map(designation => designation.value)];
+
+      if (!validDisplays.some(valid => normalise(valid) === normalise(display))) {
+        return {
+          result: false,
+          message: `Display '${display}' does not match the display for code '${code}': expected '${concept.display}'`,
+          display: concept.display
+        };
+      }
+    }
+
+    return { result: true, display: concept.display };
+  }
+
+  // Table, columns and base scope backing a resolved code system
+  getConceptModel(codeSystem) {
+    if (codeSystem.family === 'namaste') {
+      return {
+        model: NamesteCode,
+        codeField: 'code',
+        displayField: 'display_name',
+        parentField: 'parent_code',
+        baseWhere: { system_type: codeSystem.key }
+      };
+    }
+
+    return {
+      model: ICD11Code,
+      codeField: 'icd_id',
+      displayField: 'title',
+      parentField: 'parent_id',
+      baseWhere: codeSystem.key ? { module: codeSystem.key } : {}
+    };
+  }
+
+  // All codes below a concept in the parent_code / parent_id hierarchy (breadth-first)
+  async findDescendantCodes(codeSystem, code) {
+    const { model, codeField, parentField, baseWhere } = this.getConceptModel(codeSystem);
+    const descendants = [];
+    let frontier = [code];
+
+    while (frontier.length > 0) {
+      const children = await model.findAll({
+        where: { ...baseWhere, [parentField]: { [Op.in]: frontier } },
+        attributes: [codeField],
+        raw: true
+      });
+
+      frontier = children
+        .map(child => child[codeField])
+        .filter(child => child !== code && !descendants.includes(child));
+      descendants.push(...frontier);
+    }
+
+    return descendants;
+  }
+
+  // A concept and every code below it, for code:below searches. ICD-11 codings may carry
+  // the entity id or the classification code, so both are returned.
+  async findCodesBelow(system, code) {
+    const codeSystem = this.resolveCodeSystem(system);
+
+    if (!codeSystem) {
+      throw fhirUtils.createError(400, 'not-supported', `:below needs a NAMASTE or ICD-11 code system, not '${system}'`, 'code');
+    }
+
+    const concept = await this.findConcept(codeSystem, code);
+    if (!concept) {
+      return [code];
+    }
+
+    const codes = [concept.code, ...await this.findDescendantCodes(codeSystem, concept.code)];
+    if (codeSystem.family === 'namaste') {
+      return codes;
+    }
+
+    const rows = await ICD11Code.findAll({
+      where: { icd_id: { [Op.in]: codes } },
+      attributes: ['code'],
+      raw: true
+    });
+
+    return [...codes, ...rows.map(row => row.code).filter(Boolean)];
+  }
+
+  // All codes above a concept; ICD-11 also follows broader_terms (polyhierarchy)
+  async findAncestorCodes(codeSystem, code) {
+    const { model, codeField, parentField, baseWhere } = this.getConceptModel(codeSystem);
+    const ancestors = [];
+    let frontier = [code];
+
+    while (frontier.length > 0) {
+      const rows = await model.findAll({
+        where: { ...baseWhere, [codeField]: { [Op.in]: frontier } }
+      });
+
+      const parents = rows.flatMap(row => [row[parentField], ...(row.broader_terms || [])]);
+      frontier = [...new Set(parents)]
+        .filter(parent => parent && parent !== code && !ancestors.includes(parent));
+      ancestors.push(...frontier);
+    }
+
+    return ancestors;
+  }
+
+  // CodeSystem $subsumes: relationship of codeA to codeB
+  async subsumes(system, codeA, codeB) {
+    const codeSystem = this.resolveCodeSystem(system);
+
+    if (!codeSystem) {
+      throw invalidRequest(`Unknown code system '${system}'`);
+    }
+
+    const [conceptA, conceptB] = await Promise.all([
+      this.findConcept(codeSystem, codeA),
+      this.findConcept(codeSystem, codeB)
+    ]);
+
+    if (!conceptA || !conceptB) {
+      throw invalidRequest(`Code '${conceptA ? codeB : codeA}' not found in code system '${system}'`);
+    }
+
+    if (conceptA.code === conceptB.code) {
+      return 'equivalent';
+    }
+
+    const ancestorsOfB = await this.findAncestorCodes(codeSystem, conceptB.code);
+    if (ancestorsOfB.includes(conceptA.code)) {
+      return 'subsumes';
+    }
+
+    const ancestorsOfA = await this.findAncestorCodes(codeSystem, conceptA.code);
+    if (ancestorsOfA.includes(conceptB.code)) {
+      return 'subsumed-by';
+    }
+
+    return 'not-subsumed';
+  }
+
+  // Designations for a stored concept row
+  // concept.designation entries for a code row: synonyms, plus the original-script term
+  // and its transliteration held in NAMASTE metadata (original_term, transliteration)
+  getDesignations(row, codeSystemConfig = null) {
+    const { designationUse } = fhirConfig;
+    const designations = (row.synonyms || [])
+      .map(synonym => {
+        if (typeof synonym === 'string') {
+          return { use: designationUse.synonym, value: synonym };
+        }
+
+        // Structured synonyms: { value, language, use }
+        return synonym && synonym.value && {
+          ...(synonym.language && { language: synonym.language }),
+          use: designationUse[synonym.use] || designationUse.synonym,
+          value: synonym.value
+        };
+      })
+      .filter(Boolean);
+
+    const metadata = row.metadata || {};
+    const language = metadata.original_language || codeSystemConfig?.language;
+
+    if (metadata.original_term) {
+      designations.push({
+        ...(language && { language }),
+        use: designationUse.original,
+        value: metadata.original_term
+      });
+    }
+
+    if (metadata.transliteration) {
+      designations.push({
+        ...(language && { language: `${language}-Latn` }),
+        use: designationUse.transliteration,
+        value: metadata.transliteration
+      });
+    }
+
+    return designations;
+  }
+
+  // Pick the designation to display for a requested language: an exact language tag first,
+  // then any non-transliterated designation in the same primary language
+  findLanguageDesignation(designations, displayLanguage) {
+    const primary = displayLanguage.split('-')[0].toLowerCase();
+
+    return designations.find(designation => designation.language?.toLowerCase() === displayLanguage.toLowerCase()) ||
+      designations.find(designation => designation.language &&
+        designation.language.split('-')[0].toLowerCase() === primary &&
+        designation.use?.code !== fhirConfig.designationUse.transliteration.code) ||
+      null;
+  }
+
+  // FHIR CodeSystem resource for a stored supplement
+  toSupplementResource(supplement) {
+    return {
+      resourceType: "CodeSystem",
+      id: supplement.resource_id,
+      meta: {
+        versionId: String(supplement.version_id || 1),
+        lastUpdated: new Date(supplement.updated_at || Date.now()).toISOString()
+      },
+      url: supplement.url,
+      version: supplement.version,
+      name: supplement.name,
+      title: supplement.title,
+      status: supplement.status,
+      ...(supplement.language && { language: supplement.language }),
+      content: "supplement",
+      supplements: supplement.supplements,
+      count: (supplement.concepts || []).length,
+      concept: supplement.concepts || []
+    };
+  }
+
+  async findSupplement(idOrUrl) {
+    return CodeSystemSupplement.findOne({
+      where: { [Op.or]: [{ resource_id: idOrUrl }, { url: idOrUrl }] }
+    });
+  }
+
+  // Active supplements to apply to the given code systems: the ones named in useSupplement,
+  // and, when a display language is requested, every supplement in that language
+  async resolveSupplements({ systems, useSupplement = [], language = null }) {
+    const requested = [].concat(useSupplement || []).map(url => url.split('|')[0]);
+    const conditions = [];
+
+    if (requested.length > 0) {
+      conditions.push({ url: { [Op.in]: requested } });
+    }
+
+    if (language) {
+      conditions.push({ language: { [Op.like]: `${language.split('-')[0]}%` } });
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const supplements = await CodeSystemSupplement.findAll({
+      where: { status: 'active', [Op.or]: conditions },
+      order: [['id', 'ASC']]
+    });
+
+    const unknown = requested.filter(url => !supplements.some(supplement => supplement.url === url));
+    if (unknown.length > 0) {
+      throw fhirUtils.createError(404, 'not-found', `CodeSystem supplement '${unknown[0]}' not found`);
+    }
+
+    return supplements.filter(supplement => systems.includes(supplement.supplements.split('|')[0]));
+  }
+
+  // Map `${system}|${code}` to the designations contributed by supplements
+  supplementDesignations(supplements) {
+    const designations = {};
+
+    supplements.forEach(supplement => {
+      const system = supplement.supplements.split('|')[0];
+
+      (supplement.concepts || []).forEach(concept => {
+        const key = `${system}|${concept.code}`;
+        const entries = designations[key] = designations[key] || [];
+
+        if (concept.display) {
+          entries.push({
+            ...(supplement.language && { language: supplement.language }),
+            use: fhirConfig.designationUse.display,
+            value: concept.display
+          });
+        }
+
+        (concept.designation || []).forEach(designation => {
+          const language = designation.language || supplement.language;
+          entries.push({
+            ...(language && { language }),
+            ...(designation.use && { use: designation.use }),
+            value: designation.value
+          });
+        });
+      });
+    });
+
+    return designations;
+  }
+
+  // Create or update a CodeSystem supplement (content = supplement) for a NAMASTE or ICD-11 code system
+  async saveSupplement(resource, { id = null, userId = null, ifMatch = null } = {}) {
+    if (!resource || resource.resourceType !== 'CodeSystem') {
+      throw fhirUtils.createError(400, 'invalid', 'Body must be a CodeSystem resource', 'CodeSystem');
+    }
+
+    if (resource.content !== 'supplement') {
+      throw fhirUtils.createError(422, 'not-supported', 'Only CodeSystem supplements (content = supplement) can be stored', 'CodeSystem.content');
+    }
+
+    if (id && resource.id && resource.id !== id) {
+      throw fhirUtils.createError(400, 'invalid', `Resource id '${resource.id}' does not match '${id}'`, 'CodeSystem.id');
+    }
+
+    const codeSystem = this.resolveCodeSystem((resource.supplements || '').split('|')[0]);
+    if (!codeSystem || !codeSystem.key) {
+      throw fhirUtils.createError(422, 'invalid', `CodeSystem.supplements must reference a NAMASTE or ICD-11 module code system`, 'CodeSystem.supplements');
+    }
+
+    const concepts = resource.concept || [];
+    for (const [index, concept] of concepts.entries()) {
+      if (!concept.code || (!concept.display && !(concept.designation || []).length)) {
+        throw fhirUtils.createError(422, 'required', 'Each concept needs a code and a display or designation', `CodeSystem.concept[${index}]`);
+      }
+
+      if (!await this.findConcept(codeSystem, concept.code)) {
+        throw fhirUtils.createError(422, 'code-invalid', `Code '${concept.code}' is not defined in '${codeSystem.config.url}'`, `CodeSystem.concept[${index}].code`);
+      }
+    }
+
+    const resourceId = id || resource.id || fhirUtils.generateResourceId('supplement');
+    const values = {
+      resource_id: resourceId,
+      url: resource.url || `${fhirConfig.server.baseUrl}/CodeSystem/${resourceId}`,
+      version: resource.version || '1.0.0',
+      name: resource.name,
+      title: resource.title,
+      supplements: resource.supplements,
+      language: resource.language || null,
+      status: resource.status || 'active',
+      concepts: concepts.map(({ code, display, designation }) => ({
+        code,
+        ...(display && { display }),
+        ...(designation && { designation })
+      }))
+    };
+
+    const existing = await CodeSystemSupplement.findOne({ where: { resource_id: resourceId } });
+
+    // Version-aware update: If-Match must name the current version
+    if (ifMatch && (!existing || String(existing.version_id) !== ifMatch)) {
+      throw fhirUtils.createError(
+        412,
+        'conflict',
+        existing
+          ? `Version conflict: CodeSystem '${resourceId}' is at version ${existing.version_id}, not ${ifMatch}`
+          : `CodeSystem '${resourceId}' does not exist`,
+        'CodeSystem.meta.versionId'
+      );
+    }
+    const supplement = existing
+      ? await existing.update(values)
+      : await CodeSystemSupplement.create({ ...values, created_by: userId });
+
+    return { resource: this.toSupplementResource(supplement), created: !existing };
+  }
+
+  // CodeSystem summary at one version (history entries carry no concepts)
+  namasteCodeSystemSummary(systemType, version) {
+    const config = fhirConfig.codeSystems.namaste[systemType];
+    const { meta, ...versionElements } = this.versionElements(version);
+
+    return {
+      resourceType: 'CodeSystem',
+      id: config.id,
+      meta: { ...meta, tag: [fhirConfig.subsettedTag] },
+      url: config.url,
+      ...versionElements,
+      name: config.name,
+      title: config.title,
+      status: 'active',
+      description: config.description,
+      content: 'complete'
+    };
+  }
+
+  // ICD-11 modules are served as fragments; searches list them without concepts
+  icd11CodeSystemSummary(config) {
+    return {
+      resourceType: 'CodeSystem',
+      id: config.id,
+      meta: { tag: [fhirConfig.subsettedTag] },
+      url: config.url,
+      version: config.version,
+      name: config.name,
+      title: config.title,
+      status: 'active',
+      description: config.description,
+      content: 'fragment'
+    };
+  }
+
+  // CodeSystem search: the configured NAMASTE and ICD-11 systems, then active supplements paged in the
+  // database. Only the resources of the requested page are built.
+  async searchCodeSystems({ url = null, name = null, supplements = null } = {}, params) {
+    const matches = config => (!url || config.url.includes(url)) &&
+      (!name || config.name.toLowerCase().includes(name.toLowerCase()));
+
+    const configured = supplements ? [] : [
+      ...Object.entries(fhirConfig.codeSystems.namaste)
+        .filter(([, config]) => matches(config))
+        .map(([systemType, config]) => ({
+          url: config.url,
+          name: config.name,
+          build: async () => this.namasteCodeSystemSummary(systemType, await this.namasteCodeSystemVersion(systemType))
+        })),
+      ...Object.values(fhirConfig.codeSystems.icd11)
+        .filter(matches)
+        .map(config => ({ url: config.url, name: config.name, build: async () => this.icd11CodeSystemSummary(config) }))
+    ];
+
+    const where = { status: 'active' };
+    if (supplements) where.supplements = supplements.split('|')[0];
+    if (url) where.url = { [Op.like]: `%${url}%` };
+    if (name) where.name = { [Op.like]: `%${name}%` };
+
+    const fromSupplement = supplement => ({
+      url: supplement.url,
+      name: supplement.name,
+      build: async () => this.toSupplementResource(supplement)
+    });
+    const sorted = fhirSearchService.searchList(configured, { ...params, offset: 0, count: configured.length }).rows;
+    let stored;
+    let page;
+
+    if (params.sort.length === 0) {
+      // Configured systems first, then supplements in the order they were stored
+      const configuredPage = sorted.slice(params.offset, params.offset + params.count);
+      stored = await fhirSearchService.searchModel(CodeSystemSupplement, {
+        where,
+        params: { ...params, offset: Math.max(0, params.offset - configured.length), count: params.count - configuredPage.length }
+      });
+      page = {
+        rows: [...configuredPage, ...stored.rows.map(fromSupplement)],
+        hasMore: stored.hasMore || params.offset + params.count < configured.length
+      };
+    } else {
+      // Merge with enough sorted supplements to fill the page
+      stored = await fhirSearchService.searchModel(CodeSystemSupplement, {
+        where,
+        params: { ...params, offset: 0, count: params.offset + params.count },
+        columns: { url: 'url', name: 'name' }
+      });
+      const merged = [...sorted, ...stored.rows.map(fromSupplement)];
+      page = {
+        rows: fhirSearchService.searchList(merged, params).rows,
+        hasMore: stored.hasMore || params.offset + params.count < merged.length
+      };
+    }
+
+    return {
+      total: stored.total === null ? null : configured.length + stored.total,
+      hasMore: page.hasMore,
+      resources: await Promise.all(page.rows.map(item => item.build()))
+    };
+  }
+
+  // _history of a NAMESTE CodeSystem or stored supplement; null if the CodeSystem is unknown
+  async codeSystemHistory(id, { count = 20, offset = 0 } = {}) {
+    const systemType = id.replace('namaste-', '');
+
+    if (id.startsWith('namaste-') && fhirConfig.codeSystems.namaste[systemType]) {
+      const { total, versions } = await historyService.listScopeVersions('NamesteCode', [systemType], { count, offset });
+
+      return {
+        total,
+        versions: versions.map(version => ({
+          resource: this.namasteCodeSystemSummary(systemType, version),
+          method: 'PUT',
+          ...version
+        }))
+      };
+    }
+
+    if (id.startsWith('icd11-')) {
+      throw fhirUtils.createError(404, 'not-found', `History is not kept for '${id}'; it follows the ICD-11 release`);
+    }
+
+    const supplement = await this.findSupplement(id);
+    if (!supplement) {
+      return null;
+    }
+
+    const rows = await historyService.listRowVersions('CodeSystemSupplement', supplement.id);
+    return {
+      total: rows.length,
+      versions: rows.slice(parseInt(offset), parseInt(offset) + parseInt(count)).map(row => ({
+        resource: this.toSupplementResource(row.content),
+        method: row.operation === 'create' ? 'POST' : 'PUT',
+        versionId: String(row.version_id),
+        lastUpdated: new Date(row.content.updated_at || row.created_at)
+      }))
+    };
+  }
+
+  // vread of a NAMESTE CodeSystem or stored supplement; null if the version does not exist
+  async readCodeSystemVersion(id, versionId) {
+    const systemType = id.replace('namaste-', '');
+
+    if (id.startsWith('namaste-') && fhirConfig.codeSystems.namaste[systemType]) {
+      return this.generateNamesteCodeSystem(systemType, { versionId });
+    }
+
+    const supplement = !id.startsWith('icd11-') && await this.findSupplement(id);
+    if (!supplement) {
+      return null;
+    }
+
+    if (String(supplement.version_id) === versionId) {
+      return this.toSupplementResource(supplement);
+    }
+
+    const row = await historyService.getRowVersion('CodeSystemSupplement', supplement.id, versionId);
+    return row && this.toSupplementResource(row.content);
+  }
+
+  // _history of a ConceptMap as header summaries, newest first
+  async conceptMapHistory(config, { count = 20, offset = 0 } = {}) {
+    const { total, versions } = await historyService.listScopeVersions('CodeMapping', this.conceptMapScopes(config), { count, offset });
+
+    return {
+      total,
+      versions: versions.map(version => {
+        const header = this.conceptMapHeader(config, version);
+        return {
+          resource: { ...header, meta: { ...header.meta, tag: [fhirConfig.subsettedTag] } },
+          method: 'PUT',
+          ...version
+        };
+      })
+    };
+  }
+
+  // Find a configured ValueSet by id or canonical url
+  resolveValueSet(idOrUrl) {
+    return Object.values(fhirConfig.valueSets)
+      .find(config => config.id === idOrUrl || config.url === idOrUrl) || null;
+  }
+
+  generateValueSet(config) {
+    return {
+      resourceType: "ValueSet",
+      id: config.id,
+      url: config.url,
+      version: "1.0.0",
+      name: config.name,
+      title: config.title,
+      status: "active",
+      publisher: fhirConfig.server.publisher,
+      description: config.description,
+      compose: config.compose
+    };
+  }
+
+  // Translate one compose include/exclude entry into a where clause for its code system table
+  async buildComposeClause(include) {
+    const codeSystem = this.resolveCodeSystem(include.system);
+
+    if (!codeSystem) {
+      throw invalidRequest(`Unsupported code system '${include.system}' in ValueSet compose`);
+    }
+
+    const { codeField, parentField, baseWhere } = this.getConceptModel(codeSystem);
+    const conditions = [{ ...baseWhere }];
+
+    if (include.concept && include.concept.length > 0) {
+      conditions.push({ [codeField]: { [Op.in]: include.concept.map(concept => concept.code) } });
+    }
+
+    for (const filter of include.filter || []) {
+      const { property, op, value } = filter;
+      const values = String(value).split(',').map(item => item.trim());
+
+      if (property === 'concept' && (op === 'is-a' || op === 'descendent-of')) {
+        const descendants = await this.findDescendantCodes(codeSystem, value);
+        const codes = op === 'is-a' ? [value, ...descendants] : descendants;
+        conditions.push({ [codeField]: { [Op.in]: codes } });
+      } else if (property === 'parent' && op === '=') {
+        conditions.push({ [parentField]: value });
+      } else if (codeSystem.family === 'namaste' && ['system', 'system_type', 'category'].includes(property) && ['=', 'in'].includes(op)) {
+        const column = property === 'category' ? 'category' : 'system_type';
+        conditions.push({ [column]: op === '=' ? value : { [Op.in]: values } });
+      } else if (property === 'level' && op === '=') {
+        conditions.push({ level: parseInt(value) });
+      } else {
+        throw invalidRequest(`Unsupported filter '${property} ${op}' for code system '${include.system}'`);
+      }
+    }
+
+    return { codeSystem, where: { [Op.and]: conditions } };
+  }
+
+  // Whether a code is in a configured ValueSet (included and not excluded); null for an unknown ValueSet.
+  // Without a system the code may come from any included code system.
+  async valueSetContains(idOrUrl, { system = null, code }) {
+    const valueSet = this.resolveValueSet(String(idOrUrl).split('|')[0]);
+
+    if (!valueSet) {
+      return null;
+    }
+
+    const matches = async entries => {
+      for (const entry of entries.filter(item => !system || item.system === system)) {
+        const { codeSystem, where } = await this.buildComposeClause(entry);
+        const concept = await this.findConcept(codeSystem, code);
+        if (!concept) continue;
+
+        const { model, codeField } = this.getConceptModel(codeSystem);
+        if (await model.count({ where: { [Op.and]: [where, { [codeField]: concept.code }] } }) > 0) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    return await matches(valueSet.compose.include || []) && !await matches(valueSet.compose.exclude || []);
+  }
+
+  // ValueSet $expand: evaluate compose against the code tables and return one page of contains
+  async expandValueSet(valueSet, options = {}) {
+    const {
+      filter = null,
+      offset = 0,
+      count = fhirConfig.pagination.defaultPageSize,
+      activeOnly = true,
+      displayLanguage = null,
+      includeDesignations = false,
+      useSupplement = []
+    } = options;
+
+    // A repeated filter parameter arrives as a list
+    if (filter !== null && typeof filter !== 'string') {
+      throw fhirUtils.createError(400, 'invalid', 'filter must be given once', 'filter');
+    }
+
+    const compose = valueSet.compose || {};
+    const families = {
+      namaste: { include: [], exclude: [] },
+      icd11: { include: [], exclude: [] }
+    };
+
+    for (const mode of ['include', 'exclude']) {
+      for (const entry of compose[mode] || []) {
+        const clause = await this.buildComposeClause(entry);
+        families[clause.codeSystem.family][mode].push(clause.where);
+      }
+    }
+
+    // Supplements add designations (e.g. Hindi displays) to the systems in the compose
+    const systems = [...new Set((compose.include || []).map(include => include.system).filter(Boolean))];
+    const supplements = await this.resolveSupplements({ systems, useSupplement, language: displayLanguage });
+    const supplementDesignations = this.supplementDesignations(supplements);
+
+    const pageOffset = Math.max(0, parseInt(offset) || 0);
+    const pageSize = Math.min(Math.max(0, parseInt(count) || 0), fhirConfig.pagination.maxPageSize);
+
+    const contains = [];
+    let total = 0;
+
+    for (const [family, clauses] of Object.entries(families)) {
+      if (clauses.include.length === 0) {
+        continue;
+      }
+
+      const { model, codeField, displayField } = this.getConceptModel({ family });
+      const conditions = [{ [Op.or]: clauses.include }];
+
+      if (clauses.exclude.length > 0) {
+        conditions.push({ [Op.not]: { [Op.or]: clauses.exclude } });
+      }
+
+      if (activeOnly) {
+        conditions.push({ status: 'active' });
+      }
+
+      if (filter) {
+        const text = helpers.escapeLike(filter);
+        const textConditions = [
+          { [displayField]: { [Op.like]: `%${text}%` } },
+          { [codeField]: { [Op.like]: `${text}%` } },
+          { synonyms: { [Op.like]: `%${text}%` } }
+        ];
+        conditions.push({ [Op.or]: textConditions });
+      }
+
+      const where = { [Op.and]: conditions };
+      const familyTotal = await model.count({ where });
+
+      // Page across the NAMASTE rows first, then the ICD-11 rows
+      const familyOffset = Math.max(0, pageOffset - total);
+      const remaining = pageSize - contains.length;
+
+      if (remaining > 0 && familyOffset < familyTotal) {
+        const rows = await model.findAll({
+          where,
+          order: [[displayField, 'ASC']],
+          offset: familyOffset,
+          limit: remaining
+        });
+
+        rows.forEach(row => contains.push(
+          this.toExpansionContains(family, row, { displayLanguage, includeDesignations, supplementDesignations })
+        ));
+      }
+
+      total += familyTotal;
+    }
+
+    const parameter = [
+      { name: 'offset', valueInteger: pageOffset },
+      { name: 'count', valueInteger: pageSize },
+      { name: 'activeOnly', valueBoolean: !!activeOnly }
+    ];
+
+    if (filter) parameter.push({ name: 'filter', valueString: filter });
+    if (displayLanguage) parameter.push({ name: 'displayLanguage', valueCode: displayLanguage });
+    if (includeDesignations) parameter.push({ name: 'includeDesignations', valueBoolean: true });
+    supplements.forEach(supplement => parameter.push({ name: 'used-supplement', valueCanonical: `${supplement.url}|${supplement.version}` }));
+
+    return {
+      ...valueSet,
+      expansion: {
+        identifier: `urn:uuid:${uuidv4()}`,
+        timestamp: new Date().toISOString(),
+        total,
+        offset: pageOffset,
+        parameter,
+        contains
+      }
+    };
+  }
+
+  toExpansionContains(family, row, { displayLanguage, includeDesignations, supplementDesignations = {} }) {
+    const isNamaste = family === 'namaste';
+    const config = isNamaste
+      ? fhirConfig.codeSystems.namaste[row.system_type]
+      : fhirConfig.codeSystems.icd11[row.module];
+    const code = isNamaste ? row.code : row.icd_id;
+    const designations = [
+      ...this.getDesignations(row, config),
+      ...(supplementDesignations[`${config.url}|${code}`] || [])
+    ];
+
+    const entry = {
+      system: config.url,
+      code,
+      display: isNamaste ? row.display_name : row.title
+    };
+
+    if (isNamaste && row.version) {
+      entry.version = row.version;
+    } else if (config.version) {
+      entry.version = config.version;
+    }
+
+    if (row.status !== 'active') {
+      entry.inactive = true;
+    }
+
+    if (displayLanguage) {
+      const localised = this.findLanguageDesignation(designations, displayLanguage);
+      if (localised) {
+        entry.display = localised.value;
+      }
+    }
+
+    if (includeDesignations && designations.length > 0) {
+      entry.designation = designations;
+    }
+
+    return entry;
+  }
+
+  // Validate a set of codings; valid if any one of them is valid (CodeableConcept semantics)
+  async validateCodings(codings) {
+    const outcomes = [];
+
+    for (const coding of codings) {
+      const outcome = await this.validateCode(coding);
+      if (outcome.result) {
+        return outcome;
+      }
+      outcomes.push(outcome);
+    }
+
+    return {
+      result: false,
+      message: outcomes.map(outcome => outcome.message).join('; '),
+      display: outcomes.find(outcome => outcome.display)?.display
+    };
   }
 }
 
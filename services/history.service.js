@@ -0,0 +1,146 @@
+const { ResourceHistory, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+
+class HistoryService {
+  // Version of a derived resource: the latest ResourceHistory id in its scopes ("0" before any tracked change)
+  async scopeVersion(resourceType, scopes) {
+    const [latest] = await ResourceHistory.findAll({
+      where: { resource_type: resourceType, scope: { [Op.in]: scopes }, operation: { [Op.ne]: 'baseline' } },
+      attributes: [
+        [sequelize.fn('MAX', sequelize.col('id')), 'id'],
+        [sequelize.fn('MAX', sequelize.col('created_at')), 'created_at']
+      ],
+      raw: true
+    });
+
+    return {
+      versionId: String(latest?.id || 0),
+      lastUpdated: latest?.created_at ? new Date(latest.created_at) : null
+    };
+  }
+
+  // Tracked versions of a derived resource, newest first
+  async listScopeVersions(resourceType, scopes, { count = 20, offset = 0 } = {}) {
+    const result = await ResourceHistory.findAndCountAll({
+      where: { resource_type: resourceType, scope: { [Op.in]: scopes }, operation: { [Op.ne]: 'baseline' } },
+      attributes: ['id', 'resource_id', 'operation', 'created_at'],
+      order: [['id', 'DESC']],
+      limit: parseInt(count),
+      offset: parseInt(offset)
+    });
+
+    return {
+      total: result.count,
+      versions: result.rows.map(row => ({
+        versionId: String(row.id),
+        resourceId: row.resource_id,
+        operation: row.operation,
+        lastUpdated: new Date(row.created_at)
+      }))
+    };
+  }
+
+  // A past version of a derived resource, or null if the id is not one of its versions.
+  // "0" is the state before tracking began.
+  async findScopeVersion(resourceType, scopes, versionId) {
+    if (versionId === '0') {
+      return { versionId, lastUpdated: null };
+    }
+
+    if (!/^\d+$/.test(versionId)) {
+      return null;
+    }
+
+    const entry = await ResourceHistory.findOne({
+      where: { id: versionId, resource_type: resourceType, scope: { [Op.in]: scopes }, operation: { [Op.ne]: 'baseline' } },
+      attributes: ['id', 'created_at']
+    });
+
+    return entry && { versionId, lastUpdated: new Date(entry.created_at) };
+  }
+
+  // Rows of a scope as they were at a derived version. currentRows are today's rows of the scope;
+  // rows without history are unchanged since before tracking began.
+  async rowsAsOf(resourceType, scopes, versionId, currentRows) {
+    try {
+      const entries = await ResourceHistory.findAll({
+        where: { resource_type: resourceType, scope: { [Op.in]: scopes } },
+        attributes: ['id', 'resource_id', 'operation'],
+        order: [['id', 'ASC']],
+        raw: true
+      });
+
+      // Latest entry at or before the version; a row created later only has entries after it
+      const asOf = new Map();
+      entries.forEach(entry => {
+        if (entry.id <= parseInt(versionId) || (entry.operation === 'baseline' && !asOf.has(entry.resource_id))) {
+          asOf.set(entry.resource_id, entry.id);
+        }
+      });
+
+      const tracked = new Set(entries.map(entry => entry.resource_id));
+      const versions = asOf.size > 0
+        ? await ResourceHistory.findAll({ where: { id: { [Op.in]: [...asOf.values()] } }, attributes: ['content'] })
+        : [];
+
+      return [
+        ...currentRows.filter(row => !tracked.has(row.id)),
+        ...versions.map(version => version.content)
+      ];
+
+    } catch (error) {
+      logger.error('Failed to reconstruct version:', error);
+      throw error;
+    }
+  }
+
+  // Saved versions of a single row, newest first
+  async listRowVersions(resourceType, resourceId) {
+    return ResourceHistory.findAll({
+      where: { resource_type: resourceType, resource_id: resourceId },
+      order: [['version_id', 'DESC']]
+    });
+  }
+
+  async getRowVersion(resourceType, resourceId, versionId) {
+    return ResourceHistory.findOne({
+      where: { resource_type: resourceType, resource_id: resourceId, version_id: versionId }
+    });
+  }
+
+  // The saved version a row had at a point in time: null if the row did not exist yet, undefined if it
+  // has no history (unchanged since before tracking began)
+  async rowAt(resourceType, resourceId, timestamp) {
+    const entries = await ResourceHistory.findAll({
+      where: { resource_type: resourceType, resource_id: resourceId },
+      order: [['id', 'ASC']]
+    });
+
+    if (entries.length === 0) {
+      return undefined;
+    }
+
+    const latest = entries.filter(entry => new Date(entry.created_at) <= timestamp).pop();
+    if (latest) {
+      return latest;
+    }
+
+    // Before its first tracked change a row is as its baseline records it, from its creation on
+    const [first] = entries;
+    return first.operation === 'baseline' && new Date(first.content.created_at) <= timestamp ? first : null;
+  }
+
+  // Ids of the rows changed or created after a point in time
+  async changedSince(resourceType, timestamp) {
+    const entries = await ResourceHistory.findAll({
+      where: { resource_type: resourceType, created_at: { [Op.gt]: timestamp }, operation: { [Op.ne]: 'baseline' } },
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('resource_id')), 'resource_id']],
+      raw: true
+    });
+
+    return entries.map(entry => entry.resource_id);
+  }
+}
+
+module.exports = new HistoryService();
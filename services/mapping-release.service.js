@@ -0,0 +1,255 @@
+const { CodeMapping, MappingRelease, MappingReleaseEntry, sequelize } = require('../models');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const logger = require('../utils/logger');
+
+// Entry fields compared between releases
+const RELEASE_FIELDS = ['mapping_type', 'confidence_score', 'notes', 'metadata'];
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+
+const entryKey = entry => `${entry.namaste_code}|${entry.icd11_code}`;
+
+const fieldValue = (entry, field) => {
+  const value = entry[field] ?? null;
+  return field === 'confidence_score' && value !== null ? parseFloat(value) : value;
+};
+
+class MappingReleaseService {
+  // Cut a release: snapshot every approved mapping and generate notes against the latest release
+  async createRelease({ version, title = null, description = null }, user) {
+    if (!VERSION_PATTERN.test(version || '')) {
+      throw fhirUtils.createError(400, 'invalid', 'version must be 1-32 letters, digits, dots, dashes or underscores, e.g. 2026.10', 'version');
+    }
+
+    if (await MappingRelease.findOne({ where: { version } })) {
+      throw fhirUtils.createError(409, 'duplicate', `Release '${version}' already exists`, 'version');
+    }
+
+    try {
+      const previous = await MappingRelease.findOne({ order: [['created_at', 'DESC'], ['id', 'DESC']] });
+      const batchSize = fhirConfig.conceptMapBatchSize;
+
+      // One transaction gives the batches a consistent view of the mappings, and creates the release
+      // together with its notes
+      return await sequelize.transaction(async transaction => {
+        const release = await MappingRelease.create({
+          version,
+          title,
+          description,
+          previous_version: previous?.version || null,
+          created_by: user.id
+        }, { transaction });
+
+        let offset = 0;
+        let count = 0;
+
+        while (true) {
+          const mappings = await CodeMapping.findAll({
+            where: { status: 'approved' },
+            include: [
+              { association: 'namasteCodeDetails', attributes: ['code', 'display_name', 'system_type'] },
+              { association: 'icd11CodeDetails', attributes: ['icd_id', 'title', 'module'] }
+            ],
+            order: [['id', 'ASC']],
+            limit: batchSize,
+            offset,
+            transaction
+          });
+
+          const entries = mappings
+            .filter(mapping => mapping.namasteCodeDetails && mapping.icd11CodeDetails)
+            .map(mapping => this.toEntry(release.id, mapping));
+          await MappingReleaseEntry.bulkCreate(entries, { transaction });
+          count += entries.length;
+
+          if (mappings.length < batchSize) {
+            break;
+          }
+          offset += batchSize;
+        }
+
+        release.set('mapping_count', count);
+
+        const diff = previous ? await this.compareReleases(previous, release, transaction) : null;
+        const counts = diff ? [] : await this.countsByPair(release, transaction);
+        release.set('release_notes', this.releaseNotes(release, diff, counts));
+
+        return release.save({ transaction });
+      });
+    } catch (error) {
+      logger.error('Failed to create mapping release:', error);
+      throw error;
+    }
+  }
+
+  toEntry(releaseId, mapping) {
+    return {
+      release_id: releaseId,
+      mapping_id: mapping.id,
+      namaste_code: mapping.namaste_code,
+      namaste_display: mapping.namasteCodeDetails.display_name,
+      system_type: mapping.namasteCodeDetails.system_type,
+      icd11_code: mapping.icd11_code,
+      icd11_title: mapping.icd11CodeDetails.title,
+      module: mapping.icd11CodeDetails.module,
+      mapping_type: mapping.mapping_type,
+      confidence_score: mapping.confidence_score,
+      notes: mapping.notes,
+      metadata: mapping.metadata || {},
+      verified_by: mapping.verified_by,
+      verified_at: mapping.verified_at
+    };
+  }
+
+  async findRelease(version) {
+    return MappingRelease.findOne({ where: { version: String(version) } });
+  }
+
+  async getRelease(version) {
+    const release = await this.findRelease(version);
+
+    if (!release) {
+      throw fhirUtils.createError(404, 'not-found', `Release '${version}' not found`);
+    }
+
+    return release;
+  }
+
+  async listReleases({ limit = 20, offset = 0 } = {}) {
+    const result = await MappingRelease.findAndCountAll({
+      attributes: { exclude: ['release_notes'] },
+      include: [{ association: 'creator', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    return {
+      total: result.count,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      releases: result.rows
+    };
+  }
+
+  // Mapping counts of a release per NAMASTE system and ICD-11 module
+  async countsByPair(release, transaction = null) {
+    return MappingReleaseEntry.findAll({
+      where: { release_id: release.id },
+      attributes: ['system_type', 'module', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['system_type', 'module'],
+      order: [['system_type', 'ASC'], ['module', 'ASC']],
+      raw: true,
+      transaction
+    });
+  }
+
+  async loadEntries(release, transaction = null) {
+    const entries = await MappingReleaseEntry.findAll({
+      where: { release_id: release.id },
+      order: [['namaste_code', 'ASC'], ['icd11_code', 'ASC']],
+      raw: true,
+      transaction
+    });
+
+    return new Map(entries.map(entry => [entryKey(entry), entry]));
+  }
+
+  // Mappings added, removed and changed from one release to another, with release notes
+  async diffReleases(fromVersion, toVersion) {
+    const [from, to] = await Promise.all([this.getRelease(fromVersion), this.getRelease(toVersion)]);
+    return this.compareReleases(from, to);
+  }
+
+  // diffReleases() of loaded releases; a release being created is compared within its transaction
+  async compareReleases(from, to, transaction = null) {
+    const before = await this.loadEntries(from, transaction);
+    const after = await this.loadEntries(to, transaction);
+
+    const added = [...after.values()].filter(entry => !before.has(entryKey(entry)));
+    const removed = [...before.values()].filter(entry => !after.has(entryKey(entry)));
+    const changed = [...after.values()]
+      .filter(entry => before.has(entryKey(entry)))
+      .map(entry => {
+        const previous = before.get(entryKey(entry));
+        return {
+          ...this.summarize(entry),
+          changes: RELEASE_FIELDS
+            .filter(field => JSON.stringify(fieldValue(previous, field)) !== JSON.stringify(fieldValue(entry, field)))
+            .map(field => ({ field, from: fieldValue(previous, field), to: fieldValue(entry, field) }))
+        };
+      })
+      .filter(entry => entry.changes.length > 0);
+
+    const diff = {
+      from: { version: from.version, created_at: from.created_at, mapping_count: from.mapping_count },
+      to: { version: to.version, created_at: to.created_at, mapping_count: to.mapping_count },
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged: after.size - added.length - changed.length
+      },
+      added: added.map(entry => this.summarize(entry)),
+      removed: removed.map(entry => this.summarize(entry)),
+      changed
+    };
+
+    return { ...diff, release_notes: this.releaseNotes(to, diff) };
+  }
+
+  summarize(entry) {
+    return {
+      mapping_id: entry.mapping_id,
+      namaste_code: entry.namaste_code,
+      namaste_display: entry.namaste_display,
+      system_type: entry.system_type,
+      icd11_code: entry.icd11_code,
+      icd11_title: entry.icd11_title,
+      module: entry.module,
+      mapping_type: entry.mapping_type,
+      confidence_score: fieldValue(entry, 'confidence_score')
+    };
+  }
+
+  // Markdown release notes from a diff against an earlier release (or the per-system counts of a first release)
+  releaseNotes(release, diff = null, counts = []) {
+    const line = entry => `- ${entry.namaste_code} ${entry.namaste_display || ''} → ${entry.icd11_code} ${entry.icd11_title || ''} (${entry.mapping_type})`;
+    const change = ({ field, from, to }) => (field === 'metadata' || field === 'notes'
+      ? `${field} changed`
+      : `${field} ${from ?? '-'} → ${to ?? '-'}`);
+    const lines = [`# ${release.title || `NAMASTE to ICD-11 mappings ${release.version}`}`, ''];
+
+    if (release.description) {
+      lines.push(release.description, '');
+    }
+
+    if (!diff) {
+      lines.push(`Initial release with ${release.mapping_count} approved mappings.`);
+      if (counts.length > 0) {
+        lines.push('', ...counts.map(count => `- ${count.system_type} → ${count.module}: ${count.count}`));
+      }
+      return lines.join('\n');
+    }
+
+    const { summary } = diff;
+    lines.push(`${release.mapping_count} approved mappings. Since ${diff.from.version}: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed.`);
+
+    if (diff.added.length > 0) {
+      lines.push('', '## Added', '', ...diff.added.map(line));
+    }
+
+    if (diff.removed.length > 0) {
+      lines.push('', '## Removed', '', ...diff.removed.map(line));
+    }
+
+    if (diff.changed.length > 0) {
+      lines.push('', '## Changed', '', ...diff.changed.map(entry =>
+        `- ${entry.namaste_code} → ${entry.icd11_code}: ${entry.changes.map(change).join('; ')}`));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new MappingReleaseService();
@@ -1,8 +1,85 @@
-const { CodeMapping, NamesteCode, ICD11Code } = require('../models');
+const { CodeMapping, NamesteCode, ICD11Code, MappingReview, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const historyService = require('./history.service');
 const helpers = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Allowed review transitions and who may make them:
+// author - the mapping's creator (or an admin), reviewer - a clinician or admin other than the creator,
+// admin - administrators only, consensus - settled by reviewer votes (submitReview), never set directly
+const REVIEW_TRANSITIONS = {
+  draft: { proposed: 'author', retired: 'admin' },
+  proposed: { draft: 'author', under_review: 'reviewer', retired: 'admin' },
+  under_review: { proposed: 'reviewer', approved: 'consensus', rejected: 'consensus' },
+  rejected: { draft: 'author', retired: 'admin' },
+  approved: { draft: 'admin', retired: 'admin' },
+  retired: { draft: 'admin' }
+};
+
+const REVIEW_QUEUE_STATUSES = ['proposed', 'under_review'];
+
+// Fields shown in mapping history and compared by diffs
+const HISTORY_FIELDS = ['mapping_type', 'confidence_score', 'notes', 'metadata', 'status', 'status_reason', 'is_active', 'verified_by', 'reviewed_by', 'review_round'];
+
+// Fields a restore puts back; the code pair and its author never change
+const RESTORED_FIELDS = [...HISTORY_FIELDS, 'verified_at', 'reviewed_at', 'review_escalated', 'consensus_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// What a vote says: the mapping_type the reviewer approves, or 'reject'
+const voteLabel = review => (review.decision === 'approve' ? review.mapping_type : 'reject');
+
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// Cohen's kappa for two raters, from one [first, second] label pair per rated item
+function cohenKappa(pairs) {
+  if (pairs.length === 0) {
+    return { items: 0, observed_agreement: null, expected_agreement: null, kappa: null };
+  }
+
+  const share = (index, label) => pairs.filter(pair => pair[index] === label).length / pairs.length;
+  const labels = new Set(pairs.flat());
+  const observed = pairs.filter(([first, second]) => first === second).length / pairs.length;
+  const expected = [...labels].reduce((sum, label) => sum + share(0, label) * share(1, label), 0);
+
+  return {
+    items: pairs.length,
+    observed_agreement: round3(observed),
+    expected_agreement: round3(expected),
+    // Undefined when both raters used a single label; full agreement then counts as 1
+    kappa: expected === 1 ? (observed === 1 ? 1 : null) : round3((observed - expected) / (1 - expected))
+  };
+}
+
+// Fleiss' kappa for any number of raters, from the labels given to each rated item (two or more per item;
+// the number of raters may vary between items)
+function fleissKappa(items) {
+  if (items.length === 0) {
+    return { items: 0, observed_agreement: null, expected_agreement: null, kappa: null };
+  }
+
+  const ratings = items.flat();
+  const labels = new Set(ratings);
+  const countOf = (labelsOfItem, label) => labelsOfItem.filter(item => item === label).length;
+
+  // Share of agreeing rater pairs on each item, averaged over the items
+  const observed = items.reduce((sum, labelsOfItem) => {
+    const n = labelsOfItem.length;
+    const agreeing = [...labels].reduce((pairs, label) => pairs + countOf(labelsOfItem, label) * (countOf(labelsOfItem, label) - 1), 0);
+    return sum + agreeing / (n * (n - 1));
+  }, 0) / items.length;
+  const expected = [...labels].reduce((sum, label) => sum + (countOf(ratings, label) / ratings.length) ** 2, 0);
+
+  return {
+    items: items.length,
+    observed_agreement: round3(observed),
+    expected_agreement: round3(expected),
+    // Undefined when every vote had the same label; full agreement then counts as 1
+    kappa: expected === 1 ? (observed === 1 ? 1 : null) : round3((observed - expected) / (1 - expected))
+  };
+}
+
 class MappingService {
   async createMapping(namasteCode, icd11Code, mappingType = 'equivalent', userId = null) {
     try {
@@ -37,10 +114,10 @@ class MappingService {
         icd11_code: icd11.icd_id,
         mapping_type: mappingType,
         confidence_score: confidenceScore,
-        verified_by: userId,
-        verified_at: userId ? new Date() : null,
+        status: 'draft',
+        created_by: userId,
         is_active: true
-      });
+      }, { changedBy: userId });
 
       return mapping;
     } catch (error) {
@@ -165,6 +242,547 @@ class MappingService {
     }
   }
 
+  // Move a mapping through the review workflow. Returns the updated mapping, its previous status
+  // and the changed fields.
+  async transitionMapping(mappingId, toStatus, { user, reason = null }) {
+    if (!REVIEW_TRANSITIONS[toStatus]) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown mapping status '${toStatus}'`, 'status');
+    }
+
+    const mapping = await CodeMapping.findByPk(mappingId);
+    if (!mapping) {
+      throw fhirUtils.createError(404, 'not-found', `Mapping ${mappingId} not found`);
+    }
+
+    const fromStatus = mapping.status;
+    const actor = REVIEW_TRANSITIONS[fromStatus][toStatus];
+    if (!actor) {
+      throw fhirUtils.createError(409, 'business-rule', `A ${fromStatus} mapping cannot be moved to ${toStatus}`, 'status');
+    }
+
+    this.assertCanAct(actor, mapping, user);
+
+    const changes = await this.applyTransition(mapping, toStatus, { user, reason, actor });
+
+    return { mapping, fromStatus, changes };
+  }
+
+  async applyTransition(mapping, toStatus, { user, reason = null, actor, extra = {} }) {
+    const now = new Date();
+    const changes = {
+      status: toStatus,
+      status_reason: reason ? String(reason).trim() : null,
+      is_active: toStatus !== 'retired',
+      ...extra
+    };
+
+    if (actor === 'reviewer' || actor === 'consensus') {
+      changes.reviewed_by = user.id;
+      changes.reviewed_at = now;
+    }
+
+    if (toStatus === 'approved') {
+      changes.verified_by = user.id;
+      changes.verified_at = now;
+    } else if (mapping.status === 'approved') {
+      // A mapping leaving the ConceptMap is no longer verified
+      changes.verified_by = null;
+      changes.verified_at = null;
+    }
+
+    // Back in draft the content may change, so votes on it no longer count
+    if (toStatus === 'draft') {
+      changes.review_round = mapping.review_round + 1;
+      changes.review_escalated = false;
+      changes.consensus_at = null;
+    }
+
+    await mapping.update(changes, { changedBy: user.id, changeReason: changes.status_reason });
+
+    return changes;
+  }
+
+  // Record a reviewer's vote and settle the mapping once the votes reach consensus (see
+  // fhirConfig.mappingReview). A reviewer voting again in the same round replaces their vote.
+  // Returns the vote, the mapping, its previous status, the status changes (if any) and the outcome.
+  async submitReview(mappingId, { decision, mapping_type, comment }, user) {
+    if (!['approve', 'reject'].includes(decision)) {
+      throw fhirUtils.createError(400, 'invalid', 'decision must be approve or reject', 'decision');
+    }
+
+    if (mapping_type && !CodeMapping.rawAttributes.mapping_type.values.includes(mapping_type)) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown mapping_type '${mapping_type}'`, 'mapping_type');
+    }
+
+    if (decision === 'reject' && !String(comment || '').trim()) {
+      throw fhirUtils.createError(400, 'required', 'A comment is required to reject a mapping', 'comment');
+    }
+
+    const mapping = await CodeMapping.findByPk(mappingId);
+    if (!mapping) {
+      throw fhirUtils.createError(404, 'not-found', `Mapping ${mappingId} not found`);
+    }
+
+    if (!REVIEW_QUEUE_STATUSES.includes(mapping.status)) {
+      throw fhirUtils.createError(409, 'business-rule', `A ${mapping.status} mapping is not open for review`, 'status');
+    }
+
+    this.assertCanAct('reviewer', mapping, user);
+
+    const fromStatus = mapping.status;
+    let changes = null;
+
+    // The first vote takes the mapping under review
+    if (mapping.status === 'proposed') {
+      changes = await this.applyTransition(mapping, 'under_review', { user, actor: 'reviewer' });
+    }
+
+    const vote = {
+      decision,
+      mapping_type: decision === 'approve' ? mapping_type || mapping.mapping_type : null,
+      comment: comment ? String(comment).trim() : null,
+      senior: fhirConfig.mappingReview.seniorRoles.includes(user.role)
+    };
+    const [review, created] = await MappingReview.findOrCreate({
+      where: { mapping_id: mapping.id, review_round: mapping.review_round, reviewer_id: user.id },
+      defaults: vote
+    });
+    if (!created) {
+      await review.update(vote);
+    }
+
+    const reviews = await MappingReview.findAll({
+      where: { mapping_id: mapping.id, review_round: mapping.review_round },
+      order: [['updated_at', 'ASC'], ['id', 'ASC']]
+    });
+    const outcome = this.evaluateConsensus(reviews);
+
+    if (outcome.status) {
+      changes = {
+        ...changes,
+        ...await this.applyTransition(mapping, outcome.status, { user, reason: outcome.reason, actor: 'consensus', extra: outcome.extra })
+      };
+    } else if (outcome.escalated !== mapping.review_escalated) {
+      await mapping.update({ review_escalated: outcome.escalated }, { changedBy: user.id });
+    }
+
+    return { review, mapping, fromStatus, changes, outcome: outcome.status || (outcome.escalated ? 'escalated' : 'pending') };
+  }
+
+  // Outcome of one round's votes (oldest first): a status to move to, or whether the mapping waits
+  // for a senior reviewer
+  evaluateConsensus(reviews) {
+    const { quorum, onDisagreement } = fhirConfig.mappingReview;
+    const labels = [...new Set(reviews.map(voteLabel))];
+
+    if (labels.length > 1) {
+      if (onDisagreement === 'reject') {
+        return { status: 'rejected', reason: `Reviewers disagreed (${labels.join(', ')})`, extra: { consensus_at: new Date(), review_escalated: false } };
+      }
+
+      // A disagreement is decided by the latest vote of a senior reviewer who was not party to it,
+      // cast after it arose
+      const arose = reviews.findIndex((review, index) => new Set(reviews.slice(0, index + 1).map(voteLabel)).size > 1);
+      const parties = new Set(reviews.slice(0, arose + 1).map(review => review.reviewer_id));
+      const senior = reviews.slice(arose + 1).reverse().find(review => review.senior && !parties.has(review.reviewer_id));
+      return senior ? this.settle(senior, reviews) : { escalated: true };
+    }
+
+    return reviews.length >= quorum ? this.settle(reviews[reviews.length - 1], reviews) : { escalated: false };
+  }
+
+  settle(deciding, reviews) {
+    const extra = { consensus_at: new Date(), review_escalated: false };
+
+    if (deciding.decision === 'approve') {
+      return { status: 'approved', extra: { ...extra, mapping_type: deciding.mapping_type } };
+    }
+
+    const comments = reviews.filter(review => review.decision === 'reject' && review.comment).map(review => review.comment);
+    return { status: 'rejected', reason: [...new Set(comments)].join('; '), extra };
+  }
+
+  async listReviews(mappingId) {
+    const mapping = await CodeMapping.findByPk(mappingId, { attributes: ['id', 'status', 'review_round', 'review_escalated'] });
+    if (!mapping) {
+      throw fhirUtils.createError(404, 'not-found', `Mapping ${mappingId} not found`);
+    }
+
+    const reviews = await MappingReview.findAll({
+      where: { mapping_id: mapping.id },
+      include: [{ association: 'reviewer', attributes: ['id', 'name'] }],
+      order: [['review_round', 'DESC'], ['updated_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    return {
+      mapping_id: mapping.id,
+      status: mapping.status,
+      review_round: mapping.review_round,
+      review_escalated: mapping.review_escalated,
+      quorum: fhirConfig.mappingReview.quorum,
+      reviews
+    };
+  }
+
+  // Inter-rater agreement over votes cast between from and to. Each mapping review round is one rated
+  // item; labels are the voted mapping_type or 'reject'. Overall agreement is Fleiss' kappa over all votes
+  // on every item with two or more, pairwise Cohen's kappa compares every two reviewers who rated the same items.
+  async getAgreementReport({ from, to, system_type } = {}) {
+    try {
+      const where = {};
+      if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at[Op.gte] = new Date(from);
+        if (to) where.created_at[Op.lte] = new Date(to);
+      }
+      if (system_type) where['$mapping.namasteCodeDetails.system_type$'] = system_type;
+
+      const reviews = await MappingReview.findAll({
+        where,
+        include: [
+          { association: 'reviewer', attributes: ['id', 'name'] },
+          {
+            association: 'mapping',
+            attributes: ['id', 'status', 'review_round', 'mapping_type'],
+            include: [{ association: 'namasteCodeDetails', attributes: ['system_type'] }]
+          }
+        ],
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      });
+
+      const items = new Map();
+      reviews.forEach(review => {
+        const key = `${review.mapping_id}:${review.review_round}`;
+        if (!items.has(key)) items.set(key, []);
+        items.get(key).push(review);
+      });
+
+      const ratedItems = [];
+      const reviewerPairs = new Map();
+      const reviewers = new Map();
+      const reviewerStats = review => {
+        if (!reviewers.has(review.reviewer_id)) {
+          reviewers.set(review.reviewer_id, {
+            id: review.reviewer_id,
+            name: review.reviewer?.name || null,
+            votes: 0,
+            approvals: 0,
+            rejections: 0,
+            peer_comparisons: 0,
+            peer_agreements: 0,
+            settled_votes: 0,
+            outcome_agreements: 0
+          });
+        }
+        return reviewers.get(review.reviewer_id);
+      };
+
+      items.forEach(votes => {
+        const { mapping } = votes[0];
+        // Only the round that settled the mapping has a known outcome
+        const outcome = mapping && mapping.review_round === votes[0].review_round
+          ? { approved: mapping.mapping_type, rejected: 'reject' }[mapping.status]
+          : undefined;
+
+        votes.forEach(vote => {
+          const stats = reviewerStats(vote);
+          stats.votes++;
+          stats[vote.decision === 'approve' ? 'approvals' : 'rejections']++;
+
+          if (outcome) {
+            stats.settled_votes++;
+            if (voteLabel(vote) === outcome) stats.outcome_agreements++;
+          }
+
+          votes.filter(peer => peer !== vote).forEach(peer => {
+            stats.peer_comparisons++;
+            if (voteLabel(peer) === voteLabel(vote)) stats.peer_agreements++;
+          });
+        });
+
+        if (votes.length < 2) return;
+
+        ratedItems.push(votes.map(voteLabel));
+
+        votes.forEach((first, index) => {
+          votes.slice(index + 1).forEach(second => {
+            const [a, b] = first.reviewer_id < second.reviewer_id ? [first, second] : [second, first];
+            const key = `${a.reviewer_id}:${b.reviewer_id}`;
+            if (!reviewerPairs.has(key)) reviewerPairs.set(key, { reviewers: [a, b].map(review => ({ id: review.reviewer_id, name: review.reviewer?.name || null })), pairs: [] });
+            reviewerPairs.get(key).pairs.push([voteLabel(a), voteLabel(b)]);
+          });
+        });
+      });
+
+      const ratio = (count, total) => (total > 0 ? round3(count / total) : null);
+
+      return {
+        quorum: fhirConfig.mappingReview.quorum,
+        on_disagreement: fhirConfig.mappingReview.onDisagreement,
+        votes: reviews.length,
+        items_reviewed: items.size,
+        items_with_multiple_reviews: ratedItems.length,
+        fleiss_kappa: fleissKappa(ratedItems),
+        reviewer_pairs: [...reviewerPairs.values()].map(({ reviewers: pair, pairs }) => ({ reviewers: pair, ...cohenKappa(pairs) })),
+        reviewers: [...reviewers.values()].map(({ peer_comparisons, peer_agreements, settled_votes, outcome_agreements, ...stats }) => ({
+          ...stats,
+          agreement_with_peers: ratio(peer_agreements, peer_comparisons),
+          agreement_with_outcome: ratio(outcome_agreements, settled_votes)
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to build agreement report:', error);
+      throw error;
+    }
+  }
+
+  // Tracked values of a history snapshot. Snapshots from before the review workflow have no status;
+  // active mappings were published then.
+  historyValues(content) {
+    const values = Object.fromEntries(RESTORED_FIELDS.map(field => [field, content[field] ?? null]));
+
+    values.status = content.status || (content.is_active ? 'approved' : 'retired');
+    // Compared at the database's whole-second precision
+    ['verified_at', 'reviewed_at', 'consensus_at'].forEach(field => {
+      if (values[field]) values[field] = new Date(Math.round(new Date(values[field]).getTime() / 1000) * 1000).toISOString();
+    });
+    values.confidence_score = content.confidence_score === null || content.confidence_score === undefined
+      ? null
+      : parseFloat(content.confidence_score);
+
+    return values;
+  }
+
+  // Whether a mapping was approved in an earlier revision, i.e. had already been published in the ConceptMap
+  async approvedBefore(mapping) {
+    const rows = await historyService.listRowVersions('CodeMapping', mapping.id);
+    return rows.some(row => row.version_id < mapping.version_id && this.historyValues(row.content).status === 'approved');
+  }
+
+  // Every saved revision of a mapping, newest first, with who changed what and why
+  async getMappingHistory(mappingId) {
+    const mapping = await CodeMapping.findByPk(mappingId, { attributes: ['id', 'version_id'] });
+    if (!mapping) {
+      throw fhirUtils.createError(404, 'not-found', `Mapping ${mappingId} not found`);
+    }
+
+    const rows = (await historyService.listRowVersions('CodeMapping', mapping.id)).reverse();
+    const userIds = [...new Set(rows.map(row => row.changed_by).filter(Boolean))];
+    const users = userIds.length > 0
+      ? await User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ['id', 'name'] })
+      : [];
+    const names = new Map(users.map(user => [user.id, user.name]));
+
+    const revisions = rows.map((row, index) => {
+      const values = this.historyValues(row.content);
+      const previous = index > 0 ? this.historyValues(rows[index - 1].content) : null;
+
+      return {
+        version_id: row.version_id,
+        operation: row.operation,
+        changed_at: row.created_at,
+        changed_by: row.changed_by ? { id: row.changed_by, name: names.get(row.changed_by) || null } : null,
+        reason: row.reason,
+        changed_fields: previous ? HISTORY_FIELDS.filter(field => !sameValue(previous[field], values[field])) : [],
+        values: Object.fromEntries(HISTORY_FIELDS.map(field => [field, values[field]]))
+      };
+    });
+
+    return {
+      mapping_id: mapping.id,
+      current_version: mapping.version_id,
+      revisions: revisions.reverse()
+    };
+  }
+
+  // Field-by-field changes between two revisions of a mapping
+  async diffRevisions(mappingId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      historyService.getRowVersion('CodeMapping', mappingId, fromVersion),
+      historyService.getRowVersion('CodeMapping', mappingId, toVersion)
+    ]);
+
+    if (!from || !to) {
+      throw fhirUtils.createError(404, 'not-found', `Mapping ${mappingId} has no revision ${from ? toVersion : fromVersion}`);
+    }
+
+    const fromValues = this.historyValues(from.content);
+    const toValues = this.historyValues(to.content);
+
+    return {
+      mapping_id: parseInt(mappingId),
+      from: { version_id: from.version_id, changed_at: from.created_at },
+      to: { version_id: to.version_id, changed_at: to.created_at },
+      changes: HISTORY_FIELDS
+        .filter(field => !sameValue(fromValues[field], toValues[field]))
+        .map(field => ({ field, from: fromValues[field], to: toValues[field] }))
+    };
+  }
+
+  // Put a mapping back to its state at a point in time; the restore is itself a new revision.
+  // A mapping created after that time is retired. Returns null when nothing differs.
+  async restoreMapping(mapping, timestamp, { user, reason = null, dryRun = false, transaction } = {}) {
+    const revision = await historyService.rowAt('CodeMapping', mapping.id, timestamp);
+    if (revision === undefined) {
+      return null;
+    }
+
+    const target = revision
+      ? this.historyValues(revision.content)
+      : { status: 'retired', is_active: false, status_reason: reason || `Did not exist at ${timestamp.toISOString()}` };
+    const current = this.historyValues(mapping.get({ plain: true }));
+
+    // A restored mapping waiting for review waits for fresh votes, not a senior reviewer
+    if (REVIEW_QUEUE_STATUSES.includes(target.status)) {
+      target.review_escalated = false;
+    }
+
+    const changes = Object.keys(target)
+      .filter(field => field !== 'review_round' && !sameValue(current[field], target[field]))
+      .reduce((acc, field) => ({ ...acc, [field]: { from: current[field], to: target[field] } }), {});
+
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    // The review round is never restored: votes of the old round (or cast since) were on another state
+    // of the mapping, so the restored state starts a round of its own
+    changes.review_round = { from: current.review_round, to: current.review_round + 1 };
+
+    const fromStatus = mapping.status;
+    if (!dryRun) {
+      await mapping.update(
+        Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        { transaction, changedBy: user.id, changeReason: reason || `Restored to ${timestamp.toISOString()}` }
+      );
+    }
+
+    return {
+      mapping,
+      mapping_id: mapping.id,
+      restored_version: revision ? revision.version_id : null,
+      fromStatus,
+      changes
+    };
+  }
+
+  // Restore every mapping changed since a point in time, in one transaction
+  async restoreMappings(timestamp, { user, reason = null, dryRun = false }) {
+    try {
+      const mappingIds = await historyService.changedSince('CodeMapping', timestamp);
+
+      return await sequelize.transaction(async transaction => {
+        const mappings = await CodeMapping.findAll({ where: { id: { [Op.in]: mappingIds } }, order: [['id', 'ASC']], transaction });
+        const results = [];
+
+        for (const mapping of mappings) {
+          const result = await this.restoreMapping(mapping, timestamp, { user, reason, dryRun, transaction });
+          if (result) results.push(result);
+        }
+
+        return results;
+      });
+    } catch (error) {
+      logger.error('Failed to restore mappings:', error);
+      throw error;
+    }
+  }
+
+  // Content edits are only allowed while the mapping is a draft, by its author or an admin
+  assertEditable(mapping, user) {
+    if (mapping.status !== 'draft') {
+      throw fhirUtils.createError(409, 'business-rule', `A ${mapping.status} mapping cannot be edited; move it back to draft first`, 'status');
+    }
+
+    this.assertCanAct('author', mapping, user);
+  }
+
+  assertCanAct(actor, mapping, user) {
+    const isAdmin = user.role === 'admin';
+
+    if (actor === 'admin' && !isAdmin) {
+      throw fhirUtils.createError(403, 'forbidden', 'Only an administrator can make this change');
+    }
+
+    if (actor === 'consensus') {
+      throw fhirUtils.createError(409, 'business-rule', 'Mappings are approved or rejected by reviewer votes; submit a review instead', 'status');
+    }
+
+    if (actor === 'author' && !isAdmin && mapping.created_by !== user.id) {
+      throw fhirUtils.createError(403, 'forbidden', 'Only the author of the mapping or an administrator can make this change');
+    }
+
+    if (actor === 'reviewer') {
+      if (!['admin', 'clinician'].includes(user.role)) {
+        throw fhirUtils.createError(403, 'forbidden', 'Only clinicians and administrators can review mappings');
+      }
+
+      // Maker-checker: nobody reviews their own mapping
+      if (mapping.created_by === user.id) {
+        throw fhirUtils.createError(403, 'forbidden', 'A mapping cannot be reviewed by its author');
+      }
+    }
+  }
+
+  // Mappings waiting for review, longest waiting first. The caller's own mappings are left out
+  // unless includeOwn is set, as they cannot review them.
+  async getReviewQueue({ status, system_type, category, confidence_min, confidence_max, escalated, include_own = false, limit = 20, offset = 0 }, user) {
+    try {
+      if (status && !REVIEW_QUEUE_STATUSES.includes(status)) {
+        throw fhirUtils.createError(400, 'invalid', `status must be one of ${REVIEW_QUEUE_STATUSES.join(', ')}`, 'status');
+      }
+
+      const where = { status: status || { [Op.in]: REVIEW_QUEUE_STATUSES } };
+
+      if (!include_own) {
+        where.created_by = { [Op.or]: { [Op.ne]: user.id, [Op.is]: null } };
+      }
+
+      if (escalated !== undefined) where.review_escalated = escalated;
+      if (system_type) where['$namasteCodeDetails.system_type$'] = system_type;
+      if (category) where['$namasteCodeDetails.category$'] = category;
+
+      if (confidence_min || confidence_max) {
+        where.confidence_score = {};
+        if (confidence_min) where.confidence_score[Op.gte] = parseFloat(confidence_min);
+        if (confidence_max) where.confidence_score[Op.lte] = parseFloat(confidence_max);
+      }
+
+      const result = await CodeMapping.findAndCountAll({
+        where,
+        include: [
+          { association: 'namasteCodeDetails', attributes: ['code', 'display_name', 'system_type', 'category'] },
+          { association: 'icd11CodeDetails', attributes: ['icd_id', 'code', 'title', 'module'] },
+          { association: 'creator', attributes: ['id', 'name'] },
+          { association: 'reviewer', attributes: ['id', 'name'] }
+        ],
+        order: [['updated_at', 'ASC'], ['id', 'ASC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      return {
+        total: result.count,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        mappings: result.rows
+      };
+    } catch (error) {
+      logger.error('Failed to get review queue:', error);
+      throw error;
+    }
+  }
+
+  // Mappings that predate the review workflow keep their published state: active ones are
+  // approved, deactivated ones retired. Run once, when the status column is added.
+  async adoptLegacyMappings() {
+    const [approved] = await CodeMapping.update({ status: 'approved' }, { where: { is_active: true } });
+    const [retired] = await CodeMapping.update({ status: 'retired' }, { where: { is_active: false } });
+
+    logger.info(`Review workflow: ${approved} existing mappings approved, ${retired} retired`);
+  }
+
+  // total, by_type and by_system count the published (approved) mappings; by_status counts every mapping
   async getMappingStatistics() {
     try {
       const stats = await CodeMapping.findAll({
@@ -175,7 +793,7 @@ class MappingService {
           [CodeMapping.sequelize.fn('MIN', CodeMapping.sequelize.col('confidence_score')), 'min_confidence'],
           [CodeMapping.sequelize.fn('MAX', CodeMapping.sequelize.col('confidence_score')), 'max_confidence']
         ],
-        where: { is_active: true },
+        where: { status: 'approved' },
         raw: true
       });
 
@@ -184,7 +802,7 @@ class MappingService {
           'mapping_type',
           [CodeMapping.sequelize.fn('COUNT', CodeMapping.sequelize.col('id')), 'count']
         ],
-        where: { is_active: true },
+        where: { status: 'approved' },
         group: ['mapping_type'],
         raw: true
       });
@@ -198,11 +816,31 @@ class MappingService {
           association: 'namasteCodeDetails',
           attributes: []
         }],
-        where: { is_active: true },
+        where: { status: 'approved' },
         group: ['namasteCodeDetails.system_type'],
         raw: true
       });
 
+      const statusStats = await CodeMapping.findAll({
+        attributes: [
+          'status',
+          [CodeMapping.sequelize.fn('COUNT', CodeMapping.sequelize.col('id')), 'count']
+        ],
+        group: ['status'],
+        raw: true
+      });
+
+      const consensusStats = await CodeMapping.findAll({
+        attributes: [
+          [CodeMapping.sequelize.fn('COUNT', CodeMapping.sequelize.literal("CASE WHEN status = 'approved' THEN 1 END")), 'approved'],
+          [CodeMapping.sequelize.fn('COUNT', CodeMapping.sequelize.literal("CASE WHEN status = 'approved' AND consensus_at IS NOT NULL THEN 1 END")), 'approved_by_consensus'],
+          [CodeMapping.sequelize.fn('COUNT', CodeMapping.sequelize.literal("CASE WHEN status = 'under_review' AND review_escalated THEN 1 END")), 'escalated']
+        ],
+        raw: true
+      });
+      const approved = parseInt(consensusStats[0]?.approved || 0);
+      const approvedByConsensus = parseInt(consensusStats[0]?.approved_by_consensus || 0);
+
       return {
         total: {
           mappings: parseInt(stats[0]?.total_mappings || 0),
@@ -218,113 +856,25 @@ class MappingService {
         by_system: systemStats.reduce((acc, item) => {
           acc[item.system_type] = parseInt(item.count);
           return acc;
-        }, {})
+        }, {}),
+        by_status: statusStats.reduce((acc, item) => {
+          acc[item.status] = parseInt(item.count);
+          return acc;
+        }, {}),
+        // Share of approved mappings settled by reviewer consensus rather than a single verification
+        consensus: {
+          quorum: fhirConfig.mappingReview.quorum,
+          approved,
+          approved_by_consensus: approvedByConsensus,
+          coverage: (approved > 0 ? approvedByConsensus / approved : 0).toFixed(2),
+          escalated: parseInt(consensusStats[0]?.escalated || 0)
+        }
       };
     } catch (error) {
       logger.error('Failed to get mapping statistics:', error);
       throw error;
     }
   }
-
-  async exportMappings(format = 'json', filters = {}) {
-    try {
-      const whereClause = { is_active: true };
-      
-      if (filters.system_type) {
-        whereClause['$namasteCodeDetails.system_type$'] = filters.system_type;
-      }
-      
-      if (filters.mapping_type) {
-        whereClause.mapping_type = filters.mapping_type;
-      }
-      
-      if (filters.verified_only) {
-        whereClause.verified_by = { [Op.not]: null };
-      }
-
-      const mappings = await CodeMapping.findAll({
-        where: whereClause,
-        include: [
-          {
-            association: 'namasteCodeDetails',
-            attributes: ['code', 'display_name', 'definition', 'system_type', 'category']
-          },
-          {
-            association: 'icd11CodeDetails',
-            attributes: ['icd_id', 'code', 'title', 'definition', 'module']
-          },
-          {
-            association: 'verifier',
-            attributes: ['name', 'abha_id']
-          }
-        ],
-        order: [['created_at', 'DESC']]
-      });
-
-      if (format === 'csv') {
-        return this.convertToCSV(mappings);
-      }
-
-      return mappings.map(mapping => ({
-        id: mapping.id,
-        namaste: {
-          code: mapping.namasteCodeDetails.code,
-          display: mapping.namasteCodeDetails.display_name,
-          definition: mapping.namasteCodeDetails.definition,
-          system_type: mapping.namasteCodeDetails.system_type,
-          category: mapping.namasteCodeDetails.category
-        },
-        icd11: {
-          id: mapping.icd11CodeDetails.icd_id,
-          code: mapping.icd11CodeDetails.code,
-          title: mapping.icd11CodeDetails.title,
-          definition: mapping.icd11CodeDetails.definition,
-          module: mapping.icd11CodeDetails.module
-        },
-        mapping: {
-          type: mapping.mapping_type,
-          confidence_score: parseFloat(mapping.confidence_score),
-          notes: mapping.notes,
-          verified_by: mapping.verifier?.name,
-          verified_at: mapping.verified_at,
-          created_at: mapping.created_at
-        }
-      }));
-    } catch (error) {
-      logger.error('Failed to export mappings:', error);
-      throw error;
-    }
-  }
-
-  convertToCSV(mappings) {
-    const headers = [
-      'NAMASTE_Code',
-      'NAMASTE_Display',
-      'NAMASTE_System',
-      'ICD11_ID',
-      'ICD11_Title',
-      'Mapping_Type',
-      'Confidence_Score',
-      'Verified_By',
-      'Verified_At',
-      'Notes'
-    ];
-
-    const rows = mappings.map(mapping => [
-      mapping.namasteCodeDetails.code,
-      `"${mapping.namasteCodeDetails.display_name}"`,
-      mapping.namasteCodeDetails.system_type,
-      mapping.icd11CodeDetails.icd_id,
-      `"${mapping.icd11CodeDetails.title}"`,
-      mapping.mapping_type,
-      mapping.confidence_score,
-      mapping.verifier?.name || '',
-      mapping.verified_at || '',
-      `"${mapping.notes || ''}"`
-    ]);
-
-    return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
-  }
 }
 
 module.exports = new MappingService();
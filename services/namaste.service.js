@@ -231,7 +231,7 @@ class NamasteService {
       const mappings = await CodeMapping.findAll({
         where: {
           namaste_code: namasteCode,
-          is_active: true
+          status: 'approved'
         },
         include: [{
           association: 'icd11CodeDetails',
@@ -402,13 +402,13 @@ class NamasteService {
 
       // Mapping statistics
       const totalMappings = await CodeMapping.count({
-        where: { is_active: true }
+        where: { status: 'approved' }
       });
 
       const mappedCodes = await CodeMapping.count({
         distinct: true,
         col: 'namaste_code',
-        where: { is_active: true }
+        where: { status: 'approved' }
       });
 
       const mappingPercentage = totalCodes > 0 ? ((mappedCodes / totalCodes) * 100).toFixed(1) : 0;
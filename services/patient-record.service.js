@@ -0,0 +1,728 @@
+const { PatientRecord, PatientResource, PatientResourceToken, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const fhirSearchService = require('./fhir-search.service');
+const profileValidationService = require('./profile-validation.service');
+const { v4: uuidv4 } = require('uuid');
+const helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Consent columns every PatientRecord copies from the patient's consent at the time it is written
+const CONSENT_FIELDS = ['consent_given', 'consent_version', 'consent_date', 'data_retention_until'];
+
+// PatientResource columns of the _sort parameters of Patient, Condition and Encounter searches
+const SORT_COLUMNS = {
+  name: 'sort_name',
+  _lastUpdated: 'last_updated',
+  'recorded-date': 'date',
+  date: 'date'
+};
+
+const toDate = value => {
+  const time = Date.parse(value);
+  return isNaN(time) ? null : new Date(time);
+};
+
+class PatientRecordService {
+  // Persist a transaction Bundle as one PatientRecord, atomically
+  // entryLocation gives the FHIRPath validation issues report for each entry's resource
+  async storeTransactionBundle(bundle, { userId = null, entryLocation = index => `Bundle.entry[${index}].resource` } = {}) {
+    try {
+      const entries = bundle.entry || [];
+
+      if (entries.length === 0) {
+        throw fhirUtils.createError(400, 'invalid', 'Transaction Bundle has no entries', 'Bundle.entry');
+      }
+
+      // Assign server ids and build the fullUrl -> Type/id reference map
+      const lastUpdated = new Date().toISOString();
+      const references = {};
+      const planned = entries.map((entry, index) => this.planEntry(entry, index, references));
+
+      const resources = await Promise.all(planned.map(({ resource }) => {
+        const resolved = this.resolveReferences(resource, references);
+        return resolved.resourceType === 'Condition' ? fhirService.dualCodeCondition(resolved) : resolved;
+      }));
+
+      // Profiles and terminology are checked on the resources as they will be stored (dual-coded).
+      // Profiles are opt-in: only those a resource declares in meta.profile are enforced.
+      const issues = [];
+      for (const [index, resource] of resources.entries()) {
+        issues.push(...await profileValidationService.validateResource(resource, { location: entryLocation(index) }));
+      }
+      if (profileValidationService.hasErrors(issues)) {
+        throw profileValidationService.createValidationError(issues);
+      }
+
+      const patientId = this.findPatientId(resources);
+      const encounter = resources.find(resource => resource.resourceType === 'Encounter');
+      const encounterRef = resources
+        .map(resource => resource.encounter?.reference)
+        .find(reference => reference && reference.startsWith('Encounter/'));
+      const { namasteCodes, icd11Codes } = this.extractConditionCodes(resources);
+      const resourceKeys = resources.map(resource => `${resource.resourceType}/${resource.id}`);
+      const patientConsent = this.consentFromPatient(resources.find(resource => resource.resourceType === 'Patient'));
+
+      return await sequelize.transaction(async (transaction) => {
+        // Consent carried by the Bundle's Patient, otherwise the consent already on record.
+        // A known patient's withdrawal is recorded on its own, without any other resources.
+        const consent = patientConsent || await this.currentConsent(patientId, transaction);
+        const withdrawal = resources.length === 1 && patientConsent && !patientConsent.consent_given &&
+          Boolean(await this.currentConsent(patientId, transaction));
+
+        if (!withdrawal) {
+          this.checkConsent(patientId, consent);
+        }
+
+        const indexed = await this.findIndexed(resources, transaction);
+
+        const responseEntries = planned.map(({ method, fullUrl, ifMatch }, index) => {
+          const resource = resources[index];
+          const key = resourceKeys[index];
+          const current = indexed.get(key);
+          const previousVersion = current?.version_id || 0;
+
+          if (method === 'POST' && previousVersion > 0) {
+            throw fhirUtils.createError(409, 'duplicate', `${key} already exists`, `Bundle.entry[${index}]`);
+          }
+
+          if (current && current.patient_id !== patientId) {
+            throw fhirUtils.createError(409, 'conflict', `${key} belongs to another Patient`, `Bundle.entry[${index}]`);
+          }
+
+          if (ifMatch && String(previousVersion) !== ifMatch) {
+            throw fhirUtils.createError(
+              412,
+              'conflict',
+              previousVersion > 0
+                ? `Version conflict: ${key} is at version ${previousVersion}, not ${ifMatch}`
+                : `${key} does not exist`,
+              `Bundle.entry[${index}].request.ifMatch`
+            );
+          }
+
+          const versionId = String(previousVersion + 1);
+          resource.meta = { ...resource.meta, versionId, lastUpdated };
+
+          return {
+            fullUrl,
+            response: {
+              status: previousVersion > 0 ? '200 OK' : '201 Created',
+              location: `${key}/_history/${versionId}`,
+              etag: `W/"${versionId}"`,
+              lastModified: lastUpdated
+            }
+          };
+        });
+
+        const record = await PatientRecord.create({
+          patient_id: patientId,
+          encounter_id: encounter ? encounter.id : encounterRef?.split('/')[1] || null,
+          fhir_bundle: {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: lastUpdated,
+            entry: resources.map((resource, index) => ({
+              fullUrl: planned[index].fullUrl,
+              resource
+            }))
+          },
+          namaste_codes: namasteCodes,
+          icd11_codes: icd11Codes,
+          resource_keys: resourceKeys,
+          created_by: userId,
+          ...consent
+        }, { transaction });
+
+        await this.indexResources(record, transaction);
+
+        return {
+          record,
+          bundle: {
+            resourceType: 'Bundle',
+            id: fhirUtils.generateResourceId('bundle-response'),
+            type: 'transaction-response',
+            entry: responseEntries
+          }
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to store transaction Bundle:', error);
+      throw error;
+    }
+  }
+
+  // Validate one entry and work out its method, server id and fullUrl
+  planEntry(entry, index, references) {
+    const location = `Bundle.entry[${index}]`;
+    const resource = entry.resource;
+
+    if (!resource) {
+      throw fhirUtils.createError(400, 'required', 'Entry has no resource', location);
+    }
+
+    try {
+      fhirUtils.validateResource(resource);
+    } catch (error) {
+      throw fhirUtils.createError(400, 'not-supported', error.message, `${location}.resource`);
+    }
+
+    const method = (entry.request?.method || 'POST').toUpperCase();
+    let id;
+
+    if (method === 'POST') {
+      id = uuidv4();
+    } else if (method === 'PUT') {
+      const [type, urlId] = (entry.request.url || '').split('?')[0].split('/');
+      if (type !== resource.resourceType || !urlId) {
+        throw fhirUtils.createError(400, 'invalid', 'PUT request.url must be [type]/[id] matching the resource', `${location}.request.url`);
+      }
+      id = urlId;
+    } else {
+      throw fhirUtils.createError(400, 'not-supported', `Method ${method} is not supported in transactions`, `${location}.request.method`);
+    }
+
+    const serverReference = `${resource.resourceType}/${id}`;
+    if (entry.fullUrl) {
+      references[entry.fullUrl] = serverReference;
+    }
+
+    return {
+      method,
+      ifMatch: entry.request?.ifMatch ? fhirUtils.parseETag(entry.request.ifMatch) : null,
+      fullUrl: `${fhirConfig.server.baseUrl}/${serverReference}`,
+      resource: { ...resource, id }
+    };
+  }
+
+  // Rewrite urn:uuid (and other fullUrl) references to the assigned server ids
+  resolveReferences(value, references) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveReferences(item, references));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if (key === 'reference' && typeof item === 'string' && references[item]) {
+          return [key, references[item]];
+        }
+        return [key, this.resolveReferences(item, references)];
+      }));
+    }
+
+    return value;
+  }
+
+  // A PatientRecord belongs to one patient: the Bundle's Patient or the subject of its resources
+  findPatientId(resources) {
+    const patientIds = new Set();
+
+    resources.forEach(resource => {
+      if (resource.resourceType === 'Patient') {
+        patientIds.add(resource.id);
+      }
+
+      const subject = (resource.subject || resource.patient)?.reference;
+      if (subject && subject.startsWith('Patient/')) {
+        patientIds.add(subject.split('/')[1]);
+      }
+    });
+
+    if (patientIds.size !== 1) {
+      throw fhirUtils.createError(
+        400,
+        'invalid',
+        patientIds.size === 0
+          ? 'Transaction Bundle must contain a Patient or reference one as subject'
+          : 'Transaction Bundle must concern exactly one Patient',
+        'Bundle.entry'
+      );
+    }
+
+    return [...patientIds][0];
+  }
+
+  // Split every Condition.code coding into NAMASTE and ICD-11 code lists
+  extractConditionCodes(resources) {
+    const namasteCodes = new Set();
+    const icd11Codes = new Set();
+
+    resources
+      .filter(resource => resource.resourceType === 'Condition')
+      .flatMap(condition => condition.code?.coding || [])
+      .forEach(coding => {
+        const codeSystem = fhirService.resolveCodeSystem(coding.system);
+        if (!codeSystem || !coding.code) return;
+
+        (codeSystem.family === 'namaste' ? namasteCodes : icd11Codes).add(coding.code);
+      });
+
+    return {
+      namasteCodes: [...namasteCodes],
+      icd11Codes: [...icd11Codes]
+    };
+  }
+
+  // Indexed current version and patient of those of the resources already stored, by Type/id.
+  // The rows stay locked until the transaction ends, so a concurrent write cannot pass the same If-Match.
+  async findIndexed(resources, transaction) {
+    const rows = await PatientResource.findAll({
+      where: {
+        [Op.or]: resources.map(resource => ({ resource_type: resource.resourceType, resource_id: resource.id }))
+      },
+      attributes: ['resource_type', 'resource_id', 'patient_id', 'version_id'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    return new Map(rows.map(row => [`${row.resource_type}/${row.resource_id}`, row]));
+  }
+
+  // Point the search index at the resource versions of a record, unless it already holds later ones,
+  // and give every indexed resource of the patient the record's consent
+  async indexResources(record, transaction) {
+    for (const { resource } of record.fhir_bundle?.entry || []) {
+      const versionId = parseInt(resource.meta?.versionId) || 1;
+      // Locked so a concurrent write of a later version cannot be overwritten by this one
+      const existing = await PatientResource.findOne({
+        where: { resource_type: resource.resourceType, resource_id: resource.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (existing && existing.version_id > versionId) continue;
+
+      const values = {
+        resource_type: resource.resourceType,
+        resource_id: resource.id,
+        patient_id: record.patient_id,
+        record_id: record.id,
+        version_id: versionId,
+        last_updated: toDate(resource.meta?.lastUpdated),
+        resource,
+        ...this.searchColumns(resource)
+      };
+      const row = existing
+        ? await existing.update(values, { transaction })
+        : await PatientResource.create(values, { transaction });
+
+      await PatientResourceToken.destroy({ where: { patient_resource_id: row.id }, transaction });
+      await PatientResourceToken.bulkCreate(
+        this.searchTokens(resource).map(token => ({ ...token, patient_resource_id: row.id })),
+        { transaction }
+      );
+    }
+
+    await PatientResource.update(this.consentOf(record), { where: { patient_id: record.patient_id }, transaction });
+  }
+
+  // Single-valued search and sort columns of a resource
+  searchColumns(resource) {
+    const name = resource.resourceType === 'Patient' ? resource.name?.[0]?.family || resource.name?.[0]?.text : null;
+    const date = resource.resourceType === 'Condition'
+      ? resource.recordedDate
+      : resource.period?.start || resource.period?.end;
+
+    return {
+      sort_name: name ? String(name).slice(0, 200) : null,
+      encounter: resource.encounter?.reference || null,
+      status: resource.resourceType === 'Encounter' ? resource.status || null : null,
+      date: date ? toDate(date) : null
+    };
+  }
+
+  // PatientResourceToken values of a resource
+  searchTokens(resource) {
+    const token = (parameter, system, value, codeSystem = null) => ({
+      parameter,
+      system: system || null,
+      value: String(value).slice(0, 255),
+      family: codeSystem?.family || null,
+      family_key: codeSystem?.key || null
+    });
+
+    if (resource.resourceType === 'Patient') {
+      const nameParts = new Set((resource.name || [])
+        .flatMap(name => [name.text, name.family, ...(name.given || [])])
+        .filter(Boolean)
+        .map(part => String(part).toLowerCase()));
+
+      return [
+        ...(resource.identifier || [])
+          .filter(identifier => identifier.value)
+          .map(identifier => token('identifier', identifier.system, identifier.value)),
+        ...[...nameParts].map(part => token('name', null, part))
+      ];
+    }
+
+    if (resource.resourceType === 'Condition') {
+      return [
+        ...(resource.code?.coding || [])
+          .filter(coding => coding.code)
+          .map(coding => token('code', coding.system, coding.code, fhirService.resolveCodeSystem(coding.system))),
+        ...(resource.clinicalStatus?.coding || [])
+          .filter(coding => coding.code)
+          .map(coding => token('clinical-status', coding.system, coding.code))
+      ];
+    }
+
+    return [];
+  }
+
+  // Rebuild the search index from every PatientRecord, e.g. for records stored before it existed
+  async reindexResources() {
+    const batchSize = fhirConfig.bulkExport.batchSize;
+    let lastId = 0;
+    let count = 0;
+
+    while (true) {
+      const records = await PatientRecord.findAll({
+        where: { id: { [Op.gt]: lastId } },
+        attributes: ['id', 'patient_id', 'fhir_bundle', ...CONSENT_FIELDS],
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+
+      for (const record of records) {
+        await sequelize.transaction(transaction => this.indexResources(record, transaction));
+      }
+      count += records.length;
+
+      if (records.length < batchSize) break;
+      lastId = records[records.length - 1].id;
+    }
+
+    logger.info(`Indexed the resources of ${count} patient records`);
+  }
+
+  // Current version of every stored resource of the given types, read in batches.
+  // Resources of patients without valid consent are left out.
+  async *streamLatestResources({ types, since = null, patientIds = null }) {
+    const batchSize = fhirConfig.bulkExport.batchSize;
+    const where = {};
+    const latest = new Map();
+    const consents = new Map();
+    let lastId = 0;
+
+    if (patientIds) {
+      where.patient_id = { [Op.in]: patientIds };
+    }
+
+    while (true) {
+      const records = await PatientRecord.findAll({
+        where: { ...where, id: { [Op.gt]: lastId } },
+        attributes: ['id', 'patient_id', 'fhir_bundle', ...CONSENT_FIELDS],
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+
+      this.collectLatest(records, types, latest, consents);
+
+      if (records.length < batchSize) break;
+      lastId = records[records.length - 1].id;
+    }
+
+    for (const { resource, patientId } of latest.values()) {
+      if (!this.hasConsent(consents.get(patientId))) continue;
+
+      if (!since || !resource.meta?.lastUpdated || new Date(resource.meta.lastUpdated) >= since) {
+        yield resource;
+      }
+    }
+  }
+
+  // Fold records (in id order) into the latest version of each resource and the latest consent of each patient
+  collectLatest(records, types, latest, consents) {
+    records.forEach(record => {
+      consents.set(record.patient_id, this.consentOf(record));
+
+      (record.fhir_bundle?.entry || []).forEach(({ resource }) => {
+        if (!types.includes(resource.resourceType)) return;
+
+        const key = `${resource.resourceType}/${resource.id}`;
+        const current = latest.get(key)?.resource;
+        if (!current || (parseInt(resource.meta?.versionId) || 1) >= (parseInt(current.meta?.versionId) || 1)) {
+          latest.set(key, { resource, patientId: record.patient_id });
+        }
+      });
+    });
+  }
+
+  // Patients whose records carry a Group tag (PatientRecord.tags)
+  async findGroupPatientIds(groupId) {
+    const records = await PatientRecord.findAll({
+      where: { tags: { [Op.like]: `%"${groupId}"%` } },
+      attributes: ['patient_id']
+    });
+
+    return [...new Set(records.map(record => record.patient_id))];
+  }
+
+  // Consent recorded by the consent extension of a Patient resource, or null if it has none
+  consentFromPatient(patient) {
+    const extension = (patient?.extension || []).find(item => item.url === fhirConfig.extensions.patientConsent);
+    if (!extension) {
+      return null;
+    }
+
+    const part = name => (extension.extension || []).find(item => item.url === name) || {};
+    const date = (name, value) => {
+      if (!value) return null;
+
+      const parsed = new Date(value);
+      if (isNaN(parsed.getTime())) {
+        throw fhirUtils.createError(400, 'invalid', `Invalid consent ${name} '${value}'`, `Patient.extension('${fhirConfig.extensions.patientConsent}')`);
+      }
+      return parsed;
+    };
+
+    if (typeof part('given').valueBoolean !== 'boolean') {
+      throw fhirUtils.createError(400, 'required', 'The consent extension needs given (valueBoolean)', `Patient.extension('${fhirConfig.extensions.patientConsent}')`);
+    }
+
+    return {
+      consent_given: part('given').valueBoolean,
+      consent_version: part('version').valueString || null,
+      consent_date: date('date', part('date').valueDateTime),
+      data_retention_until: date('retainUntil', part('retainUntil').valueDateTime || part('retainUntil').valueDate)
+    };
+  }
+
+  consentOf(record) {
+    return Object.fromEntries(CONSENT_FIELDS.map(field => [field, record[field]]));
+  }
+
+  // Consent on a patient's most recent record, or null for an unknown patient
+  async currentConsent(patientId, transaction = null) {
+    const record = await PatientRecord.findOne({
+      where: { patient_id: patientId },
+      attributes: CONSENT_FIELDS,
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    return record && this.consentOf(record);
+  }
+
+  // Why a patient's consent does not allow using their data, or null when it does: consent must be
+  // given, to the current consent version, and the retention period must not have ended
+  consentIssue(consent, now = new Date()) {
+    const { currentVersion } = fhirConfig.consent;
+
+    if (!consent?.consent_given) {
+      return 'has no consent on record';
+    }
+    if (currentVersion && consent.consent_version !== currentVersion) {
+      return `consented to version ${consent.consent_version || '(none)'} of the consent, not the current ${currentVersion}`;
+    }
+    if (consent.data_retention_until && new Date(consent.data_retention_until) <= now) {
+      return `has data retained only until ${new Date(consent.data_retention_until).toISOString().split('T')[0]}`;
+    }
+    return null;
+  }
+
+  hasConsent(consent, now = new Date()) {
+    return this.consentIssue(consent, now) === null;
+  }
+
+  checkConsent(patientId, consent) {
+    const issue = this.consentIssue(consent);
+    if (issue) {
+      throw fhirUtils.createError(403, 'forbidden', `Patient/${patientId} ${issue}`);
+    }
+  }
+
+  // REST create (no id) or update of a Patient, Condition or Encounter, stored as a one-entry transaction
+  async saveResource(resource, { id = null, userId = null, ifMatch = null } = {}) {
+    const { record, bundle } = await this.storeTransactionBundle({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{
+        resource,
+        request: id
+          ? { method: 'PUT', url: `${resource.resourceType}/${id}`, ...(ifMatch && { ifMatch }) }
+          : { method: 'POST', url: resource.resourceType }
+      }]
+    }, { userId, entryLocation: () => resource.resourceType });
+
+    return {
+      resource: record.fhir_bundle.entry[0].resource,
+      patientId: record.patient_id,
+      created: bundle.entry[0].response.status.startsWith('201')
+    };
+  }
+
+  // Latest version of a Patient, Condition or Encounter and the patient it belongs to, or null
+  async readResource(type, id) {
+    const row = await PatientResource.findOne({ where: { resource_type: type, resource_id: id } });
+    if (!row) {
+      return null;
+    }
+
+    this.checkConsent(row.patient_id, this.consentOf(row));
+    return { resource: row.resource, patientId: row.patient_id };
+  }
+
+  // Latest version of every resource in a patient's compartment, the Patient first.
+  // Nothing is returned unless the patient's consent allows it.
+  async patientCompartment(patientId, { types = fhirConfig.bulkExport.patientTypes, since = null } = {}) {
+    const records = await PatientRecord.findAll({
+      where: { patient_id: patientId },
+      attributes: ['id', 'patient_id', 'fhir_bundle', ...CONSENT_FIELDS],
+      order: [['id', 'ASC']]
+    });
+
+    if (records.length === 0) {
+      throw fhirUtils.createError(404, 'not-found', `Patient '${patientId}' not found`);
+    }
+
+    const latest = new Map();
+    const consents = new Map();
+    this.collectLatest(records, types, latest, consents);
+    this.checkConsent(patientId, consents.get(patientId));
+
+    return [...latest.values()]
+      .map(({ resource }) => resource)
+      .filter(resource => !since || !resource.meta?.lastUpdated || new Date(resource.meta.lastUpdated) >= since)
+      .sort((a, b) => (b.resourceType === 'Patient') - (a.resourceType === 'Patient'));
+  }
+
+  // Search Patient, Condition or Encounter over the latest resource versions of consented patients.
+  // query holds the FHIR search parameters; repeated parameters must all match, comma-separated values are alternatives.
+  async searchResources(type, query, params) {
+    const { total, hasMore, rows } = await fhirSearchService.searchModel(PatientResource, {
+      where: {
+        resource_type: type,
+        [Op.and]: [this.consentWhere(), ...await this.searchConditions(type, query)]
+      },
+      attributes: ['id', 'resource'],
+      params,
+      columns: SORT_COLUMNS
+    });
+
+    return { total, hasMore, resources: rows.map(row => row.resource) };
+  }
+
+  // consentIssue() as a condition on PatientResource
+  consentWhere(now = new Date()) {
+    const { currentVersion } = fhirConfig.consent;
+
+    return {
+      consent_given: true,
+      ...(currentVersion && { consent_version: currentVersion }),
+      [Op.or]: [{ data_retention_until: null }, { data_retention_until: { [Op.gt]: now } }]
+    };
+  }
+
+  // PatientResource conditions for the search parameters of a type
+  async searchConditions(type, query) {
+    const conditions = [];
+
+    this.valueGroups(type === 'Patient' ? query._id : query.patient).forEach(group => {
+      conditions.push({ patient_id: { [Op.in]: group.map(value => value.split('/').pop()) } });
+    });
+
+    if (type === 'Patient') {
+      this.valueGroups(query.identifier).forEach(group => {
+        conditions.push(this.tokenCondition('identifier', group.map(value => {
+          const { system, code } = this.parseToken(value);
+          return { value: code, ...(system && { system }) };
+        })));
+      });
+
+      this.valueGroups(query.name).forEach(group => {
+        conditions.push(this.tokenCondition('name', group.map(value => ({
+          value: { [Op.like]: `${helpers.escapeLike(value.toLowerCase())}%` }
+        }))));
+      });
+    }
+
+    if (type === 'Condition') {
+      this.valueGroups(query.encounter).forEach(group => {
+        conditions.push({ encounter: { [Op.in]: group.map(value => `Encounter/${value.split('/').pop()}`) } });
+      });
+
+      for (const [name, below] of [['code', false], ['code:below', true]]) {
+        for (const group of this.valueGroups(query[name])) {
+          const tokens = await Promise.all(group.map(async value => {
+            const { system, code } = this.parseToken(value);
+            if (below && !system) {
+              throw fhirUtils.createError(400, 'invalid', 'code:below needs a system|code token', name);
+            }
+            return { system, codes: below ? await fhirService.findCodesBelow(system, code) : [code] };
+          }));
+
+          conditions.push(this.tokenCondition('code', tokens.map(token => this.codingWhere(token))));
+        }
+      }
+
+      conditions.push(...fhirSearchService.dateConditions(query['recorded-date'], 'date', 'recorded-date'));
+
+      this.valueGroups(query['clinical-status']).forEach(group => {
+        conditions.push(this.tokenCondition('clinical-status', group.map(value => {
+          const { system, code } = this.parseToken(value);
+          return { value: code, ...(system && { system }) };
+        })));
+      });
+    }
+
+    if (type === 'Encounter') {
+      this.valueGroups(query.status).forEach(group => {
+        conditions.push({ status: { [Op.in]: group } });
+      });
+
+      conditions.push(...fhirSearchService.dateConditions(query.date, 'date'));
+    }
+
+    return conditions;
+  }
+
+  // Resources with a token of the parameter matching any of the alternatives
+  tokenCondition(parameter, alternatives) {
+    const subquery = sequelize.getQueryInterface().queryGenerator.selectQuery(PatientResourceToken.getTableName(), {
+      attributes: ['patient_resource_id'],
+      where: { parameter, [Op.or]: alternatives }
+    }, PatientResourceToken);
+
+    return { id: { [Op.in]: sequelize.literal(`(${subquery.replace(/;$/, '')})`) } };
+  }
+
+  // A coding matches a token in the same system, or in a NAMASTE / ICD-11 system the token's system resolves to
+  codingWhere({ system, codes }) {
+    const where = { value: { [Op.in]: codes } };
+    if (!system) {
+      return where;
+    }
+
+    const wanted = fhirService.resolveCodeSystem(system);
+    return {
+      ...where,
+      [Op.or]: [
+        { system },
+        ...(wanted ? [{ family: wanted.family, ...(wanted.key && { family_key: { [Op.or]: [null, wanted.key] } }) }] : [])
+      ]
+    };
+  }
+
+  // A search parameter's values, one list of alternatives per occurrence
+  valueGroups(values) {
+    return [].concat(values || [])
+      .map(value => String(value).split(',').map(item => item.trim()).filter(Boolean))
+      .filter(group => group.length > 0);
+  }
+
+  listValues(values) {
+    return this.valueGroups(values).flat();
+  }
+
+  // system|code, |code or code
+  parseToken(value) {
+    const index = value.indexOf('|');
+    return index >= 0
+      ? { system: value.slice(0, index) || null, code: value.slice(index + 1) }
+      : { system: null, code: value };
+  }
+}
+
+module.exports = new PatientRecordService();
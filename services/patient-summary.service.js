@@ -0,0 +1,112 @@
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const patientRecordService = require('./patient-record.service');
+const { v4: uuidv4 } = require('uuid');
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+class PatientSummaryService {
+  // Patient/$summary: a document Bundle whose Composition lists the patient's active problems,
+  // in one sub-section per ICD-11 module (NAMASTE codings count as Traditional Medicine)
+  async generateSummary(patientId) {
+    const resources = await patientRecordService.patientCompartment(patientId, { types: ['Patient', 'Condition'] });
+    const patient = resources.find(resource => resource.resourceType === 'Patient');
+
+    if (!patient) {
+      throw fhirUtils.createError(404, 'not-found', `Patient '${patientId}' not found`);
+    }
+
+    const problems = resources.filter(resource => resource.resourceType === 'Condition' && this.isActiveProblem(resource));
+    const { patientSummary } = fhirConfig;
+    const timestamp = new Date().toISOString();
+    const compositionId = uuidv4();
+
+    const sections = Object.entries(fhirConfig.codeSystems.icd11).map(([module, config]) => {
+      const conditions = problems.filter(condition => this.problemModules(condition).includes(module));
+
+      return {
+        title: config.title,
+        code: { text: config.title },
+        text: this.narrative(conditions),
+        ...(conditions.length > 0
+          ? { entry: conditions.map(condition => ({ reference: `Condition/${condition.id}` })) }
+          : { emptyReason: { coding: [patientSummary.emptyReason] } })
+      };
+    });
+
+    const composition = {
+      resourceType: 'Composition',
+      id: compositionId,
+      status: 'final',
+      type: { coding: [patientSummary.compositionType] },
+      subject: { reference: `Patient/${patient.id}` },
+      date: timestamp,
+      author: [{ display: fhirConfig.server.title }],
+      title: 'Patient Summary',
+      section: [{
+        title: 'Active Problems',
+        code: { coding: [patientSummary.problemSection] },
+        text: this.narrative(problems),
+        ...(problems.length > 0
+          ? { entry: problems.map(condition => ({ reference: `Condition/${condition.id}` })) }
+          : { emptyReason: { coding: [patientSummary.emptyReason] } }),
+        section: sections
+      }]
+    };
+
+    return {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${compositionId}` },
+      type: 'document',
+      timestamp,
+      entry: [
+        { fullUrl: `urn:uuid:${compositionId}`, resource: composition },
+        ...[patient, ...problems].map(resource => ({
+          fullUrl: `${fhirConfig.server.baseUrl}/${resource.resourceType}/${resource.id}`,
+          resource
+        }))
+      ]
+    };
+  }
+
+  isActiveProblem(condition) {
+    const codes = concept => (concept?.coding || []).map(coding => coding.code);
+    const { activeStatuses, excludedVerificationStatuses } = fhirConfig.patientSummary;
+
+    return codes(condition.clinicalStatus).some(code => activeStatuses.includes(code)) &&
+      !codes(condition.verificationStatus).some(code => excludedVerificationStatuses.includes(code));
+  }
+
+  // ICD-11 modules (tm2, biomedicine) a Condition is coded in
+  problemModules(condition) {
+    const modules = (condition.code?.coding || []).map(coding => {
+      const codeSystem = fhirService.resolveCodeSystem(coding.system);
+      return codeSystem?.family === 'namaste' ? 'tm2' : codeSystem?.key;
+    });
+
+    return [...new Set(modules.filter(Boolean))];
+  }
+
+  // Generated narrative: one list item per problem with all of its codings
+  narrative(conditions) {
+    const items = conditions.map(condition => {
+      const codings = condition.code?.coding || [];
+      const label = condition.code?.text || codings.find(coding => coding.display)?.display || codings[0]?.code;
+      const codes = codings
+        .map(coding => `${fhirService.resolveCodeSystem(coding.system)?.config.title || coding.system} ${coding.code}`)
+        .join('; ');
+
+      return `<li>${escapeHtml(label)}${codes ? ` (${escapeHtml(codes)})` : ''}</li>`;
+    });
+
+    return {
+      status: 'generated',
+      div: `<div xmlns="http://www.w3.org/1999/xhtml">${
+        items.length > 0 ? `<ul>${items.join('')}</ul>` : '<p>No known active problems</p>'
+      }</div>`
+    };
+  }
+}
+
+module.exports = new PatientSummaryService();
@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const logger = require('../utils/logger');
+
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const DATE_TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+const INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// JSON values allowed for FHIR primitive types; every other type is a JSON object
+const PRIMITIVE_TYPES = {
+  boolean: value => typeof value === 'boolean',
+  integer: value => Number.isInteger(value),
+  positiveInt: value => Number.isInteger(value) && value > 0,
+  unsignedInt: value => Number.isInteger(value) && value >= 0,
+  decimal: value => typeof value === 'number',
+  date: value => typeof value === 'string' && DATE.test(value),
+  dateTime: value => typeof value === 'string' && DATE_TIME.test(value),
+  instant: value => typeof value === 'string' && INSTANT.test(value),
+  ...Object.fromEntries(['string', 'code', 'uri', 'url', 'canonical', 'id', 'markdown', 'oid', 'uuid', 'base64Binary', 'time']
+    .map(type => [type, value => typeof value === 'string']))
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A value matches a pattern when it has every element of the pattern; pattern array items must each match some item
+const matchesPattern = (value, pattern) => {
+  if (Array.isArray(pattern)) {
+    return Array.isArray(value) && pattern.every(item => value.some(candidate => matchesPattern(candidate, item)));
+  }
+  if (isObject(pattern)) {
+    return isObject(value) && Object.entries(pattern).every(([key, item]) => matchesPattern(value[key], item));
+  }
+  return value === pattern;
+};
+
+class ProfileValidationService {
+  constructor() {
+    this.profiles = null;
+  }
+
+  // StructureDefinitions from the profile directory, by canonical url (read once)
+  loadProfiles() {
+    if (this.profiles) {
+      return this.profiles;
+    }
+
+    const directory = fhirConfig.validation.profileDirectory;
+    this.profiles = new Map();
+
+    const files = fs.existsSync(directory) ? fs.readdirSync(directory).filter(file => file.endsWith('.json')) : [];
+    files.forEach(file => {
+      try {
+        const definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        if (definition.resourceType === 'StructureDefinition' && definition.url) {
+          this.profiles.set(definition.url, definition);
+        }
+      } catch (error) {
+        logger.error(`Skipping profile ${file}:`, error.message);
+      }
+    });
+
+    logger.info(`Loaded ${this.profiles.size} StructureDefinition profiles from ${directory}`);
+    return this.profiles;
+  }
+
+  getProfile(url) {
+    return this.loadProfiles().get(String(url).split('|')[0]) || null;
+  }
+
+  // Issues for one resource: its declared profiles (meta.profile) and the requested ones, and every
+  // coding in one of our code systems. location is the FHIRPath of the resource, e.g. Bundle.entry[0].resource.
+  async validateResource(resource, { profiles = [], location = null } = {}) {
+    const root = { value: resource, location: location || resource.resourceType };
+    const context = { cache: new Map() };
+    const issues = [];
+
+    if (!isObject(resource) || !resource.resourceType) {
+      return [this.issue('error', 'structure', 'Resource must be a JSON object with a resourceType', root.location)];
+    }
+
+    if (fhirConfig.validation.validateAgainstProfile) {
+      const urls = [...new Set([...(resource.meta?.profile || []), ...profiles])];
+
+      for (const url of urls) {
+        const profile = this.getProfile(url);
+
+        if (!profile) {
+          issues.push(this.issue('warning', 'not-supported', `Profile '${url}' is not known to this server`, `${root.location}.meta.profile`));
+        } else if (profile.type !== resource.resourceType) {
+          issues.push(this.issue('error', 'invalid', `Profile '${url}' is for ${profile.type}, not ${resource.resourceType}`, root.location));
+        } else {
+          issues.push(...await this.validateAgainstProfile(root, profile, context));
+        }
+      }
+    }
+
+    issues.push(...await this.validateCodings(root, context));
+    return issues;
+  }
+
+  // Issues for a Bundle and each entry resource
+  async validateBundle(bundle, { profiles = [] } = {}) {
+    const issues = await this.validateResource(bundle, { profiles });
+
+    for (const [index, entry] of (bundle.entry || []).entries()) {
+      if (entry.resource) {
+        issues.push(...await this.validateResource(entry.resource, { location: `Bundle.entry[${index}].resource` }));
+      }
+    }
+
+    return issues;
+  }
+
+  // Whether issues reject a resource (warnings too under strict validation)
+  hasErrors(issues) {
+    const rejected = fhirConfig.validation.strictValidation ? ['fatal', 'error', 'warning'] : ['fatal', 'error'];
+    return issues.some(issue => rejected.includes(issue.severity));
+  }
+
+  toOperationOutcome(issues) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: issues.length > 0
+        ? issues
+        : [this.issue('information', 'informational', 'Validation successful, no issues found')]
+    };
+  }
+
+  // Error for services to throw when resources fail validation; it reports every issue
+  createValidationError(issues) {
+    const errors = issues.filter(issue => ['fatal', 'error', 'warning'].includes(issue.severity));
+    const error = fhirUtils.createError(422, 'processing', `Validation failed: ${errors[0]?.details.text}`);
+    error.outcome = this.toOperationOutcome(issues);
+    return error;
+  }
+
+  issue(severity, code, text, expression) {
+    return { severity, code, details: { text }, expression: [expression] };
+  }
+
+  // Check the constraints a profile's differential adds (base resource rules are not repeated here)
+  async validateAgainstProfile(root, profile, context) {
+    const elements = new Map((profile.differential?.element || []).map(element => [element.id || element.path, element]));
+    const profileContext = { ...context, elements, profile };
+    const issues = [];
+
+    for (const [id, element] of elements) {
+      const segments = id.split('.');
+      if (segments.length < 2) continue;
+
+      const parents = await this.nodesAt(root, segments.slice(0, -1), profileContext);
+      const [name, sliceName] = segments[segments.length - 1].split(':');
+
+      for (const parent of parents) {
+        let nodes = this.children(parent, name);
+        if (sliceName) {
+          nodes = await this.sliceMembers(nodes, id, profileContext);
+        }
+
+        issues.push(...this.checkCardinality(element, nodes, `${parent.location}.${name}`, sliceName));
+
+        for (const node of nodes) {
+          issues.push(...await this.checkElement(element, node, profileContext));
+        }
+
+        if (element.slicing?.rules === 'closed') {
+          issues.push(...await this.checkClosedSlicing(id, nodes, profileContext));
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  // Nodes for element id segments (Condition, code, coding:namaste), following slices
+  async nodesAt(root, segments, context) {
+    let nodes = [root];
+
+    for (let index = 1; index < segments.length; index++) {
+      const [name, sliceName] = segments[index].split(':');
+      nodes = nodes.flatMap(node => this.children(node, name));
+
+      if (sliceName) {
+        nodes = await this.sliceMembers(nodes, segments.slice(0, index + 1).join('.'), context);
+      }
+    }
+
+    return nodes;
+  }
+
+  // Child values of a node with their FHIRPath locations; name may be a choice (value[x])
+  children(node, name) {
+    if (!isObject(node.value)) {
+      return [];
+    }
+
+    const keys = name.endsWith('[x]')
+      ? Object.keys(node.value).filter(key => key.startsWith(name.slice(0, -3)) && /^[A-Z]/.test(key.slice(name.length - 3)))
+      : [name];
+
+    return keys.flatMap(key => {
+      const value = node.value[key];
+      if (value === undefined || value === null) return [];
+
+      return Array.isArray(value)
+        ? value.map((item, index) => ({ value: item, location: `${node.location}.${key}[${index}]` }))
+        : [{ value, location: `${node.location}.${key}` }];
+    });
+  }
+
+  async sliceMembers(nodes, sliceId, context) {
+    const slicing = context.elements.get(sliceId.replace(/:[^.:]+$/, ''))?.slicing;
+    if (!slicing) {
+      return [];
+    }
+
+    const members = [];
+    for (const node of nodes) {
+      if (await this.inSlice(node, sliceId, slicing, context)) {
+        members.push(node);
+      }
+    }
+    return members;
+  }
+
+  // Discriminators: value/pattern compare the slice's fixed[x], pattern[x] or required binding; exists checks presence
+  async inSlice(node, sliceId, slicing, context) {
+    for (const { type, path: discriminatorPath } of slicing.discriminator || []) {
+      const element = context.elements.get(discriminatorPath === '$this' ? sliceId : `${sliceId}.${discriminatorPath}`);
+      const values = discriminatorPath === '$this'
+        ? [node]
+        : discriminatorPath.split('.').reduce((current, name) => current.flatMap(item => this.children(item, name)), [node]);
+
+      if (!element) {
+        return false;
+      }
+
+      if (type === 'exists') {
+        if ((values.length > 0) !== ((element.min || 0) > 0)) return false;
+        continue;
+      }
+
+      if (type !== 'value' && type !== 'pattern') {
+        return false;
+      }
+
+      const fixed = this.fixedValue(element);
+      const pattern = this.patternValue(element);
+
+      if (fixed !== undefined || pattern !== undefined) {
+        const matches = values.some(({ value }) => fixed !== undefined ? deepEqual(value, fixed) : matchesPattern(value, pattern));
+        if (!matches) return false;
+      } else if (element.binding?.strength === 'required' && element.binding.valueSet) {
+        let member = false;
+        for (const { value } of values) {
+          if (await this.inValueSet(value, element.binding.valueSet, context)) {
+            member = true;
+            break;
+          }
+        }
+        if (!member) return false;
+      } else {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  fixedValue(element) {
+    const key = Object.keys(element).find(name => /^fixed[A-Z]/.test(name));
+    return key ? element[key] : undefined;
+  }
+
+  patternValue(element) {
+    const key = Object.keys(element).find(name => /^pattern[A-Z]/.test(name));
+    return key ? element[key] : undefined;
+  }
+
+  checkCardinality(element, nodes, location, sliceName) {
+    const label = sliceName ? `${location} (slice '${sliceName}')` : location;
+    const max = element.max === undefined || element.max === '*' ? Infinity : parseInt(element.max);
+    const issues = [];
+
+    if (nodes.length < (element.min || 0)) {
+      issues.push(this.issue('error', 'required', `${label}: minimum required = ${element.min}, but only found ${nodes.length}`, location));
+    }
+    if (nodes.length > max) {
+      issues.push(this.issue('error', 'structure', `${label}: maximum allowed = ${element.max}, but found ${nodes.length}`, location));
+    }
+
+    return issues;
+  }
+
+  // Type, fixed and pattern values, target types of references and bindings of one element value
+  async checkElement(element, node, context) {
+    const issues = [];
+    const types = (element.type || []).map(type => type.code);
+
+    if (types.length > 0 && !types.some(type => PRIMITIVE_TYPES[type] ? PRIMITIVE_TYPES[type](node.value) : isObject(node.value))) {
+      issues.push(this.issue('error', 'structure', `Value is not a valid ${types.join(' or ')}`, node.location));
+      return issues;
+    }
+
+    const fixed = this.fixedValue(element);
+    if (fixed !== undefined && !deepEqual(node.value, fixed)) {
+      issues.push(this.issue('error', 'value', `Value must be exactly ${JSON.stringify(fixed)}`, node.location));
+    }
+
+    const pattern = this.patternValue(element);
+    if (pattern !== undefined && !matchesPattern(node.value, pattern)) {
+      issues.push(this.issue('error', 'value', `Value does not match the required pattern ${JSON.stringify(pattern)}`, node.location));
+    }
+
+    const targets = (element.type || [])
+      .filter(type => type.code === 'Reference')
+      .flatMap(type => type.targetProfile || [])
+      .map(url => url.split('/').pop());
+    const reference = node.value?.reference;
+    if (targets.length > 0 && typeof reference === 'string' && /^[A-Z][A-Za-z]+\//.test(reference) &&
+      !targets.includes(reference.split('/')[0])) {
+      issues.push(this.issue('error', 'invalid', `Reference must point to ${targets.join(' or ')}, not ${reference.split('/')[0]}`, `${node.location}.reference`));
+    }
+
+    const { binding } = element;
+    if (binding?.valueSet && ['required', 'extensible'].includes(binding.strength)) {
+      const member = await this.inValueSet(node.value, binding.valueSet, context);
+
+      if (member === null) {
+        issues.push(this.issue('information', 'not-supported', `ValueSet '${binding.valueSet}' is not available; binding not checked`, node.location));
+      } else if (!member) {
+        issues.push(this.issue(
+          binding.strength === 'required' ? 'error' : 'warning',
+          'code-invalid',
+          `None of the codes are in the ${binding.strength} value set '${binding.valueSet}'`,
+          node.location
+        ));
+      }
+    }
+
+    return issues;
+  }
+
+  async checkClosedSlicing(id, nodes, context) {
+    const sliceIds = [...context.elements.keys()].filter(key => key.startsWith(`${id}:`) && !key.slice(id.length + 1).includes('.'));
+    const slicing = context.elements.get(id).slicing;
+    const issues = [];
+
+    for (const node of nodes) {
+      let matched = false;
+      for (const sliceId of sliceIds) {
+        if (await this.inSlice(node, sliceId, slicing, context)) {
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) {
+        issues.push(this.issue('error', 'structure', 'Value does not match any slice of this closed slicing', node.location));
+      }
+    }
+
+    return issues;
+  }
+
+  // Membership of a code, Coding or CodeableConcept in one of our ValueSets; null when the ValueSet is unknown
+  async inValueSet(value, valueSetUrl, context) {
+    if (!fhirService.resolveValueSet(String(valueSetUrl).split('|')[0])) {
+      return null;
+    }
+
+    const codings = typeof value === 'string'
+      ? [{ code: value }]
+      : isObject(value) && value.coding ? value.coding : [value];
+
+    for (const coding of codings.filter(item => isObject(item) && item.code)) {
+      const key = `vs|${valueSetUrl}|${coding.system || ''}|${coding.code}`;
+      if (!context.cache.has(key)) {
+        context.cache.set(key, await fhirService.valueSetContains(valueSetUrl, coding));
+      }
+
+      if (context.cache.get(key)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Every Coding in one of our code systems must name an existing code; inactive codes and wrong displays are warnings
+  async validateCodings(root, context) {
+    const issues = [];
+    const codings = [];
+
+    const walk = node => {
+      if (Array.isArray(node.value)) {
+        node.value.forEach((item, index) => walk({ value: item, location: `${node.location}[${index}]` }));
+      } else if (isObject(node.value)) {
+        // Bundle entry resources are validated on their own (validateBundle)
+        if (node !== root && root.value.resourceType === 'Bundle' && node.value.resourceType) return;
+        if (typeof node.value.system === 'string' && typeof node.value.code === 'string' && fhirService.resolveCodeSystem(node.value.system)) {
+          codings.push(node);
+        }
+        Object.entries(node.value).forEach(([key, value]) => walk({ value, location: `${node.location}.${key}` }));
+      }
+    };
+    walk(root);
+
+    for (const { value, location } of codings) {
+      const { system, code, display, version } = value;
+      const key = `cs|${system}|${code}|${display || ''}|${version || ''}`;
+      if (!context.cache.has(key)) {
+        context.cache.set(key, await fhirService.validateCode({ system, code, display, version }));
+      }
+
+      const outcome = context.cache.get(key);
+      if (!outcome.result) {
+        // validateCode returns the concept's display when the code exists but is inactive or displayed differently
+        issues.push(this.issue(outcome.display ? 'warning' : 'error', outcome.display ? 'business-rule' : 'code-invalid', outcome.message, location));
+      }
+    }
+
+    return issues;
+  }
+}
+
+module.exports = new ProfileValidationService();
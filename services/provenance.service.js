@@ -0,0 +1,253 @@
+const { AuditLog, CodeMapping, NamesteCode, ICD11Code, User } = require('../models');
+const { Op } = require('sequelize');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const fhirSearchService = require('./fhir-search.service');
+const logger = require('../utils/logger');
+
+const MAPPING_ACTIONS = ['MAPPING_CREATED', 'MAPPING_UPDATED', 'MAPPING_DELETED', 'MAPPING_STATUS_CHANGED'];
+
+// Fields whose change makes an update more than a verification
+const CONTENT_FIELDS = ['mapping_type', 'confidence_score', 'notes', 'is_active'];
+
+// SQL subquery of a model's table, for use with Op.in
+const subquery = (model, options) => {
+  const sql = model.sequelize.getQueryInterface().queryGenerator.selectQuery(model.getTableName(), options, model);
+  return model.sequelize.literal(`(${sql.replace(/;$/, '')})`);
+};
+
+class ProvenanceService {
+  // Provenance of ConceptMap elements, one per mapping audit log entry, newest first
+  async searchProvenance({ target = null, agent = null, recorded = null, activity = null }, params) {
+    const conditions = [
+      { resource_type: 'code_mapping' },
+      { action: { [Op.in]: MAPPING_ACTIONS } },
+      ...fhirSearchService.dateConditions(recorded, 'created_at', 'recorded'),
+      // Logs of mappings that no longer exist are left out before paging
+      { resource_id: { [Op.in]: this.mappingIdQuery(target) } }
+    ];
+
+    if (agent) {
+      const userId = parseInt(String(agent).split('/').pop());
+      // The verifier is recorded in new_values rather than as the log's user
+      conditions.push({
+        [Op.or]: [
+          { user_id: userId },
+          AuditLog.sequelize.where(AuditLog.sequelize.json('new_values.verified_by'), userId)
+        ]
+      });
+    }
+
+    if (activity) {
+      conditions.push(this.activityCondition(String(activity).split('|').pop()));
+    }
+
+    try {
+      const { total, hasMore, rows: logs } = await fhirSearchService.searchModel(AuditLog, {
+        where: { [Op.and]: conditions },
+        include: [{ model: User, as: 'user', attributes: ['id', 'name'] }],
+        params,
+        columns: { recorded: 'created_at' },
+        defaultOrder: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      const mappings = await this.loadMappings(logs.map(log => log.resource_id));
+      const verifiers = await this.loadUsers(logs.map(log => log.new_values?.verified_by));
+
+      return {
+        total,
+        hasMore,
+        // A mapping deleted since the search is left out
+        provenance: logs
+          .filter(log => mappings.has(log.resource_id))
+          .map(log => this.toProvenance(log, mappings.get(log.resource_id), verifiers))
+      };
+
+    } catch (error) {
+      logger.error('Failed to search Provenance:', error);
+      throw error;
+    }
+  }
+
+  // Provenance ids are mapping-<mapping id>-<audit log id>
+  async getProvenance(id) {
+    const [, mappingId, logId] = /^mapping-(\d+)-(\d+)$/.exec(id) || [];
+
+    if (!logId) {
+      return null;
+    }
+
+    const log = await AuditLog.findOne({
+      where: {
+        id: logId,
+        resource_type: 'code_mapping',
+        resource_id: mappingId,
+        action: { [Op.in]: MAPPING_ACTIONS }
+      },
+      include: [{ model: User, as: 'user', attributes: ['id', 'name'] }]
+    });
+
+    if (!log) {
+      return null;
+    }
+
+    const mappings = await this.loadMappings([mappingId]);
+    if (!mappings.has(mappingId)) {
+      return null;
+    }
+
+    return this.toProvenance(log, mappings.get(mappingId), await this.loadUsers([log.new_values?.verified_by]));
+  }
+
+  // Ids of the mappings behind a target reference (ConceptMap/<id> or its canonical url), or of every
+  // mapping without one, as a subquery
+  mappingIdQuery(target) {
+    // Audit logs hold resource ids as strings
+    const attributes = [[CodeMapping.sequelize.cast(CodeMapping.sequelize.col('id'), 'CHAR'), 'id']];
+
+    if (!target) {
+      return subquery(CodeMapping, { attributes });
+    }
+
+    const reference = String(target).split('|')[0];
+    const config = Object.values(fhirConfig.conceptMaps)
+      .find(config => reference === `ConceptMap/${config.id}` || reference === config.url || reference === config.id);
+
+    if (!config) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown Provenance target '${target}'; expected a ConceptMap reference`, 'target');
+    }
+
+    // Inactive mappings are included so their deactivation stays traceable
+    return subquery(CodeMapping, {
+      attributes,
+      where: {
+        [Op.or]: fhirService.conceptMapPairs(config).map(([systemType, module]) => ({
+          namaste_code: { [Op.in]: subquery(NamesteCode, { attributes: ['code'], where: { system_type: systemType } }) },
+          icd11_code: { [Op.in]: subquery(ICD11Code, { attributes: ['icd_id'], where: { module } }) }
+        }))
+      }
+    });
+  }
+
+  async loadMappings(mappingIds) {
+    const mappings = await CodeMapping.findAll({
+      where: { id: { [Op.in]: [...new Set(mappingIds)] } },
+      include: [
+        { association: 'namasteCodeDetails', attributes: ['code', 'system_type'] },
+        { association: 'icd11CodeDetails', attributes: ['icd_id', 'module'] }
+      ],
+      attributes: ['id', 'namaste_code', 'icd11_code']
+    });
+
+    return new Map(mappings.map(mapping => [String(mapping.id), mapping]));
+  }
+
+  async loadUsers(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const users = ids.length > 0
+      ? await User.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id', 'name'] })
+      : [];
+
+    return new Map(users.map(user => [user.id, user]));
+  }
+
+  // create, update, verify (an approval, or an update that sets only verified_by/verified_at) or
+  // deactivate; other review status changes count as updates
+  activityFor(log) {
+    const newValues = log.new_values || {};
+
+    if (log.action === 'MAPPING_DELETED' || newValues.is_active === false) {
+      return 'deactivate';
+    }
+
+    if (log.action === 'MAPPING_CREATED') {
+      return 'create';
+    }
+
+    if (log.action === 'MAPPING_STATUS_CHANGED') {
+      return newValues.status === 'approved' ? 'verify' : 'update';
+    }
+
+    return CONTENT_FIELDS.some(field => field in newValues) ? 'update' : 'verify';
+  }
+
+  // SQL equivalent of activityFor
+  activityCondition(activity) {
+    const { sequelize } = AuditLog;
+    const isActive = sequelize.json('new_values.is_active');
+    const deactivated = sequelize.where(isActive, 'false');
+    const stillActive = { [Op.or]: [sequelize.where(isActive, Op.is, null), sequelize.where(isActive, Op.ne, 'false')] };
+    const reviewStatus = sequelize.json('new_values.status');
+    const contentChanged = sequelize.literal(
+      `JSON_CONTAINS_PATH(new_values, 'one', ${CONTENT_FIELDS.map(field => `'$.${field}'`).join(', ')})`
+    );
+
+    switch (activity) {
+      case 'create':
+        return { action: 'MAPPING_CREATED' };
+      case 'deactivate':
+        return { [Op.or]: [{ action: 'MAPPING_DELETED' }, deactivated] };
+      case 'update':
+        return {
+          [Op.or]: [
+            { [Op.and]: [{ action: 'MAPPING_UPDATED' }, sequelize.where(contentChanged, 1), stillActive] },
+            { [Op.and]: [{ action: 'MAPPING_STATUS_CHANGED' }, sequelize.where(reviewStatus, Op.ne, 'approved'), stillActive] }
+          ]
+        };
+      case 'verify':
+        return {
+          [Op.or]: [
+            { [Op.and]: [{ action: 'MAPPING_UPDATED' }, sequelize.where(contentChanged, 0)] },
+            { [Op.and]: [{ action: 'MAPPING_STATUS_CHANGED' }, sequelize.where(reviewStatus, 'approved')] }
+          ]
+        };
+      default:
+        throw fhirUtils.createError(400, 'invalid', `Unknown activity '${activity}'`, 'activity');
+    }
+  }
+
+  toProvenance(log, mapping, verifiers) {
+    const conceptMap = fhirService.conceptMapFor(mapping.namasteCodeDetails.system_type, mapping.icd11CodeDetails.module);
+    const verifierId = log.new_values?.verified_by;
+    const verifier = verifiers.get(verifierId);
+    const agentTypes = fhirConfig.provenanceAgentType;
+
+    return {
+      resourceType: 'Provenance',
+      id: `mapping-${mapping.id}-${log.id}`,
+      target: [{
+        reference: `ConceptMap/${conceptMap.id}`,
+        extension: [{ url: fhirConfig.extensions.targetElement, valueUri: `mapping-${mapping.id}` }],
+        display: `${mapping.namaste_code} → ${mapping.icd11_code}`
+      }],
+      recorded: new Date(log.created_at).toISOString(),
+      activity: { coding: [fhirConfig.provenanceActivity[this.activityFor(log)]] },
+      agent: log.user_id || verifierId ? [
+        ...(log.user_id ? [{
+          type: { coding: [agentTypes.author] },
+          who: {
+            reference: `Practitioner/${log.user_id}`,
+            ...(log.user?.name && { display: log.user.name })
+          }
+        }] : []),
+        ...(verifierId ? [{
+          type: { coding: [agentTypes.verifier] },
+          who: {
+            reference: `Practitioner/${verifierId}`,
+            ...(verifier?.name && { display: verifier.name })
+          }
+        }] : [])
+      ] : [{
+        // Changes made without a signed-in user (imports, seeding)
+        type: { coding: [agentTypes.author] },
+        who: { display: fhirConfig.server.publisher }
+      }],
+      entity: [{
+        role: 'source',
+        what: { reference: `AuditEvent/${log.id}` }
+      }]
+    };
+  }
+}
+
+module.exports = new ProvenanceService();
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const { SmartClient, User, PatientRecord, sequelize } = require('../models');
+const { config: oauthConfig } = require('../config/oauth');
+const { config: fhirConfig } = require('../config/fhir');
+const logger = require('../utils/logger');
+
+// patient|user|system / Type|* . v1 permissions (read, write, *) or v2 (cruds, in that order)
+const RESOURCE_SCOPE = /^(patient|user|system)\/(\*|[A-Z][A-Za-z]+)\.(read|write|\*|c?r?u?d?s?)$/;
+const V1_PERMISSIONS = { read: 'rs', write: 'cud', '*': 'cruds' };
+const INTERACTION_PERMISSIONS = { create: 'c', read: 'r', update: 'u', delete: 'd', search: 's' };
+
+// Backend clients act through a user with this abha_id prefix; such users cannot log in
+const SERVICE_ACCOUNT_PREFIX = 'smart:';
+
+// OAuth errors carry the RFC 6749 error code next to the HTTP status
+const oauthError = (status, code, description) => {
+  const error = new Error(description);
+  error.status = status;
+  error.oauthError = code;
+  return error;
+};
+
+class SmartService {
+  constructor() {
+    // Authorization codes and used client assertion ids live in memory until they expire
+    this.authorizationCodes = new Map();
+    this.usedAssertions = new Map();
+  }
+
+  // Endpoints advertised in .well-known/smart-configuration and the CapabilityStatement
+  endpoints() {
+    return {
+      authorize: new URL(oauthConfig.smart.authorizePath, fhirConfig.server.baseUrl).href,
+      token: new URL(oauthConfig.smart.tokenPath, fhirConfig.server.baseUrl).href
+    };
+  }
+
+  smartConfiguration() {
+    const endpoints = this.endpoints();
+
+    return {
+      authorization_endpoint: endpoints.authorize,
+      token_endpoint: endpoints.token,
+      token_endpoint_auth_methods_supported: ['private_key_jwt'],
+      token_endpoint_auth_signing_alg_values_supported: oauthConfig.smart.assertion.algorithms,
+      grant_types_supported: ['authorization_code', 'client_credentials'],
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: [
+        ...oauthConfig.smart.launchScopes,
+        ...['patient', 'user', 'system'].flatMap(context => [`${context}/*.read`, `${context}/*.write`, `${context}/*.cruds`])
+      ],
+      capabilities: [
+        'launch-standalone',
+        'client-public',
+        'client-confidential-asymmetric',
+        'context-standalone-patient',
+        'permission-patient',
+        'permission-user',
+        'permission-v1',
+        'permission-v2'
+      ]
+    };
+  }
+
+  // { context, type, permissions } of a resource scope, or null for launch and unknown scopes
+  parseScope(scope) {
+    const [, context, type, permissions] = RESOURCE_SCOPE.exec(scope) || [];
+
+    if (!context || !permissions) {
+      return null;
+    }
+
+    return { context, type, permissions: V1_PERMISSIONS[permissions] || permissions };
+  }
+
+  parseScopes(scope) {
+    return [...new Set(String(scope || '').split(/\s+/).filter(Boolean))];
+  }
+
+  // Scopes of tokens without a scope claim
+  scopesForRole(role) {
+    return oauthConfig.smart.roleScopes[role] || [];
+  }
+
+  // Whether a token's scopes allow an interaction (create, read, update, delete, search) on a resource type.
+  // patient/ scopes only reach patient data of the token's patient: callers pass the patient a request
+  // is limited to, if any. Terminology is not patient data, so patient/ scopes read it freely.
+  permits(smart, resourceType, interaction, { patientId = null } = {}) {
+    const permission = INTERACTION_PERMISSIONS[interaction];
+
+    return smart.scopes.some(scope => {
+      const parsed = this.parseScope(scope);
+
+      if (!parsed || !(parsed.type === '*' || parsed.type === resourceType) || !parsed.permissions.includes(permission)) {
+        return false;
+      }
+
+      return parsed.context !== 'patient' ||
+        !fhirConfig.bulkExport.patientTypes.includes(resourceType) ||
+        (smart.patient !== null && patientId === smart.patient);
+    });
+  }
+
+  // Whether an allowed scope covers a requested one (same context, type and at least its permissions)
+  covers(allowed, requested) {
+    if (allowed === requested) {
+      return true;
+    }
+
+    const grant = this.parseScope(allowed);
+    const request = this.parseScope(requested);
+
+    return Boolean(grant && request) &&
+      grant.context === request.context &&
+      (grant.type === '*' || grant.type === request.type) &&
+      [...request.permissions].every(permission => grant.permissions.includes(permission));
+  }
+
+  // Requested scopes covered by every list of allowed scopes
+  grantScopes(requested, ...allowedLists) {
+    return this.parseScopes(requested)
+      .filter(scope => allowedLists.every(allowed => allowed.some(grant => this.covers(grant, scope))));
+  }
+
+  isServiceAccount(user) {
+    return String(user.abha_id).startsWith(SERVICE_ACCOUNT_PREFIX);
+  }
+
+  // Register a client; backend clients get a service account with the given role
+  async registerClient({ client_id, name, client_type, redirect_uris = [], jwks = null, jwks_uri = null, scope, role }, createdBy) {
+    const clientId = client_id || crypto.randomUUID();
+
+    if (await SmartClient.findOne({ where: { client_id: clientId } })) {
+      throw oauthError(409, 'invalid_client_metadata', `Client '${clientId}' already exists`);
+    }
+
+    const invalid = this.parseScopes(scope).find(item =>
+      !oauthConfig.smart.launchScopes.includes(item) &&
+      (!this.parseScope(item) || (this.parseScope(item).context === 'system') !== (client_type === 'backend'))
+    );
+    if (invalid) {
+      throw oauthError(400, 'invalid_client_metadata', client_type === 'backend'
+        ? `Backend clients may only hold system/ scopes, not '${invalid}'`
+        : `Unsupported scope '${invalid}'`);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const serviceAccount = client_type === 'backend'
+        ? await User.create({ abha_id: `${SERVICE_ACCOUNT_PREFIX}${clientId}`, name, role }, { transaction })
+        : null;
+
+      return SmartClient.create({
+        client_id: clientId,
+        name,
+        client_type,
+        redirect_uris,
+        jwks,
+        jwks_uri,
+        scope: this.parseScopes(scope).join(' '),
+        user_id: serviceAccount?.id || null,
+        created_by: createdBy
+      }, { transaction });
+    });
+  }
+
+  // Deactivating a backend client also disables its service account, which revokes its tokens
+  async deactivateClient(clientId) {
+    const client = await SmartClient.findOne({ where: { client_id: clientId } });
+
+    if (!client) {
+      return null;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await client.update({ is_active: false }, { transaction });
+      if (client.user_id) {
+        await User.update({ is_active: false }, { where: { id: client.user_id }, transaction });
+      }
+    });
+
+    return client;
+  }
+
+  async findClient(clientId) {
+    return SmartClient.findOne({ where: { client_id: clientId || '', is_active: true } });
+  }
+
+  // Validate an authorization request; errors before the redirect URI is trusted are never redirected
+  async validateAuthorizationRequest({ response_type, client_id, redirect_uri, scope, aud, code_challenge, code_challenge_method }) {
+    const client = await this.findClient(client_id);
+
+    if (!client || client.client_type === 'backend') {
+      throw oauthError(400, 'invalid_client', `Unknown client '${client_id}'`);
+    }
+
+    if (!client.redirect_uris.includes(redirect_uri)) {
+      throw oauthError(400, 'invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    if (response_type !== 'code') {
+      throw Object.assign(oauthError(400, 'unsupported_response_type', 'Only response_type=code is supported'), { redirect: true });
+    }
+
+    if (aud !== fhirConfig.server.baseUrl) {
+      throw Object.assign(oauthError(400, 'invalid_request', `aud must be ${fhirConfig.server.baseUrl}`), { redirect: true });
+    }
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      throw Object.assign(oauthError(400, 'invalid_request', 'PKCE with code_challenge_method=S256 is required'), { redirect: true });
+    }
+
+    if (this.parseScopes(scope).length === 0) {
+      throw Object.assign(oauthError(400, 'invalid_scope', 'scope is required'), { redirect: true });
+    }
+
+    return client;
+  }
+
+  // Sign the user in and issue an authorization code for the scopes both the client and the user's role allow
+  async authorize(client, { abha_id, password, patient, redirect_uri, scope, code_challenge }) {
+    const user = await User.findOne({ where: { abha_id: abha_id || '', is_active: true } });
+
+    if (!user || this.isServiceAccount(user) || !await user.validatePassword(password || '')) {
+      throw oauthError(401, 'access_denied', 'Invalid credentials');
+    }
+
+    const roleScopes = this.scopesForRole(user.role);
+    const scopes = this.grantScopes(scope, this.parseScopes(client.scope)).filter(item => {
+      const parsed = this.parseScope(item);
+      // patient/ scopes are limited by the same role permissions as user/ scopes
+      return parsed
+        ? parsed.context !== 'system' && roleScopes.some(grant => this.covers(grant, item.replace(/^patient\//, 'user/')))
+        : oauthConfig.smart.launchScopes.includes(item);
+    });
+
+    const needsPatient = scopes.includes('launch/patient') || scopes.some(item => item.startsWith('patient/'));
+    if (needsPatient && !patient) {
+      throw oauthError(400, 'invalid_request', 'Select the patient the app may access');
+    }
+
+    if (needsPatient && await PatientRecord.count({ where: { patient_id: String(patient) } }) === 0) {
+      throw oauthError(400, 'invalid_request', `Unknown patient '${patient}'`);
+    }
+
+    this.purgeExpired();
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    this.authorizationCodes.set(code, {
+      clientId: client.client_id,
+      userId: user.id,
+      scopes,
+      patient: needsPatient ? String(patient) : null,
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+      expiresAt: Date.now() + oauthConfig.smart.authorizationCodeExpiresIn * 1000
+    });
+
+    return code;
+  }
+
+  // Token endpoint: authorization_code (with PKCE) and client_credentials (backend services).
+  // Returns the token response along with who it was issued to.
+  async token(params) {
+    switch (params.grant_type) {
+      case 'authorization_code':
+        return this.exchangeAuthorizationCode(params);
+      case 'client_credentials':
+        return this.clientCredentials(params);
+      default:
+        throw oauthError(400, 'unsupported_grant_type', `Unsupported grant_type '${params.grant_type}'`);
+    }
+  }
+
+  async exchangeAuthorizationCode({ code, redirect_uri, client_id, code_verifier, client_assertion_type, client_assertion }) {
+    const grant = this.authorizationCodes.get(code);
+    // Codes are single use, whether or not the exchange succeeds
+    this.authorizationCodes.delete(code);
+
+    const client = client_assertion
+      ? await this.authenticateClient({ client_assertion_type, client_assertion })
+      : await this.findClient(client_id);
+
+    if (!client || (client.client_type === 'confidential' && !client_assertion)) {
+      throw oauthError(401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== client.client_id || grant.redirectUri !== redirect_uri) {
+      throw oauthError(400, 'invalid_grant', 'Invalid or expired authorization code');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      throw oauthError(400, 'invalid_grant', 'code_verifier does not match the code_challenge');
+    }
+
+    const user = await User.findByPk(grant.userId);
+    if (!user || !user.is_active) {
+      throw oauthError(400, 'invalid_grant', 'The authorizing user is no longer active');
+    }
+
+    return this.issueAccessToken({ user, client, scopes: grant.scopes, patient: grant.patient });
+  }
+
+  async clientCredentials({ scope, client_assertion_type, client_assertion }) {
+    const client = await this.authenticateClient({ client_assertion_type, client_assertion });
+
+    if (client.client_type !== 'backend') {
+      throw oauthError(400, 'unauthorized_client', 'Only backend clients may use client_credentials');
+    }
+
+    const scopes = this.grantScopes(scope, this.parseScopes(client.scope));
+    if (scopes.length === 0) {
+      throw oauthError(400, 'invalid_scope', 'None of the requested scopes are allowed for this client');
+    }
+
+    const user = await User.findByPk(client.user_id);
+    if (!user || !user.is_active) {
+      throw oauthError(401, 'invalid_client', 'Client authentication failed');
+    }
+
+    return this.issueAccessToken({ user, client, scopes });
+  }
+
+  // private_key_jwt: a JWT signed with one of the client's registered keys, addressed to our token endpoint
+  async authenticateClient({ client_assertion_type, client_assertion }) {
+    const { assertion } = oauthConfig.smart;
+
+    if (client_assertion_type !== assertion.type || !client_assertion) {
+      throw oauthError(401, 'invalid_client', `client_assertion_type must be ${assertion.type}`);
+    }
+
+    const decoded = jwt.decode(client_assertion, { complete: true });
+    const { header, payload } = decoded || {};
+
+    if (!payload || !payload.iss || payload.iss !== payload.sub || !assertion.algorithms.includes(header.alg)) {
+      throw oauthError(401, 'invalid_client', 'Malformed client assertion');
+    }
+
+    const client = await this.findClient(payload.iss);
+    if (!client || client.client_type === 'public') {
+      throw oauthError(401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (!payload.jti || !payload.exp || payload.exp - Date.now() / 1000 > assertion.maxLifetime) {
+      throw oauthError(401, 'invalid_client', `Client assertions need a jti and must expire within ${assertion.maxLifetime} seconds`);
+    }
+
+    const keys = await this.clientKeys(client, header);
+    const verified = keys.some(key => {
+      try {
+        jwt.verify(client_assertion, key, {
+          algorithms: [header.alg],
+          audience: this.endpoints().token,
+          issuer: client.client_id,
+          subject: client.client_id
+        });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (!verified) {
+      throw oauthError(401, 'invalid_client', 'Client assertion signature or claims are invalid');
+    }
+
+    this.purgeExpired();
+    const replayKey = `${client.client_id}|${payload.jti}`;
+    if (this.usedAssertions.has(replayKey)) {
+      throw oauthError(401, 'invalid_client', 'Client assertion has already been used');
+    }
+    this.usedAssertions.set(replayKey, payload.exp * 1000);
+
+    return client;
+  }
+
+  // Public keys matching the assertion header (kid and key type), from the inline JWK Set or jwks_uri
+  async clientKeys(client, header) {
+    let jwks = client.jwks;
+
+    if (!jwks && client.jwks_uri) {
+      try {
+        jwks = (await axios.get(client.jwks_uri, { timeout: 5000 })).data;
+      } catch (error) {
+        logger.error(`Failed to fetch JWK Set of client ${client.client_id}:`, error.message);
+        throw oauthError(401, 'invalid_client', 'Client JWK Set could not be retrieved');
+      }
+    }
+
+    const keyType = header.alg.startsWith('ES') ? 'EC' : 'RSA';
+
+    return (jwks?.keys || [])
+      .filter(key => key.kty === keyType && (!header.kid || key.kid === header.kid))
+      .map(key => {
+        try {
+          return crypto.createPublicKey({ key, format: 'jwk' });
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  issueAccessToken({ user, client, scopes, patient = null }) {
+    const expiresIn = oauthConfig.smart.accessTokenExpiresIn;
+    const accessToken = jwt.sign({
+      userId: user.id,
+      abhaId: user.abha_id,
+      role: user.role,
+      client_id: client.client_id,
+      scope: scopes.join(' '),
+      ...(patient && { patient })
+    }, process.env.JWT_SECRET, {
+      expiresIn,
+      audience: fhirConfig.server.baseUrl
+    });
+
+    return {
+      userId: user.id,
+      clientId: client.client_id,
+      scope: scopes.join(' '),
+      response: {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: expiresIn,
+        scope: scopes.join(' '),
+        ...(patient && { patient })
+      }
+    };
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    this.authorizationCodes.forEach((grant, code) => grant.expiresAt < now && this.authorizationCodes.delete(code));
+    this.usedAssertions.forEach((expiresAt, key) => expiresAt < now && this.usedAssertions.delete(key));
+  }
+}
+
+module.exports = new SmartService();
@@ -0,0 +1,428 @@
+const yaml = require('js-yaml');
+const { parse } = require('csv-parse/sync');
+const { CodeMapping, MappingReview, NamesteCode, ICD11Code, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const logger = require('../utils/logger');
+
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const ICD11_ENTITY = 'http://id.who.int/icd/entity/';
+
+// SKOS predicate for each mapping_type, read from the NAMASTE subject to the ICD-11 object. mapping_type
+// describes the NAMASTE concept relative to the ICD-11 one, so a narrower NAMASTE concept has a broadMatch.
+const SKOS_PREDICATES = {
+  equivalent: 'skos:exactMatch',
+  narrower: 'skos:broadMatch',
+  broader: 'skos:narrowMatch',
+  related: 'skos:relatedMatch'
+};
+const MAPPING_TYPES = Object.fromEntries(Object.entries(SKOS_PREDICATES).map(([type, predicate]) => [predicate, type]));
+
+const COLUMNS = [
+  'subject_id', 'subject_label', 'predicate_id', 'object_id', 'object_label', 'mapping_justification',
+  'confidence', 'author_id', 'author_label', 'reviewer_id', 'reviewer_label', 'mapping_date',
+  'subject_source', 'object_source', 'comment'
+];
+const REQUIRED_COLUMNS = ['subject_id', 'predicate_id', 'object_id', 'mapping_justification'];
+
+// Mappings we hold that carry no justification of their own were curated by hand
+const DEFAULT_JUSTIFICATION = 'semapv:ManualMappingCuration';
+
+// SSSOM multivalued slots are separated by |
+const multivalued = value => (Array.isArray(value) ? value : String(value || '').split('|'))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+const tsvValue = value => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+const isoDate = value => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+class SssomService {
+  // Prefixes used in exported CURIEs, and understood on import alongside the file's own curie_map
+  curieMap() {
+    return {
+      skos: SKOS,
+      semapv: 'https://w3id.org/semapv/vocab/',
+      ICD11: ICD11_ENTITY,
+      practitioner: `${fhirConfig.server.baseUrl}/Practitioner/`,
+      ...Object.fromEntries(Object.values(fhirConfig.codeSystems.namaste).map(codeSystem => [codeSystem.id, `${codeSystem.url}/`]))
+    };
+  }
+
+  // SSSOM TSV of our mappings (approved ones unless another status is asked for), yielded line by line:
+  // the YAML metadata block, the column header, then one row per mapping
+  async *exportMappings({ status = 'approved', system_type = null, module = null } = {}) {
+    if (!CodeMapping.rawAttributes.status.values.includes(status)) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown mapping status '${status}'`, 'status');
+    }
+
+    const metadata = {
+      mapping_set_id: fhirConfig.conceptMaps.namasteToIcd11.url,
+      mapping_set_version: new Date().toISOString().split('T')[0],
+      mapping_set_title: `NAMASTE to ICD-11 mappings (${status})`,
+      ...((system_type || module) && {
+        mapping_set_description: `Restricted to ${[system_type && `NAMASTE ${system_type}`, module && `ICD-11 ${module}`].filter(Boolean).join(' and ')}`
+      }),
+      license: fhirConfig.sssom.license,
+      creator_label: [fhirConfig.server.publisher],
+      subject_type: 'owl class',
+      object_type: 'owl class',
+      curie_map: this.curieMap()
+    };
+
+    for (const line of yaml.dump(metadata, { lineWidth: -1 }).trimEnd().split('\n')) {
+      yield `#${line}`;
+    }
+    yield COLUMNS.join('\t');
+
+    const where = { status };
+    if (system_type) where['$namasteCodeDetails.system_type$'] = system_type;
+    if (module) where['$icd11CodeDetails.module$'] = module;
+
+    const batchSize = fhirConfig.conceptMapBatchSize;
+    let offset = 0;
+
+    while (true) {
+      const mappings = await CodeMapping.findAll({
+        where,
+        include: [
+          { association: 'namasteCodeDetails', attributes: ['code', 'display_name', 'system_type'] },
+          { association: 'icd11CodeDetails', attributes: ['icd_id', 'title', 'module'] },
+          { association: 'creator', attributes: ['id', 'name'] },
+          { association: 'verifier', attributes: ['id', 'name'] }
+        ],
+        order: [['id', 'ASC']],
+        limit: batchSize,
+        offset
+      });
+
+      const approvals = await MappingReview.findAll({
+        where: { mapping_id: { [Op.in]: mappings.map(mapping => mapping.id) }, decision: 'approve' },
+        include: [{ association: 'reviewer', attributes: ['id', 'name'] }],
+        order: [['id', 'ASC']]
+      });
+
+      for (const mapping of mappings) {
+        const reviews = approvals.filter(review => review.mapping_id === mapping.id);
+        yield this.toRow(mapping, reviews).map(tsvValue).join('\t');
+      }
+
+      if (mappings.length < batchSize) {
+        break;
+      }
+      offset += batchSize;
+    }
+  }
+
+  toRow(mapping, approvals = []) {
+    const sssom = mapping.metadata?.sssom || {};
+    const namasteSystem = fhirConfig.codeSystems.namaste[mapping.namasteCodeDetails.system_type];
+    const icd11System = fhirConfig.codeSystems.icd11[mapping.icd11CodeDetails.module];
+
+    // Imported mappings keep their original authors; ours were authored by whoever created them
+    const authors = sssom.author_id?.length
+      ? sssom.author_id.map((id, index) => ({ id, label: sssom.author_label?.[index] || '' }))
+      : [mapping.creator].filter(Boolean).map(user => ({ id: `practitioner:${user.id}`, label: user.name }));
+
+    // Reviewers who approved the current round, or whoever verified a mapping approved before voting
+    const approvers = approvals
+      .filter(review => review.review_round === mapping.review_round && review.reviewer)
+      .map(review => review.reviewer);
+    const reviewers = (approvers.length > 0 ? approvers : [mapping.verifier].filter(Boolean))
+      .map(user => ({ id: `practitioner:${user.id}`, label: user.name }));
+
+    const row = {
+      subject_id: `${namasteSystem.id}:${mapping.namaste_code}`,
+      subject_label: mapping.namasteCodeDetails.display_name,
+      predicate_id: SKOS_PREDICATES[mapping.mapping_type],
+      object_id: `ICD11:${mapping.icd11_code}`,
+      object_label: mapping.icd11CodeDetails.title,
+      mapping_justification: sssom.mapping_justification || DEFAULT_JUSTIFICATION,
+      confidence: mapping.confidence_score === null ? '' : parseFloat(mapping.confidence_score),
+      author_id: authors.map(author => author.id).join('|'),
+      author_label: authors.map(author => author.label).join('|'),
+      reviewer_id: reviewers.map(reviewer => reviewer.id).join('|'),
+      reviewer_label: reviewers.map(reviewer => reviewer.label).join('|'),
+      mapping_date: isoDate(mapping.verified_at || mapping.updated_at),
+      subject_source: namasteSystem.url,
+      object_source: icd11System?.url || '',
+      comment: mapping.notes
+    };
+
+    return COLUMNS.map(column => row[column]);
+  }
+
+  // Split an SSSOM TSV into its metadata and rows (with their line numbers in the file)
+  parseSssom(content) {
+    const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerLength = lines.findIndex(line => !line.startsWith('#'));
+    const metadataLines = lines.slice(0, headerLength === -1 ? lines.length : headerLength);
+
+    let metadata;
+    try {
+      metadata = yaml.load(metadataLines.map(line => line.slice(1)).join('\n')) || {};
+    } catch (error) {
+      throw fhirUtils.createError(400, 'invalid', `Invalid SSSOM metadata block: ${error.message}`);
+    }
+
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw fhirUtils.createError(400, 'invalid', 'The SSSOM metadata block must be a YAML mapping');
+    }
+
+    let records;
+    try {
+      records = parse(lines.slice(metadataLines.length).join('\n'), {
+        delimiter: '\t',
+        columns: true,
+        quote: false,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true
+      });
+    } catch (error) {
+      throw fhirUtils.createError(400, 'invalid', `Invalid SSSOM table: ${error.message}`);
+    }
+
+    if (records.length === 0) {
+      throw fhirUtils.createError(400, 'required', 'The SSSOM file has no mappings');
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(column => !(column in records[0].record));
+    if (missing.length > 0) {
+      throw fhirUtils.createError(400, 'required', `Missing SSSOM columns: ${missing.join(', ')}`);
+    }
+
+    return {
+      metadata,
+      rows: records.map(({ record, info }) => ({ ...record, line: metadataLines.length + info.lines }))
+    };
+  }
+
+  // Resolve a CURIE (or full IRI) against the prefixes
+  expand(id, prefixes) {
+    if (!id) return null;
+    if (/^https?:\/\//.test(id)) return id;
+
+    const separator = id.indexOf(':');
+    const prefix = separator > 0 ? id.slice(0, separator) : null;
+    return prefix && prefixes[prefix] ? prefixes[prefix] + id.slice(separator + 1) : null;
+  }
+
+  // Check one row on its own; returns the parsed mapping and any problems with it
+  readRow(row, prefixes) {
+    const errors = [];
+    const subject = this.expand(row.subject_id, prefixes);
+    const object = this.expand(row.object_id, prefixes);
+    const predicate = this.expand(row.predicate_id, prefixes);
+
+    const namasteSystem = subject && Object.entries(fhirConfig.codeSystems.namaste)
+      .find(([, codeSystem]) => subject.startsWith(`${codeSystem.url}/`) || subject.startsWith(`${codeSystem.url}#`));
+    if (!namasteSystem) {
+      errors.push(`subject_id '${row.subject_id}' is not a NAMASTE code`);
+    }
+
+    let objectCode = null;
+    if (object?.startsWith(ICD11_ENTITY)) {
+      objectCode = object.slice(ICD11_ENTITY.length);
+    } else {
+      const icd11System = object && Object.values(fhirConfig.codeSystems.icd11)
+        .find(codeSystem => object.startsWith(`${codeSystem.url}/`) || object.startsWith(`${codeSystem.url}#`));
+      objectCode = icd11System ? object.slice(icd11System.url.length + 1) : null;
+    }
+    if (!objectCode) {
+      errors.push(`object_id '${row.object_id}' is not an ICD-11 entity`);
+    }
+
+    const mappingType = predicate?.startsWith(SKOS) ? MAPPING_TYPES[`skos:${predicate.slice(SKOS.length)}`] : null;
+    if (!mappingType) {
+      errors.push(`predicate_id '${row.predicate_id}' is not one of ${Object.keys(MAPPING_TYPES).join(', ')}`);
+    }
+
+    if (row.predicate_modifier === 'Not') {
+      errors.push('Negated mappings (predicate_modifier Not) cannot be imported');
+    }
+
+    if (!row.mapping_justification) {
+      errors.push('mapping_justification is required');
+    }
+
+    let confidence = null;
+    if (row.confidence) {
+      confidence = Number(row.confidence);
+      if (isNaN(confidence) || confidence < 0 || confidence > 1) {
+        errors.push(`confidence '${row.confidence}' must be a number between 0 and 1`);
+      }
+    }
+
+    return {
+      errors,
+      systemType: namasteSystem?.[0],
+      namasteCode: namasteSystem ? subject.slice(namasteSystem[1].url.length + 1) : null,
+      objectCode,
+      mappingType,
+      confidence
+    };
+  }
+
+  // Import an SSSOM TSV. Valid rows without conflicts become proposed mappings authored by the importing
+  // user, so they go through review like any other. Rows that clash with a mapping we already hold (or with
+  // another row) are reported as conflicts and left out; with dryRun nothing is created.
+  async importMappings(content, { user = null, dryRun = false } = {}) {
+    const { metadata, rows } = this.parseSssom(content);
+    const prefixes = { ...this.curieMap(), ...(metadata.curie_map || {}) };
+    const parsed = rows.map(row => ({ row, ...this.readRow(row, prefixes) }));
+
+    const [namasteCodes, icd11Codes] = await Promise.all([
+      NamesteCode.findAll({
+        where: { code: { [Op.in]: parsed.map(item => item.namasteCode).filter(Boolean) } },
+        attributes: ['code', 'system_type', 'status']
+      }),
+      ICD11Code.findAll({
+        where: {
+          [Op.or]: [
+            { icd_id: { [Op.in]: parsed.map(item => item.objectCode).filter(Boolean) } },
+            { code: { [Op.in]: parsed.map(item => item.objectCode).filter(Boolean) } }
+          ]
+        },
+        attributes: ['icd_id', 'code', 'status']
+      })
+    ]);
+    const namasteByCode = new Map(namasteCodes.map(code => [code.code, code]));
+    const icd11ByCode = new Map(icd11Codes.flatMap(code => [[code.code, code], [code.icd_id, code]]));
+
+    for (const item of parsed.filter(item => item.errors.length === 0)) {
+      const namaste = namasteByCode.get(item.namasteCode);
+      const icd11 = icd11ByCode.get(item.objectCode);
+
+      if (!namaste || namaste.status !== 'active' || namaste.system_type !== item.systemType) {
+        item.errors.push(`NAMASTE ${item.systemType} code '${item.namasteCode}' not found or inactive`);
+      }
+      if (!icd11 || icd11.status !== 'active') {
+        item.errors.push(`ICD-11 entity '${item.objectCode}' not found or inactive`);
+      }
+      item.icd11Code = icd11?.icd_id;
+    }
+
+    const valid = parsed.filter(item => item.errors.length === 0);
+    const existing = await CodeMapping.findAll({
+      where: { namaste_code: { [Op.in]: [...new Set(valid.map(item => item.namasteCode))] } },
+      attributes: ['id', 'namaste_code', 'icd11_code', 'mapping_type', 'confidence_score', 'status']
+    });
+
+    const conflicts = [];
+    const unchanged = [];
+    const accepted = [];
+    const seen = new Map();
+
+    for (const item of valid) {
+      const key = `${item.namasteCode}|${item.icd11Code}`;
+      const conflict = (type, message, mapping = null) => conflicts.push({
+        line: item.row.line,
+        subject_id: item.row.subject_id,
+        object_id: item.row.object_id,
+        type,
+        message,
+        ...(mapping && {
+          existing: {
+            id: mapping.id,
+            status: mapping.status,
+            mapping_type: mapping.mapping_type,
+            confidence_score: mapping.confidence_score === null ? null : parseFloat(mapping.confidence_score)
+          }
+        })
+      });
+
+      if (seen.has(key)) {
+        conflict('duplicate', `Same mapping as line ${seen.get(key)}`);
+        continue;
+      }
+      seen.set(key, item.row.line);
+
+      const same = existing.find(mapping => mapping.namaste_code === item.namasteCode && mapping.icd11_code === item.icd11Code);
+      const competing = item.mappingType === 'equivalent' && existing.find(mapping =>
+        mapping.namaste_code === item.namasteCode && mapping.icd11_code !== item.icd11Code &&
+        mapping.mapping_type === 'equivalent' && !['rejected', 'retired'].includes(mapping.status));
+
+      if (same && ['rejected', 'retired'].includes(same.status)) {
+        conflict(`previously_${same.status}`, `This mapping was ${same.status}`, same);
+      } else if (same && (same.mapping_type !== item.mappingType ||
+        (item.confidence !== null && parseFloat(same.confidence_score) !== item.confidence))) {
+        conflict('differs', `Differs from existing mapping ${same.id}`, same);
+      } else if (same) {
+        unchanged.push({ line: item.row.line, mapping_id: same.id, namaste_code: item.namasteCode, icd11_code: item.icd11Code });
+      } else if (competing) {
+        conflict('competing_exact_match', `${item.namasteCode} already has an exact match to ${competing.icd11_code}`, competing);
+      } else {
+        accepted.push(item);
+      }
+    }
+
+    const reason = `SSSOM import${metadata.mapping_set_id ? ` of ${metadata.mapping_set_id}` : ''}`;
+    let created = accepted.map(item => ({
+      line: item.row.line,
+      namaste_code: item.namasteCode,
+      icd11_code: item.icd11Code,
+      mapping_type: item.mappingType,
+      confidence_score: item.confidence
+    }));
+
+    if (!dryRun && accepted.length > 0) {
+      try {
+        // All or nothing, so a failed import can simply be run again
+        const mappings = await sequelize.transaction(async transaction => {
+          const results = [];
+          for (const item of accepted) {
+            results.push(await CodeMapping.create({
+              namaste_code: item.namasteCode,
+              icd11_code: item.icd11Code,
+              mapping_type: item.mappingType,
+              ...(item.confidence !== null && { confidence_score: item.confidence }),
+              notes: item.row.comment || null,
+              metadata: { sssom: this.provenance(item.row, metadata) },
+              status: 'proposed',
+              created_by: user?.id || null,
+              is_active: true
+            }, { transaction, changedBy: user?.id || null, changeReason: reason }));
+          }
+          return results;
+        });
+
+        created = created.map((entry, index) => ({ mapping_id: mappings[index].id, ...entry }));
+      } catch (error) {
+        logger.error('Failed to import SSSOM mappings:', error);
+        throw error;
+      }
+    }
+
+    return {
+      dry_run: dryRun,
+      mapping_set_id: metadata.mapping_set_id || null,
+      summary: {
+        rows: rows.length,
+        created: created.length,
+        unchanged: unchanged.length,
+        conflicts: conflicts.length,
+        errors: parsed.filter(item => item.errors.length > 0).length
+      },
+      created,
+      unchanged,
+      conflicts,
+      errors: parsed
+        .filter(item => item.errors.length > 0)
+        .map(item => ({ line: item.row.line, subject_id: item.row.subject_id, object_id: item.row.object_id, messages: item.errors }))
+    };
+  }
+
+  // SSSOM slots kept on an imported mapping so an export carries them back out
+  provenance(row, metadata) {
+    return {
+      mapping_set_id: metadata.mapping_set_id || null,
+      mapping_set_version: metadata.mapping_set_version || null,
+      mapping_justification: row.mapping_justification,
+      author_id: multivalued(row.author_id || metadata.creator_id),
+      author_label: multivalued(row.author_label || metadata.creator_label),
+      ...(row.mapping_date && { mapping_date: row.mapping_date })
+    };
+  }
+}
+
+module.exports = new SssomService();
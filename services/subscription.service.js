@@ -0,0 +1,584 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { Subscription, NamesteCode, ICD11Code } = require('../models');
+const { config: fhirConfig, utils: fhirUtils } = require('../config/fhir');
+const fhirService = require('./fhir.service');
+const fhirSearchService = require('./fhir-search.service');
+const helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Filters whose values name one of our code systems; stored as system keys (ayurveda, tm2, ...)
+const SYSTEM_FILTERS = ['source-system', 'target-module', 'system'];
+
+const PAYLOAD_TYPES = ['application/fhir+json', 'application/json'];
+
+// Addresses an endpoint may not resolve to: unspecified, loopback, private, shared (CGNAT), link-local,
+// benchmarking, multicast, reserved and NAT64 ranges (BlockList checks IPv4-mapped IPv6 against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlocked = ({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+// DNS lookup for delivery connections. The address is checked where the connection is made, so a host that
+// resolves differently after assertPublicEndpoint (DNS rebinding) still cannot reach an internal service.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!fhirConfig.subscriptions.delivery.allowPrivateHosts && addresses.some(isBlocked)) {
+      return callback(Object.assign(
+        new Error(`Endpoint host '${hostname}' resolves to a loopback, private or link-local address`),
+        { code: 'EADDRBLOCKED' }
+      ));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const DELIVERY_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class SubscriptionService {
+  // Create a Subscription; it stays requested until the handshake reaches the endpoint
+  async createSubscription(resource, { userId = null } = {}) {
+    const fields = this.parseSubscription(resource);
+    await this.assertPublicEndpoint(fields.endpoint);
+
+    const subscription = await Subscription.create({
+      ...fields,
+      resource_id: uuidv4(),
+      status: fields.status === 'off' ? 'off' : 'requested',
+      created_by: userId
+    });
+
+    if (subscription.status === 'requested') {
+      this.handshake(subscription);
+    }
+
+    return this.toFhir(subscription);
+  }
+
+  // Replace a Subscription; a changed endpoint, or switching it back on, repeats the handshake
+  async updateSubscription(id, resource, { user, ifMatch = null }) {
+    if (resource?.id && resource.id !== id) {
+      throw fhirUtils.createError(400, 'invalid', `Resource id '${resource.id}' does not match '${id}'`, 'Subscription.id');
+    }
+
+    const subscription = await this.findSubscription(id, user);
+    if (!subscription) {
+      throw fhirUtils.createError(404, 'not-found', `Subscription '${id}' not found`);
+    }
+
+    if (ifMatch !== null && ifMatch !== String(subscription.version_id)) {
+      throw fhirUtils.createError(412, 'conflict', `Version conflict: Subscription/${id} is at version ${subscription.version_id}, not ${ifMatch}`);
+    }
+
+    const fields = this.parseSubscription(resource);
+    await this.assertPublicEndpoint(fields.endpoint);
+    const sameChannel = fields.endpoint === subscription.endpoint &&
+      JSON.stringify(fields.headers) === JSON.stringify(subscription.headers);
+
+    let status = 'requested';
+    if (fields.status === 'off') {
+      status = 'off';
+    } else if (sameChannel && ['active', 'error'].includes(subscription.status)) {
+      status = subscription.status;
+    }
+
+    await subscription.update({ ...fields, status, version_id: subscription.version_id + 1 });
+
+    if (status === 'requested') {
+      this.handshake(subscription);
+    }
+
+    return this.toFhir(subscription);
+  }
+
+  async deleteSubscription(id, user) {
+    const subscription = await this.findSubscription(id, user);
+    if (!subscription) {
+      throw fhirUtils.createError(404, 'not-found', `Subscription '${id}' not found`);
+    }
+
+    await subscription.destroy();
+  }
+
+  async getSubscription(id, user) {
+    const subscription = await this.findSubscription(id, user);
+    return subscription ? this.toFhir(subscription) : null;
+  }
+
+  // Subscriptions other than the admin's own are only visible to their creator
+  async findSubscription(id, user) {
+    const subscription = await Subscription.findOne({ where: { resource_id: id } });
+
+    if (!subscription || (user.role !== 'admin' && subscription.created_by !== user.id)) {
+      return null;
+    }
+    return subscription;
+  }
+
+  async searchSubscriptions({ status = null, url = null, criteria = null }, params, user) {
+    const where = {};
+
+    if (user.role !== 'admin') where.created_by = user.id;
+    if (status) where.status = { [Op.in]: String(status).split(',') };
+    if (url) where.endpoint = String(url);
+    if (criteria) where.criteria = { [Op.like]: `${helpers.escapeLike(criteria)}%` };
+
+    const { total, hasMore, rows } = await fhirSearchService.searchModel(Subscription, { where, params });
+    return { total, hasMore, subscriptions: rows.map(subscription => this.toFhir(subscription)) };
+  }
+
+  // Subscription $status: a searchset Bundle holding the SubscriptionStatus
+  async getStatus(id, user) {
+    const subscription = await this.findSubscription(id, user);
+    if (!subscription) {
+      throw fhirUtils.createError(404, 'not-found', `Subscription '${id}' not found`);
+    }
+
+    return fhirUtils.createSearchBundle([this.statusParameters(subscription, 'query-status')], 1);
+  }
+
+  // Stored fields of a submitted Subscription resource
+  parseSubscription(resource) {
+    if (!resource || resource.resourceType !== 'Subscription') {
+      throw fhirUtils.createError(400, 'invalid', 'Body must be a Subscription resource');
+    }
+
+    const { topic, filters } = this.parseCriteria(resource);
+    const channel = resource.channel || {};
+    const { delivery } = fhirConfig.subscriptions;
+
+    if (channel.type !== 'rest-hook') {
+      throw fhirUtils.createError(400, 'not-supported', `Channel type '${channel.type}' is not supported; use rest-hook`, 'Subscription.channel.type');
+    }
+
+    let endpoint;
+    try {
+      endpoint = new URL(channel.endpoint);
+    } catch {
+      throw fhirUtils.createError(400, 'required', 'Subscription.channel.endpoint must be an absolute URL', 'Subscription.channel.endpoint');
+    }
+    if (endpoint.protocol !== 'https:' && !(endpoint.protocol === 'http:' && delivery.allowHttp)) {
+      throw fhirUtils.createError(400, 'invalid', 'Subscription.channel.endpoint must use https', 'Subscription.channel.endpoint');
+    }
+
+    if (channel.payload && !PAYLOAD_TYPES.includes(channel.payload)) {
+      throw fhirUtils.createError(400, 'not-supported', `Payload type '${channel.payload}' is not supported; use application/fhir+json`, 'Subscription.channel.payload');
+    }
+
+    // Backport payload content; a plain R4 channel without payload gets empty notifications
+    const content = (channel._payload?.extension || [])
+      .find(extension => extension.url === fhirConfig.extensions.subscriptionPayloadContent)?.valueCode ||
+      (channel.payload ? 'id-only' : 'empty');
+    if (!Subscription.rawAttributes.content.values.includes(content)) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown payload content '${content}'`, 'Subscription.channel.payload');
+    }
+
+    const headers = [].concat(channel.header || []);
+    if (headers.some(header => typeof header !== 'string' || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+:/.test(header))) {
+      throw fhirUtils.createError(400, 'invalid', 'Each channel.header must look like "Name: value"', 'Subscription.channel.header');
+    }
+
+    const end = resource.end ? new Date(resource.end) : null;
+    if (end && Number.isNaN(end.getTime())) {
+      throw fhirUtils.createError(400, 'invalid', 'Subscription.end must be an instant', 'Subscription.end');
+    }
+
+    if (resource.status && !['requested', 'active', 'off'].includes(resource.status)) {
+      throw fhirUtils.createError(400, 'invalid', `Clients may set status requested, active or off, not '${resource.status}'`, 'Subscription.status');
+    }
+
+    return {
+      status: resource.status || 'requested',
+      reason: resource.reason || null,
+      topic: topic.url,
+      criteria: resource.criteria,
+      filters,
+      endpoint: endpoint.href,
+      headers,
+      content,
+      end_at: end
+    };
+  }
+
+  // The server POSTs to Subscription endpoints, so they must not reach internal services: the host has to be
+  // on the allowlist (when one is configured) and resolve only to public addresses
+  async assertPublicEndpoint(endpoint) {
+    const { delivery } = fhirConfig.subscriptions;
+    const host = new URL(endpoint).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (delivery.allowedHosts.length > 0 && !delivery.allowedHosts.includes(host)) {
+      throw fhirUtils.createError(400, 'security', `Subscription endpoint host '${host}' is not allowed`, 'Subscription.channel.endpoint');
+    }
+
+    if (delivery.allowPrivateHosts) {
+      return;
+    }
+
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+      } catch {
+        throw fhirUtils.createError(400, 'invalid', `Subscription endpoint host '${host}' does not resolve`, 'Subscription.channel.endpoint');
+      }
+    }
+
+    if (addresses.some(isBlocked)) {
+      throw fhirUtils.createError(400, 'security', 'Subscription endpoint must not resolve to a loopback, private or link-local address', 'Subscription.channel.endpoint');
+    }
+  }
+
+  // Topic and filters of Subscription.criteria: a SubscriptionTopic url with backport filter-criteria
+  // extensions, or R4 criteria such as ConceptMap?source-system=ayurveda&event=created
+  parseCriteria(resource) {
+    const criteria = typeof resource.criteria === 'string' ? resource.criteria.trim() : '';
+    const topics = Object.values(fhirConfig.subscriptions.topics);
+    let topic;
+    let queries;
+
+    if (!criteria) {
+      throw fhirUtils.createError(400, 'required', 'Subscription.criteria is required', 'Subscription.criteria');
+    }
+
+    if (/^https?:\/\//.test(criteria)) {
+      topic = topics.find(item => item.url === criteria.split('|')[0]);
+      if (!topic) {
+        throw fhirUtils.createError(400, 'not-supported', `Unknown SubscriptionTopic '${criteria}'`, 'Subscription.criteria');
+      }
+      queries = (resource._criteria?.extension || [])
+        .filter(extension => extension.url === fhirConfig.extensions.subscriptionFilterCriteria)
+        .map(extension => String(extension.valueString || '').replace(/^[A-Za-z]*\?/, ''));
+    } else {
+      const type = criteria.split('?')[0];
+      topic = topics.find(item => item.resourceType === type);
+      if (!topic) {
+        throw fhirUtils.createError(400, 'not-supported', `Subscriptions on '${type}' are not supported; use ${
+          topics.map(item => item.resourceType).join(' or ')} criteria or a SubscriptionTopic url`, 'Subscription.criteria');
+      }
+      queries = [criteria.slice(type.length + 1)];
+    }
+
+    // Every filter must match an event; comma-separated values are alternatives
+    const filters = [];
+    for (const query of queries) {
+      for (const [name, value] of new URLSearchParams(query)) {
+        if (!(name in topic.filters)) {
+          throw fhirUtils.createError(400, 'not-supported', `Unknown filter '${name}' for ${topic.url}; supported: ${
+            Object.keys(topic.filters).join(', ')}`, 'Subscription.criteria');
+        }
+
+        filters.push({ name, values: value.split(',').map(item => this.filterValue(topic, name, item.trim())) });
+      }
+    }
+
+    return { topic, filters };
+  }
+
+  filterValue(topic, name, value) {
+    if (name === 'event' && !topic.events.includes(value)) {
+      throw fhirUtils.createError(400, 'invalid', `Unknown event '${value}' for ${topic.url}; supported: ${topic.events.join(', ')}`, 'Subscription.criteria');
+    }
+
+    return SYSTEM_FILTERS.includes(name) ? fhirService.resolveCodeSystem(value)?.key || value : value;
+  }
+
+  // Event fields may hold several values (e.g. the codes of an import); any of them can match a filter
+  matches(topic, subscription, event) {
+    return (subscription.filters || []).every(({ name, values }) =>
+      [].concat(event[topic.filters[name]]).some(value => values.includes(String(value))));
+  }
+
+  // ConceptMap change from a CodeMapping review transition: created when it is first approved into the
+  // ConceptMap, verified whenever it is approved, updated when a restore changes it in place and
+  // deactivated when it leaves the ConceptMap again. Several events of one change are published together.
+  publishMappingChange(mapping, events) {
+    this.publish('conceptMap', async () => {
+      const [namasteCode, icd11Code] = await Promise.all([
+        NamesteCode.findOne({ where: { code: mapping.namaste_code }, attributes: ['system_type'] }),
+        ICD11Code.findOne({ where: { icd_id: mapping.icd11_code }, attributes: ['module'] })
+      ]);
+      const conceptMap = fhirService.conceptMapFor(namasteCode?.system_type, icd11Code?.module);
+
+      return conceptMap && [].concat(events).map(event => ({
+        event,
+        systemType: namasteCode.system_type,
+        module: icd11Code.module,
+        namasteCode: mapping.namaste_code,
+        icd11Code: mapping.icd11_code,
+        focus: `ConceptMap/${conceptMap.id}`,
+        conceptMap
+      }));
+    });
+  }
+
+  // NAMASTE CodeSystem change from NamesteCode writes (created, updated or retired). A batch such as an
+  // import is published once, as one event per NAMASTE CodeSystem it touched.
+  publishCodeChange(namasteCodes, event) {
+    const codes = [].concat(namasteCodes);
+
+    if (codes.length === 0) {
+      return;
+    }
+
+    this.publish('codeSystem', async () => Object.entries(fhirConfig.codeSystems.namaste)
+      .map(([systemType, codeSystem]) => {
+        const changed = codes.filter(code => code.system_type === systemType).map(code => code.code);
+
+        return changed.length > 0 && {
+          event,
+          systemType,
+          code: changed.length === 1 ? changed[0] : changed,
+          focus: `CodeSystem/${codeSystem.id}`
+        };
+      })
+      .filter(Boolean));
+  }
+
+  // Notify a topic after the current request; describe() resolves the event (or a list of them), or null
+  // for none. Notification failures are logged and never fail the write that caused them.
+  publish(topicKey, describe) {
+    const topic = fhirConfig.subscriptions.topics[topicKey];
+    const timestamp = new Date().toISOString();
+
+    setImmediate(async () => {
+      try {
+        const events = [].concat(await describe() || []);
+        if (events.length > 0) {
+          await this.dispatch(topic, events.map(event => ({ ...event, timestamp })));
+        }
+      } catch (error) {
+        logger.error(`Subscription event for ${topic.url} failed:`, error);
+      }
+    });
+  }
+
+  // Send events to every matching active (or failing) Subscription, one notification per Subscription
+  async dispatch(topic, events) {
+    const subscriptions = await Subscription.findAll({
+      where: {
+        topic: topic.url,
+        status: { [Op.in]: ['active', 'error'] },
+        [Op.or]: [{ end_at: null }, { end_at: { [Op.gt]: new Date() } }]
+      }
+    });
+    // Each focus resource is built at most once, however many Subscriptions want it
+    const focusResources = new Map();
+
+    for (const subscription of subscriptions) {
+      const matching = events.filter(event => this.matches(topic, subscription, event));
+      if (matching.length === 0) {
+        continue;
+      }
+
+      await subscription.increment('events_since_start', { by: matching.length });
+      await subscription.reload();
+
+      const notified = [];
+      for (const [index, event] of matching.entries()) {
+        if (subscription.content === 'full-resource' && !focusResources.has(event.focus)) {
+          focusResources.set(event.focus, await this.focusResource(topic, event));
+        }
+
+        notified.push({
+          number: subscription.events_since_start - matching.length + index + 1,
+          timestamp: event.timestamp,
+          focus: event.focus,
+          resource: subscription.content === 'full-resource' ? focusResources.get(event.focus) : null
+        });
+      }
+
+      const notification = this.notificationBundle(subscription, 'event-notification', notified);
+
+      this.deliver(subscription.id, notification).catch(error => {
+        logger.error(`Subscription ${subscription.resource_id} delivery failed:`, error);
+      });
+    }
+  }
+
+  async focusResource(topic, event) {
+    return topic.resourceType === 'ConceptMap'
+      ? fhirService.generateConceptMap(event.conceptMap)
+      : fhirService.generateNamesteCodeSystem(event.systemType);
+  }
+
+  handshake(subscription) {
+    const notification = this.notificationBundle(subscription, 'handshake');
+
+    setImmediate(() => {
+      this.deliver(subscription.id, notification).catch(error => {
+        logger.error(`Subscription ${subscription.resource_id} handshake failed:`, error);
+      });
+    });
+  }
+
+  // POST a notification to the endpoint, retrying with exponential backoff. The Subscription is
+  // active after a delivery succeeds and error once every attempt has failed.
+  async deliver(id, notification, attempt = 1) {
+    const subscription = await Subscription.findByPk(id);
+
+    // Deleted or switched off while a retry was pending
+    if (!subscription || subscription.status === 'off') {
+      return;
+    }
+
+    const { delivery } = fhirConfig.subscriptions;
+
+    try {
+      // Checked again on every delivery, as the host may have been re-pointed since the Subscription was made.
+      // The agents check the address actually connected to, and redirects are not followed.
+      await this.assertPublicEndpoint(subscription.endpoint);
+
+      await axios.post(subscription.endpoint, notification, {
+        headers: { ...this.headerObject(subscription.headers), 'Content-Type': 'application/fhir+json' },
+        timeout: delivery.timeoutMs,
+        maxRedirects: 0,
+        ...DELIVERY_AGENTS
+      });
+
+      await subscription.update({ status: 'active', last_error: null, last_delivered_at: new Date() });
+    } catch (error) {
+      const message = error.response ? `Endpoint responded ${error.response.status}` : error.message;
+
+      if (attempt < delivery.maxAttempts) {
+        const delay = Math.min(delivery.initialDelayMs * 2 ** (attempt - 1), delivery.maxDelayMs);
+        logger.warn(`Subscription ${subscription.resource_id} delivery attempt ${attempt} failed (${message}); retrying in ${delay} ms`);
+
+        setTimeout(() => {
+          this.deliver(id, notification, attempt + 1).catch(retryError => {
+            logger.error(`Subscription ${subscription.resource_id} delivery failed:`, retryError);
+          });
+        }, delay).unref();
+        return;
+      }
+
+      await subscription.update({
+        status: 'error',
+        error_count: subscription.error_count + 1,
+        last_error: `${message} (${attempt} attempts)`
+      });
+    }
+  }
+
+  headerObject(headers = []) {
+    return Object.fromEntries(headers.map(header => {
+      const separator = header.indexOf(':');
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+  }
+
+  // Notification Bundle: the SubscriptionStatus first, then one entry per event focus (unless content is empty)
+  notificationBundle(subscription, type, events = []) {
+    const { baseUrl } = fhirConfig.server;
+
+    return {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      meta: { profile: [fhirConfig.subscriptions.profiles.notification] },
+      type: 'history',
+      timestamp: new Date().toISOString(),
+      entry: [
+        {
+          fullUrl: `urn:uuid:${uuidv4()}`,
+          resource: this.statusParameters(subscription, type, events),
+          request: { method: 'GET', url: `${baseUrl}/Subscription/${subscription.resource_id}/$status` },
+          response: { status: '200' }
+        },
+        ...(subscription.content === 'empty' ? [] : events.map(event => ({
+          fullUrl: `${baseUrl}/${event.focus}`,
+          ...(event.resource && { resource: event.resource }),
+          request: { method: 'PUT', url: event.focus },
+          response: { status: '200' }
+        })))
+      ]
+    };
+  }
+
+  // SubscriptionStatus (backport R4 Parameters profile)
+  statusParameters(subscription, type, events = []) {
+    const { baseUrl } = fhirConfig.server;
+
+    return {
+      resourceType: 'Parameters',
+      meta: { profile: [fhirConfig.subscriptions.profiles.status] },
+      parameter: [
+        { name: 'subscription', valueReference: { reference: `${baseUrl}/Subscription/${subscription.resource_id}` } },
+        { name: 'topic', valueCanonical: subscription.topic },
+        { name: 'status', valueCode: subscription.status },
+        { name: 'type', valueCode: type },
+        { name: 'events-since-subscription-start', valueString: String(subscription.events_since_start) },
+        ...events.map(event => ({
+          name: 'notification-event',
+          part: [
+            { name: 'event-number', valueString: String(event.number) },
+            { name: 'timestamp', valueInstant: event.timestamp },
+            ...(subscription.content === 'empty' ? [] : [{ name: 'focus', valueReference: { reference: `${baseUrl}/${event.focus}` } }])
+          ]
+        })),
+        ...(subscription.status === 'error' && subscription.last_error
+          ? [{ name: 'error', valueCodeableConcept: { text: subscription.last_error } }]
+          : [])
+      ]
+    };
+  }
+
+  toFhir(subscription) {
+    const topic = Object.values(fhirConfig.subscriptions.topics).find(item => item.url === subscription.topic);
+    const byTopicUrl = /^https?:\/\//.test(subscription.criteria);
+
+    return {
+      resourceType: 'Subscription',
+      id: subscription.resource_id,
+      meta: {
+        versionId: String(subscription.version_id),
+        lastUpdated: new Date(subscription.updated_at || Date.now()).toISOString(),
+        profile: [fhirConfig.subscriptions.profiles.subscription]
+      },
+      status: subscription.status,
+      ...(subscription.end_at && { end: new Date(subscription.end_at).toISOString() }),
+      ...(subscription.reason && { reason: subscription.reason }),
+      criteria: subscription.criteria,
+      ...(byTopicUrl && subscription.filters.length > 0 && {
+        _criteria: {
+          extension: subscription.filters.map(({ name, values }) => ({
+            url: fhirConfig.extensions.subscriptionFilterCriteria,
+            valueString: `${topic.resourceType}?${name}=${values.join(',')}`
+          }))
+        }
+      }),
+      ...(subscription.status === 'error' && subscription.last_error && { error: subscription.last_error }),
+      channel: {
+        type: 'rest-hook',
+        endpoint: subscription.endpoint,
+        payload: 'application/fhir+json',
+        _payload: {
+          extension: [{ url: fhirConfig.extensions.subscriptionPayloadContent, valueCode: subscription.content }]
+        },
+        ...(subscription.headers.length > 0 && { header: subscription.headers })
+      }
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,513 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../../app');
+const { config: fhirConfig, utils: fhirUtils } = require('../../config/fhir');
+const bulkExportService = require('../../services/bulk-export.service');
+const fhirService = require('../../services/fhir.service');
+const subscriptionService = require('../../services/subscription.service');
+const { User, AuditLog, NamesteCode, PatientRecord, PatientResource, PatientResourceToken, sequelize } = require('../../models');
+
+const tokenFor = (userId = 1) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+
+beforeEach(() => {
+  jest.spyOn(User, 'findByPk').mockImplementation(async id => ({ id, role: 'clinician', is_active: true, name: 'Dr Test' }));
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /fhir transaction Bundle', () => {
+  const transaction = { id: 'test-transaction', LOCK: { UPDATE: 'UPDATE' } };
+  let committed;
+
+  const patient = { resourceType: 'Patient', name: [{ family: 'Sharma', given: ['Asha'] }] };
+  const encounter = { resourceType: 'Encounter', status: 'finished', class: { code: 'AMB' }, subject: { reference: 'Patient/p1' } };
+  const submit = bundle => request(app)
+    .post('/fhir')
+    .set('Authorization', tokenFor())
+    .send({ resourceType: 'Bundle', type: 'transaction', ...bundle });
+
+  beforeEach(() => {
+    committed = null;
+
+    // Stand-in for a database transaction: committed when the callback resolves, rolled back when it throws
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => {
+      try {
+        const result = await callback(transaction);
+        committed = true;
+        return result;
+      } catch (error) {
+        committed = false;
+        throw error;
+      }
+    });
+
+    jest.spyOn(PatientRecord, 'findOne').mockResolvedValue({
+      consent_given: true, consent_version: null, consent_date: null, data_retention_until: null
+    });
+    jest.spyOn(PatientRecord, 'create').mockImplementation(async values => ({ id: 10, ...values }));
+    jest.spyOn(PatientResource, 'findAll').mockResolvedValue([
+      { resource_type: 'Patient', resource_id: 'p1', patient_id: 'p1', version_id: 1 },
+      { resource_type: 'Encounter', resource_id: 'e1', patient_id: 'p1', version_id: 2 }
+    ]);
+    jest.spyOn(PatientResource, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PatientResource, 'create').mockImplementation(async values => ({ id: 1, ...values }));
+    jest.spyOn(PatientResource, 'update').mockResolvedValue([1]);
+    jest.spyOn(PatientResourceToken, 'destroy').mockResolvedValue(0);
+    jest.spyOn(PatientResourceToken, 'bulkCreate').mockResolvedValue([]);
+  });
+
+  it('stores every entry in one transaction and answers with a transaction-response', async () => {
+    const response = await submit({
+      entry: [
+        { resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"1"' } },
+        { fullUrl: 'urn:uuid:enc', resource: encounter, request: { method: 'POST', url: 'Encounter' } }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.type).toBe('transaction-response');
+    expect(response.body.entry.map(entry => entry.response.status)).toEqual(['200 OK', '201 Created']);
+    expect(response.body.entry[0].response.etag).toBe('W/"2"');
+
+    expect(committed).toBe(true);
+    expect(PatientRecord.create).toHaveBeenCalledTimes(1);
+    expect(PatientRecord.create.mock.calls[0][0].fhir_bundle.entry).toHaveLength(2);
+    expect(PatientRecord.create.mock.calls[0][1]).toEqual({ transaction });
+    expect(PatientResource.create.mock.calls.every(([, options]) => options.transaction === transaction)).toBe(true);
+  });
+
+  it('locks the indexed rows it checks and overwrites for the rest of the transaction', async () => {
+    await submit({
+      entry: [{ resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"1"' } }]
+    });
+
+    expect(PatientResource.findAll.mock.calls[0][0]).toMatchObject({ lock: 'UPDATE', transaction });
+    expect(PatientResource.findOne.mock.calls[0][0]).toMatchObject({ lock: 'UPDATE', transaction });
+  });
+
+  it('rolls the whole Bundle back with 412 when one If-Match does not hold', async () => {
+    const response = await submit({
+      entry: [
+        { resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"1"' } },
+        { resource: { ...encounter, id: 'e1' }, request: { method: 'PUT', url: 'Encounter/e1', ifMatch: 'W/"1"' } }
+      ]
+    });
+
+    expect(response.status).toBe(412);
+    expect(response.body.resourceType).toBe('OperationOutcome');
+    expect(response.body.issue[0].code).toBe('conflict');
+    expect(response.body.issue[0].expression).toEqual(['Bundle.entry[1].request.ifMatch']);
+
+    expect(committed).toBe(false);
+    expect(PatientRecord.create).not.toHaveBeenCalled();
+    expect(PatientResource.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 412 for an If-Match on a resource that does not exist', async () => {
+    const response = await submit({
+      entry: [{ resource: { ...encounter, id: 'e9' }, request: { method: 'PUT', url: 'Encounter/e9', ifMatch: 'W/"1"' } }]
+    });
+
+    expect(response.status).toBe(412);
+    expect(response.body.issue[0].details.text).toBe('Encounter/e9 does not exist');
+    expect(PatientRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('rolls back entries already written when a later write fails', async () => {
+    PatientResource.create
+      .mockImplementationOnce(async values => ({ id: 1, ...values }))
+      .mockRejectedValueOnce(new Error('Deadlock found when trying to get lock'));
+
+    const response = await submit({
+      entry: [
+        { resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1' } },
+        { resource: encounter, request: { method: 'POST', url: 'Encounter' } }
+      ]
+    });
+
+    expect(response.status).toBe(500);
+    expect(response.body.resourceType).toBe('OperationOutcome');
+    expect(committed).toBe(false);
+    expect(PatientRecord.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an invalid entry before anything is written', async () => {
+    const response = await submit({
+      entry: [
+        { resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1' } },
+        { request: { method: 'POST', url: 'Encounter' } }
+      ]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.issue[0].expression).toEqual(['Bundle.entry[1]']);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(PatientRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a resource that belongs to another patient', async () => {
+    PatientResource.findAll.mockResolvedValue([
+      { resource_type: 'Encounter', resource_id: 'e1', patient_id: 'p2', version_id: 1 }
+    ]);
+
+    const response = await submit({
+      entry: [{ resource: { ...encounter, id: 'e1' }, request: { method: 'PUT', url: 'Encounter/e1' } }]
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.issue[0].details.text).toBe('Encounter/e1 belongs to another Patient');
+    expect(committed).toBe(false);
+  });
+
+  describe('profiles', () => {
+    const condition = {
+      resourceType: 'Condition',
+      subject: { reference: 'Patient/p1' },
+      code: { coding: [{ system: fhirConfig.codeSystems.namaste.ayurveda.url, code: 'AAA-1' }] }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(fhirService, 'dualCodeCondition').mockImplementation(async resource => resource);
+      jest.spyOn(fhirService, 'validateCode').mockResolvedValue({ result: true });
+      jest.spyOn(fhirService, 'valueSetContains').mockResolvedValue(true);
+    });
+
+    it('enforces a profile the resource declares', async () => {
+      const response = await submit({
+        entry: [{
+          resource: { ...condition, meta: { profile: ['http://terminology.hl7.org/StructureDefinition/namaste-condition'] } },
+          request: { method: 'POST', url: 'Condition' }
+        }]
+      });
+
+      expect(response.status).toBe(422);
+      expect(response.body.issue.map(issue => issue.expression[0])).toEqual([
+        'Bundle.entry[0].resource.clinicalStatus',
+        'Bundle.entry[0].resource.recordedDate'
+      ]);
+      expect(PatientRecord.create).not.toHaveBeenCalled();
+    });
+
+    it('stores a resource that declares no profile without applying one', async () => {
+      const response = await submit({ entry: [{ resource: condition, request: { method: 'POST', url: 'Condition' } }] });
+
+      expect(response.status).toBe(200);
+      expect(fhirService.validateCode).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('consent', () => {
+    const withdrawn = {
+      ...patient,
+      id: 'p1',
+      extension: [{ url: fhirConfig.extensions.patientConsent, extension: [{ url: 'given', valueBoolean: false }] }]
+    };
+
+    it('records a known patient\'s withdrawal on its own', async () => {
+      const response = await submit({ entry: [{ resource: withdrawn, request: { method: 'PUT', url: 'Patient/p1' } }] });
+
+      expect(response.status).toBe(200);
+      expect(committed).toBe(true);
+      expect(PatientRecord.create.mock.calls[0][0]).toMatchObject({ patient_id: 'p1', consent_given: false });
+    });
+
+    it('refuses other resources sent with a withdrawal', async () => {
+      const response = await submit({
+        entry: [
+          { resource: withdrawn, request: { method: 'PUT', url: 'Patient/p1' } },
+          { resource: encounter, request: { method: 'POST', url: 'Encounter' } }
+        ]
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.body.issue[0].details.text).toBe('Patient/p1 has no consent on record');
+      expect(PatientRecord.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a patient that has never consented', async () => {
+      PatientRecord.findOne.mockResolvedValue(null);
+
+      const response = await submit({ entry: [{ resource: withdrawn, request: { method: 'PUT', url: 'Patient/p1' } }] });
+
+      expect(response.status).toBe(403);
+      expect(PatientRecord.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses resources of a patient whose consent on record was withdrawn', async () => {
+      PatientRecord.findOne.mockResolvedValue({ consent_given: false, consent_version: null, consent_date: null, data_retention_until: null });
+
+      const response = await submit({ entry: [{ resource: encounter, request: { method: 'POST', url: 'Encounter' } }] });
+
+      expect(response.status).toBe(403);
+      expect(committed).toBe(false);
+    });
+  });
+
+  it('only accepts transaction Bundles', async () => {
+    const response = await submit({ type: 'batch', entry: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.issue[0].expression).toEqual(['Bundle.type']);
+  });
+
+  it('accepts a Bundle posted as FHIR XML and answers in XML', async () => {
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{ resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"1"' } }]
+    };
+
+    const response = await request(app)
+      .post('/fhir')
+      .set('Authorization', tokenFor())
+      .set('Content-Type', 'application/fhir+xml')
+      .set('Accept', 'application/fhir+xml')
+      .send(fhirUtils.toXml(bundle));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/fhir\+xml/);
+    expect(PatientRecord.create.mock.calls[0][0].fhir_bundle.entry[0].resource.name).toEqual(patient.name);
+
+    const responseBundle = fhirUtils.fromXml(response.text);
+    expect(responseBundle.type).toBe('transaction-response');
+    expect(responseBundle.entry[0].response.etag).toBe('W/"2"');
+  });
+});
+
+describe('FHIR format negotiation', () => {
+  it('serves the CapabilityStatement as XML for _format=xml', async () => {
+    const json = await request(app).get('/fhir/metadata');
+    const xml = await request(app).get('/fhir/metadata?_format=xml');
+
+    expect(xml.status).toBe(200);
+    expect(xml.headers['content-type']).toMatch(/^application\/fhir\+xml/);
+    expect(xml.text).toContain('<CapabilityStatement xmlns="http://hl7.org/fhir">');
+    expect(fhirUtils.fromXml(xml.text)).toEqual(json.body);
+  });
+
+  it('answers 406 for an unsupported _format', async () => {
+    const response = await request(app).get('/fhir/metadata?_format=text/csv');
+
+    expect(response.status).toBe(406);
+    expect(response.body.issue[0].code).toBe('not-supported');
+  });
+
+  it('answers 400 for a body that is not FHIR XML', async () => {
+    const response = await request(app)
+      .post('/fhir')
+      .set('Authorization', tokenFor())
+      .set('Content-Type', 'application/fhir+xml')
+      .send('not xml');
+
+    expect(response.status).toBe(400);
+    expect(response.body.issue[0].code).toBe('structure');
+  });
+});
+
+describe('CodeSystem $subsumes', () => {
+  it('rejects a system that does not match the CodeSystem it is invoked on', async () => {
+    const response = await request(app)
+      .get('/fhir/CodeSystem/namaste-ayurveda/$subsumes')
+      .query({ system: 'http://terminology.hl7.org/CodeSystem/namaste-siddha', codeA: 'AAA-1', codeB: 'AAA-1.1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.issue[0].details.text).toBe('system \'http://terminology.hl7.org/CodeSystem/namaste-siddha\' does not match CodeSystem \'namaste-ayurveda\'');
+  });
+});
+
+describe('GET /fhir/$export', () => {
+  const kickOff = (query = {}) => request(app)
+    .get('/fhir/$export')
+    .query(query)
+    .set('Authorization', tokenFor())
+    .set('Prefer', 'respond-async');
+
+  beforeEach(() => {
+    jest.spyOn(bulkExportService, 'kickOff').mockResolvedValue({ id: 'job-1' });
+  });
+
+  it('exports the terminology by default for anyone but an admin', async () => {
+    const response = await kickOff();
+
+    expect(response.status).toBe(202);
+    expect(response.headers['content-location']).toMatch(/\/\$export-poll-status\/job-1$/);
+    expect(bulkExportService.kickOff.mock.calls[0][0].types).toEqual(['CodeSystem', 'ConceptMap']);
+  });
+
+  it('exports patient data and audit events by default for an admin', async () => {
+    User.findByPk.mockImplementation(async id => ({ id, role: 'admin', is_active: true }));
+
+    await kickOff();
+
+    expect(bulkExportService.kickOff.mock.calls[0][0].types).toEqual(['CodeSystem', 'ConceptMap', 'Patient', 'Condition', 'Encounter', 'AuditEvent']);
+  });
+
+  it('refuses an explicit restricted _type to anyone but an admin', async () => {
+    const response = await kickOff({ _type: 'ConceptMap,Patient' });
+
+    expect(response.status).toBe(403);
+    expect(bulkExportService.kickOff).not.toHaveBeenCalled();
+  });
+});
+
+describe('conditional CodeSystem reads', () => {
+  const lastUpdated = '2025-03-04T05:06:07.890Z';
+  const read = (headers = {}, path = '/fhir/CodeSystem/namaste-ayurveda') => request(app).get(path).set(headers);
+
+  beforeEach(() => {
+    jest.spyOn(fhirService, 'namasteCodeSystemVersion').mockResolvedValue({ versionId: '7', lastUpdated });
+    jest.spyOn(fhirService, 'generateNamesteCodeSystem').mockResolvedValue({ resourceType: 'CodeSystem', id: 'namaste-ayurveda' });
+  });
+
+  it('sends the version as ETag and Last-Modified', async () => {
+    const response = await read();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('W/"7"');
+    expect(response.headers['last-modified']).toBe(new Date(lastUpdated).toUTCString());
+  });
+
+  it('answers 304 without building the CodeSystem when If-None-Match holds the current version', async () => {
+    const response = await read({ 'If-None-Match': 'W/"6", W/"7"' });
+
+    expect(response.status).toBe(304);
+    expect(response.headers.etag).toBe('W/"7"');
+    expect(fhirService.generateNamesteCodeSystem).not.toHaveBeenCalled();
+  });
+
+  it('answers 200 when If-None-Match holds an older version', async () => {
+    const response = await read({ 'If-None-Match': 'W/"6"' });
+
+    expect(response.status).toBe(200);
+    expect(fhirService.generateNamesteCodeSystem).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 304 when If-Modified-Since is not before the last update, to the second', async () => {
+    expect((await read({ 'If-Modified-Since': new Date(lastUpdated).toUTCString() })).status).toBe(304);
+    expect((await read({ 'If-Modified-Since': 'Tue, 04 Mar 2025 05:06:06 GMT' })).status).toBe(200);
+  });
+
+  it('lets If-None-Match take precedence over If-Modified-Since', async () => {
+    const response = await read({ 'If-None-Match': 'W/"6"', 'If-Modified-Since': new Date(lastUpdated).toUTCString() });
+
+    expect(response.status).toBe(200);
+  });
+
+  it('never answers 304 when supplements are applied', async () => {
+    const response = await read({ 'If-None-Match': 'W/"7"' }, '/fhir/CodeSystem/namaste-ayurveda?useSupplement=hi-labels');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).not.toBe('W/"7"');
+  });
+
+  it('answers 304 for a vread of the version the client holds', async () => {
+    jest.spyOn(fhirService, 'readCodeSystemVersion').mockResolvedValue({ resourceType: 'CodeSystem', meta: { versionId: '5', lastUpdated } });
+
+    const response = await read({ 'If-None-Match': 'W/"5"' }, '/fhir/CodeSystem/namaste-ayurveda/_history/5');
+
+    expect(response.status).toBe(304);
+    expect(response.headers.etag).toBe('W/"5"');
+    expect(fhirService.readCodeSystemVersion).toHaveBeenCalledWith('namaste-ayurveda', '5');
+  });
+});
+
+describe('NAMASTE code writes', () => {
+  let committed;
+
+  beforeEach(() => {
+    committed = null;
+    User.findByPk.mockImplementation(async id => ({ id, role: 'admin', is_active: true }));
+    jest.spyOn(subscriptionService, 'publishCodeChange').mockImplementation(() => {
+      expect(committed).toBe(true);
+    });
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => {
+      const result = await callback({ id: 'import-transaction' });
+      committed = true;
+      return result;
+    });
+    jest.spyOn(NamesteCode, 'findOne').mockImplementation(async ({ where }) => (where.code === 'AAA-9' ? { code: 'AAA-9' } : null));
+    jest.spyOn(NamesteCode, 'create').mockImplementation(async values => ({ id: 1, ...values }));
+  });
+
+  const importCsv = csv => request(app)
+    .post('/api/namaste/import')
+    .set('Authorization', tokenFor())
+    .attach('file', Buffer.from(csv), 'codes.csv');
+
+  it('rejects an update with an unknown status or no fields', async () => {
+    const update = body => request(app).put('/api/namaste/codes/AAA-1').set('Authorization', tokenFor()).send(body);
+
+    const status = await update({ status: 'retired' });
+    expect(status.status).toBe(400);
+    expect(status.body.details[0].field).toBe('status');
+
+    expect((await update({})).status).toBe(400);
+    expect(NamesteCode.findOne).not.toHaveBeenCalled();
+  });
+
+  it('publishes a deactivated code as retired and any other change as updated', async () => {
+    committed = true;
+    const code = status => ({
+      code: 'AAA-1', system_type: 'ayurveda', status, version_id: 3,
+      update: jest.fn(async function (values) {
+        Object.assign(this, values);
+      })
+    });
+    const update = body => request(app).put('/api/namaste/codes/AAA-1').set('Authorization', tokenFor()).send(body);
+
+    NamesteCode.findOne.mockResolvedValueOnce(code('active'));
+    expect((await update({ status: 'inactive' })).status).toBe(200);
+    NamesteCode.findOne.mockResolvedValueOnce(code('inactive'));
+    await update({ status: 'inactive', display_name: 'Jvara (fever)' });
+    NamesteCode.findOne.mockResolvedValueOnce(code('active'));
+    await update({ display_name: 'Jvara (fever)' });
+
+    expect(subscriptionService.publishCodeChange.mock.calls.map(([changed, event]) => [changed.code, event]))
+      .toEqual([['AAA-1', 'retired'], ['AAA-1', 'updated'], ['AAA-1', 'updated']]);
+  });
+
+  it('imports quoted fields with commas in one transaction and publishes once after it commits', async () => {
+    const response = await importCsv([
+      'code,display_name,definition,system_type,category',
+      'AAA-1,Jvara,"Fever, with ""heat""",ayurveda,Disorders',
+      '',
+      'AAA-9,Kasa,,ayurveda,',
+      'AAA-2,Shvasa,,homeopathy,',
+      'AAA-3,Atisara,,siddha'
+    ].join('\r\n'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ imported_count: 2, error_count: 2 });
+    expect(response.body.errors).toEqual(['Code already exists: AAA-9', 'Invalid data in line 5: AAA-2,Shvasa,,homeopathy,']);
+
+    expect(NamesteCode.create.mock.calls.map(([values]) => [values.code, values.definition, values.category])).toEqual([
+      ['AAA-1', 'Fever, with "heat"', 'Disorders'],
+      ['AAA-3', null, null]
+    ]);
+    expect(NamesteCode.create.mock.calls.every(([, options]) => options.transaction.id === 'import-transaction')).toBe(true);
+    expect(subscriptionService.publishCodeChange).toHaveBeenCalledTimes(1);
+    expect(subscriptionService.publishCodeChange.mock.calls[0][0].map(code => code.code)).toEqual(['AAA-1', 'AAA-3']);
+  });
+
+  it('publishes nothing when the import fails', async () => {
+    sequelize.transaction.mockImplementation(async callback => {
+      await callback({ id: 'import-transaction' });
+    });
+    NamesteCode.create.mockRejectedValueOnce(new Error('Deadlock found when trying to get lock'));
+
+    const response = await importCsv('code,display_name,definition,system_type,category\nAAA-1,Jvara,,ayurveda,\n');
+
+    expect(response.status).toBe(500);
+    expect(subscriptionService.publishCodeChange).not.toHaveBeenCalled();
+  });
+
+  it('answers 400 for a file that is not valid CSV', async () => {
+    const response = await importCsv('code,display_name\n"AAA-1,Jvara\n');
+
+    expect(response.status).toBe(400);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
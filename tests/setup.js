@@ -0,0 +1,8 @@
+// Runs before every test file
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// uuid is published as ES modules only, which Jest's CommonJS module system cannot load
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+// Expected errors are logged by the code under test; keep them out of the test output and log files
+require('../utils/logger').silent = true;
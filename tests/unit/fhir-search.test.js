@@ -0,0 +1,23 @@
+const { Op } = require('sequelize');
+const fhirSearchService = require('../../services/fhir-search.service');
+
+describe('FhirSearchService.dateConditions', () => {
+  it('gives a date without a time the whole day and a dateTime the second', () => {
+    const [day, second] = fhirSearchService.dateConditions(['2025-03-04', '2025-03-04T05:06:07Z'], 'date');
+
+    expect(day.date[Op.lt].getTime() - day.date[Op.gte].getTime()).toBe(24 * 3600 * 1000);
+    expect(second.date[Op.lt].getTime() - second.date[Op.gte].getTime()).toBe(1000);
+  });
+
+  it('applies the prefixes to the given field', () => {
+    const [ge, lt] = fhirSearchService.dateConditions(['ge2025-03-04', 'lt2025-03-10'], 'created_at');
+
+    expect(ge).toEqual({ created_at: { [Op.gte]: new Date('2025-03-04') } });
+    expect(lt).toEqual({ created_at: { [Op.lt]: new Date('2025-03-10') } });
+  });
+
+  it('reports an invalid date against the search parameter', () => {
+    expect(() => fhirSearchService.dateConditions('ge-soon', 'created_at', 'recorded'))
+      .toThrow(expect.objectContaining({ status: 400, expression: 'recorded' }));
+  });
+});
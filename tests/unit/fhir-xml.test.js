@@ -0,0 +1,63 @@
+const { utils: fhirUtils } = require('../../config/fhir');
+
+describe('FHIR XML serialization', () => {
+  it('round-trips a resource with extensions, primitive extensions and narrative', () => {
+    const patient = {
+      resourceType: 'Patient',
+      id: 'p1',
+      meta: { versionId: '2', lastUpdated: '2025-01-02T03:04:05Z' },
+      text: { status: 'generated', div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Asha Sharma</p></div>' },
+      extension: [{ url: 'http://example.org/fhir/StructureDefinition/religion', valueString: 'Hindu' }],
+      active: true,
+      name: [{ family: 'Sharma', given: ['Asha', 'K'] }],
+      birthDate: '1980-01-02',
+      _birthDate: {
+        extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/patient-birthTime', valueDateTime: '1980-01-02T10:00:00+05:30' }]
+      },
+      multipleBirthInteger: 2
+    };
+
+    const xml = fhirUtils.toXml(patient);
+
+    expect(xml).toContain('<Patient xmlns="http://hl7.org/fhir">');
+    expect(xml).toContain('<given value="Asha"/><given value="K"/>');
+    expect(xml).toContain('<birthDate value="1980-01-02"><extension url="http://hl7.org/fhir/StructureDefinition/patient-birthTime">');
+    expect(fhirUtils.fromXml(xml)).toEqual(patient);
+  });
+
+  it('round-trips a transaction Bundle with contained resources', () => {
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{
+        fullUrl: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a',
+        resource: {
+          resourceType: 'Condition',
+          code: {
+            coding: [
+              { system: 'https://ayush.gov.in/fhir/CodeSystem/namaste-ayurveda', code: 'AAA-1', display: 'Vataja Jvara' },
+              { system: 'http://id.who.int/icd/release/11/mms', code: 'TM26.0' }
+            ]
+          },
+          subject: { reference: 'Patient/p1' }
+        },
+        request: { method: 'POST', url: 'Condition' }
+      }]
+    };
+
+    expect(fhirUtils.fromXml(fhirUtils.toXml(bundle))).toEqual(bundle);
+  });
+
+  it('returns null for objects that are not FHIR resources', () => {
+    expect(fhirUtils.toXml({ message: 'ok' })).toBeNull();
+    expect(fhirUtils.toXml(null)).toBeNull();
+  });
+
+  it('rejects text that is not XML with a 400 structure error', () => {
+    expect(() => fhirUtils.fromXml('not xml')).toThrow(expect.objectContaining({
+      status: 400,
+      issueCode: 'structure',
+      message: expect.stringMatching(/^Invalid FHIR XML: /)
+    }));
+  });
+});
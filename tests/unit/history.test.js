@@ -0,0 +1,109 @@
+const historyService = require('../../services/history.service');
+const { NamesteCode, ResourceHistory } = require('../../models');
+
+describe('version tracking hooks', () => {
+  // A NamesteCode row as loaded from the database
+  const loaded = values => NamesteCode.build({
+    id: 3, code: 'AAA-1', display_name: 'Jvara', system_type: 'ayurveda', status: 'active', version_id: 1, ...values
+  }, { isNewRecord: false, raw: true });
+
+  const update = async (row, values, options = {}) => {
+    row.set(values);
+    await NamesteCode.runHooks('beforeUpdate', row, options);
+    await NamesteCode.runHooks('afterUpdate', row, options);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ResourceHistory, 'create').mockResolvedValue({});
+    jest.spyOn(ResourceHistory, 'count').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a created row as its first version', async () => {
+    const row = NamesteCode.build({ id: 4, code: 'AAA-2', display_name: 'Kasa', system_type: 'siddha', version_id: 1 });
+
+    await NamesteCode.runHooks('afterCreate', row, { changedBy: 2 });
+
+    expect(ResourceHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      resource_type: 'NamesteCode', resource_id: 4, version_id: 1, scope: 'siddha', operation: 'create', changed_by: 2,
+      content: expect.objectContaining({ code: 'AAA-2', display_name: 'Kasa' })
+    }), expect.anything());
+  });
+
+  it('bumps the version and records the new state on a change', async () => {
+    const row = loaded({ version_id: 4 });
+
+    await update(row, { display_name: 'Jvara (fever)' }, { changedBy: 7, changeReason: 'Typo' });
+
+    expect(row.version_id).toBe(5);
+    expect(ResourceHistory.create).toHaveBeenCalledTimes(1);
+    expect(ResourceHistory.create.mock.calls[0][0]).toMatchObject({
+      version_id: 5, operation: 'update', changed_by: 7, reason: 'Typo', content: { display_name: 'Jvara (fever)', version_id: 5 }
+    });
+  });
+
+  it('records the state before the first tracked change of a row that predates tracking', async () => {
+    ResourceHistory.count.mockResolvedValue(0);
+    const row = loaded();
+
+    await update(row, { status: 'inactive' }, { changedBy: 7 });
+
+    expect(ResourceHistory.create.mock.calls.map(([values]) => [values.operation, values.version_id, values.content.status, values.changed_by]))
+      .toEqual([['baseline', 1, 'active', null], ['update', 2, 'inactive', 7]]);
+  });
+
+  it('does not version a save that changes nothing tracked', async () => {
+    const row = loaded({ version_id: 2 });
+
+    await update(row, { updated_at: new Date() });
+
+    expect(row.version_id).toBe(2);
+    expect(ResourceHistory.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('HistoryService.rowsAsOf', () => {
+  const row = (id, display_name) => ({ id, code: `AAA-${id}`, display_name });
+  // History entries, oldest first: [entry id, row id, operation, content]
+  const history = [
+    [2, 1, 'baseline', row(1, 'Jvara')],
+    [3, 1, 'update', row(1, 'Jvara v2')],
+    [5, 4, 'create', row(4, 'Atisara')],
+    [6, 1, 'update', row(1, 'Jvara v3')],
+    [7, 3, 'create', row(3, 'Shvasa')],
+    [8, 9, 'baseline', row(9, 'Prameha')],
+    [9, 9, 'update', row(9, 'Prameha v2')]
+  ];
+  const current = [row(1, 'Jvara v3'), row(2, 'Kasa'), row(3, 'Shvasa'), row(4, 'Atisara'), row(9, 'Prameha v2')];
+
+  beforeEach(() => {
+    jest.spyOn(ResourceHistory, 'findAll').mockImplementation(async ({ raw, where }) => (raw
+      ? history.map(([id, resource_id, operation]) => ({ id, resource_id, operation }))
+      : history.filter(([id]) => where.id[Object.getOwnPropertySymbols(where.id)[0]].includes(id)).map(([, , , content]) => ({ content }))));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const displaysAt = async versionId => (await historyService.rowsAsOf('NamesteCode', ['ayurveda'], versionId, current))
+    .map(item => `${item.id}:${item.display_name}`)
+    .sort();
+
+  it('rebuilds the rows as they were at a version', async () => {
+    // Row 1 at its update 3, row 4 as created at 5, row 3 not yet created, row 9 before it was first changed,
+    // row 2 never changed
+    expect(await displaysAt('5')).toEqual(['1:Jvara v2', '2:Kasa', '4:Atisara', '9:Prameha']);
+  });
+
+  it('gives the rows before tracking began at version 0', async () => {
+    expect(await displaysAt('0')).toEqual(['1:Jvara', '2:Kasa', '9:Prameha']);
+  });
+
+  it('gives the current rows at the latest version', async () => {
+    expect(await displaysAt('9')).toEqual(current.map(item => `${item.id}:${item.display_name}`).sort());
+  });
+});
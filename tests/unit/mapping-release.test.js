@@ -0,0 +1,57 @@
+const mappingReleaseService = require('../../services/mapping-release.service');
+const { CodeMapping, MappingRelease, MappingReleaseEntry, sequelize } = require('../../models');
+
+describe('MappingReleaseService.createRelease', () => {
+  const transaction = { id: 'release-transaction' };
+  const mapping = {
+    id: 7, namaste_code: 'AAA-2', icd11_code: 'SK01', mapping_type: 'broader', confidence_score: '0.70',
+    namasteCodeDetails: { display_name: 'Kasa', system_type: 'ayurveda' },
+    icd11CodeDetails: { title: 'Fever', module: 'tm2' }
+  };
+  const previous = { id: 1, version: '2026.09', mapping_count: 0 };
+  let release;
+  let committed;
+
+  beforeEach(() => {
+    committed = false;
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => {
+      const result = await callback(transaction);
+      committed = true;
+      return result;
+    });
+    jest.spyOn(MappingRelease, 'findOne').mockImplementation(async ({ where } = {}) => (where ? null : previous));
+    jest.spyOn(MappingRelease, 'create').mockImplementation(async values => {
+      release = MappingRelease.build({ id: 2, ...values });
+      jest.spyOn(release, 'save').mockImplementation(async () => release);
+      return release;
+    });
+    jest.spyOn(CodeMapping, 'findAll').mockResolvedValue([mapping]);
+    jest.spyOn(MappingReleaseEntry, 'bulkCreate').mockResolvedValue([]);
+    jest.spyOn(MappingReleaseEntry, 'findAll').mockImplementation(async ({ where }) =>
+      (where.release_id === 2 ? [mappingReleaseService.toEntry(2, mapping)] : []));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes the release notes in the transaction that creates the release', async () => {
+    const created = await mappingReleaseService.createRelease({ version: '2026.10' }, { id: 3 });
+
+    expect(committed).toBe(true);
+    expect(created.mapping_count).toBe(1);
+    expect(created.release_notes).toContain('Since 2026.09: 1 added, 0 removed, 0 changed.');
+    expect(created.release_notes).toContain('- AAA-2 Kasa → SK01 Fever (broader)');
+    expect(release.save).toHaveBeenCalledWith({ transaction });
+    expect(MappingReleaseEntry.findAll.mock.calls.every(([options]) => options.transaction === transaction)).toBe(true);
+  });
+
+  it('leaves no release behind when the notes cannot be built', async () => {
+    MappingReleaseEntry.findAll.mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(mappingReleaseService.createRelease({ version: '2026.10' }, { id: 3 })).rejects.toThrow('Lock wait timeout exceeded');
+
+    expect(committed).toBe(false);
+    expect(release.save).not.toHaveBeenCalled();
+  });
+});
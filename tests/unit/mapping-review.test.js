@@ -0,0 +1,152 @@
+const { Op } = require('sequelize');
+const mappingService = require('../../services/mapping.service');
+const { MappingReview } = require('../../models');
+const { config: fhirConfig } = require('../../config/fhir');
+
+const approve = (reviewer_id, mapping_type = 'equivalent', senior = false) => ({ reviewer_id, decision: 'approve', mapping_type, senior });
+const reject = (reviewer_id, comment, senior = false) => ({ reviewer_id, decision: 'reject', mapping_type: null, comment, senior });
+
+describe('MappingService.evaluateConsensus', () => {
+  const reviewConfig = { ...fhirConfig.mappingReview };
+
+  beforeEach(() => {
+    Object.assign(fhirConfig.mappingReview, { quorum: 2, onDisagreement: 'senior', seniorRoles: ['admin'] });
+  });
+
+  afterAll(() => {
+    Object.assign(fhirConfig.mappingReview, reviewConfig);
+  });
+
+  it('waits until the quorum has voted', () => {
+    expect(mappingService.evaluateConsensus([approve(1)])).toEqual({ escalated: false });
+  });
+
+  it('approves with the agreed mapping_type once the quorum agrees', () => {
+    const outcome = mappingService.evaluateConsensus([approve(1, 'broader'), approve(2, 'broader')]);
+
+    expect(outcome.status).toBe('approved');
+    expect(outcome.extra).toMatchObject({ mapping_type: 'broader', review_escalated: false, consensus_at: expect.any(Date) });
+  });
+
+  it('rejects with the reviewers\' comments once the quorum agrees to reject', () => {
+    const outcome = mappingService.evaluateConsensus([
+      reject(1, 'Wrong body system'), reject(2, 'Wrong body system'), reject(3, 'Chapter 26 only')
+    ]);
+
+    expect(outcome).toMatchObject({ status: 'rejected', reason: 'Wrong body system; Chapter 26 only' });
+  });
+
+  it('treats approvals with different mapping types as a disagreement', () => {
+    expect(mappingService.evaluateConsensus([approve(1, 'equivalent'), approve(2, 'narrower')])).toEqual({ escalated: true });
+  });
+
+  it('escalates a disagreement until a senior reviewer who was not party to it votes', () => {
+    const disagreement = [approve(1), reject(2, 'Too broad')];
+
+    expect(mappingService.evaluateConsensus(disagreement)).toEqual({ escalated: true });
+    // Another regular reviewer does not settle it
+    expect(mappingService.evaluateConsensus([...disagreement, approve(3)])).toEqual({ escalated: true });
+    expect(mappingService.evaluateConsensus([...disagreement, approve(3), reject(4, 'Too broad', true)])).toMatchObject({
+      status: 'rejected', reason: 'Too broad'
+    });
+  });
+
+  it('does not let a senior reviewer who caused the disagreement decide it', () => {
+    expect(mappingService.evaluateConsensus([approve(1, 'equivalent', true), approve(2, 'broader')])).toEqual({ escalated: true });
+    expect(mappingService.evaluateConsensus([approve(1), approve(2, 'broader', true)])).toEqual({ escalated: true });
+  });
+
+  it('counts a senior vote cast before the disagreement as one of its parties', () => {
+    expect(mappingService.evaluateConsensus([approve(1, 'equivalent', true), approve(2), approve(3, 'broader')])).toEqual({ escalated: true });
+  });
+
+  it('settles with the latest senior vote after the disagreement', () => {
+    const outcome = mappingService.evaluateConsensus([
+      approve(1), approve(2, 'broader'), reject(3, 'Unrelated', true), approve(4, 'broader', true)
+    ]);
+
+    expect(outcome).toMatchObject({ status: 'approved', extra: { mapping_type: 'broader' } });
+  });
+
+  it('rejects on any disagreement when configured to', () => {
+    fhirConfig.mappingReview.onDisagreement = 'reject';
+
+    expect(mappingService.evaluateConsensus([approve(1), approve(2, 'broader')])).toMatchObject({
+      status: 'rejected', reason: 'Reviewers disagreed (equivalent, broader)'
+    });
+  });
+});
+
+describe('MappingService.getAgreementReport', () => {
+  const vote = (mapping_id, reviewer_id, label, mapping = { status: 'under_review', review_round: 1 }) => ({
+    mapping_id,
+    review_round: 1,
+    reviewer_id,
+    reviewer: { id: reviewer_id, name: `Reviewer ${reviewer_id}` },
+    decision: label === 'reject' ? 'reject' : 'approve',
+    mapping_type: label === 'reject' ? null : label,
+    mapping: { id: mapping_id, mapping_type: 'equivalent', ...mapping }
+  });
+
+  const approved = { status: 'approved', review_round: 1, mapping_type: 'equivalent' };
+
+  beforeEach(() => {
+    jest.spyOn(MappingReview, 'findAll').mockResolvedValue([
+      vote(1, 1, 'equivalent', approved), vote(1, 2, 'equivalent', approved),
+      vote(2, 1, 'equivalent'), vote(2, 2, 'equivalent'),
+      vote(3, 1, 'reject'), vote(3, 2, 'reject'),
+      vote(4, 1, 'equivalent'), vote(4, 2, 'reject'),
+      // Three raters on one item
+      vote(5, 1, 'equivalent'), vote(5, 2, 'equivalent'), vote(5, 3, 'narrower'),
+      // A single vote is not a rated item
+      vote(6, 3, 'equivalent')
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports Fleiss\' kappa over every vote on items with two or more', async () => {
+    const report = await mappingService.getAgreementReport();
+
+    expect(report).toMatchObject({ votes: 12, items_reviewed: 6, items_with_multiple_reviews: 5 });
+    // P = (1 + 1 + 1 + 0 + 1/3) / 5, Pe = (7/11)^2 + (3/11)^2 + (1/11)^2
+    expect(report.fleiss_kappa).toEqual({ items: 5, observed_agreement: 0.667, expected_agreement: 0.488, kappa: 0.349 });
+  });
+
+  it('reports Cohen\'s kappa for every two reviewers who rated the same items', async () => {
+    const { reviewer_pairs } = await mappingService.getAgreementReport();
+    const pair = (a, b) => reviewer_pairs.find(({ reviewers }) => reviewers[0].id === a && reviewers[1].id === b);
+
+    expect(reviewer_pairs).toHaveLength(3);
+    expect(pair(1, 2)).toMatchObject({ items: 5, observed_agreement: 0.8, expected_agreement: 0.56, kappa: 0.545 });
+    expect(pair(1, 3)).toMatchObject({ items: 1, observed_agreement: 0, expected_agreement: 0, kappa: 0 });
+    expect(pair(1, 2).reviewers[1].name).toBe('Reviewer 2');
+  });
+
+  it('reports each reviewer\'s agreement with peers and with settled outcomes', async () => {
+    const { reviewers } = await mappingService.getAgreementReport();
+    const reviewer = id => reviewers.find(item => item.id === id);
+
+    expect(reviewer(1)).toMatchObject({ votes: 5, approvals: 4, rejections: 1, agreement_with_peers: 0.667, agreement_with_outcome: 1 });
+    expect(reviewer(3)).toMatchObject({ votes: 2, agreement_with_peers: 0, agreement_with_outcome: null });
+  });
+
+  it('gives no kappa without items rated twice', async () => {
+    MappingReview.findAll.mockResolvedValue([vote(1, 1, 'equivalent')]);
+
+    const report = await mappingService.getAgreementReport();
+
+    expect(report.fleiss_kappa).toEqual({ items: 0, observed_agreement: null, expected_agreement: null, kappa: null });
+    expect(report.reviewer_pairs).toEqual([]);
+  });
+
+  it('filters votes by date and NAMASTE system', async () => {
+    await mappingService.getAgreementReport({ from: '2025-01-01', system_type: 'siddha' });
+
+    const { where } = MappingReview.findAll.mock.calls[0][0];
+    expect(where['$mapping.namasteCodeDetails.system_type$']).toBe('siddha');
+    expect(where.created_at).toEqual({ [Op.gte]: new Date('2025-01-01') });
+  });
+});
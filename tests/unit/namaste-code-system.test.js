@@ -0,0 +1,34 @@
+const fhirService = require('../../services/fhir.service');
+const { NamesteCode } = require('../../models');
+
+describe('FhirService.generateNamesteCodeSystem', () => {
+  const codes = [
+    { code: 'AAA-1', display_name: 'Jvara', system_type: 'ayurveda', level: 0, status: 'active' },
+    { code: 'AAA-2', display_name: 'Kasa', system_type: 'ayurveda', level: 0, status: 'inactive' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(fhirService, 'namasteCodeSystemVersion').mockResolvedValue({ versionId: '4', lastUpdated: '2025-01-02T00:00:00Z' });
+    jest.spyOn(NamesteCode, 'findAll').mockImplementation(async ({ where }) =>
+      codes.filter(code => !where.status || code.status === where.status));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists only active codes by default', async () => {
+    const codeSystem = await fhirService.generateNamesteCodeSystem('ayurveda');
+
+    expect(NamesteCode.findAll.mock.calls[0][0].where).toEqual({ system_type: 'ayurveda', status: 'active' });
+    expect(codeSystem.count).toBe(1);
+    expect(codeSystem.concept.map(concept => concept.code)).toEqual(['AAA-1']);
+  });
+
+  it('lists inactive codes with their status when activeOnly is false', async () => {
+    const codeSystem = await fhirService.generateNamesteCodeSystem('ayurveda', { activeOnly: false });
+    const status = concept => concept.property.find(property => property.code === 'status').valueCode;
+
+    expect(codeSystem.concept.map(concept => [concept.code, status(concept)])).toEqual([['AAA-1', 'active'], ['AAA-2', 'inactive']]);
+  });
+});
@@ -0,0 +1,95 @@
+const { config: fhirConfig } = require('../../config/fhir');
+const patientRecordService = require('../../services/patient-record.service');
+const patientSummaryService = require('../../services/patient-summary.service');
+const { PatientRecord } = require('../../models');
+
+const given = { consent_given: true, consent_version: '2', consent_date: '2025-01-01', data_retention_until: null };
+const now = new Date('2025-06-01T00:00:00Z');
+
+describe('PatientRecordService.consentIssue', () => {
+  afterEach(() => {
+    fhirConfig.consent.currentVersion = null;
+  });
+
+  it('accepts given consent of any version while no current version is set', () => {
+    expect(patientRecordService.consentIssue({ ...given, consent_version: null }, now)).toBeNull();
+  });
+
+  it('needs consent to have been given', () => {
+    expect(patientRecordService.consentIssue(null, now)).toBe('has no consent on record');
+    expect(patientRecordService.consentIssue({ ...given, consent_given: false }, now)).toBe('has no consent on record');
+  });
+
+  it('needs consent to the current consent version', () => {
+    fhirConfig.consent.currentVersion = '3';
+
+    expect(patientRecordService.consentIssue(given, now)).toBe('consented to version 2 of the consent, not the current 3');
+    expect(patientRecordService.consentIssue({ ...given, consent_version: '3' }, now)).toBeNull();
+  });
+
+  it('ends with the retention period', () => {
+    expect(patientRecordService.consentIssue({ ...given, data_retention_until: '2025-06-01T00:00:00Z' }, now))
+      .toBe('has data retained only until 2025-06-01');
+    expect(patientRecordService.consentIssue({ ...given, data_retention_until: '2025-06-02T00:00:00Z' }, now)).toBeNull();
+  });
+
+  it('is refused with 403 by checkConsent', () => {
+    expect(() => patientRecordService.checkConsent('p1', { ...given, consent_given: false }))
+      .toThrow(expect.objectContaining({ status: 403, message: 'Patient/p1 has no consent on record' }));
+  });
+});
+
+describe('consent gating of the patient compartment', () => {
+  const patient = versionId => ({ resourceType: 'Patient', id: 'p1', meta: { versionId } });
+  const condition = { resourceType: 'Condition', id: 'c1', subject: { reference: 'Patient/p1' }, meta: { versionId: '1' } };
+  const record = (id, consent, resources) => ({
+    id, patient_id: 'p1', ...consent, fhir_bundle: { entry: resources.map(resource => ({ resource })) }
+  });
+
+  const denied = async promise => (await promise.then(() => null, error => error));
+
+  afterEach(() => {
+    fhirConfig.consent.currentVersion = null;
+    jest.restoreAllMocks();
+  });
+
+  it('returns the latest version of each resource, the Patient first', async () => {
+    jest.spyOn(PatientRecord, 'findAll').mockResolvedValue([
+      record(1, given, [patient('1'), condition]),
+      record(2, given, [patient('2')])
+    ]);
+
+    const resources = await patientRecordService.patientCompartment('p1');
+
+    expect(resources.map(resource => `${resource.resourceType}/${resource.meta.versionId}`)).toEqual(['Patient/2', 'Condition/1']);
+  });
+
+  it.each([
+    ['consent is not given', { ...given, consent_given: false }, 'has no consent on record'],
+    ['consent is to another version', given, 'consented to version 2 of the consent, not the current 3'],
+    ['the retention period has ended', { ...given, consent_version: '3', data_retention_until: '2020-01-01T00:00:00Z' }, 'has data retained only until 2020-01-01']
+  ])('refuses $everything and $summary when %s', async (_, consent, issue) => {
+    fhirConfig.consent.currentVersion = '3';
+    jest.spyOn(PatientRecord, 'findAll').mockResolvedValue([record(1, consent, [patient('1'), condition])]);
+
+    for (const error of [await denied(patientRecordService.patientCompartment('p1')), await denied(patientSummaryService.generateSummary('p1'))]) {
+      expect(error).toMatchObject({ status: 403, message: `Patient/p1 ${issue}` });
+    }
+  });
+
+  it('goes by the latest record, so a withdrawal hides what was stored with consent', async () => {
+    jest.spyOn(PatientRecord, 'findAll').mockResolvedValue([
+      record(1, given, [patient('1'), condition]),
+      record(2, { ...given, consent_given: false }, [patient('2')])
+    ]);
+
+    expect(await denied(patientRecordService.patientCompartment('p1'))).toMatchObject({ status: 403 });
+    expect(await denied(patientSummaryService.generateSummary('p1'))).toMatchObject({ status: 403 });
+  });
+
+  it('answers 404 for an unknown patient', async () => {
+    jest.spyOn(PatientRecord, 'findAll').mockResolvedValue([]);
+
+    expect(await denied(patientRecordService.patientCompartment('p9'))).toMatchObject({ status: 404 });
+  });
+});
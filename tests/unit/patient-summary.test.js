@@ -0,0 +1,77 @@
+const { config: fhirConfig } = require('../../config/fhir');
+const patientRecordService = require('../../services/patient-record.service');
+const patientSummaryService = require('../../services/patient-summary.service');
+
+const NAMASTE = fhirConfig.codeSystems.namaste.ayurveda.url;
+const BIOMEDICINE = fhirConfig.codeSystems.icd11.biomedicine.url;
+const status = (system, code) => ({ coding: [{ system, code }] });
+const clinical = code => status('http://terminology.hl7.org/CodeSystem/condition-clinical', code);
+const verification = code => status('http://terminology.hl7.org/CodeSystem/condition-ver-status', code);
+
+describe('PatientSummaryService.isActiveProblem', () => {
+  it.each([
+    ['active', undefined, true],
+    ['recurrence', 'confirmed', true],
+    ['relapse', 'provisional', true],
+    ['resolved', 'confirmed', false],
+    ['inactive', undefined, false],
+    ['active', 'refuted', false],
+    ['active', 'entered-in-error', false]
+  ])('clinical status %s with verification status %s is active: %s', (clinicalStatus, verificationStatus, active) => {
+    const condition = { clinicalStatus: clinical(clinicalStatus), ...(verificationStatus && { verificationStatus: verification(verificationStatus) }) };
+
+    expect(patientSummaryService.isActiveProblem(condition)).toBe(active);
+  });
+
+  it('does not count a Condition without a clinical status', () => {
+    expect(patientSummaryService.isActiveProblem({})).toBe(false);
+  });
+});
+
+describe('PatientSummaryService.generateSummary', () => {
+  const patient = { resourceType: 'Patient', id: 'p1' };
+  const condition = (id, clinicalStatus, codings) => ({
+    resourceType: 'Condition', id, subject: { reference: 'Patient/p1' }, clinicalStatus: clinical(clinicalStatus), code: { coding: codings }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the active problems per ICD-11 module, with an emptyReason for a module without any', async () => {
+    jest.spyOn(patientRecordService, 'patientCompartment').mockResolvedValue([
+      patient,
+      condition('c1', 'active', [{ system: NAMASTE, code: 'AAA-1', display: 'Jvara' }]),
+      condition('c2', 'resolved', [{ system: BIOMEDICINE, code: 'MG26', display: 'Fever' }])
+    ]);
+
+    const summary = await patientSummaryService.generateSummary('p1');
+    const [composition, ...resources] = summary.entry.map(entry => entry.resource);
+    const [problems] = composition.section;
+
+    expect(patientRecordService.patientCompartment).toHaveBeenCalledWith('p1', { types: ['Patient', 'Condition'] });
+    expect(summary.type).toBe('document');
+    expect(summary.entry[0].fullUrl).toBe(`urn:uuid:${composition.id}`);
+    expect(resources.map(resource => `${resource.resourceType}/${resource.id}`)).toEqual(['Patient/p1', 'Condition/c1']);
+
+    expect(composition.section).toHaveLength(1);
+    expect(problems.code.coding).toEqual([fhirConfig.patientSummary.problemSection]);
+    expect(problems.entry).toEqual([{ reference: 'Condition/c1' }]);
+    expect(problems.text.div).toContain('<li>Jvara (');
+
+    expect(problems.section.map(section => [section.title, section.entry, section.emptyReason?.coding])).toEqual([
+      ['ICD-11 Traditional Medicine Module 2', [{ reference: 'Condition/c1' }], undefined],
+      ['ICD-11 Biomedicine Module', undefined, [fhirConfig.patientSummary.emptyReason]]
+    ]);
+  });
+
+  it('gives the problem list an emptyReason when no problem is active', async () => {
+    jest.spyOn(patientRecordService, 'patientCompartment').mockResolvedValue([patient]);
+
+    const [problems] = (await patientSummaryService.generateSummary('p1')).entry[0].resource.section;
+
+    expect(problems.entry).toBeUndefined();
+    expect(problems.emptyReason.coding).toEqual([fhirConfig.patientSummary.emptyReason]);
+    expect(problems.text.div).toContain('No known active problems');
+  });
+});
@@ -0,0 +1,206 @@
+const { config: fhirConfig } = require('../../config/fhir');
+const fhirService = require('../../services/fhir.service');
+const profileValidationService = require('../../services/profile-validation.service');
+
+const CONDITION_PROFILE = 'http://terminology.hl7.org/StructureDefinition/namaste-condition';
+const PATIENT_PROFILE = 'http://terminology.hl7.org/StructureDefinition/namaste-patient';
+const NAMASTE = fhirConfig.codeSystems.namaste.ayurveda.url;
+const TM2 = fhirConfig.codeSystems.icd11.tm2.url;
+
+const namaste = { system: NAMASTE, code: 'AAA-1', display: 'Jvara' };
+const tm2 = { system: TM2, code: 'SK01', display: 'Fever disorder (TM2)' };
+
+const condition = (values = {}) => ({
+  resourceType: 'Condition',
+  meta: { profile: [CONDITION_PROFILE] },
+  clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+  code: { coding: [namaste, tm2] },
+  subject: { reference: 'Patient/p1' },
+  recordedDate: '2025-03-04',
+  ...values
+});
+
+const messages = issues => issues.map(issue => `${issue.severity}: ${issue.details.text}`);
+
+beforeEach(() => {
+  // namaste-all holds the NAMASTE codes, icd11-tm2-all the TM2 codes
+  jest.spyOn(fhirService, 'valueSetContains').mockImplementation(async (url, coding) =>
+    (url.endsWith('/namaste-all') && coding.system === NAMASTE) || (url.endsWith('/icd11-tm2-all') && coding.system === TM2));
+  jest.spyOn(fhirService, 'validateCode').mockResolvedValue({ result: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NAMASTE Condition profile', () => {
+  it('accepts a dual-coded Condition', async () => {
+    expect(await profileValidationService.validateResource(condition())).toEqual([]);
+  });
+
+  it('reports the elements the profile makes required', async () => {
+    const issues = await profileValidationService.validateResource(condition({ clinicalStatus: undefined, recordedDate: undefined }));
+
+    expect(messages(issues)).toEqual([
+      'error: Condition.clinicalStatus: minimum required = 1, but only found 0',
+      'error: Condition.recordedDate: minimum required = 1, but only found 0'
+    ]);
+  });
+
+  it('needs exactly one coding in the NAMASTE slice', async () => {
+    const none = await profileValidationService.validateResource(condition({ code: { coding: [tm2] } }));
+    const two = await profileValidationService.validateResource(condition({ code: { coding: [namaste, { ...namaste, code: 'AAA-2' }] } }));
+
+    expect(messages(none)).toEqual(['error: Condition.code.coding (slice \'namaste\'): minimum required = 1, but only found 0']);
+    expect(messages(two)).toEqual(['error: Condition.code.coding (slice \'namaste\'): maximum allowed = 1, but found 2']);
+    expect(none[0].expression).toEqual(['Condition.code.coding']);
+  });
+
+  it('leaves codings outside every slice alone, the slicing being open', async () => {
+    const local = { system: 'http://example.org/local', code: 'X1' };
+
+    expect(await profileValidationService.validateResource(condition({ code: { coding: [namaste, local] } }))).toEqual([]);
+  });
+
+  it('checks element types and reference targets', async () => {
+    const issues = await profileValidationService.validateResource(condition({ recordedDate: 'yesterday', subject: { reference: 'Group/g1' } }));
+
+    expect(messages(issues)).toEqual([
+      'error: Reference must point to Patient, not Group',
+      'error: Value is not a valid dateTime'
+    ]);
+    expect(issues.map(issue => issue.expression[0])).toEqual(['Condition.subject.reference', 'Condition.recordedDate']);
+  });
+
+  it('reports the location under a Bundle entry', async () => {
+    const [issue] = await profileValidationService.validateResource(condition({ recordedDate: undefined }), { location: 'Bundle.entry[2].resource' });
+
+    expect(issue.expression).toEqual(['Bundle.entry[2].resource.recordedDate']);
+  });
+});
+
+describe('NAMASTE Patient profile', () => {
+  const patient = extension => ({
+    resourceType: 'Patient',
+    meta: { profile: [PATIENT_PROFILE] },
+    identifier: [{ system: 'https://abha.abdm.gov.in', value: '12-3456-7890-1234' }],
+    name: [{ family: 'Sharma' }],
+    extension
+  });
+
+  it('needs the consent extension, matched by its fixed url', async () => {
+    const consent = { url: fhirConfig.extensions.patientConsent, extension: [{ url: 'given', valueBoolean: true }] };
+    const other = { url: 'http://example.org/other', valueString: 'x' };
+
+    expect(await profileValidationService.validateResource(patient([other, consent]))).toEqual([]);
+    expect(messages(await profileValidationService.validateResource(patient([other]))))
+      .toEqual(['error: Patient.extension (slice \'consent\'): minimum required = 1, but only found 0']);
+  });
+});
+
+describe('profiles are opt-in', () => {
+  it('enforces no profile on a resource that does not declare one', async () => {
+    const issues = await profileValidationService.validateResource(condition({ meta: undefined, clinicalStatus: undefined }));
+
+    expect(issues).toEqual([]);
+  });
+
+  it('enforces a profile asked for by the caller', async () => {
+    const issues = await profileValidationService.validateResource(condition({ meta: undefined, clinicalStatus: undefined }), { profiles: [CONDITION_PROFILE] });
+
+    expect(messages(issues)).toEqual(['error: Condition.clinicalStatus: minimum required = 1, but only found 0']);
+  });
+
+  it('warns about an unknown profile and rejects one for another resource type', async () => {
+    const unknown = await profileValidationService.validateResource(condition({ meta: { profile: ['http://example.org/StructureDefinition/other'] } }));
+    const wrongType = await profileValidationService.validateResource(condition({ meta: { profile: [PATIENT_PROFILE] } }));
+
+    expect(messages(unknown)).toEqual(['warning: Profile \'http://example.org/StructureDefinition/other\' is not known to this server']);
+    expect(messages(wrongType)).toEqual([`error: Profile '${PATIENT_PROFILE}' is for Patient, not Condition`]);
+  });
+});
+
+describe('fixed values, patterns and bindings', () => {
+  const validate = (elements, resource) => profileValidationService.validateAgainstProfile(
+    { value: resource, location: resource.resourceType },
+    { type: resource.resourceType, differential: { element: elements } },
+    { cache: new Map() }
+  );
+
+  it('needs a fixed value exactly', async () => {
+    const elements = [{ id: 'Encounter.status', fixedCode: 'finished' }];
+
+    expect(await validate(elements, { resourceType: 'Encounter', status: 'finished' })).toEqual([]);
+    expect(messages(await validate(elements, { resourceType: 'Encounter', status: 'planned' })))
+      .toEqual(['error: Value must be exactly "finished"']);
+  });
+
+  it('needs every element of a pattern, allowing more', async () => {
+    const elements = [{ id: 'Encounter.class', patternCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB' } }];
+
+    expect(await validate(elements, {
+      resourceType: 'Encounter', class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' }
+    })).toEqual([]);
+    expect(messages(await validate(elements, { resourceType: 'Encounter', class: { code: 'AMB' } })))
+      .toEqual([expect.stringMatching(/^error: Value does not match the required pattern/)]);
+  });
+
+  it('rejects codes outside a required binding and warns for an extensible one', async () => {
+    const bound = strength => [{ id: 'Condition.code', binding: { strength, valueSet: 'http://terminology.hl7.org/ValueSet/namaste-all' } }];
+    const resource = { resourceType: 'Condition', code: { coding: [tm2] } };
+
+    expect(await validate(bound('required'), { resourceType: 'Condition', code: { coding: [tm2, namaste] } })).toEqual([]);
+    expect(messages(await validate(bound('required'), resource)))
+      .toEqual(['error: None of the codes are in the required value set \'http://terminology.hl7.org/ValueSet/namaste-all\'']);
+    expect(messages(await validate(bound('extensible'), resource)))
+      .toEqual(['warning: None of the codes are in the extensible value set \'http://terminology.hl7.org/ValueSet/namaste-all\'']);
+  });
+
+  it('notes a binding to a ValueSet it does not know instead of failing it', async () => {
+    const elements = [{ id: 'Condition.code', binding: { strength: 'required', valueSet: 'http://example.org/ValueSet/other' } }];
+
+    expect(messages(await validate(elements, { resourceType: 'Condition', code: { coding: [tm2] } })))
+      .toEqual(['information: ValueSet \'http://example.org/ValueSet/other\' is not available; binding not checked']);
+  });
+
+  it('rejects a value matching no slice of a closed slicing', async () => {
+    const elements = [
+      { id: 'Condition.code.coding', slicing: { discriminator: [{ type: 'value', path: 'system' }], rules: 'closed' } },
+      { id: 'Condition.code.coding:namaste', min: 0 },
+      { id: 'Condition.code.coding:namaste.system', fixedUri: NAMASTE }
+    ];
+
+    expect(messages(await validate(elements, { resourceType: 'Condition', code: { coding: [namaste, tm2] } })))
+      .toEqual(['error: Value does not match any slice of this closed slicing']);
+  });
+});
+
+describe('ProfileValidationService.validateCodings', () => {
+  it('rejects an unknown code and warns about an inactive one or a wrong display', async () => {
+    fhirService.validateCode.mockImplementation(async ({ code }) => ({
+      'AAA-1': { result: true },
+      'AAA-9': { result: false, message: 'Unknown code \'AAA-9\'' },
+      SK01: { result: false, message: 'Code \'SK01\' is inactive', display: 'Fever disorder (TM2)' }
+    }[code]));
+
+    const issues = await profileValidationService.validateResource(condition({
+      meta: undefined,
+      code: { coding: [namaste, tm2, { system: NAMASTE, code: 'AAA-9' }] }
+    }));
+
+    expect(issues.map(issue => [issue.severity, issue.code, issue.expression[0]])).toEqual([
+      ['warning', 'business-rule', 'Condition.code.coding[1]'],
+      ['error', 'code-invalid', 'Condition.code.coding[2]']
+    ]);
+  });
+
+  it('looks each coding up once and ignores code systems that are not ours', async () => {
+    await profileValidationService.validateResource({
+      resourceType: 'Encounter',
+      reasonCode: [{ coding: [namaste] }, { coding: [namaste, { system: 'http://snomed.info/sct', code: '386661006' }] }]
+    });
+
+    expect(fhirService.validateCode).toHaveBeenCalledTimes(1);
+    expect(fhirService.validateCode).toHaveBeenCalledWith({ system: NAMASTE, code: 'AAA-1', display: 'Jvara', version: undefined });
+  });
+});
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const smartService = require('../../services/smart.service');
+const { SmartClient, User, PatientRecord } = require('../../models');
+const { config: fhirConfig } = require('../../config/fhir');
+
+const ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const REDIRECT_URI = 'https://app.example.org/callback';
+
+const clientKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+
+const clients = {
+  'public-app': {
+    client_id: 'public-app', client_type: 'public', redirect_uris: [REDIRECT_URI], scope: 'openid launch/patient patient/*.read'
+  },
+  'backend-app': {
+    client_id: 'backend-app',
+    client_type: 'backend',
+    user_id: 7,
+    scope: 'system/*.read system/Condition.write',
+    jwks: { keys: [{ ...clientKey.publicKey.export({ format: 'jwk' }), kid: 'key-1' }] }
+  }
+};
+
+const users = {
+  1: { id: 1, abha_id: '12-3456-7890-1234', role: 'clinician', is_active: true, validatePassword: async password => password === 'secret' },
+  7: { id: 7, abha_id: 'smart:backend-app', role: 'admin', is_active: true }
+};
+
+// A private_key_jwt client assertion, signed with the client's key unless another is given
+const clientAssertion = ({ key = clientKey.privateKey, claims = {}, expiresIn = 120 } = {}) => jwt.sign({
+  iss: 'backend-app',
+  sub: 'backend-app',
+  aud: smartService.endpoints().token,
+  jti: crypto.randomUUID(),
+  ...claims
+}, key, { algorithm: 'ES384', keyid: 'key-1', expiresIn });
+
+const challengeFor = verifier => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+beforeEach(() => {
+  smartService.authorizationCodes.clear();
+  smartService.usedAssertions.clear();
+
+  jest.spyOn(SmartClient, 'findOne').mockImplementation(async ({ where }) => clients[where.client_id] || null);
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) =>
+    Object.values(users).find(user => user.abha_id === where.abha_id) || null);
+  jest.spyOn(User, 'findByPk').mockImplementation(async id => users[id] || null);
+  jest.spyOn(PatientRecord, 'count').mockResolvedValue(1);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SMART authorization code flow with PKCE', () => {
+  const verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const authorizationRequest = {
+    response_type: 'code',
+    client_id: 'public-app',
+    redirect_uri: REDIRECT_URI,
+    scope: 'launch/patient patient/*.read',
+    aud: fhirConfig.server.baseUrl,
+    code_challenge: challengeFor(verifier),
+    code_challenge_method: 'S256'
+  };
+
+  const authorize = () => smartService.authorize(clients['public-app'], {
+    abha_id: users[1].abha_id, password: 'secret', patient: 'p1', redirect_uri: REDIRECT_URI, scope: authorizationRequest.scope, code_challenge: authorizationRequest.code_challenge
+  });
+  const exchange = (code, params = {}) => smartService.token({
+    grant_type: 'authorization_code', code, client_id: 'public-app', redirect_uri: REDIRECT_URI, code_verifier: verifier, ...params
+  });
+
+  it('requires an S256 code_challenge', async () => {
+    await expect(smartService.validateAuthorizationRequest(authorizationRequest)).resolves.toBe(clients['public-app']);
+
+    for (const params of [{ code_challenge: undefined }, { code_challenge_method: 'plain' }]) {
+      await expect(smartService.validateAuthorizationRequest({ ...authorizationRequest, ...params })).rejects.toMatchObject({
+        status: 400, oauthError: 'invalid_request', redirect: true
+      });
+    }
+  });
+
+  it('issues a patient-scoped token for the matching code_verifier', async () => {
+    const { response, userId, clientId } = await exchange(await authorize());
+
+    expect(userId).toBe(1);
+    expect(clientId).toBe('public-app');
+    expect(response).toMatchObject({ token_type: 'Bearer', scope: 'launch/patient patient/*.read', patient: 'p1' });
+    expect(jwt.verify(response.access_token, process.env.JWT_SECRET)).toMatchObject({
+      userId: 1, client_id: 'public-app', patient: 'p1', aud: fhirConfig.server.baseUrl
+    });
+  });
+
+  it('rejects a code_verifier that does not match the code_challenge and burns the code', async () => {
+    const code = await authorize();
+
+    await expect(exchange(code, { code_verifier: 'not-the-verifier' })).rejects.toMatchObject({
+      status: 400, oauthError: 'invalid_grant', message: 'code_verifier does not match the code_challenge'
+    });
+    await expect(exchange(code)).rejects.toMatchObject({ oauthError: 'invalid_grant', message: 'Invalid or expired authorization code' });
+  });
+
+  it('accepts each code only once', async () => {
+    const code = await authorize();
+
+    await exchange(code);
+    await expect(exchange(code)).rejects.toMatchObject({ oauthError: 'invalid_grant' });
+  });
+
+  it('rejects a code exchanged with a different redirect_uri', async () => {
+    await expect(exchange(await authorize(), { redirect_uri: 'https://evil.example.org/callback' })).rejects.toMatchObject({
+      oauthError: 'invalid_grant'
+    });
+  });
+});
+
+describe('SMART backend services with private_key_jwt', () => {
+  const clientCredentials = (assertion, params = {}) => smartService.token({
+    grant_type: 'client_credentials',
+    scope: 'system/*.read system/Patient.write',
+    client_assertion_type: ASSERTION_TYPE,
+    client_assertion: assertion,
+    ...params
+  });
+
+  it('issues a token with the requested scopes the client is registered for', async () => {
+    const { response, userId } = await clientCredentials(clientAssertion());
+
+    expect(userId).toBe(7);
+    expect(response.scope).toBe('system/*.read');
+    expect(jwt.verify(response.access_token, process.env.JWT_SECRET)).toMatchObject({ client_id: 'backend-app', role: 'admin' });
+  });
+
+  it('rejects a missing or unknown client_assertion_type', async () => {
+    await expect(clientCredentials(clientAssertion(), { client_assertion_type: 'urn:example:password' })).rejects.toMatchObject({
+      status: 401, oauthError: 'invalid_client'
+    });
+    await expect(clientCredentials(undefined)).rejects.toMatchObject({ status: 401, oauthError: 'invalid_client' });
+  });
+
+  it('rejects an assertion signed with a key the client did not register', async () => {
+    await expect(clientCredentials(clientAssertion({ key: otherKey.privateKey }))).rejects.toMatchObject({
+      oauthError: 'invalid_client', message: 'Client assertion signature or claims are invalid'
+    });
+  });
+
+  it('rejects an assertion addressed to another token endpoint', async () => {
+    await expect(clientCredentials(clientAssertion({ claims: { aud: 'https://other.example.org/token' } }))).rejects.toMatchObject({
+      message: 'Client assertion signature or claims are invalid'
+    });
+  });
+
+  it('rejects an assertion whose iss and sub differ', async () => {
+    await expect(clientCredentials(clientAssertion({ claims: { sub: 'someone-else' } }))).rejects.toMatchObject({
+      message: 'Malformed client assertion'
+    });
+  });
+
+  it('rejects assertions signed with a symmetric algorithm', async () => {
+    const assertion = jwt.sign({ iss: 'backend-app', sub: 'backend-app', aud: smartService.endpoints().token, jti: 'hs' }, 'shared', {
+      algorithm: 'HS256', expiresIn: 60
+    });
+
+    await expect(clientCredentials(assertion)).rejects.toMatchObject({ message: 'Malformed client assertion' });
+  });
+
+  it('rejects assertions that live longer than five minutes', async () => {
+    await expect(clientCredentials(clientAssertion({ expiresIn: 3600 }))).rejects.toMatchObject({
+      message: 'Client assertions need a jti and must expire within 300 seconds'
+    });
+  });
+
+  it('rejects a replayed assertion', async () => {
+    const assertion = clientAssertion();
+
+    await clientCredentials(assertion);
+    await expect(clientCredentials(assertion)).rejects.toMatchObject({ message: 'Client assertion has already been used' });
+  });
+
+  it('does not let a public client authenticate with an assertion', async () => {
+    const assertion = clientAssertion({ claims: { iss: 'public-app', sub: 'public-app' } });
+
+    await expect(clientCredentials(assertion)).rejects.toMatchObject({ message: 'Client authentication failed' });
+  });
+});
@@ -0,0 +1,213 @@
+const sssomService = require('../../services/sssom.service');
+const { CodeMapping, NamesteCode, ICD11Code, sequelize } = require('../../models');
+
+const tsv = (metadata, header, ...rows) => [...metadata, header.join('\t'), ...rows.map(row => row.join('\t'))].join('\n');
+
+const METADATA = [
+  '# mapping_set_id: https://example.org/sssom/ayurveda-tm2.sssom.tsv',
+  '# mapping_set_version: "2025-03"',
+  '# creator_id:',
+  '#   - orcid:0000-0002-1825-0097',
+  '# curie_map:',
+  '#   AYU: http://terminology.hl7.org/CodeSystem/namaste-ayurveda/'
+];
+const HEADER = ['subject_id', 'predicate_id', 'object_id', 'mapping_justification', 'confidence', 'comment'];
+const row = (subject, predicate, object, confidence = '', comment = '') =>
+  [subject, predicate, object, 'semapv:ManualMappingCuration', confidence, comment];
+
+describe('SssomService.parseSssom', () => {
+  it('splits the YAML metadata block from the rows and keeps their line numbers', () => {
+    const { metadata, rows } = sssomService.parseSssom(tsv(METADATA, HEADER,
+      row('AYU:AAA-1', 'skos:exactMatch', 'ICD11:101', '0.9', 'Jvara'),
+      row('AYU:AAA-2', 'skos:broadMatch', 'ICD11:102')
+    ));
+
+    expect(metadata).toMatchObject({
+      mapping_set_id: 'https://example.org/sssom/ayurveda-tm2.sssom.tsv',
+      mapping_set_version: '2025-03',
+      creator_id: ['orcid:0000-0002-1825-0097']
+    });
+    expect(rows).toEqual([
+      expect.objectContaining({ subject_id: 'AYU:AAA-1', confidence: '0.9', comment: 'Jvara', line: 8 }),
+      expect.objectContaining({ subject_id: 'AYU:AAA-2', predicate_id: 'skos:broadMatch', line: 9 })
+    ]);
+  });
+
+  it('accepts files without metadata, with a byte order mark and CRLF line endings', () => {
+    const { metadata, rows } = sssomService.parseSssom(`\uFEFF${tsv([], HEADER, row('AYU:AAA-1', 'skos:exactMatch', 'ICD11:101'))}`.replace(/\n/g, '\r\n'));
+
+    expect(metadata).toEqual({});
+    expect(rows[0]).toMatchObject({ subject_id: 'AYU:AAA-1', mapping_justification: 'semapv:ManualMappingCuration', line: 2 });
+  });
+
+  it('rejects a file without the required columns', () => {
+    expect(() => sssomService.parseSssom(tsv([], ['subject_id', 'object_id'], ['AYU:AAA-1', 'ICD11:101']))).toThrow(expect.objectContaining({
+      status: 400, issueCode: 'required', message: 'Missing SSSOM columns: predicate_id, mapping_justification'
+    }));
+  });
+
+  it('rejects a file without rows', () => {
+    expect(() => sssomService.parseSssom(tsv(METADATA, HEADER))).toThrow(expect.objectContaining({
+      status: 400, message: 'The SSSOM file has no mappings'
+    }));
+  });
+
+  it('rejects a metadata block that is not a YAML mapping', () => {
+    expect(() => sssomService.parseSssom(tsv(['# mapping_set_id: [unclosed'], HEADER, row('AYU:AAA-1', 'skos:exactMatch', 'ICD11:101'))))
+      .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/^Invalid SSSOM metadata block/) }));
+    expect(() => sssomService.parseSssom(tsv(['# - a list'], HEADER, row('AYU:AAA-1', 'skos:exactMatch', 'ICD11:101'))))
+      .toThrow(expect.objectContaining({ status: 400, message: 'The SSSOM metadata block must be a YAML mapping' }));
+  });
+});
+
+describe('SssomService.readRow', () => {
+  const prefixes = { ...sssomService.curieMap(), AYU: 'http://terminology.hl7.org/CodeSystem/namaste-ayurveda/' };
+  const read = fields => sssomService.readRow({ mapping_justification: 'semapv:ManualMappingCuration', ...fields }, prefixes);
+
+  it('reads CURIEs with the file\'s prefixes and the SKOS predicate as a mapping_type', () => {
+    expect(read({ subject_id: 'AYU:AAA-1', predicate_id: 'skos:broadMatch', object_id: 'ICD11:101', confidence: '0.75' })).toEqual({
+      errors: [],
+      systemType: 'ayurveda',
+      namasteCode: 'AAA-1',
+      objectCode: '101',
+      mappingType: 'narrower',
+      confidence: 0.75
+    });
+  });
+
+  it('reads full IRIs, including ICD-11 release codes', () => {
+    const parsed = read({
+      subject_id: 'http://terminology.hl7.org/CodeSystem/namaste-siddha/SID-7',
+      predicate_id: 'http://www.w3.org/2004/02/skos/core#exactMatch',
+      object_id: 'http://id.who.int/icd/release/11/2023-01/tm2/SK01'
+    });
+
+    expect(parsed).toMatchObject({ errors: [], systemType: 'siddha', namasteCode: 'SID-7', objectCode: 'SK01', mappingType: 'equivalent' });
+  });
+
+  it('reports every problem with a row', () => {
+    const { errors } = read({
+      subject_id: 'MONDO:0005015',
+      predicate_id: 'skos:closeMatch',
+      object_id: 'http://snomed.info/id/73211009',
+      mapping_justification: '',
+      confidence: '1.5',
+      predicate_modifier: 'Not'
+    });
+
+    expect(errors).toEqual([
+      'subject_id \'MONDO:0005015\' is not a NAMASTE code',
+      'object_id \'http://snomed.info/id/73211009\' is not an ICD-11 entity',
+      'predicate_id \'skos:closeMatch\' is not one of skos:exactMatch, skos:broadMatch, skos:narrowMatch, skos:relatedMatch',
+      'Negated mappings (predicate_modifier Not) cannot be imported',
+      'mapping_justification is required',
+      'confidence \'1.5\' must be a number between 0 and 1'
+    ]);
+  });
+});
+
+describe('SssomService.importMappings', () => {
+  const transaction = { id: 'sssom-import' };
+  const user = { id: 5 };
+
+  const content = tsv(METADATA, HEADER,
+    row('AYU:AAA-1', 'skos:exactMatch', 'http://id.who.int/icd/release/11/2023-01/tm2/SK01', '0.9', 'Jvara'), // line 8
+    row('AYU:AAA-1', 'skos:exactMatch', 'ICD11:101'), // 9: same mapping as line 8
+    row('AYU:AAA-2', 'skos:exactMatch', 'ICD11:102', '0.8'), // 10: already held
+    row('AYU:AAA-3', 'skos:broadMatch', 'ICD11:103'), // 11: held as equivalent
+    row('AYU:AAA-4', 'skos:exactMatch', 'ICD11:104'), // 12: AAA-4 already has an exact match to 105
+    row('AYU:AAA-4', 'skos:relatedMatch', 'ICD11:106'), // 13: related matches do not compete
+    row('AYU:AAA-5', 'skos:exactMatch', 'ICD11:104'), // 14: rejected before
+    row('AYU:AAA-9', 'skos:exactMatch', 'ICD11:101'), // 15: unknown NAMASTE code
+    row('AYU:AAA-1', 'skos:closeMatch', 'ICD11:101') // 16: unsupported predicate
+  );
+
+  beforeEach(() => {
+    jest.spyOn(NamesteCode, 'findAll').mockResolvedValue(['AAA-1', 'AAA-2', 'AAA-3', 'AAA-4', 'AAA-5']
+      .map(code => ({ code, system_type: 'ayurveda', status: 'active' })));
+    jest.spyOn(ICD11Code, 'findAll').mockResolvedValue([
+      { icd_id: '101', code: 'SK01', status: 'active' },
+      ...['102', '103', '104', '105', '106'].map(icd_id => ({ icd_id, code: `SK${icd_id}`, status: 'active' }))
+    ]);
+    jest.spyOn(CodeMapping, 'findAll').mockResolvedValue([
+      { id: 20, namaste_code: 'AAA-2', icd11_code: '102', mapping_type: 'equivalent', confidence_score: '0.80', status: 'approved' },
+      { id: 21, namaste_code: 'AAA-3', icd11_code: '103', mapping_type: 'equivalent', confidence_score: null, status: 'proposed' },
+      { id: 22, namaste_code: 'AAA-4', icd11_code: '105', mapping_type: 'equivalent', confidence_score: '1.00', status: 'approved' },
+      { id: 23, namaste_code: 'AAA-5', icd11_code: '104', mapping_type: 'equivalent', confidence_score: null, status: 'rejected' }
+    ]);
+    jest.spyOn(CodeMapping, 'create').mockImplementation(async values => ({ id: 100 + CodeMapping.create.mock.calls.length, ...values }));
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => callback(transaction));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports conflicts with held mappings and between rows', async () => {
+    const result = await sssomService.importMappings(content, { user, dryRun: true });
+
+    expect(result.summary).toEqual({ rows: 9, created: 2, unchanged: 1, conflicts: 4, errors: 2 });
+    expect(result.unchanged).toEqual([{ line: 10, mapping_id: 20, namaste_code: 'AAA-2', icd11_code: '102' }]);
+    expect(result.conflicts).toEqual([
+      { line: 9, subject_id: 'AYU:AAA-1', object_id: 'ICD11:101', type: 'duplicate', message: 'Same mapping as line 8' },
+      expect.objectContaining({
+        line: 11, type: 'differs', existing: { id: 21, status: 'proposed', mapping_type: 'equivalent', confidence_score: null }
+      }),
+      expect.objectContaining({
+        line: 12, type: 'competing_exact_match', message: 'AAA-4 already has an exact match to 105', existing: expect.objectContaining({ id: 22, confidence_score: 1 })
+      }),
+      expect.objectContaining({ line: 14, type: 'previously_rejected', message: 'This mapping was rejected' })
+    ]);
+    expect(result.errors).toEqual([
+      { line: 15, subject_id: 'AYU:AAA-9', object_id: 'ICD11:101', messages: ['NAMASTE ayurveda code \'AAA-9\' not found or inactive'] },
+      expect.objectContaining({ line: 16, messages: [expect.stringMatching(/^predicate_id 'skos:closeMatch'/)] })
+    ]);
+  });
+
+  it('creates nothing on a dry run', async () => {
+    const result = await sssomService.importMappings(content, { user, dryRun: true });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.created).toEqual([
+      { line: 8, namaste_code: 'AAA-1', icd11_code: '101', mapping_type: 'equivalent', confidence_score: 0.9 },
+      { line: 13, namaste_code: 'AAA-4', icd11_code: '106', mapping_type: 'related', confidence_score: null }
+    ]);
+    expect(CodeMapping.create).not.toHaveBeenCalled();
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('creates the accepted rows as proposed mappings in one transaction', async () => {
+    const result = await sssomService.importMappings(content, { user });
+
+    expect(result.created.map(entry => entry.mapping_id)).toEqual([101, 102]);
+    expect(CodeMapping.create).toHaveBeenCalledTimes(2);
+
+    const [values, options] = CodeMapping.create.mock.calls[0];
+    expect(values).toMatchObject({
+      namaste_code: 'AAA-1',
+      icd11_code: '101',
+      mapping_type: 'equivalent',
+      confidence_score: 0.9,
+      notes: 'Jvara',
+      status: 'proposed',
+      created_by: 5,
+      metadata: {
+        sssom: {
+          mapping_set_id: 'https://example.org/sssom/ayurveda-tm2.sssom.tsv',
+          mapping_set_version: '2025-03',
+          mapping_justification: 'semapv:ManualMappingCuration',
+          author_id: ['orcid:0000-0002-1825-0097']
+        }
+      }
+    });
+    expect(options).toEqual({ transaction, changedBy: 5, changeReason: 'SSSOM import of https://example.org/sssom/ayurveda-tm2.sssom.tsv' });
+    expect(CodeMapping.create.mock.calls[1][0]).not.toHaveProperty('confidence_score');
+  });
+
+  it('creates nothing when one of the writes fails', async () => {
+    CodeMapping.create.mockRejectedValueOnce(new Error('Lock wait timeout exceeded'));
+
+    await expect(sssomService.importMappings(content, { user })).rejects.toThrow('Lock wait timeout exceeded');
+    expect(CodeMapping.create).toHaveBeenCalledTimes(1);
+  });
+});
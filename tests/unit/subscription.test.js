@@ -0,0 +1,213 @@
+const axios = require('axios');
+const dns = require('dns');
+const { config: fhirConfig } = require('../../config/fhir');
+const subscriptionService = require('../../services/subscription.service');
+const { Subscription } = require('../../models');
+
+const { delivery } = fhirConfig.subscriptions;
+const ENDPOINT = 'https://hooks.example.org/fhir';
+
+// Let setImmediate callbacks and the promise chains they start run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const resolvesTo = (...addresses) => jest.spyOn(dns.promises, 'lookup')
+  .mockResolvedValue(addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SubscriptionService.assertPublicEndpoint', () => {
+  it('accepts a host that resolves only to public addresses', async () => {
+    resolvesTo('93.184.216.34', '2606:2800:220:1::1');
+
+    await expect(subscriptionService.assertPublicEndpoint(ENDPOINT)).resolves.toBeUndefined();
+    expect(dns.promises.lookup).toHaveBeenCalledWith('hooks.example.org', { all: true, verbatim: true });
+  });
+
+  it.each([
+    ['a loopback address', '127.0.0.1'],
+    ['a private address', '10.1.2.3'],
+    ['a shared (CGNAT) address', '100.64.0.1'],
+    ['the link-local cloud metadata address', '169.254.169.254'],
+    ['the IPv6 loopback address', '::1'],
+    ['an IPv6 unique local address', 'fd00::1'],
+    ['an IPv4-mapped loopback address', '::ffff:127.0.0.1'],
+    ['an IPv4-mapped private address in hex', '::ffff:a00:1'],
+    ['a NAT64 address', '64:ff9b::a00:1']
+  ])('rejects a host that also resolves to %s', async (_, address) => {
+    resolvesTo('93.184.216.34', address);
+
+    await expect(subscriptionService.assertPublicEndpoint(ENDPOINT)).rejects.toMatchObject({ status: 400, issueCode: 'security' });
+  });
+
+  it('checks an address literal without resolving it', async () => {
+    jest.spyOn(dns.promises, 'lookup');
+
+    await expect(subscriptionService.assertPublicEndpoint('http://[::ffff:192.168.0.1]:8080/hook')).rejects.toMatchObject({ status: 400 });
+    expect(dns.promises.lookup).not.toHaveBeenCalled();
+  });
+
+  it('rejects a host that does not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    await expect(subscriptionService.assertPublicEndpoint(ENDPOINT)).rejects.toMatchObject({ status: 400, issueCode: 'invalid' });
+  });
+});
+
+describe('SubscriptionService.deliver', () => {
+  let subscription;
+  let retries;
+
+  beforeEach(() => {
+    subscription = {
+      id: 1,
+      resource_id: 'sub-1',
+      status: 'requested',
+      endpoint: ENDPOINT,
+      headers: ['Authorization: Bearer secret'],
+      error_count: 2,
+      update: jest.fn(async function (values) {
+        Object.assign(this, values);
+      })
+    };
+    retries = [];
+
+    jest.spyOn(Subscription, 'findByPk').mockImplementation(async () => subscription);
+    resolvesTo('93.184.216.34');
+    // Retries are run by the test instead of after their delay
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+      retries.push({ callback, delay });
+      return { unref: () => {} };
+    });
+  });
+
+  // Run pending retries until there are none
+  const runRetries = async () => {
+    const delays = [];
+    while (retries.length > 0) {
+      const { callback, delay } = retries.shift();
+      delays.push(delay);
+      callback();
+      await flush();
+    }
+    return delays;
+  };
+
+  it('posts without following redirects, through agents that check the address connected to', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+    await subscriptionService.deliver(1, { resourceType: 'Bundle' });
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect([url, body]).toEqual([ENDPOINT, { resourceType: 'Bundle' }]);
+    expect(options).toMatchObject({
+      maxRedirects: 0,
+      headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/fhir+json' }
+    });
+    expect(subscription.status).toBe('active');
+
+    // The host now resolves (rebinds) to a private address: the connection's lookup refuses it
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, lookupOptions, callback) => callback(null, '10.0.0.7', 4));
+    for (const agent of [options.httpAgent, options.httpsAgent]) {
+      const error = await new Promise(resolve => agent.options.lookup('hooks.example.org', {}, resolve));
+      expect(error).toMatchObject({ code: 'EADDRBLOCKED' });
+    }
+
+    // Node's lookup with all: true gives a list of addresses
+    dns.lookup.mockImplementation((hostname, lookupOptions, callback) =>
+      callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '::ffff:127.0.0.1', family: 6 }]));
+    expect(await new Promise(resolve => options.httpsAgent.options.lookup('hooks.example.org', { all: true }, resolve)))
+      .toMatchObject({ code: 'EADDRBLOCKED' });
+
+    dns.lookup.mockImplementation((hostname, lookupOptions, callback) => callback(null, '93.184.216.34', 4));
+    expect(await new Promise(resolve => options.httpsAgent.options.lookup('hooks.example.org', {}, (...args) => resolve(args))))
+      .toEqual([null, '93.184.216.34', 4]);
+  });
+
+  it('retries with exponential backoff, capped, then sets the Subscription to error', async () => {
+    jest.replaceProperty(delivery, 'maxAttempts', 5);
+    jest.replaceProperty(delivery, 'initialDelayMs', 1000);
+    jest.replaceProperty(delivery, 'maxDelayMs', 5000);
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 503 } }));
+
+    await subscriptionService.deliver(1, {});
+    const delays = await runRetries();
+
+    expect(delays).toEqual([1000, 2000, 4000, 5000]);
+    expect(axios.post).toHaveBeenCalledTimes(5);
+    expect(subscription.update).toHaveBeenCalledTimes(1);
+    expect(subscription).toMatchObject({ status: 'error', error_count: 3, last_error: 'Endpoint responded 503 (5 attempts)' });
+  });
+
+  it('becomes active again when a retry succeeds', async () => {
+    subscription.status = 'error';
+    jest.spyOn(axios, 'post')
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 200 });
+
+    await subscriptionService.deliver(1, {});
+    await runRetries();
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(subscription).toMatchObject({ status: 'active', last_error: null });
+  });
+
+  it('counts an endpoint that now resolves to a private address as a failed attempt', async () => {
+    jest.replaceProperty(delivery, 'maxAttempts', 1);
+    resolvesTo('192.168.1.20');
+    jest.spyOn(axios, 'post');
+
+    await subscriptionService.deliver(1, {});
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(subscription.status).toBe('error');
+    expect(subscription.last_error).toMatch(/must not resolve to a loopback, private or link-local address \(1 attempts\)$/);
+  });
+
+  it('stops retrying once the Subscription is switched off', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('socket hang up'));
+
+    await subscriptionService.deliver(1, {});
+    subscription.status = 'off';
+    await runRetries();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(subscription.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('NAMASTE CodeSystem retired event', () => {
+  const subscriber = (id, filters) => ({
+    id,
+    resource_id: `sub-${id}`,
+    status: 'active',
+    content: 'id-only',
+    filters,
+    events_since_start: 0,
+    increment: jest.fn(async function (field, { by }) {
+      this.events_since_start += by;
+    }),
+    reload: jest.fn(async () => {})
+  });
+
+  it('notifies the Subscriptions filtered on retired of a deactivated code', async () => {
+    const retired = subscriber(1, [{ name: 'event', values: ['retired'] }, { name: 'system', values: ['ayurveda'] }]);
+    const created = subscriber(2, [{ name: 'event', values: ['created'] }]);
+    const siddha = subscriber(3, [{ name: 'system', values: ['siddha'] }]);
+    jest.spyOn(Subscription, 'findAll').mockResolvedValue([retired, created, siddha]);
+    jest.spyOn(subscriptionService, 'deliver').mockResolvedValue();
+
+    subscriptionService.publishCodeChange({ code: 'AAA-1', system_type: 'ayurveda' }, 'retired');
+    await flush();
+    await flush();
+
+    expect(Subscription.findAll.mock.calls[0][0].where.topic).toBe(fhirConfig.subscriptions.topics.codeSystem.url);
+    expect(subscriptionService.deliver).toHaveBeenCalledTimes(1);
+
+    const [id, notification] = subscriptionService.deliver.mock.calls[0];
+    expect(id).toBe(1);
+    expect(notification.entry.slice(1).map(entry => entry.request.url)).toEqual(['CodeSystem/namaste-ayurveda']);
+    expect(retired.events_since_start).toBe(1);
+  });
+});
@@ -0,0 +1,42 @@
+const { Op } = require('sequelize');
+const fhirService = require('../../services/fhir.service');
+const { NamesteCode } = require('../../models');
+const { config: fhirConfig } = require('../../config/fhir');
+
+describe('FhirService.expandValueSet filter', () => {
+  const valueSet = {
+    resourceType: 'ValueSet',
+    url: 'http://example.org/ValueSet/ayurveda',
+    compose: { include: [{ system: fhirConfig.codeSystems.namaste.ayurveda.url }] }
+  };
+
+  // The LIKE conditions of the text filter in the first count query
+  const textConditions = () => NamesteCode.count.mock.calls[0][0].where[Op.and]
+    .find(condition => condition[Op.or] && 'display_name' in condition[Op.or][0])[Op.or];
+
+  beforeEach(() => {
+    jest.spyOn(NamesteCode, 'count').mockResolvedValue(0);
+    jest.spyOn(NamesteCode, 'findAll').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches LIKE wildcards in the filter literally', async () => {
+    await fhirService.expandValueSet(valueSet, { filter: '50%_a\\b' });
+
+    expect(textConditions()).toEqual([
+      { display_name: { [Op.like]: '%50\\%\\_a\\\\b%' } },
+      { code: { [Op.like]: '50\\%\\_a\\\\b%' } },
+      { synonyms: { [Op.like]: '%50\\%\\_a\\\\b%' } }
+    ]);
+  });
+
+  it('rejects a repeated filter', async () => {
+    await expect(fhirService.expandValueSet(valueSet, { filter: ['jvara', 'kasa'] })).rejects.toMatchObject({
+      status: 400, issueCode: 'invalid', expression: 'filter'
+    });
+    expect(NamesteCode.count).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,6 @@
+// Escape the LIKE wildcards (% and _) and the escape character in a search value, so it matches literally
+const escapeLike = value => String(value).replace(/[\\%_]/g, '\\$&');
+
+module.exports = {
+  escapeLike
+};
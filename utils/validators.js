@@ -29,7 +29,15 @@ const schemas = {
       parent_code: Joi.string().max(50),
       level: Joi.number().integer().min(0),
       metadata: Joi.object()
-    })
+    }),
+    update: Joi.object({
+      display_name: Joi.string().max(500),
+      definition: Joi.string().allow(''),
+      category: Joi.string().max(100),
+      synonyms: Joi.array().items(Joi.string()),
+      status: Joi.string().valid('active', 'inactive'),
+      metadata: Joi.object()
+    }).min(1)
   },
 
   // Code mapping validation
@@ -54,6 +62,27 @@ const schemas = {
     })
   },
 
+  // SMART client registration
+  smartClient: {
+    create: Joi.object({
+      client_id: Joi.string().pattern(/^[A-Za-z0-9._-]+$/).min(3).max(100),
+      name: Joi.string().required().min(2).max(255),
+      client_type: Joi.string().valid('public', 'confidential', 'backend').required(),
+      redirect_uris: Joi.array().items(Joi.string().uri()).when('client_type', {
+        is: 'backend', then: Joi.forbidden(), otherwise: Joi.array().min(1).required()
+      }),
+      jwks: Joi.object({ keys: Joi.array().items(Joi.object()).min(1).required() }),
+      jwks_uri: Joi.string().uri({ scheme: ['https'] }),
+      scope: Joi.string().required().max(2000),
+      // Role of a backend client's service account
+      role: Joi.string().valid('clinician', 'admin', 'viewer').when('client_type', {
+        is: 'backend', then: Joi.optional().default('viewer'), otherwise: Joi.forbidden()
+      })
+    }).when(Joi.object({ client_type: Joi.valid('confidential', 'backend') }).unknown(), {
+      then: Joi.object().xor('jwks', 'jwks_uri')
+    })
+  },
+
   // FHIR Bundle validation (simplified)
   fhirBundle: {
     create: Joi.object({